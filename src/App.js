@@ -1,16 +1,46 @@
-import React, { useCallback, useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import './App.css';
 import PresentationApp from './components/PresentationApp';
+import LibraryRestoreDialog from './components/LibraryRestoreDialog';
+import { importPptxFile } from './utils/pptxImport';
+import { exportLibraryBackup, readLibraryBackup, restoreLibraryBackup } from './utils/libraryBackup';
 import {
   generatePresentationId,
   getActivePresentationId,
   setActivePresentationId,
   getRecentPresentations,
+  getTrashedPresentations,
   deletePresentation,
+  restorePresentation,
+  purgePresentation,
+  purgeExpiredPresentations,
+  emptyTrash,
+  getTrashRetentionDays,
+  setTrashRetentionDays,
+  TRASH_RETENTION_OPTIONS,
+  getLibraryPreferences,
+  setLibraryPreferences,
+  updatePresentationMetadata,
+  indexPresentationSearchText,
+  getPresentationFolders,
+  createPresentationFolder,
+  renamePresentationFolder,
+  deletePresentationFolder,
   loadPresentationData,
   savePresentationData,
-  upsertRecentPresentation
+  upsertRecentPresentation,
+  isQuotaExceededError,
+  STORAGE_QUOTA_MESSAGE
 } from './utils/presentationStorage';
+import {
+  LIBRARY_SORT_OPTIONS,
+  LIBRARY_VIEWS,
+  collectTags,
+  filterPresentations,
+  getSlidesSearchText,
+  sortPresentations
+} from './utils/presentationLibrary';
+import { normalizeSlideSize } from './utils/slideSize';
 
 const formatTimestamp = (timestamp) => {
   if (!timestamp) {
@@ -27,14 +57,267 @@ const formatTimestamp = (timestamp) => {
   });
 };
 
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const formatDaysLeft = (deletedAt, retentionDays) => {
+  const days = Math.max(Math.ceil((deletedAt + retentionDays * DAY_IN_MS - Date.now()) / DAY_IN_MS), 0);
+  if (days === 0) {
+    return 'Deleted permanently today';
+  }
+  return `Deleted permanently in ${days} day${days === 1 ? '' : 's'}`;
+};
+
+const ConfirmDialog = ({ title, message, confirmLabel, onConfirm, onCancel }) => (
+  <div
+    className="recent-modal"
+    role="dialog"
+    aria-modal="true"
+    aria-labelledby="confirm-dialog-title"
+    onClick={(event) => event.stopPropagation()}
+    onKeyDown={(event) => {
+      event.stopPropagation();
+      if (event.key === 'Escape') {
+        onCancel();
+      }
+    }}
+  >
+    <div className="recent-modal-content confirm-dialog">
+      <h3 id="confirm-dialog-title">{title}</h3>
+      <p className="confirm-dialog-message">{message}</p>
+      <div className="recent-modal-actions">
+        <button type="button" onClick={onCancel} autoFocus>Cancel</button>
+        <button type="button" className="danger" onClick={onConfirm}>{confirmLabel}</button>
+      </div>
+    </div>
+  </div>
+);
+
+const TrashRow = ({ item, retentionDays, onRestore, onPurge }) => (
+  <div className="recent-row trash-row">
+    <div className="recent-row-title">
+      <span className="recent-icon">P</span>
+      <div>
+        <span>{item.name || 'Untitled presentation'}</span>
+        <span className="recent-row-subtitle">{formatDaysLeft(item.deletedAt || 0, retentionDays)}</span>
+      </div>
+    </div>
+    <div className="recent-row-date">{formatTimestamp(item.deletedAt)}</div>
+    <div className="recent-row-actions">
+      <button type="button" className="recent-action" onClick={onRestore}>
+        Restore
+      </button>
+      <button type="button" className="recent-action danger" onClick={onPurge}>
+        Delete forever
+      </button>
+    </div>
+  </div>
+);
+
+const FolderNameDialog = ({ title, initialName = '', confirmLabel, onSave, onCancel }) => {
+  const [name, setName] = useState(initialName);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (name.trim()) {
+      onSave(name);
+    }
+  };
+
+  return (
+    <div className="recent-modal" role="dialog" aria-modal="true" aria-labelledby="folder-dialog-title">
+      <form
+        className="recent-modal-content"
+        onSubmit={handleSubmit}
+        onKeyDown={(event) => event.key === 'Escape' && onCancel()}
+      >
+        <h3 id="folder-dialog-title">{title}</h3>
+        <input
+          type="text"
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          placeholder="Folder name"
+          aria-label="Folder name"
+          autoFocus
+        />
+        <div className="recent-modal-actions">
+          <button type="button" onClick={onCancel}>Cancel</button>
+          <button type="submit" disabled={!name.trim()}>{confirmLabel}</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+const OrganizeDialog = ({ item, folders, onSave, onCancel }) => {
+  const [folder, setFolder] = useState(item.folder || '');
+  const [tags, setTags] = useState((item.tags || []).join(', '));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onSave({ folder, tags });
+  };
+
+  return (
+    <div className="recent-modal" role="dialog" aria-modal="true" aria-labelledby="organize-dialog-title">
+      <form
+        className="recent-modal-content organize-dialog"
+        onSubmit={handleSubmit}
+        onKeyDown={(event) => event.key === 'Escape' && onCancel()}
+      >
+        <h3 id="organize-dialog-title">Organize “{item.name || 'Untitled presentation'}”</h3>
+        <label className="organize-field">
+          Folder
+          <select value={folder} onChange={(event) => setFolder(event.target.value)}>
+            <option value="">Unfiled</option>
+            {folders.map((name) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="organize-field">
+          Tags
+          <input
+            type="text"
+            value={tags}
+            onChange={(event) => setTags(event.target.value)}
+            placeholder="Separate tags with commas"
+            autoFocus
+          />
+        </label>
+        <div className="recent-modal-actions">
+          <button type="button" onClick={onCancel}>Cancel</button>
+          <button type="submit">Save</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+const DEFAULT_LIBRARY_PREFERENCES = { view: 'grid', sort: 'modified' };
+
+const readLibraryPreferences = () => {
+  const stored = getLibraryPreferences() || {};
+  return {
+    view: LIBRARY_VIEWS.includes(stored.view) ? stored.view : DEFAULT_LIBRARY_PREFERENCES.view,
+    sort: LIBRARY_SORT_OPTIONS.some((option) => option.value === stored.sort)
+      ? stored.sort
+      : DEFAULT_LIBRARY_PREFERENCES.sort
+  };
+};
+
 const Landing = ({
   recents,
+  folders,
+  trash,
+  trashRetentionDays,
   onCreateNew,
+  onImportPresentation,
+  isImporting,
   onOpenPresentation,
   onDeletePresentation,
-  onRenamePresentation
+  onRenamePresentation,
+  onRestorePresentation,
+  onPurgePresentation,
+  onEmptyTrash,
+  onChangeTrashRetention,
+  onUpdateMetadata,
+  onCreateFolder,
+  onRenameFolder,
+  onDeleteFolder,
+  isBackingUp,
+  onBackupLibrary,
+  onSelectBackup
 }) => {
   const hasRecents = recents.length > 0;
+  const importInputRef = useRef(null);
+  const backupInputRef = useRef(null);
+  const [confirmation, setConfirmation] = useState(null);
+  const [query, setQuery] = useState('');
+  // undefined shows every presentation, '' the unfiled ones.
+  const [folderFilter, setFolderFilter] = useState(undefined);
+  const [tagFilter, setTagFilter] = useState(null);
+  const [preferences, setPreferences] = useState(readLibraryPreferences);
+  const [organizingItem, setOrganizingItem] = useState(null);
+  const [folderDialog, setFolderDialog] = useState(null);
+
+  const tags = collectTags(recents);
+  const activeTag = tags.find((tag) => tag === tagFilter) || null;
+  const activeFolder = folderFilter && !folders.includes(folderFilter) ? undefined : folderFilter;
+  const visible = sortPresentations(
+    filterPresentations(recents, { query, folder: activeFolder, tag: activeTag }),
+    preferences.sort
+  );
+  const dateKey = preferences.sort === 'created' ? 'createdAt' : 'updatedAt';
+
+  const updatePreferences = (changes) => {
+    const next = { ...preferences, ...changes };
+    setPreferences(next);
+    setLibraryPreferences(next);
+  };
+
+  const countInFolder = (folder) => recents.filter((item) => (item.folder || '') === folder).length;
+
+  const saveFolderDialog = async (name) => {
+    const { folder } = folderDialog;
+    setFolderDialog(null);
+    const saved = folder ? await onRenameFolder(folder, name) : await onCreateFolder(name);
+    if (saved) {
+      setFolderFilter(saved);
+    }
+  };
+
+  const confirmDeleteFolder = (folder) =>
+    setConfirmation({
+      title: 'Delete folder?',
+      message: `“${folder}” will be removed. The presentations in it are kept and become unfiled.`,
+      confirmLabel: 'Delete folder',
+      onConfirm: () => {
+        setFolderFilter(undefined);
+        onDeleteFolder(folder);
+      }
+    });
+
+  const confirmDelete = (item) =>
+    setConfirmation({
+      title: 'Move to trash?',
+      message: `“${item.name || 'Untitled presentation'}” will be moved to the trash. You can restore it for ${trashRetentionDays} days.`,
+      confirmLabel: 'Move to trash',
+      onConfirm: () => onDeletePresentation(item.id)
+    });
+
+  const confirmPurge = (item) =>
+    setConfirmation({
+      title: 'Delete forever?',
+      message: `“${item.name || 'Untitled presentation'}” and its version history will be deleted permanently.`,
+      confirmLabel: 'Delete forever',
+      onConfirm: () => onPurgePresentation(item.id)
+    });
+
+  const confirmEmptyTrash = () =>
+    setConfirmation({
+      title: 'Empty trash?',
+      message: `${trash.length} presentation${trash.length === 1 ? '' : 's'} will be deleted permanently.`,
+      confirmLabel: 'Empty trash',
+      onConfirm: onEmptyTrash
+    });
+
+  const handleBackupChange = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (file) {
+      onSelectBackup(file);
+    }
+  };
+
+  const handleImportChange = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (file) {
+      onImportPresentation(file);
+    }
+  };
 
   return (
     <div className="landing-page">
@@ -50,43 +333,305 @@ const Landing = ({
           <span className="blank-icon">✚</span>
           <span className="blank-label">Blank presentation</span>
         </button>
+        <button
+          type="button"
+          className="blank-card"
+          onClick={() => importInputRef.current?.click()}
+          disabled={isImporting}
+        >
+          <span className="blank-icon">⇪</span>
+          <span className="blank-label">{isImporting ? 'Importing…' : 'Import .pptx'}</span>
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".pptx,application/vnd.openxmlformats-officedocument.presentationml.presentation"
+          onChange={handleImportChange}
+          style={{ display: 'none' }}
+        />
       </section>
 
-      <section className="landing-recents" aria-label="Recent presentations">
-        <div className="recents-header">
-          <h2>Recent presentations</h2>
-          {hasRecents && <span className="recents-count">{recents.length}</span>}
+      <section className="landing-recents" aria-label="Your presentations">
+        <div className="recents-header library-header">
+          <h2>Your presentations</h2>
+          {hasRecents && (
+            <span className="recents-count">
+              {visible.length === recents.length ? recents.length : `${visible.length} of ${recents.length}`}
+            </span>
+          )}
+          <div className="library-toolbar">
+            <input
+              type="search"
+              className="library-search"
+              value={query}
+              onChange={(event) => setQuery(event.target.value)}
+              placeholder="Search names, tags and slide text"
+              aria-label="Search presentations"
+            />
+            <select
+              className="library-sort"
+              value={preferences.sort}
+              onChange={(event) => updatePreferences({ sort: event.target.value })}
+              aria-label="Sort presentations"
+            >
+              {LIBRARY_SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <div className="library-view-toggle" role="group" aria-label="View">
+              {LIBRARY_VIEWS.map((view) => (
+                <button
+                  key={view}
+                  type="button"
+                  className={preferences.view === view ? 'is-active' : ''}
+                  aria-pressed={preferences.view === view}
+                  onClick={() => updatePreferences({ view })}
+                >
+                  {view === 'grid' ? 'Grid' : 'List'}
+                </button>
+              ))}
+            </div>
+          </div>
         </div>
 
-        {hasRecents ? (
+        <div className="library-body">
+          <nav className="library-sidebar" aria-label="Folders">
+            <button
+              type="button"
+              className={`library-folder${activeFolder === undefined ? ' is-active' : ''}`}
+              onClick={() => setFolderFilter(undefined)}
+            >
+              <span>All presentations</span>
+              <span className="library-folder-count">{recents.length}</span>
+            </button>
+            <button
+              type="button"
+              className={`library-folder${activeFolder === '' ? ' is-active' : ''}`}
+              onClick={() => setFolderFilter('')}
+            >
+              <span>Unfiled</span>
+              <span className="library-folder-count">{countInFolder('')}</span>
+            </button>
+
+            <div className="library-sidebar-heading">
+              <span>Folders</span>
+              <button
+                type="button"
+                className="library-add-folder"
+                onClick={() => setFolderDialog({ folder: null })}
+                aria-label="New folder"
+                title="New folder"
+              >
+                +
+              </button>
+            </div>
+            {folders.map((folder) => (
+              <button
+                key={folder}
+                type="button"
+                className={`library-folder${activeFolder === folder ? ' is-active' : ''}`}
+                onClick={() => setFolderFilter(folder)}
+              >
+                <span>{folder}</span>
+                <span className="library-folder-count">{countInFolder(folder)}</span>
+              </button>
+            ))}
+            {!folders.length && <p className="library-sidebar-empty">No folders yet.</p>}
+            {activeFolder && (
+              <div className="library-folder-actions">
+                <button type="button" className="recent-action" onClick={() => setFolderDialog({ folder: activeFolder })}>
+                  Rename
+                </button>
+                <button type="button" className="recent-action danger" onClick={() => confirmDeleteFolder(activeFolder)}>
+                  Delete
+                </button>
+              </div>
+            )}
+
+            {tags.length > 0 && (
+              <>
+                <div className="library-sidebar-heading">
+                  <span>Tags</span>
+                </div>
+                <div className="library-tags">
+                  {tags.map((tag) => (
+                    <button
+                      key={tag}
+                      type="button"
+                      className={`library-tag${activeTag === tag ? ' is-active' : ''}`}
+                      aria-pressed={activeTag === tag}
+                      onClick={() => setTagFilter(activeTag === tag ? null : tag)}
+                    >
+                      {tag}
+                    </button>
+                  ))}
+                </div>
+              </>
+            )}
+
+            <div className="library-sidebar-heading">
+              <span>Backup</span>
+            </div>
+            <div className="library-backup">
+              <button
+                type="button"
+                className="recent-action"
+                onClick={onBackupLibrary}
+                disabled={isBackingUp || (!hasRecents && !trash.length)}
+              >
+                {isBackingUp ? 'Backing up…' : 'Back up everything'}
+              </button>
+              <button type="button" className="recent-action" onClick={() => backupInputRef.current?.click()}>
+                Restore backup…
+              </button>
+              <input
+                ref={backupInputRef}
+                type="file"
+                accept=".zip,application/zip"
+                onChange={handleBackupChange}
+                style={{ display: 'none' }}
+              />
+            </div>
+          </nav>
+
+          <div className="library-content">
+            {!hasRecents && (
+              <div className="recents-empty">
+                <p>You haven't created any presentations yet.</p>
+                <p className="recents-empty-help">Start a new deck or reopen one from your device to see it listed here.</p>
+              </div>
+            )}
+            {hasRecents && !visible.length && (
+              <div className="recents-empty">
+                <p>No presentations match.</p>
+                <p className="recents-empty-help">Try another search, folder or tag.</p>
+              </div>
+            )}
+            {visible.length > 0 && preferences.view === 'grid' && (
+              <div className="library-grid">
+                {visible.map((item) => (
+                  <RecentCard
+                    key={item.id}
+                    item={item}
+                    view="grid"
+                    timestamp={item[dateKey]}
+                    onOpen={() => onOpenPresentation(item.id)}
+                    onDelete={() => confirmDelete(item)}
+                    onRename={(name) => onRenamePresentation(item.id, name)}
+                    onOrganize={() => setOrganizingItem(item)}
+                  />
+                ))}
+              </div>
+            )}
+            {visible.length > 0 && preferences.view === 'list' && (
+              <div className="recents-grid">
+                <div className="recents-list-header library-list-header">
+                  <span>Name</span>
+                  <span>{dateKey === 'createdAt' ? 'Date created' : 'Date modified'}</span>
+                  <span />
+                </div>
+                {visible.map((item) => (
+                  <RecentCard
+                    key={item.id}
+                    item={item}
+                    view="list"
+                    timestamp={item[dateKey]}
+                    onOpen={() => onOpenPresentation(item.id)}
+                    onDelete={() => confirmDelete(item)}
+                    onRename={(name) => onRenamePresentation(item.id, name)}
+                    onOrganize={() => setOrganizingItem(item)}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+
+      {trash.length > 0 && (
+        <section className="landing-recents landing-trash" aria-label="Trash">
+          <div className="recents-header">
+            <h2>Trash</h2>
+            <div className="trash-controls">
+              <label>
+                Delete after
+                <select
+                  value={trashRetentionDays}
+                  onChange={(event) => onChangeTrashRetention(Number(event.target.value))}
+                  aria-label="Days before deleted presentations are removed"
+                >
+                  {TRASH_RETENTION_OPTIONS.map((days) => (
+                    <option key={days} value={days}>
+                      {days} days
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <button type="button" className="recent-action danger" onClick={confirmEmptyTrash}>
+                Empty trash
+              </button>
+            </div>
+          </div>
           <div className="recents-grid">
-            <div className="recents-list-header">
+            <div className="recents-list-header trash-list-header">
               <span>Name</span>
-              <span>Date modified</span>
+              <span>Date deleted</span>
               <span />
             </div>
-            {recents.map((item) => (
-              <RecentCard
+            {trash.map((item) => (
+              <TrashRow
                 key={item.id}
                 item={item}
-                onOpen={() => onOpenPresentation(item.id)}
-                onDelete={() => onDeletePresentation(item.id)}
-                onRename={(name) => onRenamePresentation(item.id, name)}
+                retentionDays={trashRetentionDays}
+                onRestore={() => onRestorePresentation(item.id)}
+                onPurge={() => confirmPurge(item)}
               />
             ))}
           </div>
-        ) : (
-          <div className="recents-empty">
-            <p>You haven't created any presentations yet.</p>
-            <p className="recents-empty-help">Start a new deck or reopen one from your device to see it listed here.</p>
-          </div>
-        )}
-      </section>
+        </section>
+      )}
+
+      {organizingItem && (
+        <OrganizeDialog
+          item={organizingItem}
+          folders={folders}
+          onCancel={() => setOrganizingItem(null)}
+          onSave={(changes) => {
+            setOrganizingItem(null);
+            onUpdateMetadata(organizingItem.id, changes);
+          }}
+        />
+      )}
+
+      {folderDialog && (
+        <FolderNameDialog
+          title={folderDialog.folder ? 'Rename folder' : 'New folder'}
+          initialName={folderDialog.folder || ''}
+          confirmLabel={folderDialog.folder ? 'Rename' : 'Create'}
+          onCancel={() => setFolderDialog(null)}
+          onSave={saveFolderDialog}
+        />
+      )}
+
+      {confirmation && (
+        <ConfirmDialog
+          title={confirmation.title}
+          message={confirmation.message}
+          confirmLabel={confirmation.confirmLabel}
+          onCancel={() => setConfirmation(null)}
+          onConfirm={() => {
+            setConfirmation(null);
+            confirmation.onConfirm();
+          }}
+        />
+      )}
     </div>
   );
 };
 
-const RecentCard = ({ item, onOpen, onDelete, onRename }) => {
+const RecentCard = ({ item, view = 'list', timestamp, onOpen, onDelete, onRename, onOrganize }) => {
   const [isRenameOpen, setIsRenameOpen] = useState(false);
   const [draftName, setDraftName] = useState(item.name || 'Untitled presentation');
 
@@ -120,42 +665,80 @@ const RecentCard = ({ item, onOpen, onDelete, onRename }) => {
     setIsRenameOpen(false);
   }, [item.name]);
 
+  const name = item.name || 'Untitled presentation';
+  const tags = item.tags || [];
+  const tagList = tags.length > 0 && (
+    <span className="library-card-tags">
+      {tags.map((tag) => (
+        <span key={tag} className="library-card-tag">
+          {tag}
+        </span>
+      ))}
+    </span>
+  );
+  const actions = (
+    <div className="recent-row-actions" onClick={(event) => event.stopPropagation()}>
+      <button type="button" className="recent-action" onClick={handleRenameClick} aria-label="Rename presentation">
+        Rename
+      </button>
+      <button type="button" className="recent-action" onClick={onOrganize} aria-label="Move to folder or edit tags">
+        Organize
+      </button>
+      <button type="button" className="recent-action danger" onClick={handleDelete} aria-label="Delete presentation">
+        <svg
+          width="16"
+          height="16"
+          viewBox="0 0 24 24"
+          fill="none"
+          xmlns="http://www.w3.org/2000/svg"
+          aria-hidden="true"
+        >
+          <path
+            d="M9 3H15L15.6 5H20V7H4V5H8.4L9 3ZM6 19C6 20.1 6.9 21 8 21H16C17.1 21 18 20.1 18 19V8H6V19Z"
+            fill="currentColor"
+          />
+        </svg>
+      </button>
+    </div>
+  );
+
   return (
     <div
-      className="recent-row"
+      className={view === 'grid' ? 'library-card' : 'recent-row library-row'}
       role="button"
       tabIndex={0}
       onClick={handleOpen}
       onKeyDown={(event) => event.key === 'Enter' && handleOpen()}
     >
-      <div className="recent-row-title">
-        <span className="recent-icon">P</span>
-        <div>
-          <span>{item.name || 'Untitled presentation'}</span>
-          <span className="recent-row-subtitle">Your slides</span>
-        </div>
-      </div>
-      <div className="recent-row-date">{formatTimestamp(item.updatedAt)}</div>
-      <div className="recent-row-actions" onClick={(event) => event.stopPropagation()}>
-        <button type="button" className="recent-action" onClick={handleRenameClick} aria-label="Rename presentation">
-          Rename
-        </button>
-        <button type="button" className="recent-action danger" onClick={handleDelete} aria-label="Delete presentation">
-          <svg
-            width="16"
-            height="16"
-            viewBox="0 0 24 24"
-            fill="none"
-            xmlns="http://www.w3.org/2000/svg"
-            aria-hidden="true"
-          >
-            <path
-              d="M9 3H15L15.6 5H20V7H4V5H8.4L9 3ZM6 19C6 20.1 6.9 21 8 21H16C17.1 21 18 20.1 18 19V8H6V19Z"
-              fill="currentColor"
-            />
-          </svg>
-        </button>
-      </div>
+      {view === 'grid' ? (
+        <>
+          <div className="library-card-preview">
+            {item.preview ? <img src={item.preview} alt="" /> : <span className="recent-icon">P</span>}
+          </div>
+          <div className="library-card-body">
+            <span className="library-card-name">{name}</span>
+            <span className="recent-row-subtitle">
+              {item.folder ? `${item.folder} · ` : ''}
+              {formatTimestamp(timestamp)}
+            </span>
+            {tagList}
+          </div>
+          {actions}
+        </>
+      ) : (
+        <>
+          <div className="recent-row-title">
+            <span className="recent-icon">P</span>
+            <div>
+              <span>{name}</span>
+              <span className="recent-row-subtitle">{item.folder || 'Your slides'}</span>
+              {tagList}
+            </div>
+          </div>
+          <div className="recent-row-date">{formatTimestamp(timestamp)}</div>
+          {actions}
+        </>
+      )}
 
       {isRenameOpen && (
         <div
@@ -190,6 +773,42 @@ const RecentCard = ({ item, onOpen, onDelete, onRename }) => {
   );
 };
 
+const ImportReportDialog = ({ result, onOpen, onClose }) => {
+  const { report, name } = result;
+  return (
+    <div
+      className="recent-modal"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="import-report-title"
+    >
+      <div className="recent-modal-content import-report">
+        <h3 id="import-report-title">Imported “{name}”</h3>
+        <p className="import-report-summary">
+          {report.slideCount} slide{report.slideCount === 1 ? '' : 's'} and {report.elementCount} element
+          {report.elementCount === 1 ? '' : 's'} imported. {report.skipped.length} item
+          {report.skipped.length === 1 ? ' was' : 's were'} skipped or approximated:
+        </p>
+        <ul className="import-report-list">
+          {report.skipped.map((entry, index) => (
+            <li key={`${entry.slide}-${index}`}>
+              <span className="import-report-slide">Slide {entry.slide}</span>
+              <span>
+                {entry.element ? `${entry.element}: ` : ''}
+                {entry.reason}
+              </span>
+            </li>
+          ))}
+        </ul>
+        <div className="recent-modal-actions">
+          <button type="button" onClick={onClose}>Close</button>
+          <button type="button" onClick={onOpen}>Open presentation</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 const SESSION_KEYS = {
   isOpen: 'pptts:ui:isEditorOpen'
 };
@@ -220,10 +839,23 @@ const writeSessionFlag = (key, value) => {
 function App() {
   const [activePresentationId, setActivePresentationIdState] = useState(getActivePresentationId());
   const [isPresentationOpen, setIsPresentationOpen] = useState(() => readSessionFlag(SESSION_KEYS.isOpen, false));
-  const [recents, setRecents] = useState(() => getRecentPresentations());
+  const [recents, setRecents] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [trash, setTrash] = useState([]);
+  const [trashRetentionDays, setTrashRetentionDaysState] = useState(getTrashRetentionDays);
+  const [isImporting, setIsImporting] = useState(false);
+  const [importResult, setImportResult] = useState(null);
+  const [isBackingUp, setIsBackingUp] = useState(false);
+  const [restoreState, setRestoreState] = useState(null);
 
-  const refreshRecents = useCallback(() => {
-    setRecents(getRecentPresentations());
+  // Expired trash is purged, and decks saved before the library search are
+  // indexed, whenever the landing lists are refreshed.
+  const refreshRecents = useCallback(async () => {
+    await purgeExpiredPresentations();
+    await indexPresentationSearchText();
+    setRecents(await getRecentPresentations());
+    setFolders(await getPresentationFolders());
+    setTrash(await getTrashedPresentations());
   }, []);
 
   const handleCreateNew = useCallback(() => {
@@ -235,11 +867,11 @@ function App() {
     refreshRecents();
   }, [refreshRecents]);
 
-  const handleOpenPresentation = useCallback((presentationId) => {
+  const handleOpenPresentation = useCallback(async (presentationId) => {
     if (!presentationId) {
       return;
     }
-    const data = loadPresentationData(presentationId);
+    const data = await loadPresentationData(presentationId);
     if (!data) {
       return;
     }
@@ -249,8 +881,44 @@ function App() {
     writeSessionFlag(SESSION_KEYS.isOpen, true);
   }, []);
 
-  const handleDeletePresentation = useCallback((presentationId) => {
-    deletePresentation(presentationId);
+  const handleImportPresentation = useCallback(async (file) => {
+    setIsImporting(true);
+    try {
+      const { slides, design, fileName, report } = await importPptxFile(file);
+      const newId = generatePresentationId();
+      const updatedAt = await savePresentationData(newId, {
+        slides,
+        design,
+        fileName,
+        slideSize: normalizeSlideSize(report.slideSize),
+        updatedAt: Date.now()
+      });
+      await upsertRecentPresentation({
+        id: newId,
+        name: fileName,
+        updatedAt,
+        searchText: getSlidesSearchText(slides)
+      });
+      refreshRecents();
+      if (report.skipped.length) {
+        setImportResult({ id: newId, name: fileName, report });
+      } else {
+        handleOpenPresentation(newId);
+      }
+    } catch (error) {
+      console.error('Failed to import presentation', error);
+      window.alert(
+        isQuotaExceededError(error)
+          ? STORAGE_QUOTA_MESSAGE
+          : error?.message || 'Unable to import the presentation. Please try again.'
+      );
+    } finally {
+      setIsImporting(false);
+    }
+  }, [handleOpenPresentation, refreshRecents]);
+
+  const handleDeletePresentation = useCallback(async (presentationId) => {
+    await deletePresentation(presentationId);
     if (activePresentationId === presentationId) {
       setActivePresentationIdState(null);
       setActivePresentationId(null);
@@ -260,29 +928,120 @@ function App() {
     refreshRecents();
   }, [activePresentationId, refreshRecents]);
 
-  const handleRenamePresentation = useCallback((presentationId, name) => {
+  const handleRestorePresentation = useCallback(async (presentationId) => {
+    await restorePresentation(presentationId);
+    refreshRecents();
+  }, [refreshRecents]);
+
+  const handlePurgePresentation = useCallback(async (presentationId) => {
+    await purgePresentation(presentationId);
+    refreshRecents();
+  }, [refreshRecents]);
+
+  const handleEmptyTrash = useCallback(async () => {
+    await emptyTrash();
+    refreshRecents();
+  }, [refreshRecents]);
+
+  const handleChangeTrashRetention = useCallback((days) => {
+    setTrashRetentionDays(days);
+    setTrashRetentionDaysState(days);
+    refreshRecents();
+  }, [refreshRecents]);
+
+  const handleUpdateMetadata = useCallback(async (presentationId, changes) => {
+    await updatePresentationMetadata(presentationId, changes);
+    refreshRecents();
+  }, [refreshRecents]);
+
+  const handleCreateFolder = useCallback(async (name) => {
+    const folder = await createPresentationFolder(name);
+    await refreshRecents();
+    return folder;
+  }, [refreshRecents]);
+
+  const handleRenameFolder = useCallback(async (from, to) => {
+    const folder = await renamePresentationFolder(from, to);
+    await refreshRecents();
+    return folder;
+  }, [refreshRecents]);
+
+  const handleDeleteFolder = useCallback(async (name) => {
+    await deletePresentationFolder(name);
+    refreshRecents();
+  }, [refreshRecents]);
+
+  const handleBackupLibrary = useCallback(async () => {
+    setIsBackingUp(true);
+    try {
+      await exportLibraryBackup();
+    } catch (error) {
+      console.error('Failed to back up the library', error);
+      window.alert('Unable to create the backup. Please try again.');
+    } finally {
+      setIsBackingUp(false);
+    }
+  }, []);
+
+  const handleSelectBackup = useCallback(async (file) => {
+    try {
+      const backup = await readLibraryBackup(file);
+      setRestoreState({ backup, fileName: file.name, results: null, isRestoring: false });
+    } catch (error) {
+      console.error('Failed to read backup', error);
+      window.alert(error?.message || 'Unable to read the backup.');
+    }
+  }, []);
+
+  const handleRestoreBackup = useCallback(async (options) => {
+    if (!restoreState) {
+      return;
+    }
+    setRestoreState((prev) => ({ ...prev, isRestoring: true }));
+    try {
+      const results = await restoreLibraryBackup(restoreState.backup, options);
+      setRestoreState((prev) => ({ ...prev, results, isRestoring: false }));
+      if (options.mode === 'replace') {
+        setActivePresentationIdState(null);
+      }
+    } catch (error) {
+      console.error('Failed to restore backup', error);
+      window.alert(isQuotaExceededError(error) ? STORAGE_QUOTA_MESSAGE : error?.message || 'Unable to restore the backup.');
+      setRestoreState((prev) => ({ ...prev, isRestoring: false }));
+    }
+    refreshRecents();
+  }, [refreshRecents, restoreState]);
+
+  const handleRenamePresentation = useCallback(async (presentationId, name) => {
     const trimmed = (name || '').trim();
     const nextName = trimmed || 'Untitled presentation';
-    const currentData = loadPresentationData(presentationId);
-    if (currentData) {
-      savePresentationData(presentationId, {
-        ...currentData,
-        fileName: nextName
-      });
+    try {
+      const currentData = await loadPresentationData(presentationId);
+      if (currentData) {
+        await savePresentationData(presentationId, {
+          ...currentData,
+          fileName: nextName
+        });
+      }
+      await upsertRecentPresentation({ id: presentationId, name: nextName, updatedAt: Date.now() });
+    } catch (error) {
+      console.error('Failed to rename presentation', error);
+      window.alert(isQuotaExceededError(error) ? STORAGE_QUOTA_MESSAGE : 'Unable to rename the presentation.');
     }
-    upsertRecentPresentation({ id: presentationId, name: nextName, updatedAt: Date.now() });
     refreshRecents();
   }, [refreshRecents]);
 
   const handleExitEditor = useCallback(() => {
     setIsPresentationOpen(false);
     writeSessionFlag(SESSION_KEYS.isOpen, false);
-    refreshRecents();
-  }, [refreshRecents]);
+  }, []);
 
+  // Runs after the editor's unmount save has been queued, so the list is fresh.
   useEffect(() => {
-    refreshRecents();
-  }, [refreshRecents]);
+    if (!isPresentationOpen) {
+      refreshRecents();
+    }
+  }, [isPresentationOpen, refreshRecents]);
 
   const appClassName = isPresentationOpen && activePresentationId ? 'App app-editor' : 'App app-landing';
 
@@ -291,15 +1050,53 @@ function App() {
       {isPresentationOpen && activePresentationId ? (
         <PresentationApp
           onExit={handleExitEditor}
+          onOpenPresentation={handleOpenPresentation}
           initialPresentationId={activePresentationId}
         />
       ) : (
         <Landing
           recents={recents}
+          folders={folders}
+          trash={trash}
+          trashRetentionDays={trashRetentionDays}
           onCreateNew={handleCreateNew}
+          onImportPresentation={handleImportPresentation}
+          isImporting={isImporting}
           onOpenPresentation={handleOpenPresentation}
           onDeletePresentation={handleDeletePresentation}
           onRenamePresentation={handleRenamePresentation}
+          onRestorePresentation={handleRestorePresentation}
+          onPurgePresentation={handlePurgePresentation}
+          onEmptyTrash={handleEmptyTrash}
+          onChangeTrashRetention={handleChangeTrashRetention}
+          onUpdateMetadata={handleUpdateMetadata}
+          onCreateFolder={handleCreateFolder}
+          onRenameFolder={handleRenameFolder}
+          onDeleteFolder={handleDeleteFolder}
+          isBackingUp={isBackingUp}
+          onBackupLibrary={handleBackupLibrary}
+          onSelectBackup={handleSelectBackup}
+        />
+      )}
+      {restoreState && (
+        <LibraryRestoreDialog
+          backup={restoreState.backup}
+          fileName={restoreState.fileName}
+          existingIds={[...recents, ...trash].map((item) => item.id)}
+          results={restoreState.results}
+          isRestoring={restoreState.isRestoring}
+          onRestore={handleRestoreBackup}
+          onClose={() => setRestoreState(null)}
+        />
+      )}
+      {importResult && (
+        <ImportReportDialog
+          result={importResult}
+          onClose={() => setImportResult(null)}
+          onOpen={() => {
+            setImportResult(null);
+            handleOpenPresentation(importResult.id);
+          }}
         />
       )}
     </div>
@@ -1,8 +1,30 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
+import { setStorageAdapter, upsertRecentPresentation } from './utils/presentationStorage';
+import { createMemoryAdapter } from './utils/storageAdapters';
 
-test('renders learn react link', () => {
+jest.mock('./components/PresentationApp', () => () => null);
+
+beforeEach(async () => {
+  window.localStorage.clear();
+  setStorageAdapter(createMemoryAdapter());
+  await upsertRecentPresentation({ id: 'a', name: 'Quarterly review', updatedAt: 2, searchText: 'revenue forecast' });
+  await upsertRecentPresentation({ id: 'b', name: 'Team offsite', updatedAt: 1 });
+});
+
+afterAll(() => setStorageAdapter(null));
+
+test('renders the landing page with the library', async () => {
+  render(<App />);
+  expect(screen.getByRole('heading', { name: 'Craft Impactful Presentations' })).toBeInTheDocument();
+  expect(await screen.findByText('Quarterly review')).toBeInTheDocument();
+  expect(screen.getByText('Team offsite')).toBeInTheDocument();
+});
+
+test('searches presentations by slide text', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByText('Team offsite');
+  fireEvent.change(screen.getByLabelText('Search presentations'), { target: { value: 'forecast' } });
+  expect(screen.getByText('Quarterly review')).toBeInTheDocument();
+  expect(screen.queryByText('Team offsite')).not.toBeInTheDocument();
 });
@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { getLayerLabel } from '../utils/elementOrder';
+import {
+  ANIMATION_EFFECTS,
+  ANIMATION_KINDS,
+  ANIMATION_TRIGGERS,
+  MAX_ANIMATION_DURATION,
+  MIN_ANIMATION_DURATION,
+  clampAnimationDuration,
+  createAnimation,
+  getSlideAnimations
+} from '../utils/slideAnimations';
+import './AnimationsPanel.css';
+
+const renderOptions = (options) =>
+  options.map((option) => (
+    <option key={option.value} value={option.value}>
+      {option.label}
+    </option>
+  ));
+
+// Lists the current slide's build animations in playback order. New effects
+// are added to the end for the selected element.
+const AnimationsPanel = ({ slide, selectedElementId, onChange, onSelect, onClose }) => {
+  const [draft, setDraft] = useState({ kind: 'entrance', effect: 'fade' });
+
+  if (!slide) {
+    return null;
+  }
+
+  const elements = slide.content || [];
+  const animations = getSlideAnimations(slide);
+  const selectedElement = elements.find((element) => element.id === selectedElementId);
+  let clickNumber = 0;
+
+  const updateAnimation = (animationId, changes) =>
+    onChange?.(animations.map((animation) => (animation.id === animationId ? { ...animation, ...changes } : animation)));
+
+  const moveAnimation = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= animations.length) {
+      return;
+    }
+    const next = [...animations];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange?.(next);
+  };
+
+  return (
+    <aside className="animations-panel" aria-label="Animations">
+      <div className="animations-panel-header">
+        <span className="animations-panel-title">Animations</span>
+        <button type="button" className="animations-panel-close" onClick={onClose} aria-label="Close animations panel">
+          ×
+        </button>
+      </div>
+
+      <div className="animations-add">
+        <select
+          aria-label="New effect type"
+          value={draft.kind}
+          onChange={(event) => setDraft({ ...draft, kind: event.target.value })}
+        >
+          {renderOptions(ANIMATION_KINDS)}
+        </select>
+        <select
+          aria-label="New effect"
+          value={draft.effect}
+          onChange={(event) => setDraft({ ...draft, effect: event.target.value })}
+        >
+          {renderOptions(ANIMATION_EFFECTS)}
+        </select>
+        <button
+          type="button"
+          className="animations-add-button"
+          disabled={!selectedElement}
+          title={selectedElement ? `Animate ${getLayerLabel(selectedElement)}` : 'Select an element to animate it'}
+          onClick={() => onChange?.([...animations, createAnimation(selectedElement.id, draft)])}
+        >
+          Add effect
+        </button>
+      </div>
+
+      {animations.length ? (
+        <ol className="animations-list">
+          {animations.map((animation, index) => {
+            const element = elements.find((item) => item.id === animation.elementId);
+            if (animation.trigger === 'onClick') {
+              clickNumber += 1;
+            }
+            return (
+              <li
+                key={animation.id}
+                className={`animation-row${animation.elementId === selectedElementId ? ' selected' : ''}`}
+              >
+                <div className="animation-row-header">
+                  <span className="animation-step" title="Click that starts this effect">
+                    {clickNumber || '▶'}
+                  </span>
+                  <button
+                    type="button"
+                    className="animation-target"
+                    onClick={() => onSelect?.(element)}
+                    title="Select this element"
+                  >
+                    {getLayerLabel(element)}
+                  </button>
+                  <button
+                    type="button"
+                    className="animation-icon-button"
+                    disabled={index === 0}
+                    onClick={() => moveAnimation(index, -1)}
+                    aria-label="Move effect earlier"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    type="button"
+                    className="animation-icon-button"
+                    disabled={index === animations.length - 1}
+                    onClick={() => moveAnimation(index, 1)}
+                    aria-label="Move effect later"
+                  >
+                    ↓
+                  </button>
+                  <button
+                    type="button"
+                    className="animation-icon-button"
+                    onClick={() => onChange?.(animations.filter((item) => item.id !== animation.id))}
+                    aria-label="Remove effect"
+                  >
+                    ×
+                  </button>
+                </div>
+                <div className="animation-row-fields">
+                  <select
+                    aria-label="Effect type"
+                    value={animation.kind}
+                    onChange={(event) => updateAnimation(animation.id, { kind: event.target.value })}
+                  >
+                    {renderOptions(ANIMATION_KINDS)}
+                  </select>
+                  <select
+                    aria-label="Effect"
+                    value={animation.effect}
+                    onChange={(event) => updateAnimation(animation.id, { effect: event.target.value })}
+                  >
+                    {renderOptions(ANIMATION_EFFECTS)}
+                  </select>
+                  <select
+                    aria-label="Start"
+                    value={animation.trigger}
+                    onChange={(event) => updateAnimation(animation.id, { trigger: event.target.value })}
+                  >
+                    {renderOptions(ANIMATION_TRIGGERS)}
+                  </select>
+                  <label className="animation-duration">
+                    <input
+                      type="number"
+                      min={MIN_ANIMATION_DURATION / 1000}
+                      max={MAX_ANIMATION_DURATION / 1000}
+                      step={0.1}
+                      value={animation.duration / 1000}
+                      onChange={(event) =>
+                        updateAnimation(animation.id, {
+                          duration: clampAnimationDuration(Number(event.target.value) * 1000)
+                        })
+                      }
+                      aria-label="Duration in seconds"
+                    />
+                    <span>s</span>
+                  </label>
+                </div>
+              </li>
+            );
+          })}
+        </ol>
+      ) : (
+        <p className="animations-empty">No animations on this slide yet. Select an element and add an effect.</p>
+      )}
+    </aside>
+  );
+};
+
+export default AnimationsPanel;
@@ -1,4 +1,5 @@
 import React, { useEffect, useMemo, useState } from 'react';
+import RotationInput from './RotationInput';
 import './ChartToolbar.css';
 
 const CHART_TYPE_OPTIONS = [
@@ -16,6 +17,7 @@ const ChartToolbar = ({
   onEditData,
   onDelete,
   onDuplicate,
+  onRotate,
   onDismiss
 }) => {
   const [chartType, setChartType] = useState('bar');
@@ -92,6 +94,11 @@ const ChartToolbar = ({
           Edit Data
         </button>
 
+        <RotationInput
+          value={element.rotation}
+          onChange={(rotation) => onRotate?.(element.id, rotation)}
+        />
+
         <button
           type="button"
           className="chart-toolbar-button duplicate"
@@ -126,6 +133,7 @@ export default React.memo(ChartToolbar, (prevProps, nextProps) => {
   return (
     prevProps.element?.id === nextProps.element?.id &&
     prevProps.element?.chartType === nextProps.element?.chartType &&
+    prevProps.element?.rotation === nextProps.element?.rotation &&
     prevProps.position?.x === nextProps.position?.x &&
     prevProps.position?.y === nextProps.position?.y &&
     prevProps.isVisible === nextProps.isVisible
@@ -0,0 +1,258 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import SlideRenderer from './SlideRenderer';
+import useFitScale from '../hooks/useFitScale';
+import { diffDecks, getChangeLabel, mergeDeckChanges } from '../utils/deckDiff';
+import { DEFAULT_SLIDE_SIZE } from '../utils/slideSize';
+import './DeckCompareDialog.css';
+
+const DEFAULT_BACKGROUND = '#ffffff';
+
+const STATUS_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  changed: 'Changed',
+  unchanged: 'Unchanged'
+};
+
+// One side of the comparison: the slide at its native size, scaled to fit,
+// with an outline over every changed element on this side.
+const ComparePane = ({ label, slide, slideSize, highlights, rejected, activeChangeId }) => {
+  const frameRef = useRef(null);
+  const scale = useFitScale(frameRef, slideSize.width, slideSize.height);
+
+  return (
+    <section className="deck-compare-pane" aria-label={label}>
+      <span className="deck-compare-pane-label">{label}</span>
+      <div className="deck-compare-pane-frame" ref={frameRef}>
+        {slide ? (
+          <div
+            className="deck-compare-slide"
+            style={{ width: slideSize.width * scale, height: slideSize.height * scale }}
+          >
+            <div
+              className="deck-compare-canvas"
+              style={{
+                width: slideSize.width,
+                height: slideSize.height,
+                backgroundColor: slide.background?.color || DEFAULT_BACKGROUND,
+                transform: `scale(${scale})`
+              }}
+            >
+              <SlideRenderer slide={slide} />
+              {highlights.map(({ change, element }) => (
+                <div
+                  key={change.id}
+                  className={`deck-compare-highlight is-${change.kind}${rejected.has(change.id) ? ' is-rejected' : ''}${
+                    change.id === activeChangeId ? ' is-active' : ''
+                  }`}
+                  style={{
+                    left: Number(element.x) || 0,
+                    top: Number(element.y) || 0,
+                    width: Number(element.width) || 0,
+                    height: Number(element.height) || 0
+                  }}
+                  title={getChangeLabel(change)}
+                />
+              ))}
+            </div>
+          </div>
+        ) : (
+          <div className="deck-compare-empty">Not in this version</div>
+        )}
+      </div>
+    </section>
+  );
+};
+
+const DeckCompareDialog = ({
+  base = [],
+  target = [],
+  baseLabel = 'Before',
+  targetLabel = 'After',
+  slideSize = DEFAULT_SLIDE_SIZE,
+  isBusy = false,
+  onApply,
+  onClose
+}) => {
+  const diff = useMemo(() => diffDecks(base, target), [base, target]);
+  const [rejected, setRejected] = useState(() => new Set());
+  const [selectedSlideId, setSelectedSlideId] = useState(
+    () => (diff.entries.find((entry) => entry.status !== 'unchanged') || diff.entries[0])?.slideId
+  );
+  const [activeChangeId, setActiveChangeId] = useState(null);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !isBusy) {
+        onClose?.();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isBusy, onClose]);
+
+  const selected = diff.entries.find((entry) => entry.slideId === selectedSlideId) || null;
+  const elementChanges = (selected?.changes || []).filter((change) => change.elementId !== undefined);
+  const beforeHighlights = elementChanges
+    .filter((change) => change.before)
+    .map((change) => ({ change, element: change.before }));
+  const afterHighlights = elementChanges
+    .filter((change) => change.after)
+    .map((change) => ({ change, element: change.after }));
+
+  const setDecision = (changeIds, isRejected) => {
+    setRejected((prev) => {
+      const next = new Set(prev);
+      changeIds.forEach((id) => (isRejected ? next.add(id) : next.delete(id)));
+      return next;
+    });
+  };
+
+  const allChangeIds = diff.changes.map((change) => change.id);
+
+  const handleApply = () => {
+    if (!isBusy) {
+      onApply?.(mergeDeckChanges(base, target, Array.from(rejected)));
+    }
+  };
+
+  const handleOverlayClick = (event) => {
+    if (event.target === event.currentTarget && !isBusy) {
+      onClose?.();
+    }
+  };
+
+  return (
+    <div className="deck-compare-overlay" onClick={handleOverlayClick} role="presentation">
+      <div
+        className="deck-compare-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="deck-compare-title"
+        onKeyDown={(event) => event.stopPropagation()}
+      >
+        <div className="deck-compare-header">
+          <div>
+            <h4 id="deck-compare-title">Compare versions</h4>
+            <p className="deck-compare-subtitle">
+              {baseLabel} → {targetLabel} · {diff.changes.length} change{diff.changes.length === 1 ? '' : 's'}
+              {rejected.size ? `, ${rejected.size} rejected` : ''}
+            </p>
+          </div>
+          <div className="deck-compare-bulk">
+            <button type="button" onClick={() => setDecision(allChangeIds, false)} disabled={!diff.changes.length}>
+              Accept all
+            </button>
+            <button type="button" onClick={() => setDecision(allChangeIds, true)} disabled={!diff.changes.length}>
+              Reject all
+            </button>
+          </div>
+        </div>
+
+        <div className="deck-compare-body">
+          <ul className="deck-compare-slides" aria-label="Slides">
+            {diff.entries.map((entry) => {
+              const slide = entry.target || entry.base;
+              const position = entry.status === 'removed' ? entry.baseIndex + 1 : entry.targetIndex + 1;
+              return (
+                <li key={entry.slideId}>
+                  <button
+                    type="button"
+                    className={`deck-compare-slide-item is-${entry.status}${
+                      entry.slideId === selectedSlideId ? ' is-selected' : ''
+                    }`}
+                    onClick={() => {
+                      setSelectedSlideId(entry.slideId);
+                      setActiveChangeId(null);
+                    }}
+                    aria-pressed={entry.slideId === selectedSlideId}
+                  >
+                    <span className="deck-compare-slide-name">
+                      {position}. {slide.title || `Slide ${position}`}
+                    </span>
+                    <span className={`deck-compare-status is-${entry.status}`}>
+                      {STATUS_LABELS[entry.status]}
+                      {entry.status === 'changed' ? ` (${entry.changes.length})` : ''}
+                    </span>
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+
+          <div className="deck-compare-main">
+            <div className="deck-compare-panes">
+              <ComparePane
+                label={baseLabel}
+                slide={selected?.base}
+                slideSize={slideSize}
+                highlights={beforeHighlights}
+                rejected={rejected}
+                activeChangeId={activeChangeId}
+              />
+              <ComparePane
+                label={targetLabel}
+                slide={selected?.target}
+                slideSize={slideSize}
+                highlights={afterHighlights}
+                rejected={rejected}
+                activeChangeId={activeChangeId}
+              />
+            </div>
+
+            <ul className="deck-compare-changes" aria-label="Changes on this slide">
+              {!selected?.changes.length && <li className="deck-compare-none">No changes on this slide.</li>}
+              {(selected?.changes || []).map((change) => {
+                const element = change.after || change.before;
+                const isRejected = rejected.has(change.id);
+                return (
+                  <li
+                    key={change.id}
+                    className={`deck-compare-change${isRejected ? ' is-rejected' : ''}`}
+                    onMouseEnter={() => setActiveChangeId(change.id)}
+                    onMouseLeave={() => setActiveChangeId(null)}
+                  >
+                    <span className={`deck-compare-swatch is-${change.kind}`} aria-hidden="true" />
+                    <span className="deck-compare-change-label">
+                      {getChangeLabel(change)}
+                      {element && <span className="deck-compare-change-target"> · {element.name || element.type}</span>}
+                    </span>
+                    <div className="deck-compare-decision" role="group" aria-label={getChangeLabel(change)}>
+                      <button
+                        type="button"
+                        className={!isRejected ? 'is-active' : ''}
+                        aria-pressed={!isRejected}
+                        onClick={() => setDecision([change.id], false)}
+                      >
+                        Accept
+                      </button>
+                      <button
+                        type="button"
+                        className={isRejected ? 'is-active' : ''}
+                        aria-pressed={isRejected}
+                        onClick={() => setDecision([change.id], true)}
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        </div>
+
+        <div className="deck-compare-actions">
+          <button type="button" className="deck-compare-cancel" onClick={onClose} disabled={isBusy}>
+            Cancel
+          </button>
+          <button type="button" className="deck-compare-submit" onClick={handleApply} disabled={isBusy}>
+            Apply to deck
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DeckCompareDialog;
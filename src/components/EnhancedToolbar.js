@@ -1,11 +1,15 @@
 import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { ALIGNMENT_OPTIONS, DISTRIBUTE_OPTIONS, GRID_SIZE_OPTIONS } from '../utils/elementLayout';
+import { ORDER_OPTIONS } from '../utils/elementOrder';
+import { TABLE_PICKER_SIZE } from '../utils/tableModel';
 import './EnhancedToolbar.css';
 
 const INSERT_OPTIONS = [
   { key: 'text', label: 'TEXT' },
   { key: 'image', label: 'IMAGE' },
   { key: 'shape', label: 'SHAPES' },
-  { key: 'chart', label: 'CHARTS' }
+  { key: 'chart', label: 'CHARTS' },
+  { key: 'table', label: 'TABLE' }
 ];
 
 const SHAPE_OPTIONS = [
@@ -26,7 +30,10 @@ const CHART_OPTIONS = [
 const EnhancedToolbar = ({
   onInsertElement,
   onDownloadPresentation,
+  onOpenVersionHistory,
   onStartSlideshow,
+  onStartPresenterView,
+  onStartRehearsal,
   keepInsertEnabled = false,
   onToggleKeepInsert,
   fileName = 'untitled',
@@ -39,7 +46,19 @@ const EnhancedToolbar = ({
   designOptions = [],
   activeDesignId,
   onSelectDesign,
-  onFilesMenuToggle
+  onFilesMenuToggle,
+  selectionCount = 0,
+  onAlignElements,
+  onDistributeElements,
+  snapSettings,
+  onSnapSettingsChange,
+  onReorderElements,
+  isLayersPanelOpen = false,
+  onToggleLayersPanel,
+  isSlidePropertiesOpen = false,
+  onToggleSlideProperties,
+  isAnimationsPanelOpen = false,
+  onToggleAnimationsPanel
 }) => {
   const [activePanel, setActivePanel] = useState(null);
   const [isDesignPanelOpen, setIsDesignPanelOpen] = useState(false);
@@ -51,6 +70,7 @@ const EnhancedToolbar = ({
   const [isFilesMenuOpen, setIsFilesMenuOpen] = useState(false);
   const insertButtonRefs = useRef({});
   const [panelPosition, setPanelPosition] = useState({ left: 0 });
+  const [tablePickerSize, setTablePickerSize] = useState({ rows: 0, columns: 0 });
 
   const updatePanelPosition = useCallback((type) => {
     const buttonNode = insertButtonRefs.current?.[type];
@@ -68,7 +88,7 @@ const EnhancedToolbar = ({
 
   useEffect(() => {
     const handleResize = () => {
-      if (activePanel === 'shape' || activePanel === 'chart') {
+      if (activePanel) {
         updatePanelPosition(activePanel);
       }
     };
@@ -112,25 +132,42 @@ const EnhancedToolbar = ({
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, [onFilesMenuToggle]);
 
-  const handlePrimaryInsert = (type) => {
+  const togglePanel = (type) => {
     setIsDesignPanelOpen(false);
     if (isFilesMenuOpen) {
       setIsFilesMenuOpen(false);
       onFilesMenuToggle?.(false);
     }
-    if (type === 'shape' || type === 'chart') {
-      if (activePanel === type) {
-        setActivePanel(null);
-      } else {
-        updatePanelPosition(type);
-        setActivePanel(type);
-      }
+    if (activePanel === type) {
+      setActivePanel(null);
+    } else {
+      updatePanelPosition(type);
+      setActivePanel(type);
+    }
+  };
+
+  const handlePrimaryInsert = (type) => {
+    if (type === 'shape' || type === 'chart' || type === 'table') {
+      togglePanel(type);
       return;
     }
 
+    setIsDesignPanelOpen(false);
+    if (isFilesMenuOpen) {
+      setIsFilesMenuOpen(false);
+      onFilesMenuToggle?.(false);
+    }
     onInsertElement?.(type);
   };
 
+  const registerPanelButton = (type) => (node) => {
+    if (node) {
+      insertButtonRefs.current[type] = node;
+    } else {
+      delete insertButtonRefs.current[type];
+    }
+  };
+
   const handlePanelInsert = (type, subtype) => {
     onInsertElement?.(type, subtype);
     if (!keepInsertEnabled) {
@@ -150,6 +187,30 @@ const EnhancedToolbar = ({
     onFilesMenuToggle?.(false);
   };
 
+  const handleFileExportPdf = () => {
+    onDownloadPresentation?.('pdf');
+    setIsFilesMenuOpen(false);
+    onFilesMenuToggle?.(false);
+  };
+
+  const handleFileExportImages = () => {
+    onDownloadPresentation?.('images');
+    setIsFilesMenuOpen(false);
+    onFilesMenuToggle?.(false);
+  };
+
+  const handleFileExportHtml = () => {
+    onDownloadPresentation?.('html');
+    setIsFilesMenuOpen(false);
+    onFilesMenuToggle?.(false);
+  };
+
+  const handleFileVersionHistory = () => {
+    onOpenVersionHistory?.();
+    setIsFilesMenuOpen(false);
+    onFilesMenuToggle?.(false);
+  };
+
   const renderPanelContent = () => {
     if (activePanel === 'shape') {
       return (
@@ -188,6 +249,125 @@ const EnhancedToolbar = ({
       );
     }
 
+    if (activePanel === 'table') {
+      return (
+        <>
+          <span className="panel-title">
+            {tablePickerSize.rows
+              ? `Table ${tablePickerSize.columns} × ${tablePickerSize.rows}`
+              : 'Table'}
+          </span>
+          <div
+            className="table-size-picker"
+            style={{ gridTemplateColumns: `repeat(${TABLE_PICKER_SIZE.columns}, 18px)` }}
+            onMouseLeave={() => setTablePickerSize({ rows: 0, columns: 0 })}
+          >
+            {Array.from({ length: TABLE_PICKER_SIZE.rows * TABLE_PICKER_SIZE.columns }, (_, index) => {
+              const rows = Math.floor(index / TABLE_PICKER_SIZE.columns) + 1;
+              const columns = (index % TABLE_PICKER_SIZE.columns) + 1;
+              const isActive = rows <= tablePickerSize.rows && columns <= tablePickerSize.columns;
+              return (
+                <button
+                  key={index}
+                  type="button"
+                  className={`table-size-cell${isActive ? ' active' : ''}`}
+                  aria-label={`Insert ${columns} by ${rows} table`}
+                  onMouseEnter={() => setTablePickerSize({ rows, columns })}
+                  onFocus={() => setTablePickerSize({ rows, columns })}
+                  onClick={() => handlePanelInsert('table', { rows, columns })}
+                />
+              );
+            })}
+          </div>
+        </>
+      );
+    }
+
+    if (activePanel === 'arrange') {
+      return (
+        <>
+          <span className="panel-title">Align</span>
+          <div className="panel-option-grid">
+            {ALIGNMENT_OPTIONS.map((option) => (
+              <button
+                key={option.key}
+                type="button"
+                className="panel-option compact"
+                disabled={!selectionCount}
+                title={
+                  selectionCount > 1
+                    ? `Align ${option.label.toLowerCase()} edges of the selection`
+                    : `Align ${option.label.toLowerCase()} on the slide`
+                }
+                onClick={() => onAlignElements?.(option.key)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <span className="panel-title">Distribute</span>
+          <div className="panel-option-grid two-columns">
+            {DISTRIBUTE_OPTIONS.map((option) => (
+              <button
+                key={option.key}
+                type="button"
+                className="panel-option compact"
+                disabled={selectionCount < 3}
+                title="Select three or more elements to space them evenly"
+                onClick={() => onDistributeElements?.(option.key)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <span className="panel-title">Order</span>
+          <div className="panel-option-grid two-columns">
+            {ORDER_OPTIONS.map((option) => (
+              <button
+                key={option.key}
+                type="button"
+                className="panel-option compact"
+                disabled={!selectionCount}
+                title={`${option.label} (${option.shortcut})`}
+                onClick={() => onReorderElements?.(option.key)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <span className="panel-title">Snapping</span>
+          <label className="panel-toggle">
+            <input
+              type="checkbox"
+              checked={Boolean(snapSettings?.smartGuides)}
+              onChange={(event) => onSnapSettingsChange?.({ smartGuides: event.target.checked })}
+            />
+            Smart guides
+          </label>
+          <label className="panel-toggle">
+            <input
+              type="checkbox"
+              checked={Boolean(snapSettings?.grid)}
+              onChange={(event) => onSnapSettingsChange?.({ grid: event.target.checked })}
+            />
+            Snap to grid
+            <select
+              className="panel-select"
+              value={snapSettings?.gridSize}
+              disabled={!snapSettings?.grid}
+              onChange={(event) => onSnapSettingsChange?.({ gridSize: Number(event.target.value) })}
+            >
+              {GRID_SIZE_OPTIONS.map((size) => (
+                <option key={size} value={size}>
+                  {size}px
+                </option>
+              ))}
+            </select>
+          </label>
+        </>
+      );
+    }
+
     return null;
   };
 
@@ -261,6 +441,23 @@ const EnhancedToolbar = ({
                 <span className="option-label">Save</span>
                 <span className="option-hint">(.pptx)</span>
               </button>
+              <button type="button" onClick={handleFileExportPdf}>
+                <span className="option-label">Export PDF</span>
+                <span className="option-hint">(.pdf)</span>
+              </button>
+              <button type="button" onClick={handleFileExportImages}>
+                <span className="option-label">Export images</span>
+                <span className="option-hint">(.png, .jpg, .svg)</span>
+              </button>
+              <button type="button" onClick={handleFileExportHtml}>
+                <span className="option-label">Export HTML</span>
+                <span className="option-hint">(.html)</span>
+              </button>
+              {typeof onOpenVersionHistory === 'function' && (
+                <button type="button" onClick={handleFileVersionHistory}>
+                  <span className="option-label">Version history</span>
+                </button>
+              )}
             </div>
           )}
         </div>
@@ -290,13 +487,7 @@ const EnhancedToolbar = ({
             type="button"
             className={`toolbar-button icon-button ${activePanel === option.key ? 'active' : ''}`}
             onClick={() => handlePrimaryInsert(option.key)}
-            ref={(node) => {
-              if (node) {
-                insertButtonRefs.current[option.key] = node;
-              } else {
-                delete insertButtonRefs.current[option.key];
-              }
-            }}
+            ref={registerPanelButton(option.key)}
           >
             <span className="button-icon">{getButtonIcon(option.key)}</span>
             <span className="button-text">{option.label.charAt(0) + option.label.slice(1).toLowerCase()}</span>
@@ -326,6 +517,46 @@ const EnhancedToolbar = ({
           <span className="button-icon">→</span>
           <span className="button-text">Redo</span>
         </button>
+
+        <div className="toolbar-divider" />
+
+        <button
+          type="button"
+          className={`toolbar-button icon-button ${activePanel === 'arrange' ? 'active' : ''}`}
+          onClick={() => togglePanel('arrange')}
+          ref={registerPanelButton('arrange')}
+          title="Align, order, distribute and snapping"
+        >
+          <span className="button-icon">⧈</span>
+          <span className="button-text">Arrange</span>
+        </button>
+        <button
+          type="button"
+          className={`toolbar-button icon-button ${isLayersPanelOpen ? 'active' : ''}`}
+          onClick={() => onToggleLayersPanel?.()}
+          title="Show the layers of the current slide"
+        >
+          <span className="button-icon">☰</span>
+          <span className="button-text">Layers</span>
+        </button>
+        <button
+          type="button"
+          className={`toolbar-button icon-button ${isSlidePropertiesOpen ? 'active' : ''}`}
+          onClick={() => onToggleSlideProperties?.()}
+          title="Transition and other properties of the current slide"
+        >
+          <span className="button-icon">◫</span>
+          <span className="button-text">Slide</span>
+        </button>
+        <button
+          type="button"
+          className={`toolbar-button icon-button ${isAnimationsPanelOpen ? 'active' : ''}`}
+          onClick={() => onToggleAnimationsPanel?.()}
+          title="Build animations of the current slide"
+        >
+          <span className="button-icon">✧</span>
+          <span className="button-text">Animate</span>
+        </button>
         {activePanel && (
           <div
             className="toolbar-panel"
@@ -349,6 +580,22 @@ const EnhancedToolbar = ({
         <button type="button" className="toolbar-button presentation-button" onClick={() => onStartSlideshow?.()}>
           <span className="button-text">Presentation</span>
         </button>
+        <button
+          type="button"
+          className="toolbar-button presentation-button"
+          onClick={() => onStartPresenterView?.()}
+          title="Present with speaker notes in a second window"
+        >
+          <span className="button-text">Presenter view</span>
+        </button>
+        <button
+          type="button"
+          className="toolbar-button presentation-button"
+          onClick={() => onStartRehearsal?.()}
+          title="Run the slideshow and record how long each slide is shown"
+        >
+          <span className="button-text">Rehearse timings</span>
+        </button>
       </div>
 
       {isDesignPanelOpen && (
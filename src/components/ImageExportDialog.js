@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react';
+import { IMAGE_FORMAT_OPTIONS, IMAGE_SCALE_OPTIONS, getImageScaleLabel } from '../utils/imageExport';
+import './ImageExportDialog.css';
+
+const ImageExportDialog = ({
+  slideCount = 0,
+  currentSlideIndex = 0,
+  slideSize,
+  isExporting = false,
+  onExport,
+  onClose
+}) => {
+  const [rangeMode, setRangeMode] = useState('all');
+  const [rangeFrom, setRangeFrom] = useState(1);
+  const [rangeTo, setRangeTo] = useState(slideCount);
+  const [format, setFormat] = useState(IMAGE_FORMAT_OPTIONS[0].value);
+  const [scale, setScale] = useState(2);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !isExporting) {
+        onClose?.();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isExporting, onClose]);
+
+  const clampSlideNumber = (value) =>
+    Math.min(Math.max(Math.floor(Number(value) || 1), 1), Math.max(slideCount, 1));
+
+  const resolveRange = () => {
+    if (rangeMode === 'current') {
+      return { from: currentSlideIndex + 1, to: currentSlideIndex + 1 };
+    }
+    if (rangeMode === 'custom') {
+      const from = clampSlideNumber(rangeFrom);
+      const to = clampSlideNumber(rangeTo);
+      return { from: Math.min(from, to), to: Math.max(from, to) };
+    }
+    return { from: 1, to: slideCount };
+  };
+
+  const range = resolveRange();
+  const isMultiple = range.to > range.from;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (isExporting) {
+      return;
+    }
+    onExport?.({
+      ...range,
+      format,
+      scale
+    });
+  };
+
+  // Keeps editor shortcuts (arrow keys switch slides) from firing while typing in the form.
+  const handleFormKeyDown = (event) => {
+    event.stopPropagation();
+    if (event.key === 'Escape' && !isExporting) {
+      onClose?.();
+    }
+  };
+
+  const handleOverlayClick = (event) => {
+    if (event.target === event.currentTarget && !isExporting) {
+      onClose?.();
+    }
+  };
+
+  return (
+    <div className="image-export-overlay" onClick={handleOverlayClick} role="presentation">
+      <form
+        className="image-export-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="image-export-title"
+        onSubmit={handleSubmit}
+        onKeyDown={handleFormKeyDown}
+      >
+        <div className="image-export-header">
+          <h4 id="image-export-title">Export images</h4>
+        </div>
+
+        <fieldset className="image-export-section">
+          <legend>Slides</legend>
+          <label className="image-export-option">
+            <input
+              type="radio"
+              name="image-range"
+              checked={rangeMode === 'all'}
+              onChange={() => setRangeMode('all')}
+            />
+            All slides ({slideCount})
+          </label>
+          <label className="image-export-option">
+            <input
+              type="radio"
+              name="image-range"
+              checked={rangeMode === 'current'}
+              onChange={() => setRangeMode('current')}
+            />
+            Current slide ({currentSlideIndex + 1})
+          </label>
+          <label className="image-export-option">
+            <input
+              type="radio"
+              name="image-range"
+              checked={rangeMode === 'custom'}
+              onChange={() => setRangeMode('custom')}
+            />
+            From
+            <input
+              type="number"
+              className="image-export-number"
+              min={1}
+              max={slideCount}
+              value={rangeFrom}
+              onChange={(event) => setRangeFrom(event.target.value)}
+              onFocus={() => setRangeMode('custom')}
+              aria-label="First slide"
+            />
+            to
+            <input
+              type="number"
+              className="image-export-number"
+              min={1}
+              max={slideCount}
+              value={rangeTo}
+              onChange={(event) => setRangeTo(event.target.value)}
+              onFocus={() => setRangeMode('custom')}
+              aria-label="Last slide"
+            />
+          </label>
+        </fieldset>
+
+        <fieldset className="image-export-section">
+          <legend>Format</legend>
+          <select
+            className="image-export-select"
+            value={format}
+            onChange={(event) => setFormat(event.target.value)}
+            aria-label="Image format"
+          >
+            {IMAGE_FORMAT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </fieldset>
+
+        <fieldset className="image-export-section">
+          <legend>Resolution</legend>
+          <select
+            className="image-export-select"
+            value={scale}
+            onChange={(event) => setScale(Number(event.target.value))}
+            aria-label="Image resolution"
+          >
+            {IMAGE_SCALE_OPTIONS.map((option) => (
+              <option key={option} value={option}>
+                {getImageScaleLabel(option, slideSize)}
+              </option>
+            ))}
+          </select>
+          {isMultiple && <p className="image-export-hint">Multiple slides are saved together as a .zip file.</p>}
+        </fieldset>
+
+        <div className="image-export-actions">
+          <button type="button" className="image-export-cancel" onClick={onClose} disabled={isExporting}>
+            Cancel
+          </button>
+          <button type="submit" className="image-export-submit" disabled={isExporting || slideCount === 0}>
+            {isExporting ? 'Exporting…' : 'Export images'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ImageExportDialog;
@@ -1,4 +1,5 @@
 import React, { useMemo, useState, useEffect, useRef } from 'react';
+import RotationInput from './RotationInput';
 import './ImageToolbar.css';
 
 const ImageToolbar = ({
@@ -6,6 +7,7 @@ const ImageToolbar = ({
   onDelete,
   onDuplicate,
   onFlip,
+  onRotate,
   position,
   isVisible = false,
   onDismiss
@@ -105,6 +107,10 @@ const ImageToolbar = ({
             </div>
           )}
         </div>
+        <RotationInput
+          value={element.rotation}
+          onChange={(rotation) => onRotate?.(element.id, rotation)}
+        />
         <button
           type="button"
           className="image-toolbar-delete"
@@ -121,6 +127,7 @@ const ImageToolbar = ({
 export default React.memo(ImageToolbar, (prevProps, nextProps) => {
   return (
     prevProps.element?.id === nextProps.element?.id &&
+    prevProps.element?.rotation === nextProps.element?.rotation &&
     prevProps.position?.x === nextProps.position?.x &&
     prevProps.position?.y === nextProps.position?.y &&
     prevProps.isVisible === nextProps.isVisible
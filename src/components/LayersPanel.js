@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import { getLayerLabel } from '../utils/elementOrder';
+import './LayersPanel.css';
+
+const TYPE_ICONS = {
+  text: 'T',
+  shape: '◆',
+  image: '▣',
+  chart: '▥',
+  table: '▦',
+  group: '⧉'
+};
+
+const LayerName = ({ element, onRename }) => {
+  const [draft, setDraft] = useState(null);
+  const label = getLayerLabel(element);
+
+  const commit = () => {
+    const name = (draft || '').trim();
+    setDraft(null);
+    if (name !== (element.name || '') && name !== label) {
+      onRename?.(element.id, name);
+    }
+  };
+
+  if (draft === null) {
+    return (
+      <span
+        className={`layer-name${element.name ? '' : ' is-default'}`}
+        title="Double-click to rename"
+        onDoubleClick={(event) => {
+          event.stopPropagation();
+          setDraft(element.name || label);
+        }}
+      >
+        {label}
+      </span>
+    );
+  }
+
+  return (
+    <input
+      className="layer-name-input"
+      value={draft}
+      autoFocus
+      onFocus={(event) => event.target.select()}
+      onChange={(event) => setDraft(event.target.value)}
+      onBlur={commit}
+      onClick={(event) => event.stopPropagation()}
+      onKeyDown={(event) => {
+        event.stopPropagation();
+        if (event.key === 'Enter') {
+          commit();
+        } else if (event.key === 'Escape') {
+          setDraft(null);
+        }
+      }}
+      aria-label="Layer name"
+    />
+  );
+};
+
+// Lists the current slide's elements topmost first, so dragging a row up
+// brings that element forward.
+const LayersPanel = ({
+  elements = [],
+  selectedIds = [],
+  onSelect,
+  onMove,
+  onRename,
+  onToggleHidden,
+  onToggleLocked,
+  onClose
+}) => {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dragOverIndex, setDragOverIndex] = useState(null);
+  const [dragPosition, setDragPosition] = useState(null);
+  const layers = [...elements].reverse();
+
+  const resetDragState = () => {
+    setDragIndex(null);
+    setDragOverIndex(null);
+    setDragPosition(null);
+  };
+
+  const handleDragStart = (index) => (event) => {
+    setDragIndex(index);
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', String(index));
+  };
+
+  const handleDragOver = (index) => (event) => {
+    event.preventDefault();
+    if (index === dragIndex) {
+      setDragOverIndex(null);
+      setDragPosition(null);
+      return;
+    }
+    const rect = event.currentTarget.getBoundingClientRect();
+    setDragOverIndex(index);
+    setDragPosition(event.clientY - rect.top > rect.height / 2 ? 'after' : 'before');
+    event.dataTransfer.dropEffect = 'move';
+  };
+
+  const handleDrop = (index) => (event) => {
+    event.preventDefault();
+    const sourceData = event.dataTransfer.getData('text/plain');
+    const sourceIndex = dragIndex ?? (sourceData ? parseInt(sourceData, 10) : NaN);
+    if (Number.isNaN(sourceIndex) || sourceIndex < 0 || sourceIndex >= layers.length) {
+      resetDragState();
+      return;
+    }
+
+    const rect = event.currentTarget.getBoundingClientRect();
+    const targetIndex = event.clientY - rect.top > rect.height / 2 ? index + 1 : index;
+    const finalIndex = sourceIndex < targetIndex ? targetIndex - 1 : Math.min(targetIndex, layers.length - 1);
+    if (finalIndex !== sourceIndex) {
+      // Rows are listed in reverse, so map the row back to its content index.
+      onMove?.(layers[sourceIndex].id, layers.length - 1 - finalIndex);
+    }
+    resetDragState();
+  };
+
+  return (
+    <aside className="layers-panel" aria-label="Layers">
+      <div className="layers-panel-header">
+        <span className="layers-panel-title">Layers</span>
+        <button type="button" className="layers-panel-close" onClick={onClose} aria-label="Close layers panel">
+          ×
+        </button>
+      </div>
+      {layers.length ? (
+        <ul className="layers-list">
+          {layers.map((element, index) => {
+            const isSelected = selectedIds.includes(element.id);
+            const classes = [
+              'layer-row',
+              isSelected ? 'selected' : '',
+              element.hidden ? 'is-hidden' : '',
+              dragIndex === index ? 'dragging' : '',
+              dragOverIndex === index && dragPosition ? `drop-${dragPosition}` : ''
+            ]
+              .filter(Boolean)
+              .join(' ');
+            return (
+              <li
+                key={element.id}
+                className={classes}
+                draggable
+                onClick={(event) => onSelect?.(element, event)}
+                onDragStart={handleDragStart(index)}
+                onDragOver={handleDragOver(index)}
+                onDragLeave={() => {
+                  if (dragOverIndex === index) {
+                    setDragOverIndex(null);
+                    setDragPosition(null);
+                  }
+                }}
+                onDrop={handleDrop(index)}
+                onDragEnd={resetDragState}
+              >
+                <span className="layer-type" aria-hidden="true">
+                  {TYPE_ICONS[element.type] || '•'}
+                </span>
+                <LayerName element={element} onRename={onRename} />
+                <button
+                  type="button"
+                  className={`layer-toggle${element.hidden ? ' active' : ''}`}
+                  title={element.hidden ? 'Show' : 'Hide'}
+                  aria-pressed={Boolean(element.hidden)}
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    onToggleHidden?.(element.id);
+                  }}
+                >
+                  {element.hidden ? '◌' : '◉'}
+                </button>
+                <button
+                  type="button"
+                  className={`layer-toggle${element.locked ? ' active' : ''}`}
+                  title={element.locked ? 'Unlock' : 'Lock'}
+                  aria-pressed={Boolean(element.locked)}
+                  onClick={(event) => {
+                    event.stopPropagation();
+                    onToggleLocked?.(element.id);
+                  }}
+                >
+                  {element.locked ? '🔒' : '🔓'}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="layers-empty">This slide has no elements yet.</p>
+      )}
+    </aside>
+  );
+};
+
+export default LayersPanel;
@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from 'react';
+import {
+  CONFLICT_OPTIONS,
+  RESTORE_MODES,
+  RESTORE_STATUS_LABELS,
+  findBackupConflicts
+} from '../utils/libraryBackup';
+import './LibraryRestoreDialog.css';
+
+const formatBackupDate = (timestamp) =>
+  timestamp
+    ? new Date(timestamp).toLocaleString(undefined, {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    })
+    : 'an unknown date';
+
+const LibraryRestoreDialog = ({
+  backup,
+  fileName,
+  existingIds = [],
+  results = null,
+  isRestoring = false,
+  onRestore,
+  onClose
+}) => {
+  const [mode, setMode] = useState(RESTORE_MODES[0].value);
+  const [onConflict, setOnConflict] = useState(CONFLICT_OPTIONS[0].value);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !isRestoring) {
+        onClose?.();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isRestoring, onClose]);
+
+  const conflicts = findBackupConflicts(backup, existingIds);
+  const trashedCount = backup.presentations.filter((entry) => entry.deletedAt).length;
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (isRestoring || results) {
+      return;
+    }
+    onRestore?.({ mode, onConflict });
+  };
+
+  const handleOverlayClick = (event) => {
+    if (event.target === event.currentTarget && !isRestoring) {
+      onClose?.();
+    }
+  };
+
+  const failedCount = results ? results.filter((result) => result.status === 'failed').length : 0;
+
+  return (
+    <div className="library-restore-overlay" onClick={handleOverlayClick} role="presentation">
+      <form
+        className="library-restore-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="library-restore-title"
+        onSubmit={handleSubmit}
+      >
+        <div className="library-restore-header">
+          <h4 id="library-restore-title">{results ? 'Restore finished' : 'Restore backup'}</h4>
+          <p className="library-restore-summary">
+            {fileName ? `${fileName} · ` : ''}
+            Backed up {formatBackupDate(backup.createdAt)} · {backup.presentations.length} presentation
+            {backup.presentations.length === 1 ? '' : 's'}
+            {trashedCount ? ` (${trashedCount} in the trash)` : ''}
+          </p>
+        </div>
+
+        {results ? (
+          <>
+            <p className="library-restore-hint">
+              {failedCount
+                ? `${failedCount} presentation${failedCount === 1 ? '' : 's'} could not be restored.`
+                : 'Every presentation was processed.'}
+            </p>
+            <ul className="library-restore-results" aria-label="Restore results">
+              {results.map((result) => (
+                <li key={result.sourceId} className={`library-restore-result is-${result.status}`}>
+                  <span className="library-restore-result-name">{result.name}</span>
+                  <span className="library-restore-result-status">
+                    {RESTORE_STATUS_LABELS[result.status]}
+                    {result.versionCount ? ` · ${result.versionCount} version${result.versionCount === 1 ? '' : 's'}` : ''}
+                  </span>
+                  {result.message && <span className="library-restore-result-message">{result.message}</span>}
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : (
+          <>
+            <fieldset className="library-restore-section">
+              <legend>Restore mode</legend>
+              {RESTORE_MODES.map((option) => (
+                <label key={option.value} className="library-restore-option">
+                  <input
+                    type="radio"
+                    name="library-restore-mode"
+                    checked={mode === option.value}
+                    onChange={() => setMode(option.value)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+              {mode === 'replace' && (
+                <p className="library-restore-warning">
+                  Every presentation in this browser, including the trash and all versions, is deleted first.
+                </p>
+              )}
+            </fieldset>
+
+            {mode === 'merge' && conflicts.length > 0 && (
+              <fieldset className="library-restore-section">
+                <legend>Already in this library ({conflicts.length})</legend>
+                <ul className="library-restore-conflicts">
+                  {conflicts.map((entry) => (
+                    <li key={entry.id}>{entry.name}</li>
+                  ))}
+                </ul>
+                <select
+                  className="library-restore-select"
+                  value={onConflict}
+                  onChange={(event) => setOnConflict(event.target.value)}
+                  aria-label="When a presentation already exists"
+                >
+                  {CONFLICT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </fieldset>
+            )}
+          </>
+        )}
+
+        <div className="library-restore-actions">
+          {results ? (
+            <button type="button" className="library-restore-submit" onClick={onClose}>
+              Done
+            </button>
+          ) : (
+            <>
+              <button type="button" className="library-restore-cancel" onClick={onClose} disabled={isRestoring}>
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="library-restore-submit"
+                disabled={isRestoring || !backup.presentations.length}
+              >
+                {isRestoring ? 'Restoring…' : 'Restore'}
+              </button>
+            </>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default LibraryRestoreDialog;
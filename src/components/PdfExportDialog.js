@@ -0,0 +1,171 @@
+import React, { useEffect, useState } from 'react';
+import { PDF_LAYOUT_OPTIONS } from '../utils/pdfExport';
+import './PdfExportDialog.css';
+
+const PdfExportDialog = ({
+  slideCount = 0,
+  currentSlideIndex = 0,
+  isExporting = false,
+  onExport,
+  onClose
+}) => {
+  const [rangeMode, setRangeMode] = useState('all');
+  const [rangeFrom, setRangeFrom] = useState(1);
+  const [rangeTo, setRangeTo] = useState(slideCount);
+  const [slidesPerPage, setSlidesPerPage] = useState(1);
+  const [includeNotes, setIncludeNotes] = useState(false);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !isExporting) {
+        onClose?.();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isExporting, onClose]);
+
+  const clampSlideNumber = (value) =>
+    Math.min(Math.max(Math.floor(Number(value) || 1), 1), Math.max(slideCount, 1));
+
+  const resolveRange = () => {
+    if (rangeMode === 'current') {
+      return { from: currentSlideIndex + 1, to: currentSlideIndex + 1 };
+    }
+    if (rangeMode === 'custom') {
+      const from = clampSlideNumber(rangeFrom);
+      const to = clampSlideNumber(rangeTo);
+      return { from: Math.min(from, to), to: Math.max(from, to) };
+    }
+    return { from: 1, to: slideCount };
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (isExporting) {
+      return;
+    }
+    onExport?.({
+      ...resolveRange(),
+      slidesPerPage,
+      includeNotes
+    });
+  };
+
+  // Keeps editor shortcuts (arrow keys switch slides) from firing while typing in the form.
+  const handleFormKeyDown = (event) => {
+    event.stopPropagation();
+    if (event.key === 'Escape' && !isExporting) {
+      onClose?.();
+    }
+  };
+
+  const handleOverlayClick = (event) => {
+    if (event.target === event.currentTarget && !isExporting) {
+      onClose?.();
+    }
+  };
+
+  return (
+    <div className="pdf-export-overlay" onClick={handleOverlayClick} role="presentation">
+      <form
+        className="pdf-export-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="pdf-export-title"
+        onSubmit={handleSubmit}
+        onKeyDown={handleFormKeyDown}
+      >
+        <div className="pdf-export-header">
+          <h4 id="pdf-export-title">Export PDF</h4>
+        </div>
+
+        <fieldset className="pdf-export-section">
+          <legend>Slides</legend>
+          <label className="pdf-export-option">
+            <input
+              type="radio"
+              name="pdf-range"
+              checked={rangeMode === 'all'}
+              onChange={() => setRangeMode('all')}
+            />
+            All slides ({slideCount})
+          </label>
+          <label className="pdf-export-option">
+            <input
+              type="radio"
+              name="pdf-range"
+              checked={rangeMode === 'current'}
+              onChange={() => setRangeMode('current')}
+            />
+            Current slide ({currentSlideIndex + 1})
+          </label>
+          <label className="pdf-export-option">
+            <input
+              type="radio"
+              name="pdf-range"
+              checked={rangeMode === 'custom'}
+              onChange={() => setRangeMode('custom')}
+            />
+            From
+            <input
+              type="number"
+              className="pdf-export-number"
+              min={1}
+              max={slideCount}
+              value={rangeFrom}
+              onChange={(event) => setRangeFrom(event.target.value)}
+              onFocus={() => setRangeMode('custom')}
+              aria-label="First slide"
+            />
+            to
+            <input
+              type="number"
+              className="pdf-export-number"
+              min={1}
+              max={slideCount}
+              value={rangeTo}
+              onChange={(event) => setRangeTo(event.target.value)}
+              onFocus={() => setRangeMode('custom')}
+              aria-label="Last slide"
+            />
+          </label>
+        </fieldset>
+
+        <fieldset className="pdf-export-section">
+          <legend>Layout</legend>
+          <select
+            className="pdf-export-select"
+            value={slidesPerPage}
+            onChange={(event) => setSlidesPerPage(Number(event.target.value))}
+          >
+            {PDF_LAYOUT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <label className="pdf-export-option">
+            <input
+              type="checkbox"
+              checked={includeNotes}
+              onChange={(event) => setIncludeNotes(event.target.checked)}
+            />
+            Include speaker notes
+          </label>
+        </fieldset>
+
+        <div className="pdf-export-actions">
+          <button type="button" className="pdf-export-cancel" onClick={onClose} disabled={isExporting}>
+            Cancel
+          </button>
+          <button type="submit" className="pdf-export-submit" disabled={isExporting || slideCount === 0}>
+            {isExporting ? 'Exporting…' : 'Export PDF'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PdfExportDialog;
@@ -10,11 +10,72 @@ import TextToolbar from './TextToolbar';
 import ShapeToolbar from './ShapeToolbar';
 import ChartToolbar from './ChartToolbar';
 import ImageToolbar from './ImageToolbar';
+import TableElement from './TableElement';
+import TableToolbar from './TableToolbar';
 
 import SlidePanel from './SlidePanel';
 import EnhancedToolbar from './EnhancedToolbar';
+import PdfExportDialog from './PdfExportDialog';
+import ImageExportDialog from './ImageExportDialog';
+import SpeakerNotesPane from './SpeakerNotesPane';
+import LayersPanel from './LayersPanel';
+import SlidePropertiesPanel from './SlidePropertiesPanel';
+import SlideSizeDialog from './SlideSizeDialog';
+import VersionHistoryDialog from './VersionHistoryDialog';
+import DeckCompareDialog from './DeckCompareDialog';
+import AnimationsPanel from './AnimationsPanel';
+import RehearsalSummaryDialog from './RehearsalSummaryDialog';
+import SlideTransitionStage from './SlideTransitionStage';
+import SlideRenderer from './SlideRenderer';
+import useFitScale from '../hooks/useFitScale';
 import { createSlideFromLayout } from '../data/slideLayouts';
+import {
+  CHART_COLOR_PALETTE,
+  chartTypeLabels,
+  createDefaultChartData,
+  getPaletteColor
+} from '../data/chartDefaults';
 import { exportSlidesAsPptx } from '../utils/pptxExport';
+import { exportSlidesAsPdf } from '../utils/pdfExport';
+import { exportSlidesAsHtml } from '../utils/htmlExport';
+import { exportSlidesAsImages } from '../utils/imageExport';
+import {
+  DEFAULT_SNAP_SETTINGS,
+  ROTATION_SNAP_STEP,
+  alignElements,
+  distributeElements,
+  getSnapTargets,
+  normalizeRotation,
+  snapBox
+} from '../utils/elementLayout';
+import {
+  createGroupElement,
+  getElementsBounds,
+  isGroupElement,
+  resizeGroupElement,
+  scaleElementsToBox,
+  ungroupElement
+} from '../utils/elementGroups';
+import { moveElementToIndex, reorderElements } from '../utils/elementOrder';
+import { getBuildStepCount } from '../utils/slideAnimations';
+import {
+  DEFAULT_PLAYBACK_SETTINGS,
+  clampSlideDuration,
+  createRehearsal,
+  formatDuration,
+  getSlideDuration,
+  normalizePlaybackSettings,
+  recordRehearsal
+} from '../utils/slideTimings';
+import { DEFAULT_SLIDE_SIZE, normalizeSlideSize, resizeSlides } from '../utils/slideSize';
+import { getSlidesSearchText } from '../utils/presentationLibrary';
+import { createTableElement, getCellRange, getTableSize, resolveCellAnchor } from '../utils/tableModel';
+import {
+  SLIDESHOW_MESSAGES,
+  createSlideshowChannel,
+  isBroadcastChannelSupported,
+  openPresenterWindow
+} from '../utils/presenterChannel';
 import { DESIGN_PRESETS } from '../constants/presets';
 import * as htmlToImage from 'html-to-image';
 import {
@@ -23,7 +84,16 @@ import {
   setActivePresentationId,
   loadPresentationData,
   savePresentationData,
-  upsertRecentPresentation
+  upsertRecentPresentation,
+  isQuotaExceededError,
+  getSnapPreferences,
+  setSnapPreferences,
+  listPresentationVersions,
+  loadPresentationVersion,
+  savePresentationVersion,
+  deletePresentationVersion,
+  AUTO_VERSION_INTERVAL,
+  STORAGE_QUOTA_MESSAGE
 } from '../utils/presentationStorage';
 
 const DEFAULT_BACKGROUND = '#ffffff';
@@ -38,19 +108,13 @@ const DEFAULT_DESIGN =
 
 const TEXT_TOOLBAR_HALF_WIDTH = 200;
 const TEXT_TOOLBAR_VERTICAL_OFFSET = 70;
+const TABLE_TOOLBAR_HALF_WIDTH = 330;
 const MIN_TEXT_WIDTH = 120;
 const MIN_TEXT_HEIGHT = 40;
-const MIN_ELEMENT_SIZE = 60;
+const MARQUEE_THRESHOLD = 4;
 
-const CHART_COLOR_PALETTE = [
-  '#111111',
-  '#2d2d2d',
-  '#515151',
-  '#6b6b6b',
-  '#868686',
-  '#a3a3a3',
-  '#c7c7c7'
-];
+const isMultiSelectEvent = (event) => Boolean(event?.shiftKey || event?.ctrlKey || event?.metaKey);
+const MIN_ELEMENT_SIZE = 60;
 
 const CHART_DIMENSIONS = {
   bar: { width: 420, height: 280 },
@@ -59,20 +123,6 @@ const CHART_DIMENSIONS = {
   columnLine: { width: 430, height: 290 }
 };
 
-const chartTypeLabels = {
-  bar: 'Bar chart',
-  area: 'Area chart',
-  pie: 'Pie chart',
-  columnLine: 'Column + Line chart'
-};
-
-const SLIDESHOW_AUTO_ADVANCE_MS = 5000;
-
-const createId = (prefix) =>
-  `${prefix}-${Math.random().toString(36).slice(2, 10)}`;
-
-const getPaletteColor = (index) =>
-  CHART_COLOR_PALETTE[index % CHART_COLOR_PALETTE.length];
 
 const parseHexColor = (value) => {
   if (!value || typeof value !== 'string') {
@@ -103,151 +153,6 @@ const isDarkHexColor = (value) => {
   return luminance < 0.45;
 };
 
-const createDefaultChartData = (chartType) => {
-  const type = chartType || 'bar';
-  const quarterLabels = ['Q1', 'Q2', 'Q3', 'Q4'];
-
-  switch (type) {
-    case 'bar':
-      return {
-        type: 'bar',
-        title: 'Bar Chart',
-        labels: quarterLabels,
-        datasets: [
-          {
-            id: createId('series'),
-            label: 'North',
-            data: [48, 38, 44, 52],
-            color: getPaletteColor(0),
-            variant: 'bar'
-          },
-          {
-            id: createId('series'),
-            label: 'South',
-            data: [36, 41, 30, 44],
-            color: getPaletteColor(1),
-            variant: 'bar'
-          },
-          {
-            id: createId('series'),
-            label: 'West',
-            data: [28, 34, 36, 32],
-            color: getPaletteColor(2),
-            variant: 'bar'
-          }
-        ]
-      };
-    case 'area':
-      return {
-        type: 'area',
-        title: 'Area Chart',
-        labels: quarterLabels,
-        datasets: [
-          {
-            id: createId('series'),
-            label: 'Organic',
-            data: [18, 26, 32, 28],
-            color: getPaletteColor(0),
-            variant: 'area',
-            fill: true
-          },
-          {
-            id: createId('series'),
-            label: 'Paid',
-            data: [12, 18, 22, 26],
-            color: getPaletteColor(1),
-            variant: 'area',
-            fill: true
-          },
-          {
-            id: createId('series'),
-            label: 'Referral',
-            data: [8, 12, 18, 20],
-            color: getPaletteColor(2),
-            variant: 'area',
-            fill: true
-          }
-        ]
-      };
-    case 'pie': {
-      const labels = ['North', 'South', 'East', 'West'];
-      return {
-        type: 'pie',
-        title: 'Pie Chart',
-        labels,
-        datasets: [
-          {
-            id: createId('series'),
-            label: 'Share',
-            data: [32, 26, 18, 24],
-            color: getPaletteColor(0),
-            variant: 'pie',
-            segmentColors: labels.map((_, index) => getPaletteColor(index))
-          }
-        ]
-      };
-    }
-    case 'columnLine':
-      return {
-        type: 'columnLine',
-        title: 'Column + Line',
-        labels: quarterLabels,
-        datasets: [
-          {
-            id: createId('series'),
-            label: 'Revenue',
-            data: [45, 58, 64, 60],
-            color: getPaletteColor(0),
-            variant: 'bar'
-          },
-          {
-            id: createId('series'),
-            label: 'Costs',
-            data: [24, 32, 38, 30],
-            color: getPaletteColor(2),
-            variant: 'bar'
-          },
-          {
-            id: createId('series'),
-            label: 'Conversion',
-            data: [28, 34, 42, 48],
-            color: getPaletteColor(1),
-            variant: 'line'
-          }
-        ]
-      };
-    default:
-      return {
-        type: 'bar',
-        title: 'Bar Chart',
-        labels: quarterLabels,
-        datasets: [
-          {
-            id: createId('series'),
-            label: 'North',
-            data: [48, 38, 44, 52],
-            color: getPaletteColor(0),
-            variant: 'bar'
-          },
-          {
-            id: createId('series'),
-            label: 'South',
-            data: [36, 41, 30, 44],
-            color: getPaletteColor(1),
-            variant: 'bar'
-          },
-          {
-            id: createId('series'),
-            label: 'West',
-            data: [28, 34, 36, 32],
-            color: getPaletteColor(2),
-            variant: 'bar'
-          }
-        ]
-      };
-  }
-};
-
 // Deep clone utility for slides - optimized
 const deepCloneSlides = (slides) => {
   if (!slides || !Array.isArray(slides)) return [];
@@ -300,6 +205,12 @@ const deepCloneSlides = (slides) => {
 
 const HISTORY_PERSIST_LIMIT = 20;
 
+const SNAPSHOT_ERROR_MESSAGES = {
+  quota:
+    'Your changes were saved, but browser storage is too full for the hourly version snapshot. Delete old versions or presentations to free up space.',
+  other: 'Your changes were saved, but the hourly version snapshot could not be created.'
+};
+
 const computeSlidesHash = (slides) => {
   try {
     return JSON.stringify(slides);
@@ -309,6 +220,25 @@ const computeSlidesHash = (slides) => {
   }
 };
 
+// Each undo step keeps the slide size next to the slides, so resizing the
+// deck is undone in one step. Decks saved before that stored bare slide arrays.
+const createHistoryEntry = (slides, slideSize) => ({
+  slides: deepCloneSlides(slides),
+  slideSize: normalizeSlideSize(slideSize)
+});
+
+const normalizeHistoryEntry = (entry, fallbackSize) => {
+  if (Array.isArray(entry)) {
+    return createHistoryEntry(entry, fallbackSize);
+  }
+  if (entry && Array.isArray(entry.slides)) {
+    return createHistoryEntry(entry.slides, entry.slideSize || fallbackSize);
+  }
+  return null;
+};
+
+const computeHistoryHash = (slides, slideSize) => computeSlidesHash({ slides, slideSize });
+
 const logPerf = (label, start) => {
   if (process.env.NODE_ENV !== 'development') {
     return;
@@ -378,46 +308,61 @@ const createSlide = (index, layoutId = 'title', design = DEFAULT_DESIGN) => {
   };
 };
 
+const applyDesignToElement = (item, design) => {
+  if (!item) {
+    return item;
+  }
+  if (isGroupElement(item)) {
+    return {
+      ...item,
+      children: (item.children || []).map((child) => applyDesignToElement(child, design))
+    };
+  }
+  if (item.type === 'text') {
+    return {
+      ...item,
+      color: design.textColor || item.color
+    };
+  }
+  if (item.type === 'shape') {
+    return {
+      ...item,
+      color: design.accentColor || item.color,
+      borderColor: design.accentColor || item.borderColor
+    };
+  }
+  if (item.type === 'table') {
+    return {
+      ...item,
+      accentColor: design.accentColor || item.accentColor,
+      textColor: design.textColor || item.textColor
+    };
+  }
+  if (item.type === 'chart' && item.chartData) {
+    const datasets = (item.chartData.datasets || []).map((dataset) => ({
+      ...dataset,
+      color: design.accentColor || dataset.color,
+      segmentColors: Array.isArray(dataset.segmentColors)
+        ? dataset.segmentColors.map(() => design.accentColor || dataset.color)
+        : dataset.segmentColors
+    }));
+    return {
+      ...item,
+      chartData: {
+        ...item.chartData,
+        datasets
+      }
+    };
+  }
+  return { ...item };
+};
+
 const applyDesignToSlide = (slide, design) => {
   if (!slide || !design) {
     return slide;
   }
   const backgroundColor = design.background || DEFAULT_BACKGROUND;
-  const updatedContent = (slide.content || []).map((item) => {
-    if (!item) {
-      return item;
-    }
-    if (item.type === 'text') {
-      return {
-        ...item,
-        color: design.textColor || item.color
-      };
-    }
-    if (item.type === 'shape') {
-      return {
-        ...item,
-        color: design.accentColor || item.color,
-        borderColor: design.accentColor || item.borderColor
-      };
-    }
-    if (item.type === 'chart' && item.chartData) {
-      const datasets = (item.chartData.datasets || []).map((dataset) => ({
-        ...dataset,
-        color: design.accentColor || dataset.color,
-        segmentColors: Array.isArray(dataset.segmentColors)
-          ? dataset.segmentColors.map(() => design.accentColor || dataset.color)
-          : dataset.segmentColors
-      }));
-      return {
-        ...item,
-        chartData: {
-          ...item.chartData,
-          datasets
-        }
-      };
-    }
-    return { ...item };
-  });
+  const updatedContent = (slide.content || []).map((item) => applyDesignToElement(item, design));
 
   return {
     ...slide,
@@ -431,7 +376,7 @@ const applyDesignToSlide = (slide, design) => {
   };
 };
 
-const PresentationApp = ({ onExit, initialPresentationId }) => {
+const PresentationApp = ({ onExit, onOpenPresentation, initialPresentationId }) => {
   const [presentationId, setPresentationId] = useState(() => initialPresentationId || getActivePresentationId() || generatePresentationId());
   const [activeDesign, setActiveDesign] = useState(DEFAULT_DESIGN);
   const [slides, setSlides] = useState([applyDesignToSlide(createSlide(0, 'title'), DEFAULT_DESIGN)]);
@@ -446,12 +391,34 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
   const [editingImage, setEditingImage] = useState(null);
   const [chartEditorId, setChartEditorId] = useState(null);
   const [selectedElement, setSelectedElement] = useState(null);
+  const [multiSelectedIds, setMultiSelectedIds] = useState([]);
+  const [marqueeRect, setMarqueeRect] = useState(null);
+  const [dragSnap, setDragSnap] = useState(null);
+  const [isLayersPanelOpen, setIsLayersPanelOpen] = useState(false);
+  const [isSlidePropertiesOpen, setIsSlidePropertiesOpen] = useState(false);
+  const [isAnimationsPanelOpen, setIsAnimationsPanelOpen] = useState(false);
+  const [slideshowBuild, setSlideshowBuild] = useState(null);
+  const [playbackSettings, setPlaybackSettings] = useState(DEFAULT_PLAYBACK_SETTINGS);
+  const [slideSize, setSlideSize] = useState(DEFAULT_SLIDE_SIZE);
+  const [isSlideSizeDialogOpen, setIsSlideSizeDialogOpen] = useState(false);
+  const [isVersionDialogOpen, setIsVersionDialogOpen] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [isLoadingVersions, setIsLoadingVersions] = useState(false);
+  const [isVersionBusy, setIsVersionBusy] = useState(false);
+  const [deckComparison, setDeckComparison] = useState(null);
+  const lastAutoVersionRef = useRef(Date.now());
+  const [isRehearsing, setIsRehearsing] = useState(false);
+  const [rehearsalClock, setRehearsalClock] = useState(0);
+  const [rehearsalDurations, setRehearsalDurations] = useState(null);
+  const [tableSelection, setTableSelection] = useState(null);
+  const [tableCellEditor, setTableCellEditor] = useState(null);
+  const [snapSettings, setSnapSettings] = useState(() => ({
+    ...DEFAULT_SNAP_SETTINGS,
+    ...(getSnapPreferences() || {})
+  }));
   const [editingTextId, setEditingTextId] = useState(null);
   const [textEditors, setTextEditors] = useState({});
   const [thumbnails, setThumbnails] = useState({});
-  const [viewportWidth, setViewportWidth] = useState(() =>
-    typeof window !== 'undefined' ? window.innerWidth || 1440 : 1440
-  );
   const clearThumbnail = useCallback((slideId) => {
     if (!slideId) {
       return;
@@ -468,7 +435,7 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
   const [fileName, setFileName] = useState('untitled');
   // Undo/Redo history
   const defaultSlide = applyDesignToSlide(createSlide(0, 'title'), DEFAULT_DESIGN);
-  const [history, setHistory] = useState([[defaultSlide]]);
+  const [history, setHistory] = useState([createHistoryEntry([defaultSlide], DEFAULT_SLIDE_SIZE)]);
   const [historyIndex, setHistoryIndex] = useState(0);
   const [isInitialLoadComplete, setIsInitialLoadComplete] = useState(false);
   // Defer element placement until user clicks on slide
@@ -480,9 +447,19 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
     setPendingInsertPos(null);
   }, []);
   const slideRef = useRef(null);
+  const canvasRef = useRef(null);
+  // The slide is laid out at its own size in px and scaled to fit the editor.
+  const canvasScale = useFitScale(canvasRef, slideSize.width, slideSize.height) || 1;
   const slideshowRef = useRef(null);
-  const slideshowIntervalRef = useRef(null);
+  const rehearsalRef = useRef(createRehearsal());
+  const slideshowStartedAtRef = useRef(null);
+  const slideshowChannelRef = useRef(null);
+  const presenterSyncRef = useRef({ deck: null, state: null, navigation: null });
   const elementRefs = useRef({});
+  const dragSessionRef = useRef(null);
+  const selectionResizeRef = useRef(null);
+  const suppressSlideClickRef = useRef(false);
+  const didMoveSelectionRef = useRef(false);
   const thumbnailCaptureFrame = useRef(null);
   const thumbnailDebounceTimeout = useRef(null);
   const isUndoRedoAction = useRef(false);
@@ -492,45 +469,25 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
   const endMutatingTimeoutRef = useRef(null);
   const [interactingElementId, setInteractingElementId] = useState(null);
   const slidesRef = useRef(slides);
+  const slideSizeRef = useRef(slideSize);
   const [isSlideshowPaused, setIsSlideshowPaused] = useState(false);
+  const [isPdfDialogOpen, setIsPdfDialogOpen] = useState(false);
+  const [isExportingPdf, setIsExportingPdf] = useState(false);
+  const [isImageDialogOpen, setIsImageDialogOpen] = useState(false);
+  const [isExportingImages, setIsExportingImages] = useState(false);
+  const [storageError, setStorageError] = useState(null);
   const historyRef = useRef(history);
   const historyIndexRef = useRef(historyIndex);
   const persistenceTimeoutRef = useRef(null);
 
-  useEffect(() => {
-    if (typeof window === 'undefined') {
-      return undefined;
-    }
-
-    const handleResize = () => {
-      setViewportWidth(window.innerWidth || 1440);
-    };
-
-    window.addEventListener('resize', handleResize);
-    return () => window.removeEventListener('resize', handleResize);
-  }, []);
-
-  const textScale = useMemo(() => {
-    if (viewportWidth <= 900) {
-      return 0.72;
-    }
-    if (viewportWidth <= 1200) {
-      return 0.82;
-    }
-    if (viewportWidth <= 1440) {
-      return 0.9;
-    }
-    return 1;
-  }, [viewportWidth]);
-
   // Add to history
-  const addToHistory = useCallback((nextSlides) => {
+  const addToHistory = useCallback((nextSlides, nextSlideSize) => {
     if (isUndoRedoAction.current || !Array.isArray(nextSlides)) {
       isUndoRedoAction.current = false;
       return;
     }
 
-    const snapshot = deepCloneSlides(nextSlides);
+    const snapshot = createHistoryEntry(nextSlides, nextSlideSize);
     setHistory((prev) => {
       const truncated = prev.slice(0, historyIndexRef.current + 1);
       const updated = [...truncated, snapshot];
@@ -553,8 +510,9 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
       isUndoRedoAction.current = true;
       const prevState = history[historyIndex - 1];
       // Clone to prevent reference issues
-      const restoredState = deepCloneSlides(prevState);
+      const restoredState = deepCloneSlides(prevState.slides);
       setSlides(restoredState);
+      setSlideSize(prevState.slideSize);
       setHistoryIndex((prev) => prev - 1);
       setSelectedElement(null);
       setEditingTextId(null);
@@ -576,8 +534,9 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
       isUndoRedoAction.current = true;
       const nextState = history[historyIndex + 1];
       // Clone to prevent reference issues
-      const restoredState = deepCloneSlides(nextState);
+      const restoredState = deepCloneSlides(nextState.slides);
       setSlides(restoredState);
+      setSlideSize(nextState.slideSize);
       setHistoryIndex((prev) => prev + 1);
       setSelectedElement(null);
       setEditingTextId(null);
@@ -721,6 +680,8 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
     if (slidesRef.current?.length) {
       setCurrentSlideIndex(0);
     }
+    slideshowStartedAtRef.current = Date.now();
+    setSlideshowBuild(null);
     setIsSlideshowPaused(false);
     setIsSlideshow(true);
   }, []);
@@ -729,6 +690,151 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
     setIsSlideshowPaused((prev) => !prev);
   }, []);
 
+  const startRehearsal = useCallback(() => {
+    rehearsalRef.current = createRehearsal();
+    setRehearsalDurations(null);
+    setRehearsalClock(Date.now());
+    setIsRehearsing(true);
+    startSlideshow();
+  }, [startSlideshow]);
+
+  // Time spent so far on one slide, or on the whole rehearsal without an id.
+  const getRehearsalElapsed = (slideId) => {
+    const { durations, slideId: activeSlideId, enteredAt } = rehearsalRef.current;
+    const running = enteredAt !== null ? Math.max(0, rehearsalClock - enteredAt) : 0;
+    if (slideId === undefined) {
+      return Object.values(durations).reduce((sum, value) => sum + value, 0) + running;
+    }
+    return (durations[slideId] || 0) + (slideId === activeSlideId ? running : 0);
+  };
+
+  const saveRehearsalTimings = useCallback((durations) => {
+    setSlides((prevSlides) =>
+      prevSlides.map((slide) =>
+        durations[slide.id] ? { ...slide, advanceAfter: clampSlideDuration(durations[slide.id]) } : slide
+      )
+    );
+    setPlaybackSettings((prev) => (prev.advance === 'manual' ? { ...prev, advance: 'timed' } : prev));
+    setRehearsalDurations(null);
+  }, []);
+
+  // In the slideshow, next/previous step through the current slide's builds
+  // before changing slides; going back lands on a fully built slide. A slide
+  // reached any other way starts at its first build step.
+  const isBuildOnCurrentSlide = slideshowBuild?.slideIndex === currentSlideIndex;
+  const buildStep = isBuildOnCurrentSlide ? slideshowBuild.step : 0;
+  const animateBuild = isBuildOnCurrentSlide ? slideshowBuild.animate : true;
+
+  const showNextBuild = useCallback(() => {
+    if (buildStep < getBuildStepCount(slides[currentSlideIndex])) {
+      setSlideshowBuild({ slideIndex: currentSlideIndex, step: buildStep + 1, animate: true });
+    } else if (currentSlideIndex < slides.length - 1) {
+      setSlideshowBuild(null);
+      setCurrentSlideIndex(currentSlideIndex + 1);
+    }
+  }, [buildStep, currentSlideIndex, slides]);
+
+  const showPreviousBuild = useCallback(() => {
+    if (buildStep > 0) {
+      setSlideshowBuild({ slideIndex: currentSlideIndex, step: buildStep - 1, animate: false });
+    } else if (currentSlideIndex > 0) {
+      const previousIndex = currentSlideIndex - 1;
+      setSlideshowBuild({
+        slideIndex: previousIndex,
+        step: getBuildStepCount(slides[previousIndex]),
+        animate: false
+      });
+      setCurrentSlideIndex(previousIndex);
+    }
+  }, [buildStep, currentSlideIndex, slides]);
+
+  const startPresenterView = useCallback(() => {
+    if (!isBroadcastChannelSupported()) {
+      alert('Presenter view is not supported in this browser.');
+      return;
+    }
+    if (!openPresenterWindow(presentationId)) {
+      alert('Allow pop-ups for this site to open the presenter view.');
+      return;
+    }
+    if (!isSlideshow) {
+      startSlideshow();
+    }
+  }, [isSlideshow, presentationId, startSlideshow]);
+
+  // Keeps a presenter console (opened in another window) in step with the slideshow.
+  useEffect(() => {
+    if (!isSlideshow) {
+      return undefined;
+    }
+    const channel = createSlideshowChannel(presentationId, (message) => {
+      switch (message.type) {
+        case SLIDESHOW_MESSAGES.presenterReady:
+          channel.post(SLIDESHOW_MESSAGES.slides, presenterSyncRef.current.deck);
+          channel.post(SLIDESHOW_MESSAGES.state, presenterSyncRef.current.state);
+          break;
+        case SLIDESHOW_MESSAGES.next:
+          presenterSyncRef.current.navigation?.next();
+          break;
+        case SLIDESHOW_MESSAGES.previous:
+          presenterSyncRef.current.navigation?.previous();
+          break;
+        case SLIDESHOW_MESSAGES.goTo: {
+          const total = slidesRef.current?.length || 0;
+          const index = Number(message.index);
+          if (total && Number.isInteger(index)) {
+            setCurrentSlideIndex(Math.min(Math.max(index, 0), total - 1));
+          }
+          break;
+        }
+        case SLIDESHOW_MESSAGES.togglePause:
+          toggleSlideshowPause();
+          break;
+        case SLIDESHOW_MESSAGES.end:
+          setIsSlideshow(false);
+          break;
+        default:
+          break;
+      }
+    });
+    if (!channel) {
+      return undefined;
+    }
+    slideshowChannelRef.current = channel;
+    const handlePageHide = () => channel.post(SLIDESHOW_MESSAGES.end);
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      channel.post(SLIDESHOW_MESSAGES.end);
+      channel.close();
+      slideshowChannelRef.current = null;
+    };
+  }, [isSlideshow, presentationId, toggleSlideshowPause]);
+
+  useEffect(() => {
+    presenterSyncRef.current.navigation = { next: showNextBuild, previous: showPreviousBuild };
+  }, [showNextBuild, showPreviousBuild]);
+
+  useEffect(() => {
+    presenterSyncRef.current.deck = { slides, fileName, slideSize };
+    if (isSlideshow) {
+      slideshowChannelRef.current?.post(SLIDESHOW_MESSAGES.slides, presenterSyncRef.current.deck);
+    }
+  }, [fileName, isSlideshow, slideSize, slides]);
+
+  useEffect(() => {
+    presenterSyncRef.current.state = {
+      index: currentSlideIndex,
+      buildStep,
+      isPaused: isSlideshowPaused,
+      advance: playbackSettings.advance,
+      startedAt: slideshowStartedAtRef.current
+    };
+    if (isSlideshow) {
+      slideshowChannelRef.current?.post(SLIDESHOW_MESSAGES.state, presenterSyncRef.current.state);
+    }
+  }, [buildStep, currentSlideIndex, isSlideshow, isSlideshowPaused, playbackSettings.advance]);
+
   useEffect(() => {
     const handleKeyDown = (e) => {
       // Undo/Redo shortcuts
@@ -750,7 +856,11 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
         e.key === 'ArrowUp' ||
         (isSlideshow && e.key === 'ArrowLeft');
 
-      if (isNextKey && currentSlideIndex < slides.length - 1) {
+      if (isNextKey && isSlideshow) {
+        showNextBuild();
+      } else if (isPrevKey && isSlideshow) {
+        showPreviousBuild();
+      } else if (isNextKey && currentSlideIndex < slides.length - 1) {
         setCurrentSlideIndex(currentSlideIndex + 1);
       } else if (isPrevKey && currentSlideIndex > 0) {
         setCurrentSlideIndex(currentSlideIndex - 1);
@@ -773,6 +883,7 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
           cancelPendingInsert();
         } else {
           setSelectedElement(null);
+          setMultiSelectedIds([]);
         }
       }
     };
@@ -805,15 +916,13 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
     handleRedo,
     startSlideshow,
     toggleSlideshowPause,
-    isSlideshowPaused
+    isSlideshowPaused,
+    showNextBuild,
+    showPreviousBuild
   ]);
 
   useEffect(() => {
     if (!isSlideshow) {
-      if (slideshowIntervalRef.current) {
-        clearInterval(slideshowIntervalRef.current);
-        slideshowIntervalRef.current = null;
-      }
       if (isSlideshowPaused) {
         setIsSlideshowPaused(false);
       }
@@ -840,76 +949,78 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
         console.error('Failed to enter fullscreen', error);
       });
     }
+  }, [isSlideshow, isSlideshowPaused]);
 
-    if (slideshowIntervalRef.current) {
-      clearInterval(slideshowIntervalRef.current);
+  // Timed slides split their duration evenly across their build steps. The
+  // last slide ends the show, or in kiosk mode loops back to the first one.
+  // Rehearsals always advance manually.
+  useEffect(() => {
+    if (!isSlideshow || isSlideshowPaused || isRehearsing || playbackSettings.advance === 'manual') {
+      return undefined;
     }
-
-    const stopSlideshow = (exit = true) => {
-      if (slideshowIntervalRef.current) {
-        clearInterval(slideshowIntervalRef.current);
-        slideshowIntervalRef.current = null;
-      }
-      if (exit) {
+    const slide = slides[currentSlideIndex];
+    const stepCount = getBuildStepCount(slide) + 1;
+    const isLastStep = buildStep >= stepCount - 1;
+    const advance = () => {
+      if (!isLastStep || currentSlideIndex < slides.length - 1) {
+        showNextBuild();
+      } else if (playbackSettings.advance === 'kiosk') {
+        setSlideshowBuild({ slideIndex: 0, step: 0, animate: true });
+        setCurrentSlideIndex(0);
+      } else {
         setIsSlideshow(false);
       }
     };
 
-    const scheduleNextAdvance = () => {
-      if (slideshowIntervalRef.current) {
-        clearInterval(slideshowIntervalRef.current);
-      }
-
-      if (isSlideshowPaused) {
-        return;
-      }
-
-      slideshowIntervalRef.current = setInterval(() => {
-        setCurrentSlideIndex((prevIndex) => {
-          const total = slidesRef.current?.length || 0;
-          if (total <= 1) {
-            stopSlideshow();
-            return prevIndex;
-          }
-          const nextIndex = prevIndex + 1;
-          if (nextIndex >= total) {
-            stopSlideshow();
-            return prevIndex;
-          }
-          return nextIndex;
-        });
-      }, SLIDESHOW_AUTO_ADVANCE_MS);
+    let timeoutId = null;
+    const schedule = () => {
+      clearTimeout(timeoutId);
+      timeoutId = document.hidden ? null : setTimeout(advance, getSlideDuration(slide) / stepCount);
     };
-
-    scheduleNextAdvance();
-
-    const handleVisibilityChange = () => {
-      if (document.hidden) {
-        if (slideshowIntervalRef.current) {
-          clearInterval(slideshowIntervalRef.current);
-          slideshowIntervalRef.current = null;
-        }
-      } else {
-        scheduleNextAdvance();
-      }
+    schedule();
+    document.addEventListener('visibilitychange', schedule);
+    return () => {
+      clearTimeout(timeoutId);
+      document.removeEventListener('visibilitychange', schedule);
     };
+  }, [
+    buildStep,
+    currentSlideIndex,
+    isRehearsing,
+    isSlideshow,
+    isSlideshowPaused,
+    playbackSettings.advance,
+    showNextBuild,
+    slideshowBuild,
+    slides
+  ]);
 
-    document.addEventListener('visibilitychange', handleVisibilityChange);
+  useEffect(() => {
+    if (!isRehearsing) {
+      return;
+    }
+    const slideId = isSlideshow ? slidesRef.current?.[currentSlideIndex]?.id ?? null : null;
+    rehearsalRef.current = recordRehearsal(
+      rehearsalRef.current,
+      slideId,
+      Date.now(),
+      isSlideshow && !isSlideshowPaused
+    );
+    if (!isSlideshow) {
+      setIsRehearsing(false);
+      setRehearsalDurations(rehearsalRef.current.durations);
+    }
+  }, [currentSlideIndex, isRehearsing, isSlideshow, isSlideshowPaused]);
 
-    return () => {
-      if (slideshowIntervalRef.current) {
-        clearInterval(slideshowIntervalRef.current);
-        slideshowIntervalRef.current = null;
-      }
-      document.removeEventListener('visibilitychange', handleVisibilityChange);
-    };
-  }, [isSlideshow, isSlideshowPaused, slides.length, setIsSlideshow]);
+  useEffect(() => {
+    if (!isRehearsing) {
+      return undefined;
+    }
+    const intervalId = setInterval(() => setRehearsalClock(Date.now()), 500);
+    return () => clearInterval(intervalId);
+  }, [isRehearsing]);
 
   useEffect(() => () => {
-    if (slideshowIntervalRef.current) {
-      clearInterval(slideshowIntervalRef.current);
-      slideshowIntervalRef.current = null;
-    }
     const activeFullscreenEl = document.fullscreenElement;
     const containerNode = slideshowRef.current;
     if (activeFullscreenEl && (activeFullscreenEl === containerNode || activeFullscreenEl === document.documentElement)) {
@@ -1004,12 +1115,7 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
     }
 
     thumbnailCaptureFrame.current = requestAnimationFrame(() => {
-      const rect = node.getBoundingClientRect();
-      const width = rect.width || node.clientWidth || node.offsetWidth;
-      const height = rect.height || node.clientHeight || node.offsetHeight;
-      if (!width || !height) {
-        return;
-      }
+      const { width, height } = slideSize;
 
       const backgroundColor =
         typeof slide.background === 'string'
@@ -1026,7 +1132,12 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
             cls.contains('chart-toolbar-wrapper') ||
             cls.contains('image-delete-button') ||
             cls.contains('element-controls') ||
-            cls.contains('react-rnd-handle')
+            cls.contains('react-rnd-handle') ||
+            cls.contains('multi-selection-frame') ||
+            cls.contains('selection-marquee') ||
+            cls.contains('smart-guide') ||
+            cls.contains('rotation-handle') ||
+            cls.contains('slide-grid-overlay')
           ) {
             return false;
           }
@@ -1080,7 +1191,7 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
           node.classList.remove('thumbnail-capture');
         });
     });
-  }, [slides, currentSlideIndex, isSlideshow]);
+  }, [slides, slideSize, currentSlideIndex, isSlideshow]);
 
   // Debounced scheduler for thumbnails to avoid heavy captures on every keystroke
   const scheduleThumbnailCapture = useCallback(() => {
@@ -1109,6 +1220,14 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
     });
   }, [scheduleThumbnailCapture]);
 
+  const changeSlideSize = useCallback((nextSize, mode) => {
+    const normalized = normalizeSlideSize(nextSize);
+    setSlides((prevSlides) => resizeSlides(prevSlides, slideSize, normalized, mode));
+    setSlideSize(normalized);
+    setIsSlideSizeDialogOpen(false);
+    scheduleThumbnailCapture();
+  }, [slideSize, scheduleThumbnailCapture]);
+
   useEffect(() => {
     historyRef.current = history;
   }, [history]);
@@ -1199,6 +1318,34 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
     }
   }, [clearThumbnail, currentSlideIndex, scheduleThumbnailCapture]);
 
+  const updateSlideNotes = useCallback((slideId, notes) => {
+    setSlides((prevSlides) =>
+      prevSlides.map((slide) => (slide.id === slideId ? { ...slide, notes } : slide))
+    );
+  }, []);
+
+  const updateSlideTransition = useCallback((slideId, transition) => {
+    setSlides((prevSlides) =>
+      prevSlides.map((slide) => (slide.id === slideId ? { ...slide, transition } : slide))
+    );
+  }, []);
+
+  const updateSlideTiming = useCallback((slideId, advanceAfter) => {
+    setSlides((prevSlides) =>
+      prevSlides.map((slide) => (slide.id === slideId ? { ...slide, advanceAfter } : slide))
+    );
+  }, []);
+
+  const updateSlideAnimations = useCallback((slideId, animations) => {
+    setSlides((prevSlides) =>
+      prevSlides.map((slide) => (slide.id === slideId ? { ...slide, animations } : slide))
+    );
+  }, []);
+
+  const applyTransitionToAllSlides = useCallback((transition) => {
+    setSlides((prevSlides) => prevSlides.map((slide) => ({ ...slide, transition: { ...transition } })));
+  }, []);
+
   const toggleElementFlip = useCallback(
     (elementId, axis) => {
       if (!elementId || !axis) {
@@ -1269,12 +1416,115 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
     toggleElementFlip(elementId, axis);
   }, [toggleElementFlip]);
 
+  const multiSelectedElements = useMemo(() => {
+    if (multiSelectedIds.length < 2) {
+      return [];
+    }
+    const content = slides[currentSlideIndex]?.content || [];
+    return content.filter((item) => multiSelectedIds.includes(item.id));
+  }, [currentSlideIndex, multiSelectedIds, slides]);
+  const multiSelectionBounds = useMemo(
+    () => (multiSelectedElements.length > 1 ? getElementsBounds(multiSelectedElements) : null),
+    [multiSelectedElements]
+  );
+
+  useEffect(() => {
+    setMultiSelectedIds([]);
+  }, [currentSlideIndex]);
+
+  const clearElementToolbars = useCallback(() => {
+    setToolbarPosition({ x: 0, y: 0 });
+    setShapeToolbarPosition(null);
+    setChartToolbarPosition(null);
+    setImageToolbarPosition(null);
+    setHoveredElement(null);
+  }, []);
+
+  const selectElements = useCallback(
+    (ids) => {
+      const content = slidesRef.current[currentSlideIndex]?.content || [];
+      let uniqueIds = Array.from(new Set(ids));
+      // Hidden and locked layers can be picked on their own but never join a
+      // multi-selection, so group moves and resizes leave them alone.
+      if (uniqueIds.length > 1) {
+        uniqueIds = uniqueIds.filter((id) => {
+          const item = content.find((entry) => entry.id === id);
+          return item && !item.hidden && !item.locked;
+        });
+      }
+      clearElementToolbars();
+      setEditingTextId(null);
+      if (uniqueIds.length < 2) {
+        setMultiSelectedIds([]);
+        setSelectedElement(content.find((item) => item.id === uniqueIds[0]) || null);
+        return;
+      }
+      setMultiSelectedIds(uniqueIds);
+      setSelectedElement(null);
+    },
+    [clearElementToolbars, currentSlideIndex]
+  );
+
+  const toggleElementSelection = useCallback(
+    (element) => {
+      const currentIds = multiSelectedIds.length
+        ? multiSelectedIds
+        : selectedElement
+        ? [selectedElement.id]
+        : [];
+      selectElements(
+        currentIds.includes(element.id)
+          ? currentIds.filter((id) => id !== element.id)
+          : [...currentIds, element.id]
+      );
+    },
+    [multiSelectedIds, selectedElement, selectElements]
+  );
+
+  // Rnd owns the transform of each element, so live previews of a multi-element
+  // move or resize write to the DOM directly and commit once on release.
+  const collectElementNodes = useCallback(() => {
+    const nodes = {};
+    slideRef.current?.querySelectorAll('[data-element-id]').forEach((node) => {
+      nodes[node.getAttribute('data-element-id')] = node;
+    });
+    return nodes;
+  }, []);
+
+  const replaceSlideElements = useCallback(
+    (updatedElements) => {
+      const updatesById = new Map(updatedElements.map((item) => [item.id, item]));
+      setSlides((prevSlides) => {
+        const slide = prevSlides[currentSlideIndex];
+        if (!slide) {
+          return prevSlides;
+        }
+        const nextSlides = [...prevSlides];
+        nextSlides[currentSlideIndex] = {
+          ...slide,
+          content: (slide.content || []).map((item) => updatesById.get(item.id) || item)
+        };
+        return nextSlides;
+      });
+      scheduleThumbnailCapture();
+    },
+    [currentSlideIndex, scheduleThumbnailCapture]
+  );
+
   const handleElementPointerDown = useCallback(
     (event, element) => {
       if (pendingInsert) {
         return;
       }
       event.stopPropagation();
+      if (isMultiSelectEvent(event)) {
+        toggleElementSelection(element);
+        return;
+      }
+      if (multiSelectedIds.includes(element.id)) {
+        return;
+      }
+      setMultiSelectedIds([]);
       setSelectedElement(element);
       if (element.type === 'text') {
         setHoveredElement(element.id);
@@ -1291,11 +1541,18 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
         setShapeToolbarPosition(null);
       }
     },
-    [pendingInsert, updateShapeToolbarPosition, updateTextToolbarPosition, updateImageToolbarPosition]
+    [
+      pendingInsert,
+      multiSelectedIds,
+      toggleElementSelection,
+      updateShapeToolbarPosition,
+      updateTextToolbarPosition,
+      updateImageToolbarPosition
+    ]
   );
 
   const handleDragStart = useCallback(
-    (element) => {
+    (element, event) => {
       if (pendingInsert) {
         return;
       }
@@ -1305,6 +1562,50 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
         clearTimeout(endMutatingTimeoutRef.current);
         endMutatingTimeoutRef.current = null;
       }
+      didMoveSelectionRef.current = false;
+      if (typeof document !== 'undefined') {
+        document.body.style.userSelect = 'none';
+        document.body.style.cursor = 'grabbing';
+      }
+      if (isMultiSelectEvent(event)) {
+        return;
+      }
+      const nodes = collectElementNodes();
+      const isMultiDrag = Boolean(multiSelectionBounds && multiSelectedIds.includes(element.id));
+      const draggedElements = isMultiDrag ? multiSelectedElements : [element];
+      const draggedIds = draggedElements.map((item) => item.id);
+      const origin = { x: Number(element.x) || 0, y: Number(element.y) || 0 };
+      dragSessionRef.current = {
+        elementId: element.id,
+        origin,
+        elements: draggedElements,
+        bounds: isMultiDrag
+          ? multiSelectionBounds
+          : {
+              ...origin,
+              width: nodes[element.id]?.offsetWidth || Number(element.width) || 0,
+              height: nodes[element.id]?.offsetHeight || Number(element.height) || 0
+            },
+        nodes,
+        slideSize,
+        targets: snapSettings.smartGuides
+          ? getSnapTargets(
+              (slides[currentSlideIndex]?.content || []).filter(
+                (item) => !item.hidden && !draggedIds.includes(item.id)
+              ),
+              slideSize
+            )
+          : null,
+        gridSize: snapSettings.grid ? snapSettings.gridSize : 0
+      };
+      if (isMultiDrag) {
+        draggedElements.forEach((item) => {
+          if (nodes[item.id]) {
+            nodes[item.id].style.transition = 'none';
+          }
+        });
+        return;
+      }
       setSelectedElement(element);
       if (element.type === 'text') {
         setHoveredElement(element.id);
@@ -1315,12 +1616,73 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
         setToolbarPosition({ x: 0, y: 0 });
       }
       setEditingTextId((current) => (current === element.id ? null : current));
-      if (typeof document !== 'undefined') {
-        document.body.style.userSelect = 'none';
-        document.body.style.cursor = 'grabbing';
+    },
+    [
+      pendingInsert,
+      collectElementNodes,
+      currentSlideIndex,
+      multiSelectedElements,
+      multiSelectedIds,
+      multiSelectionBounds,
+      slideSize,
+      slides,
+      snapSettings,
+      updateShapeToolbarPosition,
+      updateTextToolbarPosition
+    ]
+  );
+
+  // Resolves where a drag would drop the dragged elements: kept inside the
+  // slide and snapped to smart guides or the grid when those are enabled.
+  const getDragPlacement = useCallback((drag, position) => {
+    const { bounds, slideSize } = drag;
+    const clampX = (value) =>
+      Math.min(Math.max(value, -bounds.x), Math.max(slideSize.width - bounds.x - bounds.width, -bounds.x));
+    const clampY = (value) =>
+      Math.min(Math.max(value, -bounds.y), Math.max(slideSize.height - bounds.y - bounds.height, -bounds.y));
+    let dx = clampX(position.x - drag.origin.x);
+    let dy = clampY(position.y - drag.origin.y);
+    let guides = [];
+    if (drag.targets || drag.gridSize) {
+      const snapped = snapBox({ ...bounds, x: bounds.x + dx, y: bounds.y + dy }, drag.targets, {
+        gridSize: drag.gridSize
+      });
+      dx = clampX(snapped.x - bounds.x);
+      dy = clampY(snapped.y - bounds.y);
+      guides = snapped.guides;
+    }
+    return { dx: Math.round(dx), dy: Math.round(dy), guides };
+  }, []);
+
+  const handleDrag = useCallback(
+    (element, position) => {
+      const drag = dragSessionRef.current;
+      if (!drag || drag.elementId !== element.id) {
+        return;
+      }
+      const { dx, dy, guides } = getDragPlacement(drag, position);
+      if (dx || dy) {
+        didMoveSelectionRef.current = true;
       }
+      drag.elements.forEach((item) => {
+        const node = drag.nodes[item.id];
+        if (node && item.id !== element.id) {
+          node.style.transform = `translate(${(Number(item.x) || 0) + dx}px, ${(Number(item.y) || 0) + dy}px)`;
+        }
+      });
+      const nextSnap = {
+        elementId: element.id,
+        offset: {
+          x: Math.round(drag.origin.x + dx - position.x),
+          y: Math.round(drag.origin.y + dy - position.y)
+        },
+        guides
+      };
+      setDragSnap((current) =>
+        current && JSON.stringify(current) === JSON.stringify(nextSnap) ? current : nextSnap
+      );
     },
-    [pendingInsert, updateShapeToolbarPosition, updateTextToolbarPosition]
+    [getDragPlacement]
   );
 
   const pushSnapshot = useCallback(() => {
@@ -1328,13 +1690,24 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
     if (!latestSlides || !latestSlides.length) {
       return;
     }
-    const hash = computeSlidesHash(latestSlides);
+    const hash = computeHistoryHash(latestSlides, slideSizeRef.current);
     if (lastSavedStateRef.current !== hash) {
-      addToHistory(latestSlides);
+      addToHistory(latestSlides, slideSizeRef.current);
       lastSavedStateRef.current = hash;
     }
   }, [addToHistory]);
 
+  const scheduleMutationEnd = useCallback(() => {
+    if (endMutatingTimeoutRef.current) {
+      clearTimeout(endMutatingTimeoutRef.current);
+    }
+    endMutatingTimeoutRef.current = setTimeout(() => {
+      isMutatingRef.current = false;
+      pushSnapshot();
+      endMutatingTimeoutRef.current = null;
+    }, 200);
+  }, [pushSnapshot]);
+
   const handleDragStop = useCallback(
     (element, position) => {
       if (pendingInsert) {
@@ -1345,6 +1718,25 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
         document.body.style.userSelect = '';
         document.body.style.cursor = '';
       }
+      const drag = dragSessionRef.current;
+      dragSessionRef.current = null;
+      setDragSnap(null);
+      const placement = drag ? getDragPlacement(drag, position) : null;
+      if (drag && drag.elements.length > 1) {
+        const { dx, dy } = placement;
+        Object.values(drag.nodes).forEach((node) => {
+          node.style.transition = '';
+        });
+        replaceSlideElements(
+          drag.elements.map((item) => ({
+            ...item,
+            x: Math.round((Number(item.x) || 0) + dx),
+            y: Math.round((Number(item.y) || 0) + dy)
+          }))
+        );
+        scheduleMutationEnd();
+        return;
+      }
       if (element.type === 'text') {
         setHoveredElement(element.id);
         updateTextToolbarPosition(element.id);
@@ -1352,20 +1744,20 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
         updateShapeToolbarPosition(element.id);
       }
       updateElement(element.id, {
-        x: Math.round(position.x),
-        y: Math.round(position.y)
+        x: placement ? drag.origin.x + placement.dx : Math.round(position.x),
+        y: placement ? drag.origin.y + placement.dy : Math.round(position.y)
       });
-
-      if (endMutatingTimeoutRef.current) {
-        clearTimeout(endMutatingTimeoutRef.current);
-      }
-      endMutatingTimeoutRef.current = setTimeout(() => {
-        isMutatingRef.current = false;
-        pushSnapshot();
-        endMutatingTimeoutRef.current = null;
-      }, 200);
+      scheduleMutationEnd();
     },
-    [pendingInsert, updateElement, updateShapeToolbarPosition, updateTextToolbarPosition, pushSnapshot]
+    [
+      pendingInsert,
+      getDragPlacement,
+      replaceSlideElements,
+      scheduleMutationEnd,
+      updateElement,
+      updateShapeToolbarPosition,
+      updateTextToolbarPosition
+    ]
   );
 
   const handleResizeStart = useCallback(
@@ -1403,11 +1795,14 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
         return;
       }
       setInteractingElementId(null);
+      const width = Math.round(ref.offsetWidth);
+      const height = Math.round(ref.offsetHeight);
       updateElement(element.id, {
-        width: Math.round(ref.offsetWidth),
-        height: Math.round(ref.offsetHeight),
+        width,
+        height,
         x: Math.round(position.x),
-        y: Math.round(position.y)
+        y: Math.round(position.y),
+        ...(isGroupElement(element) ? { children: resizeGroupElement(element, width, height) } : {})
       });
       if (element.type === 'text') {
         updateTextToolbarPosition(element.id);
@@ -1427,6 +1822,55 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
     [pendingInsert, updateElement, updateShapeToolbarPosition, updateTextToolbarPosition, pushSnapshot]
   );
 
+  const handleRotationStart = useCallback(
+    (event, element) => {
+      if (pendingInsert || event.button !== 0) {
+        return;
+      }
+      event.preventDefault();
+      event.stopPropagation();
+      const wrapper = event.currentTarget.closest('.slide-element-wrapper');
+      const frame = wrapper?.querySelector('.element-rotation-frame');
+      if (!wrapper || !frame) {
+        return;
+      }
+      const rect = wrapper.getBoundingClientRect();
+      const center = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+      let rotation = normalizeRotation(element.rotation);
+
+      isMutatingRef.current = true;
+      if (endMutatingTimeoutRef.current) {
+        clearTimeout(endMutatingTimeoutRef.current);
+        endMutatingTimeoutRef.current = null;
+      }
+      setInteractingElementId(element.id);
+      document.body.style.userSelect = 'none';
+      document.body.style.cursor = 'grabbing';
+
+      // The handle sits above the element, so straight up is 0 degrees.
+      const handleMouseMove = (moveEvent) => {
+        const angle =
+          (Math.atan2(moveEvent.clientY - center.y, moveEvent.clientX - center.x) * 180) / Math.PI + 90;
+        rotation = normalizeRotation(angle, moveEvent.shiftKey ? ROTATION_SNAP_STEP : 1);
+        frame.style.transform = rotation ? `rotate(${rotation}deg)` : '';
+      };
+
+      const handleMouseUp = () => {
+        window.removeEventListener('mousemove', handleMouseMove);
+        window.removeEventListener('mouseup', handleMouseUp);
+        document.body.style.userSelect = '';
+        document.body.style.cursor = '';
+        setInteractingElementId(null);
+        updateElement(element.id, { rotation });
+        scheduleMutationEnd();
+      };
+
+      window.addEventListener('mousemove', handleMouseMove);
+      window.addEventListener('mouseup', handleMouseUp);
+    },
+    [pendingInsert, scheduleMutationEnd, updateElement]
+  );
+
   const deleteElement = useCallback((elementId) => {
     setSlides((prevSlides) => {
       const nextSlides = [...prevSlides];
@@ -1466,35 +1910,462 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
       if (!slide) {
         return prevSlides;
       }
-      
-      const elementToDuplicate = (slide.content || []).find((item) => item.id === elementId);
-      if (!elementToDuplicate) {
-        return prevSlides;
+      
+      const elementToDuplicate = (slide.content || []).find((item) => item.id === elementId);
+      if (!elementToDuplicate) {
+        return prevSlides;
+      }
+      
+      // Create a duplicate with a new ID and offset position
+      const duplicatedElement = {
+        ...elementToDuplicate,
+        id: `${elementToDuplicate.type}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        x: (elementToDuplicate.x || 0) + 20,
+        y: (elementToDuplicate.y || 0) + 20
+      };
+      
+      nextSlides[currentSlideIndex] = {
+        ...slide,
+        content: [...(slide.content || []), duplicatedElement]
+      };
+      
+      return nextSlides;
+    });
+    
+    scheduleThumbnailCapture();
+  }, [currentSlideIndex, scheduleThumbnailCapture]);
+
+  const currentSlide = useMemo(
+    () => slides[currentSlideIndex] || {},
+    [slides, currentSlideIndex]
+  );
+  // Elements stack by their position in `content`; editor overlays sit above them all.
+  const overlayZIndex = (currentSlide.content?.length || 0) + 1;
+
+  const handleSelectionResizeStart = useCallback(() => {
+    if (!multiSelectionBounds) {
+      return;
+    }
+    isMutatingRef.current = true;
+    if (endMutatingTimeoutRef.current) {
+      clearTimeout(endMutatingTimeoutRef.current);
+      endMutatingTimeoutRef.current = null;
+    }
+    const nodes = collectElementNodes();
+    multiSelectedElements.forEach((item) => {
+      if (nodes[item.id]) {
+        nodes[item.id].style.transition = 'none';
+      }
+    });
+    selectionResizeRef.current = {
+      elements: multiSelectedElements,
+      bounds: multiSelectionBounds,
+      nodes
+    };
+  }, [collectElementNodes, multiSelectedElements, multiSelectionBounds]);
+
+  const getSelectionResizeResult = useCallback((ref, position) => {
+    const resize = selectionResizeRef.current;
+    if (!resize) {
+      return null;
+    }
+    return scaleElementsToBox(resize.elements, resize.bounds, {
+      x: position.x,
+      y: position.y,
+      width: ref.offsetWidth,
+      height: ref.offsetHeight
+    });
+  }, []);
+
+  const handleSelectionResize = useCallback(
+    (ref, position) => {
+      const scaled = getSelectionResizeResult(ref, position);
+      scaled?.forEach((item) => {
+        const node = selectionResizeRef.current.nodes[item.id];
+        if (node) {
+          node.style.transform = `translate(${item.x}px, ${item.y}px)`;
+          node.style.width = `${item.width}px`;
+          node.style.height = `${item.height}px`;
+        }
+      });
+    },
+    [getSelectionResizeResult]
+  );
+
+  const handleSelectionResizeStop = useCallback(
+    (ref, position) => {
+      const scaled = getSelectionResizeResult(ref, position);
+      const resize = selectionResizeRef.current;
+      selectionResizeRef.current = null;
+      if (!scaled) {
+        return;
+      }
+      Object.values(resize.nodes).forEach((node) => {
+        node.style.transition = '';
+      });
+      replaceSlideElements(scaled);
+      scheduleMutationEnd();
+    },
+    [getSelectionResizeResult, replaceSlideElements, scheduleMutationEnd]
+  );
+
+  const groupSelectedElements = useCallback(() => {
+    if (multiSelectedElements.length < 2) {
+      return;
+    }
+    const content = currentSlide.content || [];
+    const memberIds = multiSelectedElements.map((item) => item.id);
+    const group = createGroupElement(
+      content.filter((item) => memberIds.includes(item.id)),
+      `group-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
+    );
+    if (!group) {
+      return;
+    }
+    // The group takes the stacking position of its topmost member.
+    const topIndex = Math.max(...memberIds.map((id) => content.findIndex((item) => item.id === id)));
+    const nextContent = content.flatMap((item, index) => {
+      if (index === topIndex) {
+        return [group];
+      }
+      return memberIds.includes(item.id) ? [] : [item];
+    });
+    updateSlide(currentSlideIndex, { ...currentSlide, content: nextContent });
+    setMultiSelectedIds([]);
+    setSelectedElement(group);
+  }, [currentSlide, currentSlideIndex, multiSelectedElements, updateSlide]);
+
+  const ungroupElementById = useCallback(
+    (groupId) => {
+      const content = currentSlide.content || [];
+      const group = content.find((item) => item.id === groupId);
+      if (!isGroupElement(group)) {
+        return;
+      }
+      const children = ungroupElement(group);
+      updateSlide(currentSlideIndex, {
+        ...currentSlide,
+        content: content.flatMap((item) => (item.id === groupId ? children : [item]))
+      });
+      setSelectedElement(null);
+      setMultiSelectedIds(children.map((child) => child.id));
+    },
+    [currentSlide, currentSlideIndex, updateSlide]
+  );
+
+  const deleteSelectedElements = useCallback(() => {
+    if (!multiSelectedIds.length) {
+      return;
+    }
+    updateSlide(currentSlideIndex, {
+      ...currentSlide,
+      content: (currentSlide.content || []).filter((item) => !multiSelectedIds.includes(item.id))
+    });
+    setTextEditors((prev) => {
+      const next = { ...prev };
+      multiSelectedIds.forEach((id) => {
+        delete next[id];
+      });
+      return next;
+    });
+    setMultiSelectedIds([]);
+  }, [currentSlide, currentSlideIndex, multiSelectedIds, updateSlide]);
+
+  const alignSelectedElements = useCallback(
+    (alignment) => {
+      const targets =
+        multiSelectedElements.length > 1
+          ? multiSelectedElements
+          : (currentSlide.content || []).filter((item) => item.id === selectedElement?.id && !item.locked);
+      if (!targets.length) {
+        return;
+      }
+      // A lone element is aligned to the slide, a selection to its own bounds.
+      const reference =
+        targets.length > 1
+          ? getElementsBounds(targets)
+          : { x: 0, y: 0, width: slideSize.width, height: slideSize.height };
+      const aligned = alignElements(targets, alignment, reference);
+      replaceSlideElements(aligned);
+      if (targets.length === 1) {
+        setSelectedElement(aligned[0]);
+      }
+    },
+    [currentSlide, multiSelectedElements, replaceSlideElements, selectedElement, slideSize]
+  );
+
+  const distributeSelectedElements = useCallback(
+    (axis) => {
+      if (multiSelectedElements.length > 2) {
+        replaceSlideElements(distributeElements(multiSelectedElements, axis));
+      }
+    },
+    [multiSelectedElements, replaceSlideElements]
+  );
+
+  const reorderSelectedElements = useCallback(
+    (command) => {
+      const ids = multiSelectedIds.length > 1 ? multiSelectedIds : selectedElement ? [selectedElement.id] : [];
+      const content = currentSlide.content || [];
+      const reordered = reorderElements(content, ids, command);
+      if (reordered.some((item, index) => item !== content[index])) {
+        updateSlide(currentSlideIndex, { ...currentSlide, content: reordered });
+      }
+    },
+    [currentSlide, currentSlideIndex, multiSelectedIds, selectedElement, updateSlide]
+  );
+
+  const moveLayer = useCallback(
+    (elementId, index) => {
+      updateSlide(currentSlideIndex, {
+        ...currentSlide,
+        content: moveElementToIndex(currentSlide.content || [], elementId, index)
+      });
+    },
+    [currentSlide, currentSlideIndex, updateSlide]
+  );
+
+  const selectLayer = useCallback(
+    (element, event) => {
+      if (pendingInsert) {
+        return;
+      }
+      if (isMultiSelectEvent(event)) {
+        toggleElementSelection(element);
+        return;
+      }
+      selectElements([element.id]);
+    },
+    [pendingInsert, selectElements, toggleElementSelection]
+  );
+
+  const renameLayer = useCallback(
+    (elementId, name) => {
+      updateElement(elementId, { name: name || undefined });
+    },
+    [updateElement]
+  );
+
+  const toggleLayerFlag = useCallback(
+    (elementId, flag) => {
+      const element = (currentSlide.content || []).find((item) => item.id === elementId);
+      if (!element) {
+        return;
+      }
+      const enabled = !element[flag];
+      updateElement(elementId, { [flag]: enabled || undefined });
+      if (enabled) {
+        setMultiSelectedIds((current) => current.filter((id) => id !== elementId));
+        if (flag === 'hidden' && selectedElement?.id === elementId) {
+          selectElements([]);
+        }
+      }
+    },
+    [currentSlide, selectElements, selectedElement, updateElement]
+  );
+
+  const activeTableElement = useMemo(
+    () =>
+      selectedElement?.type === 'table'
+        ? (currentSlide.content || []).find((item) => item.id === selectedElement.id) || null
+        : null,
+    [currentSlide, selectedElement]
+  );
+  const activeTableSelection =
+    activeTableElement && tableSelection?.elementId === activeTableElement.id ? tableSelection : null;
+
+  useEffect(() => {
+    if (!activeTableSelection?.isEditing) {
+      setTableCellEditor(null);
+    }
+  }, [activeTableSelection?.isEditing]);
+
+  const selectTableCells = useCallback(
+    (elementId, anchor, focus = anchor, isEditing = false) => {
+      setTableSelection({ elementId, anchor, focus, isEditing });
+    },
+    []
+  );
+
+  const handleTableCellMouseDown = useCallback(
+    (element, row, col, event) => {
+      const cell = resolveCellAnchor(element.cells, row, col);
+      if (event.shiftKey && activeTableSelection?.elementId === element.id) {
+        // Shift+click extends the cell range instead of adding to the element selection.
+        event.stopPropagation();
+        setTableSelection({ ...activeTableSelection, focus: cell, isEditing: false });
+        return;
+      }
+      selectTableCells(element.id, cell);
+    },
+    [activeTableSelection, selectTableCells]
+  );
+
+  const updateTableCell = useCallback(
+    (elementId, row, col, html) => {
+      const table = (slidesRef.current[currentSlideIndex]?.content || []).find((item) => item.id === elementId);
+      if (!table?.cells?.[row]?.[col]) {
+        return;
+      }
+      updateElement(elementId, {
+        cells: table.cells.map((cells, rowIndex) =>
+          rowIndex === row ? cells.map((cell, colIndex) => (colIndex === col ? { ...cell, text: html } : cell)) : cells
+        )
+      });
+    },
+    [currentSlideIndex, updateElement]
+  );
+
+  // Tab and Shift+Tab walk the cells in reading order, skipping merged-over ones.
+  const navigateTableCell = useCallback(
+    (element, direction) => {
+      const current = activeTableSelection?.anchor;
+      if (!current || !direction) {
+        selectTableCells(element.id, current || { row: 0, col: 0 });
+        return;
+      }
+      const { rows, columns } = getTableSize(element);
+      const anchors = [];
+      for (let row = 0; row < rows; row += 1) {
+        for (let col = 0; col < columns; col += 1) {
+          const anchor = resolveCellAnchor(element.cells, row, col);
+          if (anchor.row === row && anchor.col === col) {
+            anchors.push(anchor);
+          }
+        }
+      }
+      const index = anchors.findIndex((cell) => cell.row === current.row && cell.col === current.col);
+      const next = anchors[Math.min(Math.max(index + direction, 0), anchors.length - 1)] || current;
+      selectTableCells(element.id, next, next, true);
+    },
+    [activeTableSelection, selectTableCells]
+  );
+
+  const updateSnapSettings = useCallback((updates) => {
+    setSnapSettings((current) => ({ ...current, ...updates }));
+  }, []);
+
+  useEffect(() => {
+    setSnapPreferences(snapSettings);
+  }, [snapSettings]);
+
+  const handleSlideMouseDown = useCallback(
+    (event) => {
+      if (pendingInsert || event.button !== 0 || event.target !== event.currentTarget) {
+        return;
       }
-      
-      // Create a duplicate with a new ID and offset position
-      const duplicatedElement = {
-        ...elementToDuplicate,
-        id: `${elementToDuplicate.type}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        x: (elementToDuplicate.x || 0) + 20,
-        y: (elementToDuplicate.y || 0) + 20
+      const slideRect = event.currentTarget.getBoundingClientRect();
+      const start = {
+        x: (event.clientX - slideRect.left) / canvasScale,
+        y: (event.clientY - slideRect.top) / canvasScale
       };
-      
-      nextSlides[currentSlideIndex] = {
-        ...slide,
-        content: [...(slide.content || []), duplicatedElement]
+      const baseIds = isMultiSelectEvent(event)
+        ? multiSelectedIds.length
+          ? multiSelectedIds
+          : selectedElement
+          ? [selectedElement.id]
+          : []
+        : [];
+      let marquee = null;
+
+      const handleMouseMove = (moveEvent) => {
+        const x = Math.min(Math.max((moveEvent.clientX - slideRect.left) / canvasScale, 0), slideSize.width);
+        const y = Math.min(Math.max((moveEvent.clientY - slideRect.top) / canvasScale, 0), slideSize.height);
+        if (!marquee && Math.hypot(x - start.x, y - start.y) < MARQUEE_THRESHOLD) {
+          return;
+        }
+        marquee = {
+          x: Math.min(start.x, x),
+          y: Math.min(start.y, y),
+          width: Math.abs(x - start.x),
+          height: Math.abs(y - start.y)
+        };
+        setMarqueeRect(marquee);
       };
-      
-      return nextSlides;
-    });
-    
-    scheduleThumbnailCapture();
-  }, [currentSlideIndex, scheduleThumbnailCapture]);
 
-  const currentSlide = useMemo(
-    () => slides[currentSlideIndex] || {},
-    [slides, currentSlideIndex]
+      const handleMouseUp = () => {
+        window.removeEventListener('mousemove', handleMouseMove);
+        window.removeEventListener('mouseup', handleMouseUp);
+        if (!marquee) {
+          return;
+        }
+        const enclosedIds = (currentSlide.content || [])
+          .filter((item) => {
+            if (item.hidden || item.locked) {
+              return false;
+            }
+            const bounds = getElementsBounds([item]);
+            return (
+              bounds.x >= marquee.x &&
+              bounds.y >= marquee.y &&
+              bounds.x + bounds.width <= marquee.x + marquee.width &&
+              bounds.y + bounds.height <= marquee.y + marquee.height
+            );
+          })
+          .map((item) => item.id);
+        // The click that follows this mouseup must not clear the new selection.
+        suppressSlideClickRef.current = true;
+        setTimeout(() => {
+          suppressSlideClickRef.current = false;
+        }, 0);
+        setMarqueeRect(null);
+        selectElements([...baseIds, ...enclosedIds]);
+      };
+
+      window.addEventListener('mousemove', handleMouseMove);
+      window.addEventListener('mouseup', handleMouseUp);
+    },
+    [canvasScale, currentSlide, multiSelectedIds, pendingInsert, selectedElement, selectElements, slideSize]
   );
+
+  useEffect(() => {
+    if (isSlideshow) {
+      return undefined;
+    }
+    const handleKeyDown = (event) => {
+      const target = event.target;
+      if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) {
+        return;
+      }
+      const key = event.key.toLowerCase();
+      if ((event.ctrlKey || event.metaKey) && key === 'g') {
+        event.preventDefault();
+        if (event.shiftKey) {
+          if (isGroupElement(selectedElement)) {
+            ungroupElementById(selectedElement.id);
+          }
+        } else {
+          groupSelectedElements();
+        }
+      } else if ((event.ctrlKey || event.metaKey) && ['BracketRight', 'BracketLeft'].includes(event.code)) {
+        event.preventDefault();
+        if (event.code === 'BracketRight') {
+          reorderSelectedElements(event.shiftKey ? 'front' : 'forward');
+        } else {
+          reorderSelectedElements(event.shiftKey ? 'back' : 'backward');
+        }
+      } else if ((event.ctrlKey || event.metaKey) && key === 'a') {
+        event.preventDefault();
+        selectElements((currentSlide.content || []).map((item) => item.id));
+      } else if ((key === 'delete' || key === 'backspace') && multiSelectedIds.length) {
+        event.preventDefault();
+        deleteSelectedElements();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [
+    currentSlide,
+    deleteSelectedElements,
+    groupSelectedElements,
+    isSlideshow,
+    multiSelectedIds,
+    reorderSelectedElements,
+    selectElements,
+    selectedElement,
+    ungroupElementById
+  ]);
+
   const activeSlideBackground = useMemo(() => {
     if (!currentSlide || !currentSlide.background) {
       return DEFAULT_BACKGROUND;
@@ -1555,7 +2426,7 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
       return undefined;
     }
 
-    const currentHash = computeSlidesHash(slides);
+    const currentHash = computeHistoryHash(slides, slideSize);
 
     if (isUndoRedoAction.current) {
       if (historyTimeoutRef.current) {
@@ -1568,17 +2439,21 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
     }
 
     if (lastSavedStateRef.current !== currentHash) {
-      addToHistory(slides);
+      addToHistory(slides, slideSize);
       lastSavedStateRef.current = currentHash;
     }
 
     return undefined;
-  }, [slides, addToHistory]);
+  }, [slides, slideSize, addToHistory]);
 
   useEffect(() => {
     slidesRef.current = slides;
   }, [slides]);
 
+  useEffect(() => {
+    slideSizeRef.current = slideSize;
+  }, [slideSize]);
+
   useEffect(() => {
     scheduleThumbnailCapture();
     return () => {
@@ -1769,6 +2644,15 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
           datasets: clonedDatasets
         }
       };
+    } else if (type === 'table') {
+      newElement = createTableElement({
+        id,
+        x: centerX,
+        y: centerY,
+        rows: subtype?.rows || 3,
+        columns: subtype?.columns || 3,
+        design: { accentColor: defaultAccentColor, textColor: defaultTextColor }
+      });
     } else if (type === 'image') {
       // Directly open file picker for images
       const id = `element-${Date.now()}`;
@@ -1821,8 +2705,8 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
       rect = slideEl.getBoundingClientRect();
     }
 
-    const x = Math.max(0, Math.min(clientX - rect.left, rect.width - 10));
-    const y = Math.max(0, Math.min(clientY - rect.top, rect.height - 10));
+    const x = Math.max(0, Math.min((clientX - rect.left) / canvasScale, slideSize.width - 10));
+    const y = Math.max(0, Math.min((clientY - rect.top) / canvasScale, slideSize.height - 10));
 
     const id = `element-${Date.now()}`;
     let newElement = null;
@@ -1907,6 +2791,16 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
         };
         break;
       }
+      case 'table':
+        newElement = createTableElement({
+          id,
+          x,
+          y,
+          rows: insertConfig.subtype?.rows || 3,
+          columns: insertConfig.subtype?.columns || 3,
+          design: { accentColor: defaultAccentColor, textColor: activeDesign.textColor || defaultTextColor }
+        });
+        break;
       case 'image':
         setPendingInsertPos({
           x,
@@ -2024,25 +2918,64 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
     const totalEntries = historyStack.length;
     const startIndex = totalEntries > HISTORY_PERSIST_LIMIT ? totalEntries - HISTORY_PERSIST_LIMIT : 0;
     const trimmedHistory = historyStack.slice(startIndex);
-    const historySnapshot = trimmedHistory.map((entry) => deepCloneSlides(entry));
+    const historySnapshot = trimmedHistory.map((entry) => createHistoryEntry(entry.slides, entry.slideSize));
     const relativeIndex = Math.max((historyIndexRef.current ?? trimmedHistory.length - 1) - startIndex, 0);
     const historyIndexSnapshot = Math.min(relativeIndex, Math.max(historySnapshot.length - 1, 0));
     const payload = {
       slides: snapshotSlides,
       design: designSnapshot,
       fileName: nameSnapshot,
+      playback: playbackSettings,
+      slideSize,
       updatedAt: Date.now(),
       history: historySnapshot,
       historyIndex: historyIndexSnapshot
     };
-    savePresentationData(presentationId, payload);
-    upsertRecentPresentation({
-      id: presentationId,
-      name: nameSnapshot,
-      updatedAt: payload.updatedAt,
-      preview: thumbnails[slidesRef.current?.[currentSlideIndex]?.id]
-    });
-  }, [activeDesign, currentSlideIndex, fileName, isInitialLoadComplete, presentationId, slides, thumbnails]);
+    Promise.all([
+      savePresentationData(presentationId, payload),
+      upsertRecentPresentation({
+        id: presentationId,
+        name: nameSnapshot,
+        updatedAt: payload.updatedAt,
+        preview: thumbnails[slidesRef.current?.[currentSlideIndex]?.id],
+        searchText: getSlidesSearchText(snapshotSlides)
+      })
+    ])
+      .then(() => {
+        // A failed snapshot stays reported until dismissed or the next one succeeds.
+        setStorageError((current) => (Object.values(SNAPSHOT_ERROR_MESSAGES).includes(current) ? current : null));
+        if (payload.updatedAt - lastAutoVersionRef.current < AUTO_VERSION_INTERVAL) {
+          return;
+        }
+        lastAutoVersionRef.current = payload.updatedAt;
+        // The deck itself is saved at this point, so a failed snapshot gets
+        // its own message.
+        savePresentationVersion(presentationId, payload, { name: 'Hourly snapshot', kind: 'auto' })
+          .then(() => setStorageError(null))
+          .catch((error) => {
+            console.error('Failed to save version snapshot', error);
+            setStorageError(SNAPSHOT_ERROR_MESSAGES[isQuotaExceededError(error) ? 'quota' : 'other']);
+          });
+      })
+      .catch((error) => {
+        console.error('Failed to save presentation', error);
+        setStorageError(
+          isQuotaExceededError(error)
+            ? STORAGE_QUOTA_MESSAGE
+            : 'Your latest changes could not be saved. Download a copy (.pptx) to keep your work.'
+        );
+      });
+  }, [
+    activeDesign,
+    currentSlideIndex,
+    fileName,
+    isInitialLoadComplete,
+    playbackSettings,
+    presentationId,
+    slideSize,
+    slides,
+    thumbnails
+  ]);
 
   const savePresentation = useCallback(async () => {
     try {
@@ -2052,13 +2985,229 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
         persistenceTimeoutRef.current = null;
       }
       persistCurrentState();
-      await exportSlidesAsPptx(slides, `${sanitizedFileName}.pptx`);
+      await exportSlidesAsPptx(slides, `${sanitizedFileName}.pptx`, { slideSize });
       setActiveDropdown(null);
     } catch (error) {
       console.error('Failed to export presentation', error);
       window.alert('Unable to export the presentation. Please try again.');
     }
-  }, [slides, fileName, persistCurrentState]);
+  }, [slides, fileName, slideSize, persistCurrentState]);
+
+  const exportPdf = useCallback(async (options) => {
+    setIsExportingPdf(true);
+    try {
+      const sanitizedFileName = fileName.trim() || 'untitled';
+      await exportSlidesAsPdf(slides, `${sanitizedFileName}.pdf`, { ...options, slideSize });
+      setIsPdfDialogOpen(false);
+    } catch (error) {
+      console.error('Failed to export PDF', error);
+      window.alert('Unable to export the PDF. Please try again.');
+    } finally {
+      setIsExportingPdf(false);
+    }
+  }, [slides, fileName, slideSize]);
+
+  const exportImages = useCallback(async (options) => {
+    setIsExportingImages(true);
+    try {
+      await exportSlidesAsImages(slides, fileName.trim() || 'untitled', { ...options, slideSize });
+      setIsImageDialogOpen(false);
+    } catch (error) {
+      console.error('Failed to export images', error);
+      window.alert('Unable to export the slide images. Please try again.');
+    } finally {
+      setIsExportingImages(false);
+    }
+  }, [slides, fileName, slideSize]);
+
+  const exportHtml = useCallback(async () => {
+    try {
+      const sanitizedFileName = fileName.trim() || 'untitled';
+      await exportSlidesAsHtml(slides, `${sanitizedFileName}.html`, { slideSize });
+    } catch (error) {
+      console.error('Failed to export HTML', error);
+      window.alert('Unable to export the HTML file. Please try again.');
+    }
+  }, [slides, fileName, slideSize]);
+
+  const getVersionSnapshot = useCallback(() => ({
+    slides: deepCloneSlides(slidesRef.current ?? slides),
+    design: activeDesign,
+    fileName,
+    playback: playbackSettings,
+    slideSize
+  }), [activeDesign, fileName, playbackSettings, slideSize, slides]);
+
+  const refreshVersions = useCallback(async () => {
+    setVersions(await listPresentationVersions(presentationId));
+  }, [presentationId]);
+
+  // Versions are listed as summaries; restoring or comparing reads the deck.
+  const loadVersion = useCallback(
+    (versionId) => loadPresentationVersion(presentationId, versionId),
+    [presentationId]
+  );
+
+  const loadFullVersion = useCallback(async (summary) => {
+    const version = await loadVersion(summary.id);
+    if (!version) {
+      throw new Error(`Version ${summary.id} is missing`);
+    }
+    return version;
+  }, [loadVersion]);
+
+  const openVersionHistory = useCallback(async () => {
+    setIsVersionDialogOpen(true);
+    setIsLoadingVersions(true);
+    await refreshVersions();
+    setIsLoadingVersions(false);
+  }, [refreshVersions]);
+
+  const runVersionTask = useCallback(async (task, failureMessage) => {
+    setIsVersionBusy(true);
+    try {
+      await task();
+    } catch (error) {
+      console.error(failureMessage, error);
+      window.alert(isQuotaExceededError(error) ? STORAGE_QUOTA_MESSAGE : `${failureMessage}. Please try again.`);
+    } finally {
+      setIsVersionBusy(false);
+    }
+  }, []);
+
+  const saveVersion = useCallback((name) => runVersionTask(async () => {
+    await savePresentationVersion(presentationId, getVersionSnapshot(), { name });
+    await refreshVersions();
+  }, 'Unable to save the version'), [getVersionSnapshot, presentationId, refreshVersions, runVersionTask]);
+
+  // The deck being replaced is kept as a named version first, so hourly pruning
+  // never removes it, and the restore itself lands in undo history.
+  const restoreVersion = useCallback((summary) => runVersionTask(async () => {
+    const version = await loadFullVersion(summary);
+    await savePresentationVersion(presentationId, getVersionSnapshot(), {
+      name: `Before restoring “${version.name}”`
+    });
+    setSlides(deepCloneSlides(version.slides || []));
+    setActiveDesign(version.design || DEFAULT_DESIGN);
+    setPlaybackSettings(normalizePlaybackSettings(version.playback));
+    setSlideSize(normalizeSlideSize(version.slideSize));
+    setCurrentSlideIndex(0);
+    setSelectedElement(null);
+    setMultiSelectedIds([]);
+    setIsVersionDialogOpen(false);
+    scheduleThumbnailCapture();
+  }, 'Unable to restore the version'), [
+    getVersionSnapshot,
+    loadFullVersion,
+    presentationId,
+    runVersionTask,
+    scheduleThumbnailCapture
+  ]);
+
+  const restoreVersionAsCopy = useCallback((summary) => runVersionTask(async () => {
+    const version = await loadFullVersion(summary);
+    const copyId = generatePresentationId();
+    const copySlides = deepCloneSlides(version.slides || []);
+    const copyName = `${version.fileName || fileName} (${version.name})`;
+    const updatedAt = await savePresentationData(copyId, {
+      slides: copySlides,
+      design: version.design || DEFAULT_DESIGN,
+      fileName: copyName,
+      playback: version.playback,
+      slideSize: version.slideSize,
+      updatedAt: Date.now(),
+      history: [createHistoryEntry(copySlides, version.slideSize)],
+      historyIndex: 0
+    });
+    await upsertRecentPresentation({
+      id: copyId,
+      name: copyName,
+      updatedAt,
+      searchText: getSlidesSearchText(copySlides)
+    });
+    if (persistenceTimeoutRef.current) {
+      clearTimeout(persistenceTimeoutRef.current);
+      persistenceTimeoutRef.current = null;
+    }
+    persistCurrentState();
+    setIsVersionDialogOpen(false);
+    onOpenPresentation?.(copyId);
+  }, 'Unable to restore the version as a copy'), [
+    fileName,
+    loadFullVersion,
+    onOpenPresentation,
+    persistCurrentState,
+    runVersionTask
+  ]);
+
+  // Against the current deck, the version is the starting point; between two
+  // versions, the older one is.
+  const compareVersion = useCallback((summary, otherSummary) => runVersionTask(async () => {
+    const version = await loadFullVersion(summary);
+    const otherVersion = otherSummary ? await loadFullVersion(otherSummary) : null;
+    if (!otherVersion) {
+      setDeckComparison({
+        base: version.slides || [],
+        target: deepCloneSlides(slidesRef.current ?? slides),
+        baseLabel: version.name,
+        targetLabel: 'Current deck',
+        slideSize
+      });
+      return;
+    }
+    const [older, newer] = (version.createdAt || 0) <= (otherVersion.createdAt || 0)
+      ? [version, otherVersion]
+      : [otherVersion, version];
+    setDeckComparison({
+      base: older.slides || [],
+      target: newer.slides || [],
+      baseLabel: older.name,
+      targetLabel: newer.name,
+      slideSize: normalizeSlideSize(newer.slideSize)
+    });
+  }, 'Unable to compare the versions'), [loadFullVersion, runVersionTask, slideSize, slides]);
+
+  const applyDeckComparison = useCallback((mergedSlides) => runVersionTask(async () => {
+    await savePresentationVersion(presentationId, getVersionSnapshot(), {
+      name: 'Before applying a comparison'
+    });
+    setSlides(deepCloneSlides(mergedSlides));
+    setSlideSize(deckComparison?.slideSize || slideSize);
+    setCurrentSlideIndex((index) => Math.min(index, Math.max(mergedSlides.length - 1, 0)));
+    setSelectedElement(null);
+    setMultiSelectedIds([]);
+    setDeckComparison(null);
+    setIsVersionDialogOpen(false);
+    scheduleThumbnailCapture();
+  }, 'Unable to apply the comparison'), [
+    deckComparison,
+    getVersionSnapshot,
+    presentationId,
+    runVersionTask,
+    scheduleThumbnailCapture,
+    slideSize
+  ]);
+
+  const deleteVersion = useCallback((version) => runVersionTask(async () => {
+    await deletePresentationVersion(presentationId, version.id);
+    await refreshVersions();
+  }, 'Unable to delete the version'), [presentationId, refreshVersions, runVersionTask]);
+
+  const handleDownloadPresentation = useCallback((format) => {
+    if (format === 'pdf') {
+      setIsPdfDialogOpen(true);
+      return;
+    }
+    if (format === 'images') {
+      setIsImageDialogOpen(true);
+      return;
+    }
+    if (format === 'html') {
+      exportHtml();
+      return;
+    }
+    savePresentation();
+  }, [savePresentation, exportHtml]);
 
   useEffect(() => {
     setActivePresentationId(presentationId);
@@ -2071,49 +3220,75 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
   }, [initialPresentationId, presentationId]);
 
   useEffect(() => {
+    let isCancelled = false;
     setIsInitialLoadComplete(false);
-    const stored = loadPresentationData(presentationId);
-    if (stored && stored.slides && Array.isArray(stored.slides)) {
-      const restoredSlides = deepCloneSlides(stored.slides);
-      setSlides(restoredSlides);
-      slidesRef.current = restoredSlides;
-      setActiveDesign(stored.design || DEFAULT_DESIGN);
-      setFileName(stored.fileName || 'untitled');
-      if (Array.isArray(stored.history) && stored.history.length > 0) {
-        const normalizedHistory = stored.history
-          .filter((entry) => Array.isArray(entry))
-          .map((entry) => deepCloneSlides(entry));
-        setHistory(normalizedHistory);
-        historyRef.current = normalizedHistory;
-        const restoredIndex = typeof stored.historyIndex === 'number' ? stored.historyIndex : normalizedHistory.length - 1;
-        const clampedIndex = Math.min(Math.max(restoredIndex, 0), normalizedHistory.length - 1);
-        setHistoryIndex(clampedIndex);
-        historyIndexRef.current = clampedIndex;
-        const activeSnapshot = normalizedHistory[clampedIndex] || restoredSlides;
-        setSlides(activeSnapshot);
-        slidesRef.current = activeSnapshot;
+    const applyStoredPresentation = (stored) => {
+      if (isCancelled) {
+        return;
+      }
+      if (stored && stored.slides && Array.isArray(stored.slides)) {
+        const restoredSlides = deepCloneSlides(stored.slides);
+        setSlides(restoredSlides);
+        slidesRef.current = restoredSlides;
+        setActiveDesign(stored.design || DEFAULT_DESIGN);
+        setFileName(stored.fileName || 'untitled');
+        setPlaybackSettings(normalizePlaybackSettings(stored.playback));
+        const storedSlideSize = normalizeSlideSize(stored.slideSize);
+        setSlideSize(storedSlideSize);
+        slideSizeRef.current = storedSlideSize;
+        const normalizedHistory = Array.isArray(stored.history)
+          ? stored.history.map((entry) => normalizeHistoryEntry(entry, storedSlideSize)).filter(Boolean)
+          : [];
+        if (normalizedHistory.length > 0) {
+          setHistory(normalizedHistory);
+          historyRef.current = normalizedHistory;
+          const restoredIndex = typeof stored.historyIndex === 'number' ? stored.historyIndex : normalizedHistory.length - 1;
+          const clampedIndex = Math.min(Math.max(restoredIndex, 0), normalizedHistory.length - 1);
+          setHistoryIndex(clampedIndex);
+          historyIndexRef.current = clampedIndex;
+          const activeSnapshot = normalizedHistory[clampedIndex];
+          setSlides(activeSnapshot.slides);
+          slidesRef.current = activeSnapshot.slides;
+          setSlideSize(activeSnapshot.slideSize);
+          slideSizeRef.current = activeSnapshot.slideSize;
+        } else {
+          const initialHistory = [createHistoryEntry(restoredSlides, storedSlideSize)];
+          setHistory(initialHistory);
+          historyRef.current = initialHistory;
+          setHistoryIndex(0);
+          historyIndexRef.current = 0;
+        }
+        lastSavedStateRef.current = computeHistoryHash(slidesRef.current, slideSizeRef.current);
+        setIsInitialLoadComplete(true);
       } else {
-        const initialHistory = [restoredSlides];
+        const freshSlide = applyDesignToSlide(createSlide(0, 'title'), DEFAULT_DESIGN);
+        setSlides([freshSlide]);
+        slidesRef.current = [freshSlide];
+        setActiveDesign(DEFAULT_DESIGN);
+        setFileName('untitled');
+        setPlaybackSettings(DEFAULT_PLAYBACK_SETTINGS);
+        setSlideSize(DEFAULT_SLIDE_SIZE);
+        slideSizeRef.current = DEFAULT_SLIDE_SIZE;
+        const initialHistory = [createHistoryEntry([freshSlide], DEFAULT_SLIDE_SIZE)];
         setHistory(initialHistory);
         historyRef.current = initialHistory;
         setHistoryIndex(0);
         historyIndexRef.current = 0;
+        lastSavedStateRef.current = computeHistoryHash([freshSlide], DEFAULT_SLIDE_SIZE);
+        setIsInitialLoadComplete(true);
       }
-      lastSavedStateRef.current = computeSlidesHash(slidesRef.current);
-      setIsInitialLoadComplete(true);
-    } else {
-      const freshSlide = applyDesignToSlide(createSlide(0, 'title'), DEFAULT_DESIGN);
-      setSlides([freshSlide]);
-      slidesRef.current = [freshSlide];
-      setActiveDesign(DEFAULT_DESIGN);
-      setFileName('untitled');
-      setHistory([[freshSlide]]);
-      historyRef.current = [[freshSlide]];
-      setHistoryIndex(0);
-      historyIndexRef.current = 0;
-      lastSavedStateRef.current = computeSlidesHash([freshSlide]);
-      setIsInitialLoadComplete(true);
-    }
+    };
+    loadPresentationData(presentationId).then(applyStoredPresentation);
+    lastAutoVersionRef.current = Date.now();
+    listPresentationVersions(presentationId).then((storedVersions) => {
+      const latestAuto = storedVersions.find((version) => version.kind === 'auto');
+      if (!isCancelled && latestAuto) {
+        lastAutoVersionRef.current = latestAuto.createdAt;
+      }
+    });
+    return () => {
+      isCancelled = true;
+    };
   }, [presentationId]);
 
   useEffect(() => {
@@ -2147,7 +3322,7 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
 
   useEffect(() => {
     schedulePersistence();
-  }, [slides, activeDesign, fileName, schedulePersistence]);
+  }, [slides, activeDesign, fileName, playbackSettings, slideSize, schedulePersistence]);
 
   useEffect(() => () => {
     if (persistenceTimeoutRef.current) {
@@ -2164,8 +3339,11 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
           <div className="editor-layout">
             <EnhancedToolbar
               onInsertElement={addElement}
-              onDownloadPresentation={savePresentation}
+              onDownloadPresentation={handleDownloadPresentation}
+              onOpenVersionHistory={openVersionHistory}
               onStartSlideshow={startSlideshow}
+              onStartPresenterView={startPresenterView}
+              onStartRehearsal={startRehearsal}
               keepInsertEnabled={keepInsertEnabled}
               onToggleKeepInsert={handleToggleKeepInsert}
               fileName={fileName}
@@ -2178,8 +3356,34 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
               designOptions={DESIGN_PRESETS}
               activeDesignId={activeDesign?.id}
               onSelectDesign={applyDesignPreset}
+              selectionCount={multiSelectedElements.length > 1 ? multiSelectedElements.length : selectedElement ? 1 : 0}
+              onAlignElements={alignSelectedElements}
+              onDistributeElements={distributeSelectedElements}
+              snapSettings={snapSettings}
+              onSnapSettingsChange={updateSnapSettings}
+              onReorderElements={reorderSelectedElements}
+              isLayersPanelOpen={isLayersPanelOpen}
+              onToggleLayersPanel={() => setIsLayersPanelOpen((open) => !open)}
+              isSlidePropertiesOpen={isSlidePropertiesOpen}
+              onToggleSlideProperties={() => setIsSlidePropertiesOpen((open) => !open)}
+              isAnimationsPanelOpen={isAnimationsPanelOpen}
+              onToggleAnimationsPanel={() => setIsAnimationsPanelOpen((open) => !open)}
             />
 
+            {storageError && (
+              <div className="storage-error-banner" role="alert">
+                <span>{storageError}</span>
+                <div className="storage-error-actions">
+                  <button type="button" onClick={() => savePresentation()}>
+                    Download .pptx
+                  </button>
+                  <button type="button" onClick={() => setStorageError(null)}>
+                    Dismiss
+                  </button>
+                </div>
+              </div>
+            )}
+
             {/* Main Content Area */}
             <main className="main-content">
               {/* Left Sidebar */}
@@ -2191,32 +3395,54 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                 deleteSlide={deleteSlide}
                 moveSlide={moveSlide}
                 thumbnails={thumbnails}
+                slideSize={slideSize}
               />
 
               {/* Center - Slide Editor */}
+              <div className="editor-stage">
               <div
                 className={`slide-editor${chartEditorElement ? ' has-chart-editor' : ''}`}
               >
-                <div className="slide-editor-canvas">
+                <div className="slide-editor-canvas" ref={canvasRef}>
+                  <div
+                    className="slide-frame"
+                    style={{ width: slideSize.width * canvasScale, height: slideSize.height * canvasScale }}
+                  >
                   <div
                     className="slide"
                     style={{
+                      width: slideSize.width,
+                      height: slideSize.height,
+                      transform: `scale(${canvasScale})`,
                       backgroundColor: currentSlide.background?.color || DEFAULT_BACKGROUND,
                       cursor: pendingInsert ? 'crosshair' : 'default'
                     }}
                     ref={slideRef}
+                    onMouseDown={handleSlideMouseDown}
                     onClick={(e) => {
+                      if (suppressSlideClickRef.current) {
+                        suppressSlideClickRef.current = false;
+                        return;
+                      }
                       if (pendingInsert) {
                         const rect = e.currentTarget.getBoundingClientRect();
                         placeElementAt(e.clientX, e.clientY, rect);
                       } else {
                         setSelectedElement(null);
+                        setMultiSelectedIds([]);
                         setImageToolbarPosition(null);
                       }
                     }}
                   >
-                  {currentSlide.content?.map((element) => {
+                  {snapSettings.grid && (
+                    <div
+                      className="slide-grid-overlay"
+                      style={{ backgroundSize: `${snapSettings.gridSize}px ${snapSettings.gridSize}px` }}
+                    />
+                  )}
+                  {currentSlide.content?.map((element, layerIndex) => {
                     const isSelected = selectedElement?.id === element.id;
+                    const isMultiSelected = multiSelectedElements.some((item) => item.id === element.id);
 
                     const handleElementClick = (event) => {
                       if (pendingInsert) {
@@ -2230,6 +3456,16 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                       }
 
                       event.stopPropagation();
+                      if (isMultiSelectEvent(event)) {
+                        return;
+                      }
+                      if (isMultiSelected) {
+                        if (didMoveSelectionRef.current) {
+                          didMoveSelectionRef.current = false;
+                          return;
+                        }
+                        setMultiSelectedIds([]);
+                      }
                       setSelectedElement(element);
                       if (element.type === 'text') {
                         const rect = event.currentTarget.getBoundingClientRect();
@@ -2380,6 +3616,7 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                       }
                     };
 
+                    const elementRotation = normalizeRotation(element.rotation);
                     const numericX =
                       typeof element.x === 'number' && Number.isFinite(element.x)
                         ? element.x
@@ -2431,11 +3668,17 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                             ? element.aspectRatio
                             : true)
                         : false;
+                    const isEditingTableCell =
+                      element.type === 'table' &&
+                      Boolean(activeTableSelection?.isEditing) &&
+                      activeTableSelection.elementId === element.id;
                     const disableDragging =
                       pendingInsert ||
+                      element.locked ||
+                      isEditingTableCell ||
                       (element.type === 'text' && editingTextId === element.id) ||
                       (element.type === 'image' && pendingInsert);
-                    const enableResizing = pendingInsert
+                    const enableResizing = pendingInsert || element.locked
                       ? false
                       : {
                           top: true,
@@ -2461,7 +3704,6 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                                 transformOrigin: 'center center'
                               };
                         const baseFontSize = Number.isFinite(element.fontSize) ? element.fontSize : 20;
-                        const scaledFontSize = Math.max(Math.round(baseFontSize * textScale), 10);
                         return (
                           <div
                             className="text-element-content-wrapper"
@@ -2471,7 +3713,7 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                               <div
                                 className="text-placeholder-visual"
                                 style={{
-                                  fontSize: `${scaledFontSize}px`,
+                                  fontSize: `${baseFontSize}px`,
                                   lineHeight: element.lineHeight ? String(element.lineHeight) : '1.3'
                                 }}
                               >
@@ -2481,7 +3723,6 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                             <RichTextEditor
                               element={element}
                               isSelected={isSelected}
-                              textScale={textScale}
                               onContentChange={(html, plainTextValue) => {
                                 updateElement(element.id, {
                                   text: html,
@@ -2591,6 +3832,51 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                         );
                       }
 
+                      if (element.type === 'table') {
+                        const isActiveTable = activeTableSelection?.elementId === element.id;
+                        return (
+                          <div className="table-element-content">
+                            <TableElement
+                              element={element}
+                              isSelected={isSelected && !pendingInsert}
+                              selectedRange={
+                                isSelected && isActiveTable
+                                  ? getCellRange(
+                                      element.cells,
+                                      activeTableSelection.anchor,
+                                      activeTableSelection.focus
+                                    )
+                                  : null
+                              }
+                              editingCell={isEditingTableCell ? activeTableSelection.anchor : null}
+                              onCellMouseDown={(row, col, event) =>
+                                handleTableCellMouseDown(element, row, col, event)
+                              }
+                              onCellDoubleClick={(row, col) =>
+                                selectTableCells(
+                                  element.id,
+                                  resolveCellAnchor(element.cells, row, col),
+                                  undefined,
+                                  true
+                                )
+                              }
+                              onCellChange={(row, col, html) => updateTableCell(element.id, row, col, html)}
+                              onCellEditorReady={setTableCellEditor}
+                              onCellNavigate={(direction) => navigateTableCell(element, direction)}
+                              onColumnResize={(columnWidths) => updateElement(element.id, { columnWidths })}
+                            />
+                          </div>
+                        );
+                      }
+
+                      if (isGroupElement(element)) {
+                        return (
+                          <div className="group-element-content">
+                            <SlideRenderer slide={{ content: element.children }} />
+                          </div>
+                        );
+                      }
+
                       if (element.type === 'image') {
                         return (
                           <div className="image-element-content">
@@ -2610,37 +3896,72 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                     return (
                       <Rnd
                         key={element.id}
-                        className={`slide-element-wrapper ${element.type} ${isSelected ? 'selected' : ''} ${interactingElementId === element.id ? 'interacting' : ''}`}
+                        className={`slide-element-wrapper ${element.type} ${isSelected ? 'selected' : ''} ${isMultiSelected ? 'multi-selected' : ''} ${interactingElementId === element.id ? 'interacting' : ''}`}
+                        data-element-id={element.id}
                         data-shape-element={element.type === 'shape' ? 'true' : undefined}
                         data-image-element={element.type === 'image' ? 'true' : undefined}
                         innerRef={registerElementRef(element.id)}
                         bounds="parent"
+                        scale={canvasScale}
                         size={{ width: elementWidth, height: elementHeight }}
                         position={{ x: numericX, y: numericY }}
+                        dragPositionOffset={dragSnap?.elementId === element.id ? dragSnap.offset : undefined}
                         minWidth={minWidth}
                         minHeight={minHeight}
                         lockAspectRatio={lockAspectRatio}
                         disableDragging={disableDragging}
                         enableResizing={enableResizing}
-                        style={{ zIndex: isSelected ? 2 : 1 }}
+                        cancel=".table-column-resizer"
+                        style={{
+                          zIndex: layerIndex + 1,
+                          ...(element.hidden ? { visibility: 'hidden', pointerEvents: 'none' } : {})
+                        }}
                         onMouseDown={(event) => handleElementPointerDown(event, element)}
                         onClick={handleElementClick}
                         onMouseEnter={handleWrapperEnter}
                         onMouseLeave={handleWrapperLeave}
-                        onDragStart={() => handleDragStart(element)}
+                        onDragStart={(event) => handleDragStart(element, event)}
+                        onDrag={(event, data) => handleDrag(element, data)}
                         onDragStop={(event, data) => handleDragStop(element, data)}
                         onResizeStart={() => handleResizeStart(element)}
                         onResizeStop={(event, direction, ref, delta, position) =>
                           handleResizeStop(element, direction, ref, position)
                         }
                       >
-                        {renderContent()}
+                        <div
+                          className="element-rotation-frame"
+                          style={elementRotation ? { transform: `rotate(${elementRotation}deg)` } : undefined}
+                        >
+                          {renderContent()}
+                        </div>
+                        {isSelected && !pendingInsert && !element.locked && element.type !== 'table' && (
+                          <div
+                            className="rotation-handle"
+                            title="Rotate (hold Shift to snap to 15°)"
+                            onMouseDown={(event) => handleRotationStart(event, element)}
+                            onClick={(event) => event.stopPropagation()}
+                          />
+                        )}
                         {isSelected &&
                           element.type !== 'chart' &&
                           element.type !== 'text' &&
                           element.type !== 'shape' &&
-                          element.type !== 'image' && (
+                          element.type !== 'image' &&
+                          element.type !== 'table' && (
                           <div className="element-controls">
+                            {isGroupElement(element) && (
+                              <button
+                                type="button"
+                                className="element-control-button"
+                                onMouseDown={(event) => event.stopPropagation()}
+                                onClick={(event) => {
+                                  event.stopPropagation();
+                                  ungroupElementById(element.id);
+                                }}
+                              >
+                                Ungroup
+                              </button>
+                            )}
                             <button
                               type="button"
                               className="element-control-button delete"
@@ -2657,6 +3978,84 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                     );
                   })}
 
+                  {multiSelectionBounds && (
+                    <Rnd
+                      className="slide-element-wrapper selected multi-selection-frame"
+                      style={{
+                        zIndex: overlayZIndex,
+                        visibility: multiSelectedIds.includes(interactingElementId) ? 'hidden' : 'visible'
+                      }}
+                      bounds="parent"
+                      scale={canvasScale}
+                      size={{ width: multiSelectionBounds.width, height: multiSelectionBounds.height }}
+                      position={{ x: multiSelectionBounds.x, y: multiSelectionBounds.y }}
+                      minWidth={MIN_ELEMENT_SIZE}
+                      minHeight={MIN_ELEMENT_SIZE}
+                      disableDragging
+                      enableResizing={!pendingInsert}
+                      onResizeStart={handleSelectionResizeStart}
+                      onResize={(event, direction, ref, delta, position) =>
+                        handleSelectionResize(ref, position)
+                      }
+                      onResizeStop={(event, direction, ref, delta, position) =>
+                        handleSelectionResizeStop(ref, position)
+                      }
+                    >
+                      <div className="multi-selection-actions">
+                        <span className="multi-selection-count">
+                          {multiSelectedElements.length} selected
+                        </span>
+                        <button
+                          type="button"
+                          className="element-control-button"
+                          onMouseDown={(event) => event.stopPropagation()}
+                          onClick={(event) => {
+                            event.stopPropagation();
+                            groupSelectedElements();
+                          }}
+                        >
+                          Group
+                        </button>
+                        <button
+                          type="button"
+                          className="element-control-button delete"
+                          onMouseDown={(event) => event.stopPropagation()}
+                          onClick={(event) => {
+                            event.stopPropagation();
+                            deleteSelectedElements();
+                          }}
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </Rnd>
+                  )}
+
+                  {dragSnap?.guides.map((guide) => (
+                    <div
+                      key={`${guide.orientation}-${guide.position}`}
+                      className={`smart-guide ${guide.orientation}`}
+                      style={{
+                        zIndex: overlayZIndex,
+                        ...(guide.orientation === 'vertical' ? { left: guide.position } : { top: guide.position })
+                      }}
+                    />
+                  ))}
+
+                  {marqueeRect && (
+                    <div
+                      className="selection-marquee"
+                      style={{
+                        zIndex: overlayZIndex,
+                        left: marqueeRect.x,
+                        top: marqueeRect.y,
+                        width: marqueeRect.width,
+                        height: marqueeRect.height
+                      }}
+                    />
+                  )}
+                  </div>
+
                   {selectedElement?.type === 'text' && (
                     <TextToolbar
                       element={selectedElement}
@@ -2689,6 +4088,7 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                       position={chartToolbarPosition}
                       isVisible
                       onDuplicate={() => duplicateElement(selectedElement.id)}
+                      onRotate={(id, rotation) => updateElement(id, { rotation })}
                       onChangeType={(id, type) => {
                         const currentChartData = selectedElement.chartData || {};
                         const defaultData = createDefaultChartData(type);
@@ -2717,6 +4117,30 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                     />
                   )}
 
+                  {activeTableElement && !pendingInsert && (
+                    <TableToolbar
+                      element={activeTableElement}
+                      selection={activeTableSelection}
+                      cellEditor={activeTableSelection?.isEditing ? tableCellEditor : null}
+                      position={{
+                        x: Math.min(
+                          Math.max(
+                            ((Number(activeTableElement.x) || 0) + (Number(activeTableElement.width) || 0) / 2) *
+                              canvasScale,
+                            TABLE_TOOLBAR_HALF_WIDTH
+                          ),
+                          Math.max(slideSize.width * canvasScale - TABLE_TOOLBAR_HALF_WIDTH, TABLE_TOOLBAR_HALF_WIDTH)
+                        ),
+                        y: (Number(activeTableElement.y) || 0) * canvasScale
+                      }}
+                      isVisible
+                      onUpdate={updateElement}
+                      onSelectCells={(anchor, focus) => selectTableCells(activeTableElement.id, anchor, focus)}
+                      onDuplicate={duplicateElement}
+                      onDelete={deleteElement}
+                    />
+                  )}
+
                   {imageToolbarPosition && selectedElement?.type === 'image' && (
                     <ImageToolbar
                       element={selectedElement}
@@ -2724,6 +4148,7 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                       isVisible
                       onDuplicate={() => duplicateElement(selectedElement.id)}
                       onFlip={handleFlipImage}
+                      onRotate={(id, rotation) => updateElement(id, { rotation })}
                       onDelete={() => deleteElement(selectedElement.id)}
                       onDismiss={() => {
                         setImageToolbarPosition(null);
@@ -2733,7 +4158,7 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                   )}
 
                   {pendingInsert && (
-                    <div className="insert-hint">
+                    <div className="insert-hint" style={{ zIndex: overlayZIndex }}>
                       Click on the slide to add {describeInsertTarget(pendingInsert)}.
                       {keepInsertEnabled
                         ? ' Press Esc to stop inserting.'
@@ -2763,16 +4188,144 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
                   />
                 )}
               </div>
+
+              <SpeakerNotesPane
+                slideId={currentSlide.id}
+                slideNumber={currentSlideIndex + 1}
+                notes={currentSlide.notes}
+                onChange={(html) => updateSlideNotes(currentSlide.id, html)}
+              />
+              </div>
+
+              {isLayersPanelOpen && (
+                <LayersPanel
+                  elements={currentSlide.content || []}
+                  selectedIds={multiSelectedIds.length ? multiSelectedIds : selectedElement ? [selectedElement.id] : []}
+                  onSelect={selectLayer}
+                  onMove={moveLayer}
+                  onRename={renameLayer}
+                  onToggleHidden={(elementId) => toggleLayerFlag(elementId, 'hidden')}
+                  onToggleLocked={(elementId) => toggleLayerFlag(elementId, 'locked')}
+                  onClose={() => setIsLayersPanelOpen(false)}
+                />
+              )}
+
+              {isSlidePropertiesOpen && (
+                <SlidePropertiesPanel
+                  slide={currentSlide}
+                  slideNumber={currentSlideIndex + 1}
+                  slideCount={slides.length}
+                  onTransitionChange={(transition) => updateSlideTransition(currentSlide.id, transition)}
+                  onApplyTransitionToAll={applyTransitionToAllSlides}
+                  onTimingChange={(advanceAfter) => updateSlideTiming(currentSlide.id, advanceAfter)}
+                  playbackSettings={playbackSettings}
+                  onPlaybackSettingsChange={setPlaybackSettings}
+                  slideSize={slideSize}
+                  onEditSlideSize={() => setIsSlideSizeDialogOpen(true)}
+                  onClose={() => setIsSlidePropertiesOpen(false)}
+                />
+              )}
+
+              {isAnimationsPanelOpen && (
+                <AnimationsPanel
+                  slide={currentSlide}
+                  selectedElementId={selectedElement?.id}
+                  onChange={(animations) => updateSlideAnimations(currentSlide.id, animations)}
+                  onSelect={selectLayer}
+                  onClose={() => setIsAnimationsPanelOpen(false)}
+                />
+              )}
             </main>
+
+            {isPdfDialogOpen && (
+              <PdfExportDialog
+                slideCount={slides.length}
+                currentSlideIndex={currentSlideIndex}
+                isExporting={isExportingPdf}
+                onExport={exportPdf}
+                onClose={() => setIsPdfDialogOpen(false)}
+              />
+            )}
+
+            {isImageDialogOpen && (
+              <ImageExportDialog
+                slideCount={slides.length}
+                currentSlideIndex={currentSlideIndex}
+                slideSize={slideSize}
+                isExporting={isExportingImages}
+                onExport={exportImages}
+                onClose={() => setIsImageDialogOpen(false)}
+              />
+            )}
+
+            {isVersionDialogOpen && (
+              <VersionHistoryDialog
+                versions={versions}
+                isLoading={isLoadingVersions}
+                isBusy={isVersionBusy || Boolean(deckComparison)}
+                onSave={saveVersion}
+                onRestore={restoreVersion}
+                onRestoreCopy={restoreVersionAsCopy}
+                onDelete={deleteVersion}
+                onCompare={compareVersion}
+                onLoadVersion={loadVersion}
+                onClose={() => setIsVersionDialogOpen(false)}
+              />
+            )}
+
+            {deckComparison && (
+              <DeckCompareDialog
+                base={deckComparison.base}
+                target={deckComparison.target}
+                baseLabel={deckComparison.baseLabel}
+                targetLabel={deckComparison.targetLabel}
+                slideSize={deckComparison.slideSize}
+                isBusy={isVersionBusy}
+                onApply={applyDeckComparison}
+                onClose={() => setDeckComparison(null)}
+              />
+            )}
+
+            {isSlideSizeDialogOpen && (
+              <SlideSizeDialog
+                slideSize={slideSize}
+                hasContent={slides.some((slide) => slide.content?.length)}
+                onApply={changeSlideSize}
+                onClose={() => setIsSlideSizeDialogOpen(false)}
+              />
+            )}
+
+            {rehearsalDurations && (
+              <RehearsalSummaryDialog
+                slides={slides}
+                durations={rehearsalDurations}
+                onSave={saveRehearsalTimings}
+                onDiscard={() => setRehearsalDurations(null)}
+              />
+            )}
           </div>
         ) : (
           <div className="slideshow">
             <div className="slideshow-header">
               <div className="slideshow-info">
                 <span className="slide-counter">{currentSlideIndex + 1} / {slides.length}</span>
-                <span className="slideshow-title">Presentation Mode</span>
+                {isRehearsing ? (
+                  <span className="slideshow-title rehearsal-clock" aria-live="off">
+                    Rehearsing · slide {formatDuration(getRehearsalElapsed(currentSlide.id))} · total{' '}
+                    {formatDuration(getRehearsalElapsed())}
+                  </span>
+                ) : (
+                  <span className="slideshow-title">Presentation Mode</span>
+                )}
               </div>
               <div className="slideshow-actions">
+                <button
+                  className="slideshow-btn"
+                  onClick={startPresenterView}
+                  title="Open presenter view in a new window"
+                >
+                  Presenter view
+                </button>
                 <button
                   className={`slideshow-btn ${isSlideshowPaused ? 'resume' : 'pause'}`}
                   onClick={toggleSlideshowPause}
@@ -2794,175 +4347,32 @@ const PresentationApp = ({ onExit, initialPresentationId }) => {
             </div>
             
             <div className="slideshow-content">
-              <div className="slide" style={{ backgroundColor: currentSlide.background?.color || DEFAULT_BACKGROUND }}>
-                {currentSlide.content?.map((element) => {
-                  if (element.type === 'text') {
-                    return (
-                      <div
-                        key={element.id}
-                        className="slide-element"
-                        style={{
-                          position: 'absolute',
-                          left: `${element.x}px`,
-                          top: `${element.y}px`,
-                          width: `${element.width}px`,
-                          minHeight: `${element.height}px`,
-                          padding: '8px',
-                          fontSize: `${element.fontSize}px`,
-                          color: element.color,
-                          fontFamily: element.fontFamily,
-                          textAlign: element.textAlign || 'left',
-                          fontWeight: element.bold ? 'bold' : element.fontWeight || 'normal',
-                          fontStyle: element.italic ? 'italic' : 'normal',
-                          textDecoration: element.underline ? 'underline' : 'none',
-                          lineHeight: element.lineHeight || '1.4',
-                          whiteSpace: 'pre-wrap',
-                          wordBreak: 'break-word',
-                          display: 'block',
-                          backgroundColor: 'transparent'
-                        }}
-                        dangerouslySetInnerHTML={{ __html: element.text || '' }}
-                      />
-                    );
-                  } else if (element.type === 'shape') {
-                    const getShapeStyle = () => {
-                      const baseStyle = {
-                        position: 'absolute',
-                        left: `${element.x}px`,
-                        top: `${element.y}px`,
-                        width: `${element.width}px`,
-                        height: `${element.height}px`,
-                        backgroundColor: element.color || '#3b82f6',
-                        display: 'flex',
-                        alignItems: 'center',
-                        justifyContent: 'center',
-                        color: '#ffffff',
-                        fontSize: '14px',
-                        fontWeight: '500'
-                      };
-
-                      switch (element.shape) {
-                        case 'circle':
-                          return { ...baseStyle, borderRadius: '50%' };
-                        case 'triangle':
-                          return {
-                            ...baseStyle,
-                            clipPath: 'polygon(50% 0%, 0% 100%, 100% 100%)'
-                          };
-                        case 'arrow':
-                          return {
-                            ...baseStyle,
-                            clipPath: 'polygon(0% 20%, 60% 20%, 60% 0%, 100% 50%, 60% 100%, 60% 80%, 0% 80%)'
-                          };
-                        case 'star':
-                          return {
-                            ...baseStyle,
-                            clipPath: 'polygon(50% 0%, 61% 35%, 98% 35%, 68% 57%, 79% 91%, 50% 70%, 21% 91%, 32% 57%, 2% 35%, 39% 35%)'
-                          };
-                        case 'line':
-                          return {
-                            ...baseStyle,
-                            backgroundColor: element.color || '#ffffff',
-                            borderRadius: '0',
-                            height: `${element.strokeWidth || 2}px`,
-                            width: `${element.width}px`
-                          };
-                        default:
-                          return { ...baseStyle, borderRadius: '8px' };
-                      }
-                    };
-
-                    return (
-                      <div 
-                        key={element.id}
-                        className="slide-element"
-                        style={getShapeStyle()}
-                      >
-                        {element.text && element.shape !== 'line' && element.text}
-                      </div>
-                    );
-                  } else if (element.type === 'chart') {
-                    const chartData = element.chartData || createDefaultChartData(element.chartType || 'bar');
-                    return (
-                      <div
-                        key={element.id}
-                        style={{
-                          position: 'absolute',
-                          left: `${element.x}px`,
-                          top: `${element.y}px`,
-                          width: `${element.width}px`,
-                          height: `${element.height}px`
-                        }}
-                      >
-                        <ChartComponent
-                          type={chartData.type || element.chartType || 'bar'}
-                          data={{
-                            labels: chartData.labels,
-                            datasets: (chartData.datasets || []).map((dataset, index) => ({
-                              ...dataset,
-                              color: dataset.color || getPaletteColor(index)
-                            }))
-                          }}
-                          options={{
-                            plugins: {
-                              title: {
-                                display: !!chartData.title,
-                                text: chartData.title || chartTypeLabels[chartData.type || element.chartType || 'bar']
-                              }
-                            }
-                          }}
-                        />
-                      </div>
-                    );
-                  } else if (element.type === 'image' && element.src) {
-                    return (
-                      <div
-                        key={element.id}
-                        style={{
-                          position: 'absolute',
-                          left: `${element.x}px`,
-                          top: `${element.y}px`,
-                          width: `${element.width}px`,
-                          height: `${element.height}px`,
-                          overflow: 'hidden',
-                          display: 'flex',
-                          alignItems: 'center',
-                          justifyContent: 'center',
-                          backgroundColor: '#f5f5f5',
-                          borderRadius: '4px'
-                        }}
-                      >
-                        <img
-                          src={element.src}
-                          alt=""
-                          style={{
-                            maxWidth: '100%',
-                            maxHeight: '100%',
-                            objectFit: 'contain',
-                            display: 'block'
-                          }}
-                        />
-                      </div>
-                    );
-                  }
-                  return null;
-                })}
-              </div>
+              <SlideTransitionStage
+                slides={slides}
+                currentIndex={currentSlideIndex}
+                defaultBackground={DEFAULT_BACKGROUND}
+                buildStep={buildStep}
+                animateBuild={animateBuild}
+                slideSize={slideSize}
+              />
             </div>
 
             <div className="slideshow-footer">
               <div className="slide-navigation">
                 <button 
                   className="nav-btn"
-                  onClick={() => setCurrentSlideIndex(prev => Math.max(0, prev - 1))}
-                  disabled={currentSlideIndex === 0}
+                  onClick={showPreviousBuild}
+                  disabled={currentSlideIndex === 0 && buildStep === 0}
                 >
                   ⬅️ Previous
                 </button>
                 <button 
                   className="nav-btn"
-                  onClick={() => setCurrentSlideIndex(prev => Math.min(slides.length - 1, prev + 1))}
-                  disabled={currentSlideIndex === slides.length - 1}
+                  onClick={showNextBuild}
+                  disabled={
+                    currentSlideIndex === slides.length - 1 &&
+                    buildStep >= getBuildStepCount(slides[currentSlideIndex])
+                  }
                 >
                   Next ➡️
                 </button>
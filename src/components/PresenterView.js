@@ -0,0 +1,267 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import SlideRenderer from './SlideRenderer';
+import useFitScale from '../hooks/useFitScale';
+import { normalizeSlideSize } from '../utils/slideSize';
+import { getBuildStepCount } from '../utils/slideAnimations';
+import { normalizePlaybackSettings } from '../utils/slideTimings';
+import {
+  SLIDESHOW_MESSAGES,
+  createSlideshowChannel,
+  isBroadcastChannelSupported
+} from '../utils/presenterChannel';
+import './PresenterView.css';
+
+const DEFAULT_BACKGROUND = '#ffffff';
+
+const formatElapsed = (milliseconds) => {
+  const totalSeconds = Math.max(Math.floor(milliseconds / 1000), 0);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+};
+
+const SlidePreview = ({ slide, slideSize, className = '' }) => {
+  const frameRef = useRef(null);
+  const scale = useFitScale(frameRef, slideSize.width, slideSize.height);
+
+  return (
+    <div className={`presenter-slide-frame ${className}`} ref={frameRef}>
+      {slide ? (
+        <div
+          className="presenter-slide"
+          style={{
+            width: slideSize.width * scale,
+            height: slideSize.height * scale
+          }}
+        >
+          <div
+            className="presenter-slide-canvas"
+            style={{
+              width: slideSize.width,
+              height: slideSize.height,
+              backgroundColor: slide.background?.color || DEFAULT_BACKGROUND,
+              transform: `scale(${scale})`
+            }}
+          >
+            <SlideRenderer slide={slide} />
+          </div>
+        </div>
+      ) : (
+        <div className="presenter-slide-empty">End of presentation</div>
+      )}
+    </div>
+  );
+};
+
+const PresenterView = ({ presentationId }) => {
+  const [slides, setSlides] = useState([]);
+  const [fileName, setFileName] = useState('');
+  const [slideSize, setSlideSize] = useState(() => normalizeSlideSize());
+  const [showState, setShowState] = useState(null);
+  const [hasEnded, setHasEnded] = useState(false);
+  const [now, setNow] = useState(() => Date.now());
+  const channelRef = useRef(null);
+
+  useEffect(() => {
+    const channel = createSlideshowChannel(presentationId, (message) => {
+      switch (message.type) {
+        case SLIDESHOW_MESSAGES.slides:
+          setSlides(Array.isArray(message.slides) ? message.slides : []);
+          setFileName(message.fileName || '');
+          setSlideSize(normalizeSlideSize(message.slideSize));
+          break;
+        case SLIDESHOW_MESSAGES.state:
+          setShowState({
+            index: message.index || 0,
+            buildStep: message.buildStep || 0,
+            isPaused: Boolean(message.isPaused),
+            advance: normalizePlaybackSettings({ advance: message.advance }).advance,
+            startedAt: message.startedAt || Date.now()
+          });
+          setHasEnded(false);
+          break;
+        case SLIDESHOW_MESSAGES.end:
+          setHasEnded(true);
+          break;
+        default:
+          break;
+      }
+    });
+    channelRef.current = channel;
+    channel?.post(SLIDESHOW_MESSAGES.presenterReady);
+    return () => {
+      channel?.close();
+      channelRef.current = null;
+    };
+  }, [presentationId]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    document.title = fileName ? `Presenter view – ${fileName}` : 'Presenter view';
+  }, [fileName]);
+
+  const isLive = Boolean(showState) && !hasEnded && slides.length > 0;
+  const currentIndex = Math.min(showState?.index || 0, Math.max(slides.length - 1, 0));
+  const currentSlide = slides[currentIndex] || null;
+  const nextSlide = slides[currentIndex + 1] || null;
+  const buildStep = showState?.buildStep || 0;
+  const isFirstStep = currentIndex === 0 && buildStep === 0;
+  const isLastStep = currentIndex >= slides.length - 1 && buildStep >= getBuildStepCount(currentSlide);
+
+  const goToSlide = useCallback(
+    (index) => {
+      if (!isLive) {
+        return;
+      }
+      const clamped = Math.min(Math.max(index, 0), slides.length - 1);
+      setShowState((prev) => (prev ? { ...prev, index: clamped } : prev));
+      channelRef.current?.post(SLIDESHOW_MESSAGES.goTo, { index: clamped });
+    },
+    [isLive, slides.length]
+  );
+
+  // The slideshow window owns the build state, so steps are requested rather
+  // than applied here; the `state` message that follows moves this view.
+  const showNextBuild = useCallback(() => {
+    if (isLive) {
+      channelRef.current?.post(SLIDESHOW_MESSAGES.next);
+    }
+  }, [isLive]);
+
+  const showPreviousBuild = useCallback(() => {
+    if (isLive) {
+      channelRef.current?.post(SLIDESHOW_MESSAGES.previous);
+    }
+  }, [isLive]);
+
+  const togglePause = useCallback(() => {
+    if (isLive) {
+      channelRef.current?.post(SLIDESHOW_MESSAGES.togglePause);
+    }
+  }, [isLive]);
+
+  const endShow = useCallback(() => {
+    channelRef.current?.post(SLIDESHOW_MESSAGES.end);
+    setHasEnded(true);
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (['ArrowRight', 'ArrowDown', 'PageDown', ' ', 'Enter'].includes(event.key)) {
+        event.preventDefault();
+        showNextBuild();
+      } else if (['ArrowLeft', 'ArrowUp', 'PageUp', 'Backspace'].includes(event.key)) {
+        event.preventDefault();
+        showPreviousBuild();
+      } else if (event.key === 'Home') {
+        goToSlide(0);
+      } else if (event.key === 'End') {
+        goToSlide(slides.length - 1);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [goToSlide, showNextBuild, showPreviousBuild, slides.length]);
+
+  if (!isBroadcastChannelSupported()) {
+    return (
+      <div className="presenter-view presenter-view-message">
+        <p>This browser cannot sync windows, so presenter view is unavailable.</p>
+      </div>
+    );
+  }
+
+  if (!isLive) {
+    return (
+      <div className="presenter-view presenter-view-message">
+        <h1>{hasEnded ? 'The slideshow has ended' : 'Waiting for the slideshow'}</h1>
+        <p>Start the presentation from the editor window and this console will follow along.</p>
+      </div>
+    );
+  }
+
+  const notes = currentSlide?.notes || '';
+
+  return (
+    <div className="presenter-view">
+      <header className="presenter-header">
+        <div className="presenter-title">
+          <span className="presenter-counter">
+            Slide {currentIndex + 1} of {slides.length}
+          </span>
+          {fileName && <span className="presenter-file-name">{fileName}</span>}
+        </div>
+        <div className="presenter-timers">
+          <div className="presenter-timer" title="Elapsed time">
+            <span className="presenter-timer-label">Elapsed</span>
+            <span className="presenter-timer-value">{formatElapsed(now - showState.startedAt)}</span>
+          </div>
+          <div className="presenter-timer" title="Current time">
+            <span className="presenter-timer-label">Clock</span>
+            <span className="presenter-timer-value">
+              {new Date(now).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </span>
+          </div>
+        </div>
+        <div className="presenter-actions">
+          {/* A manually advanced show has nothing to pause. */}
+          {showState.advance !== 'manual' && (
+            <button type="button" className="presenter-btn" onClick={togglePause}>
+              {showState.isPaused ? 'Resume auto-advance' : 'Pause auto-advance'}
+            </button>
+          )}
+          <button type="button" className="presenter-btn end" onClick={endShow}>
+            End show
+          </button>
+        </div>
+      </header>
+
+      <main className="presenter-body">
+        <section className="presenter-current">
+          <SlidePreview slide={currentSlide} slideSize={slideSize} />
+        </section>
+        <aside className="presenter-sidebar">
+          <div className="presenter-next">
+            <h2 className="presenter-section-title">Next</h2>
+            <SlidePreview slide={nextSlide} slideSize={slideSize} className="is-next" />
+          </div>
+          <div className="presenter-notes">
+            <h2 className="presenter-section-title">Notes</h2>
+            {notes ? (
+              <div className="presenter-notes-content" dangerouslySetInnerHTML={{ __html: notes }} />
+            ) : (
+              <p className="presenter-notes-empty">No notes for this slide.</p>
+            )}
+          </div>
+        </aside>
+      </main>
+
+      <footer className="presenter-footer">
+        <button
+          type="button"
+          className="presenter-btn"
+          onClick={showPreviousBuild}
+          disabled={isFirstStep}
+        >
+          ← Previous
+        </button>
+        <button
+          type="button"
+          className="presenter-btn primary"
+          onClick={showNextBuild}
+          disabled={isLastStep}
+        >
+          Next →
+        </button>
+      </footer>
+    </div>
+  );
+};
+
+export default PresenterView;
@@ -0,0 +1,52 @@
+import React, { useEffect } from 'react';
+import { formatDuration } from '../utils/slideTimings';
+import './RehearsalSummaryDialog.css';
+
+// Shown when a rehearsal ends; saving turns the recorded times into the
+// slides' own timings.
+const RehearsalSummaryDialog = ({ slides = [], durations = {}, onSave, onDiscard }) => {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onDiscard?.();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onDiscard]);
+
+  const total = slides.reduce((sum, slide) => sum + (durations[slide.id] || 0), 0);
+
+  return (
+    <div className="rehearsal-overlay" role="presentation">
+      <div className="rehearsal-dialog" role="dialog" aria-modal="true" aria-labelledby="rehearsal-title">
+        <div className="rehearsal-header">
+          <h4 id="rehearsal-title">Rehearsal finished</h4>
+          <p>
+            Total time <strong>{formatDuration(total)}</strong>. Save these times as slide timings?
+          </p>
+        </div>
+        <ol className="rehearsal-list">
+          {slides.map((slide, index) => (
+            <li key={slide.id} className={durations[slide.id] ? '' : 'is-skipped'}>
+              <span className="rehearsal-slide">
+                {index + 1}. {slide.title || `Slide ${index + 1}`}
+              </span>
+              <span className="rehearsal-time">{durations[slide.id] ? formatDuration(durations[slide.id]) : '—'}</span>
+            </li>
+          ))}
+        </ol>
+        <div className="rehearsal-actions">
+          <button type="button" className="rehearsal-discard" onClick={onDiscard}>
+            Discard
+          </button>
+          <button type="button" className="rehearsal-save" onClick={() => onSave?.(durations)} disabled={!total}>
+            Save timings
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RehearsalSummaryDialog;
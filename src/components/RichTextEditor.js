@@ -7,6 +7,7 @@ import Color from '@tiptap/extension-color';
 import TextAlign from '@tiptap/extension-text-align';
 import Placeholder from '@tiptap/extension-placeholder';
 import { Extension } from '@tiptap/core';
+import { getBulletStyle } from '../utils/listStyles';
 import './RichTextEditor.css';
 
 const EMPTY_PARAGRAPH = '<p></p>';
@@ -109,6 +110,36 @@ const FontFamily = Extension.create({
   },
 });
 
+// Bullet style for bullet lists. It is stored as data-bullet-style and also
+// rendered as an inline list-style-type, so saved HTML displays the same
+// marker wherever it is shown.
+const BulletStyle = Extension.create({
+  name: 'bulletStyle',
+
+  addGlobalAttributes() {
+    return [
+      {
+        types: ['bulletList'],
+        attributes: {
+          bulletStyle: {
+            default: null,
+            parseHTML: element => element.getAttribute('data-bullet-style'),
+            renderHTML: attributes => {
+              if (!attributes.bulletStyle) {
+                return {}
+              }
+              return {
+                'data-bullet-style': attributes.bulletStyle,
+                style: `list-style-type: ${getBulletStyle(attributes.bulletStyle).css}`,
+              }
+            },
+          },
+        },
+      },
+    ]
+  },
+});
+
 const RichTextEditor = React.memo(({
   element,
   isSelected,
@@ -129,6 +160,7 @@ const RichTextEditor = React.memo(({
         TextStyle,
         FontSize,
         FontFamily,
+        BulletStyle,
         Underline,
         TextAlign.configure({
           defaultAlignment: 'left',
@@ -0,0 +1,58 @@
+import React, { useEffect, useState } from 'react';
+import { normalizeRotation } from '../utils/elementLayout';
+import './RotationInput.css';
+
+const RotationInput = ({ value = 0, onChange }) => {
+  const currentValue = normalizeRotation(value);
+  const [draft, setDraft] = useState(String(currentValue));
+
+  useEffect(() => {
+    setDraft(String(currentValue));
+  }, [currentValue]);
+
+  const commit = () => {
+    const parsed = Number(draft);
+    if (draft.trim() === '' || !Number.isFinite(parsed)) {
+      setDraft(String(currentValue));
+      return;
+    }
+    const next = normalizeRotation(parsed);
+    setDraft(String(next));
+    if (next !== currentValue) {
+      onChange?.(next);
+    }
+  };
+
+  return (
+    <label
+      className="rotation-input"
+      title="Rotation in degrees"
+      onMouseDown={(event) => event.stopPropagation()}
+      onClick={(event) => event.stopPropagation()}
+    >
+      <span className="rotation-input-icon" aria-hidden="true">⟳</span>
+      <input
+        type="number"
+        min="0"
+        max="359"
+        step="1"
+        value={draft}
+        onChange={(event) => setDraft(event.target.value)}
+        onBlur={commit}
+        onKeyDown={(event) => {
+          // Keep arrow keys and shortcuts from reaching the slide editor.
+          event.stopPropagation();
+          if (event.key === 'Enter') {
+            commit();
+          } else if (event.key === 'Escape') {
+            setDraft(String(currentValue));
+          }
+        }}
+        aria-label="Rotation in degrees"
+      />
+      <span className="rotation-input-unit" aria-hidden="true">°</span>
+    </label>
+  );
+};
+
+export default RotationInput;
@@ -1,4 +1,5 @@
 import React, { useEffect, useMemo, useState } from 'react';
+import RotationInput from './RotationInput';
 import './ShapeToolbar.css';
 
 const SHAPE_OPTIONS = [
@@ -126,6 +127,11 @@ const ShapeToolbar = ({
           aria-label="Choose shape color"
         />
 
+        <RotationInput
+          value={element.rotation}
+          onChange={(rotation) => applyUpdate({ rotation })}
+        />
+
         <button
           type="button"
           className="shape-toolbar-duplicate"
@@ -154,6 +160,7 @@ export default React.memo(ShapeToolbar, (prevProps, nextProps) => {
     prevProps.element?.id === nextProps.element?.id &&
     prevProps.element?.shape === nextProps.element?.shape &&
     prevProps.element?.color === nextProps.element?.color &&
+    prevProps.element?.rotation === nextProps.element?.rotation &&
     prevProps.position?.x === nextProps.position?.x &&
     prevProps.position?.y === nextProps.position?.y &&
     prevProps.isVisible === nextProps.isVisible
@@ -1,6 +1,7 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import './SlidePanel.css';
 import { SLIDE_LAYOUTS, DEFAULT_LAYOUT_ID } from '../data/slideLayouts';
+import { DEFAULT_SLIDE_SIZE } from '../utils/slideSize';
 
 const CHART_PREVIEW_COLORS = [
   '#3b82f6',
@@ -33,8 +34,6 @@ const ensureNumber = (value) => {
   return Number.isFinite(numeric) ? numeric : 0;
 };
 
-const SLIDE_BASE_WIDTH = 960;
-const SLIDE_BASE_HEIGHT = 540;
 const THUMBNAIL_WIDTH_DEFAULT = 200;
 const getThumbnailWidthForViewport = (width) => {
   if (!Number.isFinite(width)) {
@@ -123,7 +122,8 @@ const SlidePanel = ({
   addSlide,
   deleteSlide,
   moveSlide,
-  thumbnails = {}
+  thumbnails = {},
+  slideSize = DEFAULT_SLIDE_SIZE
 }) => {
   const [isLayoutPickerOpen, setIsLayoutPickerOpen] = useState(false);
   const [layoutInsertIndex, setLayoutInsertIndex] = useState(null);
@@ -139,11 +139,11 @@ const SlidePanel = ({
   });
   const [thumbnailWidth, setThumbnailWidth] = useState(() => getThumbnailWidthForViewport(viewportWidth));
   const thumbnailHeight = useMemo(
-    () => Math.round((SLIDE_BASE_HEIGHT / SLIDE_BASE_WIDTH) * thumbnailWidth),
-    [thumbnailWidth]
+    () => Math.round((slideSize.height / slideSize.width) * thumbnailWidth),
+    [slideSize, thumbnailWidth]
   );
-  const scaleX = useMemo(() => thumbnailWidth / SLIDE_BASE_WIDTH, [thumbnailWidth]);
-  const scaleY = useMemo(() => thumbnailHeight / SLIDE_BASE_HEIGHT, [thumbnailHeight]);
+  const scaleX = useMemo(() => thumbnailWidth / slideSize.width, [slideSize, thumbnailWidth]);
+  const scaleY = useMemo(() => thumbnailHeight / slideSize.height, [slideSize, thumbnailHeight]);
 
   useEffect(() => {
     if (typeof window === 'undefined') {
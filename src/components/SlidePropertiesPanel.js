@@ -0,0 +1,147 @@
+import React from 'react';
+import {
+  MAX_TRANSITION_DURATION,
+  MIN_TRANSITION_DURATION,
+  TRANSITION_TYPES,
+  clampTransitionDuration,
+  getSlideTransition
+} from '../utils/slideTransitions';
+import {
+  ADVANCE_MODES,
+  DEFAULT_SLIDE_DURATION,
+  MAX_SLIDE_DURATION,
+  MIN_SLIDE_DURATION,
+  clampSlideDuration
+} from '../utils/slideTimings';
+import { SLIDE_SIZE_PRESETS, formatSlideSize } from '../utils/slideSize';
+import './SlidePropertiesPanel.css';
+
+const SlidePropertiesPanel = ({
+  slide,
+  slideNumber,
+  slideCount = 1,
+  onTransitionChange,
+  onApplyTransitionToAll,
+  onTimingChange,
+  playbackSettings,
+  onPlaybackSettingsChange,
+  slideSize,
+  onEditSlideSize,
+  onClose
+}) => {
+  if (!slide) {
+    return null;
+  }
+
+  const transition = getSlideTransition(slide);
+  const hasTransition = transition.type !== 'none';
+
+  return (
+    <aside className="slide-properties-panel" aria-label="Slide properties">
+      <div className="slide-properties-header">
+        <span className="slide-properties-title">Slide {slideNumber}</span>
+        <button
+          type="button"
+          className="slide-properties-close"
+          onClick={onClose}
+          aria-label="Close slide properties"
+        >
+          ×
+        </button>
+      </div>
+
+      <section className="slide-properties-section">
+        <span className="slide-properties-section-title">Transition</span>
+        <label className="slide-properties-field">
+          <span>Effect</span>
+          <select
+            value={transition.type}
+            onChange={(event) => onTransitionChange?.({ ...transition, type: event.target.value })}
+          >
+            {TRANSITION_TYPES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="slide-properties-field">
+          <span>Duration (s)</span>
+          <input
+            type="number"
+            min={MIN_TRANSITION_DURATION / 1000}
+            max={MAX_TRANSITION_DURATION / 1000}
+            step={0.1}
+            value={transition.duration / 1000}
+            disabled={!hasTransition}
+            onChange={(event) =>
+              onTransitionChange?.({
+                ...transition,
+                duration: clampTransitionDuration(Number(event.target.value) * 1000)
+              })
+            }
+          />
+        </label>
+        <button
+          type="button"
+          className="slide-properties-action"
+          disabled={slideCount < 2}
+          onClick={() => onApplyTransitionToAll?.(transition)}
+        >
+          Apply to all slides
+        </button>
+      </section>
+
+      <section className="slide-properties-section">
+        <span className="slide-properties-section-title">Timing</span>
+        <label className="slide-properties-field">
+          <span>Advance after (s)</span>
+          <input
+            type="number"
+            min={MIN_SLIDE_DURATION / 1000}
+            max={MAX_SLIDE_DURATION / 1000}
+            step={0.5}
+            placeholder={String(DEFAULT_SLIDE_DURATION / 1000)}
+            value={slide.advanceAfter ? slide.advanceAfter / 1000 : ''}
+            onChange={(event) =>
+              onTimingChange?.(
+                event.target.value === '' ? undefined : clampSlideDuration(Number(event.target.value) * 1000)
+              )
+            }
+          />
+        </label>
+        <label className="slide-properties-field">
+          <span>Slideshow advance</span>
+          <select
+            value={playbackSettings?.advance}
+            onChange={(event) => onPlaybackSettingsChange?.({ ...playbackSettings, advance: event.target.value })}
+          >
+            {ADVANCE_MODES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {playbackSettings?.advance === 'manual' && (
+          <p className="slide-properties-hint">Slide timings are ignored while the slideshow advances manually.</p>
+        )}
+      </section>
+
+      {slideSize && (
+        <section className="slide-properties-section">
+          <span className="slide-properties-section-title">Slide size</span>
+          <p className="slide-properties-hint">
+            {SLIDE_SIZE_PRESETS.find((option) => option.value === slideSize.preset)?.label} ·{' '}
+            {formatSlideSize(slideSize)}
+          </p>
+          <button type="button" className="slide-properties-action" onClick={onEditSlideSize}>
+            Change slide size…
+          </button>
+        </section>
+      )}
+    </aside>
+  );
+};
+
+export default SlidePropertiesPanel;
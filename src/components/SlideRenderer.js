@@ -0,0 +1,257 @@
+import React from 'react';
+import ChartComponent from './ChartComponent';
+import TableElement from './TableElement';
+import { chartTypeLabels, createDefaultChartData, getPaletteColor } from '../data/chartDefaults';
+import './SlideRenderer.css';
+
+const rotationStyle = (element) =>
+  element.rotation ? { transform: `rotate(${element.rotation}deg)` } : {};
+
+// Animated elements render inside a box at their own position, so build
+// effects move, clip and scale the element as a whole.
+const renderBuild = (element, build) => {
+  if (build.hidden) {
+    return null;
+  }
+  const { animation } = build;
+  return (
+    <div
+      key={animation ? `${element.id}-${animation.id}` : element.id}
+      className={`slide-build${animation ? ` build-${animation.kind} build-${animation.effect}` : ''}`}
+      style={{
+        position: 'absolute',
+        left: `${element.x}px`,
+        top: `${element.y}px`,
+        width: `${element.width}px`,
+        height: `${element.height}px`,
+        ...(animation
+          ? { animationDuration: `${animation.duration}ms`, animationDelay: `${animation.delay}ms` }
+          : {})
+      }}
+    >
+      <SlideRenderer slide={{ content: [{ ...element, x: 0, y: 0 }] }} />
+    </div>
+  );
+};
+
+// Read-only rendering of a slide's elements at canvas coordinates, shared by the
+// slideshow, the presenter console and the HTML export. `builds` maps element
+// ids to their slideshow build state (see getBuildState); `chartImages` maps
+// chart ids to pre-rendered images that replace the live chart.
+const SlideRenderer = ({ slide, builds, chartImages }) => (
+  <>
+    {slide?.content?.map((element) => {
+      if (element.hidden) {
+        return null;
+      }
+      if (builds?.[element.id]) {
+        return renderBuild(element, builds[element.id]);
+      }
+      if (element.type === 'group') {
+        return (
+          <div
+            key={element.id}
+            style={{
+              position: 'absolute',
+              left: `${element.x}px`,
+              top: `${element.y}px`,
+              width: `${element.width}px`,
+              height: `${element.height}px`,
+              ...rotationStyle(element)
+            }}
+          >
+            <SlideRenderer slide={{ content: element.children }} chartImages={chartImages} />
+          </div>
+        );
+      }
+      if (element.type === 'table') {
+        return (
+          <div
+            key={element.id}
+            style={{
+              position: 'absolute',
+              left: `${element.x}px`,
+              top: `${element.y}px`,
+              width: `${element.width}px`,
+              height: `${element.height}px`
+            }}
+          >
+            <TableElement element={element} />
+          </div>
+        );
+      }
+      if (element.type === 'text') {
+        return (
+          <div
+            key={element.id}
+            className="slide-element slide-text"
+            style={{
+              position: 'absolute',
+              left: `${element.x}px`,
+              top: `${element.y}px`,
+              width: `${element.width}px`,
+              minHeight: `${element.height}px`,
+              padding: '8px',
+              fontSize: `${element.fontSize}px`,
+              color: element.color,
+              fontFamily: element.fontFamily,
+              textAlign: element.textAlign || 'left',
+              fontWeight: element.bold ? 'bold' : element.fontWeight || 'normal',
+              fontStyle: element.italic ? 'italic' : 'normal',
+              textDecoration: element.underline ? 'underline' : 'none',
+              lineHeight: element.lineHeight || '1.4',
+              whiteSpace: 'pre-wrap',
+              wordBreak: 'break-word',
+              display: 'block',
+              backgroundColor: 'transparent',
+              ...rotationStyle(element)
+            }}
+            dangerouslySetInnerHTML={{ __html: element.text || '' }}
+          />
+        );
+      } else if (element.type === 'shape') {
+        const getShapeStyle = () => {
+          const baseStyle = {
+            position: 'absolute',
+            left: `${element.x}px`,
+            top: `${element.y}px`,
+            width: `${element.width}px`,
+            height: `${element.height}px`,
+            backgroundColor: element.color || '#3b82f6',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            color: '#ffffff',
+            fontSize: '14px',
+            fontWeight: '500',
+            ...rotationStyle(element)
+          };
+
+          switch (element.shape) {
+            case 'circle':
+              return { ...baseStyle, borderRadius: '50%' };
+            case 'triangle':
+              return {
+                ...baseStyle,
+                clipPath: 'polygon(50% 0%, 0% 100%, 100% 100%)'
+              };
+            case 'arrow':
+              return {
+                ...baseStyle,
+                clipPath: 'polygon(0% 20%, 60% 20%, 60% 0%, 100% 50%, 60% 100%, 60% 80%, 0% 80%)'
+              };
+            case 'star':
+              return {
+                ...baseStyle,
+                clipPath: 'polygon(50% 0%, 61% 35%, 98% 35%, 68% 57%, 79% 91%, 50% 70%, 21% 91%, 32% 57%, 2% 35%, 39% 35%)'
+              };
+            case 'line':
+              return {
+                ...baseStyle,
+                backgroundColor: element.color || '#ffffff',
+                borderRadius: '0',
+                height: `${element.strokeWidth || 2}px`,
+                width: `${element.width}px`
+              };
+            default:
+              return { ...baseStyle, borderRadius: '8px' };
+          }
+        };
+
+        return (
+          <div 
+            key={element.id}
+            className="slide-element"
+            style={getShapeStyle()}
+          >
+            {element.text && element.shape !== 'line' && element.text}
+          </div>
+        );
+      } else if (element.type === 'chart' && chartImages?.[element.id]) {
+        return (
+          <img
+            key={element.id}
+            src={chartImages[element.id]}
+            alt=""
+            style={{
+              position: 'absolute',
+              left: `${element.x}px`,
+              top: `${element.y}px`,
+              width: `${element.width}px`,
+              height: `${element.height}px`,
+              ...rotationStyle(element)
+            }}
+          />
+        );
+      } else if (element.type === 'chart') {
+        const chartData = element.chartData || createDefaultChartData(element.chartType || 'bar');
+        return (
+          <div
+            key={element.id}
+            style={{
+              position: 'absolute',
+              left: `${element.x}px`,
+              top: `${element.y}px`,
+              width: `${element.width}px`,
+              height: `${element.height}px`,
+              ...rotationStyle(element)
+            }}
+          >
+            <ChartComponent
+              type={chartData.type || element.chartType || 'bar'}
+              data={{
+                labels: chartData.labels,
+                datasets: (chartData.datasets || []).map((dataset, index) => ({
+                  ...dataset,
+                  color: dataset.color || getPaletteColor(index)
+                }))
+              }}
+              options={{
+                plugins: {
+                  title: {
+                    display: !!chartData.title,
+                    text: chartData.title || chartTypeLabels[chartData.type || element.chartType || 'bar']
+                  }
+                }
+              }}
+            />
+          </div>
+        );
+      } else if (element.type === 'image' && element.src) {
+        return (
+          <div
+            key={element.id}
+            style={{
+              position: 'absolute',
+              left: `${element.x}px`,
+              top: `${element.y}px`,
+              width: `${element.width}px`,
+              height: `${element.height}px`,
+              overflow: 'hidden',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              backgroundColor: '#f5f5f5',
+              borderRadius: '4px',
+              ...rotationStyle(element)
+            }}
+          >
+            <img
+              src={element.src}
+              alt=""
+              style={{
+                maxWidth: '100%',
+                maxHeight: '100%',
+                objectFit: 'contain',
+                display: 'block'
+              }}
+            />
+          </div>
+        );
+      }
+      return null;
+    })}
+  </>
+);
+
+export default SlideRenderer;
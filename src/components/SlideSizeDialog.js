@@ -0,0 +1,164 @@
+import React, { useEffect, useState } from 'react';
+import {
+  MAX_SLIDE_DIMENSION,
+  MIN_SLIDE_DIMENSION,
+  PIXELS_PER_INCH,
+  SLIDE_RESIZE_MODES,
+  SLIDE_SIZE_PRESETS,
+  formatSlideSize,
+  isSameSlideSize,
+  normalizeSlideSize
+} from '../utils/slideSize';
+import './SlideSizeDialog.css';
+
+const toInches = (pixels) => Number((pixels / PIXELS_PER_INCH).toFixed(2));
+
+const SlideSizeDialog = ({ slideSize, hasContent = false, onApply, onClose }) => {
+  const [preset, setPreset] = useState(slideSize.preset);
+  const [customWidth, setCustomWidth] = useState(toInches(slideSize.width));
+  const [customHeight, setCustomHeight] = useState(toInches(slideSize.height));
+  const [mode, setMode] = useState(SLIDE_RESIZE_MODES[0].value);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        onClose?.();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const nextSize = normalizeSlideSize(
+    preset === 'custom'
+      ? {
+          preset,
+          width: Number(customWidth) * PIXELS_PER_INCH,
+          height: Number(customHeight) * PIXELS_PER_INCH
+        }
+      : { preset }
+  );
+  const isChanged = !isSameSlideSize(nextSize, slideSize);
+
+  const handlePresetChange = (value) => {
+    setPreset(value);
+    const option = SLIDE_SIZE_PRESETS.find((item) => item.value === value);
+    if (option?.width) {
+      setCustomWidth(toInches(option.width));
+      setCustomHeight(toInches(option.height));
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!isChanged) {
+      onClose?.();
+      return;
+    }
+    onApply?.(nextSize, hasContent ? mode : 'none');
+  };
+
+  // Keeps editor shortcuts (arrow keys switch slides) from firing while typing in the form.
+  const handleFormKeyDown = (event) => {
+    event.stopPropagation();
+    if (event.key === 'Escape') {
+      onClose?.();
+    }
+  };
+
+  const handleOverlayClick = (event) => {
+    if (event.target === event.currentTarget) {
+      onClose?.();
+    }
+  };
+
+  return (
+    <div className="slide-size-overlay" onClick={handleOverlayClick} role="presentation">
+      <form
+        className="slide-size-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="slide-size-title"
+        onSubmit={handleSubmit}
+        onKeyDown={handleFormKeyDown}
+      >
+        <div className="slide-size-header">
+          <h4 id="slide-size-title">Slide size</h4>
+        </div>
+
+        <fieldset className="slide-size-section">
+          <legend>Size</legend>
+          <select
+            className="slide-size-select"
+            value={preset}
+            onChange={(event) => handlePresetChange(event.target.value)}
+            aria-label="Slide size"
+          >
+            {SLIDE_SIZE_PRESETS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          {preset === 'custom' && (
+            <div className="slide-size-custom">
+              <label>
+                Width (in)
+                <input
+                  type="number"
+                  className="slide-size-number"
+                  min={MIN_SLIDE_DIMENSION / PIXELS_PER_INCH}
+                  max={MAX_SLIDE_DIMENSION / PIXELS_PER_INCH}
+                  step={0.01}
+                  value={customWidth}
+                  onChange={(event) => setCustomWidth(event.target.value)}
+                />
+              </label>
+              <label>
+                Height (in)
+                <input
+                  type="number"
+                  className="slide-size-number"
+                  min={MIN_SLIDE_DIMENSION / PIXELS_PER_INCH}
+                  max={MAX_SLIDE_DIMENSION / PIXELS_PER_INCH}
+                  step={0.01}
+                  value={customHeight}
+                  onChange={(event) => setCustomHeight(event.target.value)}
+                />
+              </label>
+            </div>
+          )}
+          <p className="slide-size-hint">{formatSlideSize(nextSize)}</p>
+        </fieldset>
+
+        {hasContent && isChanged && (
+          <fieldset className="slide-size-section">
+            <legend>Existing content</legend>
+            {SLIDE_RESIZE_MODES.map((option) => (
+              <label key={option.value} className="slide-size-option">
+                <input
+                  type="radio"
+                  name="slide-resize-mode"
+                  checked={mode === option.value}
+                  onChange={() => setMode(option.value)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </fieldset>
+        )}
+
+        <div className="slide-size-actions">
+          <button type="button" className="slide-size-cancel" onClick={onClose}>
+            Cancel
+          </button>
+          <button type="submit" className="slide-size-submit">
+            Apply
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default SlideSizeDialog;
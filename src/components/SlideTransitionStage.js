@@ -0,0 +1,104 @@
+import React, { useLayoutEffect, useRef, useState } from 'react';
+import SlideRenderer from './SlideRenderer';
+import useFitScale from '../hooks/useFitScale';
+import { DEFAULT_SLIDE_SIZE } from '../utils/slideSize';
+import { getSlideTransition } from '../utils/slideTransitions';
+import { getBuildState } from '../utils/slideAnimations';
+import './SlideTransitionStage.css';
+
+// Shows the current slideshow slide and, while a transition plays, the slide
+// it replaces underneath. The entering slide's transition is used in both
+// directions; push and wipe mirror when moving backwards. `buildStep` is the
+// current slide's build step; the outgoing slide leaves fully built. Slides
+// are drawn at their native size and scaled to fit the stage.
+const SlideTransitionStage = ({
+  slides,
+  currentIndex,
+  defaultBackground,
+  buildStep = 0,
+  animateBuild = true,
+  slideSize = DEFAULT_SLIDE_SIZE
+}) => {
+  const slide = slides[currentIndex];
+  const stageRef = useRef(null);
+  const previousRef = useRef({ index: currentIndex, slide });
+  const [outgoing, setOutgoing] = useState(null);
+  const scale = useFitScale(stageRef, slideSize.width, slideSize.height);
+
+  useLayoutEffect(() => {
+    const previous = previousRef.current;
+    previousRef.current = { index: currentIndex, slide: slides[currentIndex] };
+    if (previous.index === currentIndex) {
+      return;
+    }
+    const transition = getSlideTransition(slides[currentIndex]);
+    if (transition.type === 'none' || !previous.slide) {
+      setOutgoing(null);
+      return;
+    }
+    setOutgoing({
+      slide: previous.slide,
+      transition,
+      direction: currentIndex > previous.index ? 'forward' : 'backward',
+      key: `${previous.slide.id}-${Date.now()}`
+    });
+  }, [currentIndex, slides]);
+
+  if (!slide) {
+    return null;
+  }
+
+  const renderSlide = (target, builds) => (
+    <div
+      className="slide"
+      style={{
+        width: slideSize.width * scale,
+        height: slideSize.height * scale,
+        backgroundColor: target.background?.color || defaultBackground
+      }}
+    >
+      <div
+        className="slide-transition-canvas"
+        style={{ width: slideSize.width, height: slideSize.height, transform: `scale(${scale})` }}
+      >
+        <SlideRenderer slide={target} builds={builds} />
+      </div>
+    </div>
+  );
+
+  const animation = outgoing
+    ? {
+        className: `transition-${outgoing.transition.type} is-${outgoing.direction}`,
+        style: { animationDuration: `${outgoing.transition.duration}ms` }
+      }
+    : null;
+
+  return (
+    <div className={`slide-transition-stage${outgoing ? ' is-transitioning' : ''}`} ref={stageRef}>
+      {outgoing && (
+        <div
+          key={outgoing.key}
+          className={`slide-transition-layer is-outgoing ${animation.className}`}
+          style={animation.style}
+          aria-hidden="true"
+        >
+          {renderSlide(outgoing.slide, getBuildState(outgoing.slide, Infinity, { animate: false }))}
+        </div>
+      )}
+      <div
+        key={slide.id}
+        className={`slide-transition-layer${outgoing ? ` is-incoming ${animation.className}` : ''}`}
+        style={animation?.style}
+        onAnimationEnd={(event) => {
+          if (event.target === event.currentTarget) {
+            setOutgoing(null);
+          }
+        }}
+      >
+        {renderSlide(slide, getBuildState(slide, buildStep, { animate: animateBuild }))}
+      </div>
+    </div>
+  );
+};
+
+export default SlideTransitionStage;
@@ -0,0 +1,123 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { EditorContent, useEditor } from '@tiptap/react';
+import StarterKit from '@tiptap/starter-kit';
+import Underline from '@tiptap/extension-underline';
+import Placeholder from '@tiptap/extension-placeholder';
+import './SpeakerNotesPane.css';
+
+const EMPTY_PARAGRAPH = '<p></p>';
+
+const FORMAT_BUTTONS = [
+  { id: 'bold', label: 'B', title: 'Bold', command: (chain) => chain.toggleBold() },
+  { id: 'italic', label: 'I', title: 'Italic', command: (chain) => chain.toggleItalic() },
+  { id: 'underline', label: 'U', title: 'Underline', command: (chain) => chain.toggleUnderline() },
+  { id: 'bulletList', label: '•', title: 'Bulleted list', command: (chain) => chain.toggleBulletList() },
+  { id: 'orderedList', label: '1.', title: 'Numbered list', command: (chain) => chain.toggleOrderedList() }
+];
+
+const SpeakerNotesPane = ({ slideId, slideNumber, notes = '', onChange }) => {
+  const [isCollapsed, setIsCollapsed] = useState(false);
+  const [, forceUpdate] = useState(0);
+  const lastSyncedNotesRef = useRef(notes || '');
+
+  const editor = useEditor(
+    {
+      extensions: [
+        StarterKit.configure({
+          heading: false,
+          codeBlock: false,
+          horizontalRule: false
+        }),
+        Underline,
+        Placeholder.configure({ placeholder: 'Click to add speaker notes' })
+      ],
+      content: notes || EMPTY_PARAGRAPH,
+      editorProps: {
+        attributes: {
+          class: 'speaker-notes-content',
+          'aria-label': 'Speaker notes'
+        }
+      },
+      onUpdate: ({ editor: activeEditor }) => {
+        const html = activeEditor.isEmpty ? '' : activeEditor.getHTML();
+        if (html === lastSyncedNotesRef.current) {
+          return;
+        }
+        lastSyncedNotesRef.current = html;
+        onChange?.(html);
+      }
+    },
+    [slideId]
+  );
+
+  useEffect(() => {
+    if (!editor) {
+      return undefined;
+    }
+    const handleTransaction = () => forceUpdate((tick) => tick + 1);
+    editor.on('transaction', handleTransaction);
+    return () => editor.off('transaction', handleTransaction);
+  }, [editor]);
+
+  // Undo/redo restores slides wholesale, so external notes changes are pulled back in.
+  useEffect(() => {
+    if (!editor) {
+      return;
+    }
+    const nextNotes = notes || '';
+    if (nextNotes === lastSyncedNotesRef.current) {
+      return;
+    }
+    lastSyncedNotesRef.current = nextNotes;
+    editor.commands.setContent(nextNotes || EMPTY_PARAGRAPH, false);
+  }, [editor, notes]);
+
+  // Arrow keys and undo belong to the notes editor while it has focus.
+  const handleKeyDown = (event) => {
+    const isSaveShortcut = (event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 's';
+    if (!isSaveShortcut) {
+      event.stopPropagation();
+    }
+  };
+
+  return (
+    <section className={`speaker-notes-pane${isCollapsed ? ' is-collapsed' : ''}`}>
+      <div className="speaker-notes-header">
+        <button
+          type="button"
+          className="speaker-notes-toggle"
+          onClick={() => setIsCollapsed((prev) => !prev)}
+          aria-expanded={!isCollapsed}
+        >
+          <span className="speaker-notes-caret">{isCollapsed ? '▸' : '▾'}</span>
+          Notes
+          {slideNumber ? <span className="speaker-notes-slide">Slide {slideNumber}</span> : null}
+        </button>
+        {!isCollapsed && (
+          <div className="speaker-notes-format" role="toolbar" aria-label="Notes formatting">
+            {FORMAT_BUTTONS.map((button) => (
+              <button
+                key={button.id}
+                type="button"
+                className={`speaker-notes-format-btn${editor?.isActive(button.id) ? ' active' : ''}`}
+                title={button.title}
+                onMouseDown={(event) => event.preventDefault()}
+                onClick={() => editor && button.command(editor.chain().focus()).run()}
+                disabled={!editor}
+              >
+                {button.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {!isCollapsed && (
+        <div className="speaker-notes-body" onKeyDown={handleKeyDown}>
+          <EditorContent editor={editor} />
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default SpeakerNotesPane;
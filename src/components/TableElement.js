@@ -0,0 +1,175 @@
+import React, { useEffect, useRef, useState } from 'react';
+import RichTextEditor from './RichTextEditor';
+import {
+  getColumnFractions,
+  getCoveredCells,
+  getRowFill,
+  getTableColors,
+  resizeColumn
+} from '../utils/tableModel';
+import './TableElement.css';
+
+const isCellInRange = (range, row, col) =>
+  Boolean(range) && row >= range.top && row <= range.bottom && col >= range.left && col <= range.right;
+
+// Renders a table element. Without handlers it is a read-only rendering for the
+// slideshow; in the editor only the cell being edited mounts a rich text editor.
+const TableElement = ({
+  element,
+  isSelected = false,
+  selectedRange = null,
+  editingCell = null,
+  textScale = 1,
+  onCellMouseDown,
+  onCellDoubleClick,
+  onCellChange,
+  onCellEditorReady,
+  onCellNavigate,
+  onColumnResize
+}) => {
+  const tableRef = useRef(null);
+  const [draftFractions, setDraftFractions] = useState(null);
+  const fractions = draftFractions || getColumnFractions(element);
+  const covered = getCoveredCells(element.cells || []);
+  const colors = getTableColors(element);
+  const fontSize = Math.max(Math.round((Number(element.fontSize) || 16) * textScale), 8);
+
+  useEffect(() => {
+    setDraftFractions(null);
+  }, [element.columnWidths]);
+
+  const handleResizeStart = (event, index) => {
+    event.preventDefault();
+    event.stopPropagation();
+    // Measured on screen so the drag distance matches however the slide is scaled.
+    const tableWidth = tableRef.current?.getBoundingClientRect().width || Number(element.width) || 1;
+    const startX = event.clientX;
+    const startFractions = getColumnFractions(element);
+    let latest = startFractions;
+
+    const handleMouseMove = (moveEvent) => {
+      latest = resizeColumn(startFractions, index, (moveEvent.clientX - startX) / tableWidth);
+      setDraftFractions(latest);
+    };
+    const handleMouseUp = () => {
+      window.removeEventListener('mousemove', handleMouseMove);
+      window.removeEventListener('mouseup', handleMouseUp);
+      if (latest !== startFractions) {
+        onColumnResize?.(latest.map((value) => Math.round(value * 10000) / 10000));
+      } else {
+        setDraftFractions(null);
+      }
+    };
+    window.addEventListener('mousemove', handleMouseMove);
+    window.addEventListener('mouseup', handleMouseUp);
+  };
+
+  const renderCell = (cell, rowIndex, colIndex) => {
+    if (covered.has(`${rowIndex}:${colIndex}`)) {
+      return null;
+    }
+    const isHeader = Boolean(element.headerRow) && rowIndex === 0;
+    const isEditing = editingCell?.row === rowIndex && editingCell?.col === colIndex;
+    const CellTag = isHeader ? 'th' : 'td';
+    const classes = [
+      'table-cell',
+      isCellInRange(selectedRange, rowIndex, colIndex) ? 'is-selected' : '',
+      isEditing ? 'is-editing' : ''
+    ]
+      .filter(Boolean)
+      .join(' ');
+    const textColor = isHeader ? colors.headerText : colors.text;
+
+    return (
+      <CellTag
+        key={colIndex}
+        className={classes}
+        rowSpan={cell.rowSpan || undefined}
+        colSpan={cell.colSpan || undefined}
+        style={{
+          backgroundColor: getRowFill(element, rowIndex) || 'transparent',
+          borderColor: colors.border,
+          color: textColor,
+          fontWeight: isHeader ? 700 : 400
+        }}
+        onMouseDown={(event) => {
+          if (isEditing) {
+            event.stopPropagation();
+            return;
+          }
+          onCellMouseDown?.(rowIndex, colIndex, event);
+        }}
+        onDoubleClick={() => onCellDoubleClick?.(rowIndex, colIndex)}
+        onKeyDown={(event) => {
+          if (!isEditing) {
+            return;
+          }
+          // Arrow keys and undo belong to the cell editor while it has focus.
+          if (!((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 's')) {
+            event.stopPropagation();
+          }
+          if (event.key === 'Tab') {
+            event.preventDefault();
+            onCellNavigate?.(event.shiftKey ? -1 : 1);
+          } else if (event.key === 'Escape') {
+            onCellNavigate?.(0);
+          }
+        }}
+      >
+        {isEditing ? (
+          <RichTextEditor
+            element={{
+              id: `${element.id}:${rowIndex}:${colIndex}`,
+              text: cell.text,
+              fontSize: element.fontSize || 16,
+              fontFamily: element.fontFamily,
+              color: textColor,
+              bold: isHeader
+            }}
+            isSelected
+            textScale={textScale}
+            placeholder=""
+            onContentChange={(html) => onCellChange?.(rowIndex, colIndex, html)}
+            onEditorReady={onCellEditorReady}
+          />
+        ) : (
+          <div className="table-cell-text" dangerouslySetInnerHTML={{ __html: cell.text || '' }} />
+        )}
+      </CellTag>
+    );
+  };
+
+  let offset = 0;
+  return (
+    <div className="table-element" style={{ fontSize: `${fontSize}px`, fontFamily: element.fontFamily }}>
+      <table ref={tableRef} style={{ borderColor: colors.border }}>
+        <colgroup>
+          {fractions.map((fraction, index) => (
+            <col key={index} style={{ width: `${fraction * 100}%` }} />
+          ))}
+        </colgroup>
+        <tbody>
+          {(element.cells || []).map((row, rowIndex) => (
+            <tr key={rowIndex}>{row.map((cell, colIndex) => renderCell(cell, rowIndex, colIndex))}</tr>
+          ))}
+        </tbody>
+      </table>
+      {isSelected &&
+        onColumnResize &&
+        fractions.slice(0, -1).map((fraction, index) => {
+          offset += fraction;
+          return (
+            <div
+              key={index}
+              className="table-column-resizer"
+              style={{ left: `${offset * 100}%` }}
+              onMouseDown={(event) => handleResizeStart(event, index)}
+              title="Drag to resize columns"
+            />
+          );
+        })}
+    </div>
+  );
+};
+
+export default TableElement;
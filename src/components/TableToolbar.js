@@ -0,0 +1,161 @@
+import React, { useEffect, useState } from 'react';
+import {
+  deleteColumn,
+  deleteRow,
+  getCellRange,
+  getTableSize,
+  insertColumn,
+  insertRow,
+  mergeCellRange,
+  splitCell
+} from '../utils/tableModel';
+import './TableToolbar.css';
+
+const FORMAT_BUTTONS = [
+  { id: 'bold', label: 'B', title: 'Bold', command: (chain) => chain.toggleBold() },
+  { id: 'italic', label: 'I', title: 'Italic', command: (chain) => chain.toggleItalic() },
+  { id: 'underline', label: 'U', title: 'Underline', command: (chain) => chain.toggleUnderline() }
+];
+
+const TableToolbar = ({
+  element,
+  selection,
+  cellEditor,
+  position,
+  isVisible = false,
+  onUpdate,
+  onSelectCells,
+  onDuplicate,
+  onDelete
+}) => {
+  const [, forceUpdate] = useState(0);
+
+  useEffect(() => {
+    if (!cellEditor) {
+      return undefined;
+    }
+    const handleTransaction = () => forceUpdate((tick) => tick + 1);
+    cellEditor.on('transaction', handleTransaction);
+    return () => cellEditor.off('transaction', handleTransaction);
+  }, [cellEditor]);
+
+  if (!isVisible || !element) {
+    return null;
+  }
+
+  const { rows, columns } = getTableSize(element);
+  const anchor = selection?.anchor || { row: 0, col: 0 };
+  const range = getCellRange(element.cells, anchor, selection?.focus || anchor);
+  const anchorCell = element.cells?.[range.top]?.[range.left];
+  const canMerge = Boolean(selection) && (range.bottom > range.top || range.right > range.left);
+  const canSplit = Boolean(selection) && ((anchorCell?.rowSpan || 1) > 1 || (anchorCell?.colSpan || 1) > 1);
+
+  const applyTable = (nextTable, nextCell) => {
+    const { cells, columnWidths, height } = nextTable;
+    onUpdate?.(element.id, { cells, columnWidths, height });
+    if (nextCell) {
+      onSelectCells?.(nextCell, nextCell);
+    }
+  };
+
+  const stop = (event) => event.stopPropagation();
+
+  const renderButton = (label, title, onClick, { disabled = false, active = false } = {}) => (
+    <button
+      key={label}
+      type="button"
+      className={`table-toolbar-button${active ? ' active' : ''}`}
+      title={title}
+      disabled={disabled}
+      onMouseDown={(event) => {
+        // Keep focus in the cell editor so formatting applies to its selection.
+        event.preventDefault();
+        event.stopPropagation();
+      }}
+      onClick={onClick}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div
+      className="table-toolbar-wrapper"
+      style={{
+        left: position?.x ?? 0,
+        top: Math.max((position?.y ?? 0) - 56, 8),
+        transform: 'translateX(-50%)'
+      }}
+      onMouseDown={stop}
+      onClick={stop}
+    >
+      <div className="table-toolbar-inline">
+        <div className="table-toolbar-group">
+          {FORMAT_BUTTONS.map((button) =>
+            renderButton(
+              button.label,
+              cellEditor ? button.title : `${button.title} (double-click a cell to edit it)`,
+              () => cellEditor && button.command(cellEditor.chain().focus()).run(),
+              { disabled: !cellEditor, active: Boolean(cellEditor?.isActive(button.id)) }
+            )
+          )}
+        </div>
+        <div className="table-toolbar-group">
+          {renderButton('+ Row ↑', 'Insert row above', () =>
+            applyTable(insertRow(element, range.top), { row: range.top, col: range.left })
+          )}
+          {renderButton('+ Row ↓', 'Insert row below', () =>
+            applyTable(insertRow(element, range.bottom + 1), { row: range.bottom + 1, col: range.left })
+          )}
+          {renderButton('− Row', 'Delete row', () =>
+            applyTable(deleteRow(element, range.top), { row: Math.min(range.top, rows - 2), col: range.left }),
+            { disabled: rows < 2 }
+          )}
+        </div>
+        <div className="table-toolbar-group">
+          {renderButton('+ Col ←', 'Insert column to the left', () =>
+            applyTable(insertColumn(element, range.left), { row: range.top, col: range.left })
+          )}
+          {renderButton('+ Col →', 'Insert column to the right', () =>
+            applyTable(insertColumn(element, range.right + 1), { row: range.top, col: range.right + 1 })
+          )}
+          {renderButton('− Col', 'Delete column', () =>
+            applyTable(deleteColumn(element, range.left), { row: range.top, col: Math.min(range.left, columns - 2) }),
+            { disabled: columns < 2 }
+          )}
+        </div>
+        <div className="table-toolbar-group">
+          {renderButton('Merge', 'Merge selected cells (Shift+click to select a range)', () =>
+            applyTable(mergeCellRange(element, range), { row: range.top, col: range.left }),
+            { disabled: !canMerge }
+          )}
+          {renderButton('Split', 'Split merged cell', () =>
+            applyTable(splitCell(element, range.top, range.left), { row: range.top, col: range.left }),
+            { disabled: !canSplit }
+          )}
+        </div>
+        <div className="table-toolbar-group">
+          {renderButton('Header', 'Style the first row as a header', () =>
+            onUpdate?.(element.id, { headerRow: !element.headerRow }),
+            { active: Boolean(element.headerRow) }
+          )}
+          {renderButton('Banded', 'Shade alternate rows', () =>
+            onUpdate?.(element.id, { bandedRows: !element.bandedRows }),
+            { active: Boolean(element.bandedRows) }
+          )}
+        </div>
+        {renderButton('⧉', 'Duplicate', () => onDuplicate?.(element.id))}
+        <button
+          type="button"
+          className="table-toolbar-delete"
+          onMouseDown={stop}
+          onClick={() => onDelete?.(element.id)}
+        >
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TableToolbar;
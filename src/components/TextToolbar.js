@@ -1,4 +1,6 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import RotationInput from './RotationInput';
+import { BULLET_STYLES, NUMBER_STYLES, formatListNumber } from '../utils/listStyles';
 import './TextToolbar.css';
 
 const STYLE_PRESETS = [
@@ -99,6 +101,25 @@ const getResponsivePreset = (key, width) => {
   return { ...preset, fontSize: scaledSize };
 };
 
+const LIST_TYPES = ['bulletList', 'orderedList'];
+
+// Closest bullet or numbered list around the selection, with its position.
+const getActiveList = (state) => {
+  const $from = state?.selection?.$from;
+  if (!$from) {
+    return null;
+  }
+  for (let depth = $from.depth; depth > 0; depth -= 1) {
+    const node = $from.node(depth);
+    if (LIST_TYPES.includes(node.type.name)) {
+      return { node, pos: $from.before(depth) };
+    }
+  }
+  return null;
+};
+
+const keepEditorFocus = (event) => event.preventDefault();
+
 const TextToolbar = ({
   element,
   editor,
@@ -113,11 +134,24 @@ const TextToolbar = ({
   const [textColor, setTextColor] = useState(DEFAULT_COLOR);
   const [isStyleMenuOpen, setIsStyleMenuOpen] = useState(false);
   const [isAlignmentMenuOpen, setIsAlignmentMenuOpen] = useState(false);
+  const [isListMenuOpen, setIsListMenuOpen] = useState(false);
+  const [, forceUpdate] = useState(0);
   const [viewportWidth, setViewportWidth] = useState(
     typeof window !== 'undefined' ? window.innerWidth : DEFAULT_VIEWPORT_WIDTH
   );
   const styleMenuRef = useRef(null);
   const alignmentMenuRef = useRef(null);
+  const listMenuRef = useRef(null);
+
+  // The toolbar is memoized on the element, so list state follows the editor.
+  useEffect(() => {
+    if (!editor) {
+      return undefined;
+    }
+    const handleTransaction = () => forceUpdate((tick) => tick + 1);
+    editor.on('transaction', handleTransaction);
+    return () => editor.off('transaction', handleTransaction);
+  }, [editor]);
 
   useEffect(() => {
     if (typeof window === 'undefined') {
@@ -147,6 +181,7 @@ const TextToolbar = ({
   const closeMenus = useCallback(() => {
     setIsStyleMenuOpen(false);
     setIsAlignmentMenuOpen(false);
+    setIsListMenuOpen(false);
   }, []);
 
   const applyPreset = useCallback(
@@ -362,6 +397,85 @@ const TextToolbar = ({
     applyUpdate({ textAlign: alignment, textStyle: 'custom' });
   }, [applyUpdate, editor, element]);
 
+  // Without a text selection, list commands apply to the whole text box.
+  const listChain = useCallback(() => {
+    const chain = editor.chain().focus();
+    return editor.state.selection.empty && !editor.isFocused ? chain.selectAll() : chain;
+  }, [editor]);
+
+  const updateActiveList = (chain, attributes) =>
+    chain.command(({ tr, state }) => {
+      const list = getActiveList(state);
+      if (!list) {
+        return false;
+      }
+      tr.setNodeMarkup(list.pos, undefined, { ...list.node.attrs, ...attributes });
+      return true;
+    });
+
+  const toggleList = useCallback((type) => {
+    if (!editor) {
+      return;
+    }
+    const chain = listChain();
+    (type === 'orderedList' ? chain.toggleOrderedList() : chain.toggleBulletList()).run();
+  }, [editor, listChain]);
+
+  const applyListStyle = (type, attributes) => {
+    if (!editor) {
+      return;
+    }
+    let chain = listChain();
+    if (!editor.isActive(type)) {
+      chain = type === 'orderedList' ? chain.toggleOrderedList() : chain.toggleBulletList();
+    }
+    updateActiveList(chain, attributes).run();
+  };
+
+  const changeListLevel = (direction) => {
+    if (!editor) {
+      return;
+    }
+    const chain = editor.chain().focus();
+    (direction > 0 ? chain.sinkListItem('listItem') : chain.liftListItem('listItem')).run();
+  };
+
+  const handleListStartChange = (value) => {
+    const start = Math.max(1, Math.round(Number(value) || 1));
+    if (editor) {
+      updateActiveList(editor.chain(), { start }).run();
+    }
+  };
+
+  useEffect(() => {
+    if (!isListMenuOpen) {
+      return undefined;
+    }
+
+    const handleClickAway = (event) => {
+      if (!listMenuRef.current || listMenuRef.current.contains(event.target)) {
+        return;
+      }
+      setIsListMenuOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleClickAway);
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickAway);
+    };
+  }, [isListMenuOpen]);
+
+  const toggleListMenu = () => {
+    setIsListMenuOpen((current) => {
+      if (!current) {
+        setIsStyleMenuOpen(false);
+        setIsAlignmentMenuOpen(false);
+      }
+      return !current;
+    });
+  };
+
   useEffect(() => {
     if (!isStyleMenuOpen) {
       return undefined;
@@ -386,6 +500,7 @@ const TextToolbar = ({
       const next = !current;
       if (!current) {
         setIsAlignmentMenuOpen(false);
+        setIsListMenuOpen(false);
       }
       return next;
     });
@@ -415,6 +530,7 @@ const TextToolbar = ({
       const next = !current;
       if (!current) {
         setIsStyleMenuOpen(false);
+        setIsListMenuOpen(false);
       }
       return next;
     });
@@ -429,6 +545,11 @@ const TextToolbar = ({
     ? 'right'
     : element?.textAlign || 'left';
   const alignmentLabel = alignment.charAt(0).toUpperCase() + alignment.slice(1);
+  const activeList = getActiveList(editor?.state);
+  const bulletListActive = activeList?.node.type.name === 'bulletList';
+  const orderedListActive = activeList?.node.type.name === 'orderedList';
+  const activeBulletStyle = bulletListActive ? activeList.node.attrs.bulletStyle || 'disc' : null;
+  const activeNumberStyle = orderedListActive ? activeList.node.attrs.type || '1' : null;
 
   const handleDelete = useCallback(() => {
     if (!element || typeof onDelete !== 'function') {
@@ -584,6 +705,118 @@ const TextToolbar = ({
           )}
         </div>
 
+        <div className="toolbar-item lists" ref={listMenuRef}>
+          <button
+            type="button"
+            className={`text-list-button${bulletListActive ? ' is-active' : ''}`}
+            title="Bulleted list"
+            aria-pressed={bulletListActive}
+            disabled={!editor}
+            onMouseDown={keepEditorFocus}
+            onClick={() => toggleList('bulletList')}
+          >
+            •≡
+          </button>
+          <button
+            type="button"
+            className={`text-list-button${orderedListActive ? ' is-active' : ''}`}
+            title="Numbered list"
+            aria-pressed={orderedListActive}
+            disabled={!editor}
+            onMouseDown={keepEditorFocus}
+            onClick={() => toggleList('orderedList')}
+          >
+            1≡
+          </button>
+          <button
+            type="button"
+            className={`text-list-trigger${isListMenuOpen ? ' is-open' : ''}`}
+            title="List options"
+            aria-haspopup="true"
+            aria-expanded={isListMenuOpen}
+            disabled={!editor}
+            onMouseDown={keepEditorFocus}
+            onClick={toggleListMenu}
+          >
+            <span className="style-trigger-caret" aria-hidden="true">▾</span>
+          </button>
+          {isListMenuOpen && (
+            <div className="text-list-menu" role="menu">
+              <span className="text-list-menu-title">Bullets</span>
+              <div className="text-list-styles">
+                {BULLET_STYLES.map((style) => (
+                  <button
+                    type="button"
+                    key={style.key}
+                    className={`text-list-style${activeBulletStyle === style.key ? ' is-active' : ''}`}
+                    title={style.label}
+                    aria-label={`${style.label} bullets`}
+                    onMouseDown={keepEditorFocus}
+                    onClick={() => applyListStyle('bulletList', { bulletStyle: style.key })}
+                  >
+                    {style.symbol}
+                  </button>
+                ))}
+              </div>
+              <span className="text-list-menu-title">Numbering</span>
+              <div className="text-list-styles">
+                {NUMBER_STYLES.map((style) => (
+                  <button
+                    type="button"
+                    key={style.key}
+                    className={`text-list-style${activeNumberStyle === style.key ? ' is-active' : ''}`}
+                    title={style.label}
+                    aria-label={`Numbering ${style.label}`}
+                    onMouseDown={keepEditorFocus}
+                    onClick={() => applyListStyle('orderedList', { type: style.key === '1' ? null : style.key })}
+                  >
+                    {`${formatListNumber(1, style.key)}.`}
+                  </button>
+                ))}
+              </div>
+              <div className="text-list-actions">
+                <button
+                  type="button"
+                  className="text-list-level"
+                  title="Decrease level (Shift+Tab)"
+                  disabled={!editor?.can().liftListItem('listItem')}
+                  onMouseDown={keepEditorFocus}
+                  onClick={() => changeListLevel(-1)}
+                >
+                  ⇤ Outdent
+                </button>
+                <button
+                  type="button"
+                  className="text-list-level"
+                  title="Increase level (Tab)"
+                  disabled={!editor?.can().sinkListItem('listItem')}
+                  onMouseDown={keepEditorFocus}
+                  onClick={() => changeListLevel(1)}
+                >
+                  Indent ⇥
+                </button>
+              </div>
+              <label className="text-list-start">
+                <span>Start numbering at</span>
+                <input
+                  type="number"
+                  min={1}
+                  value={orderedListActive ? activeList.node.attrs.start || 1 : 1}
+                  disabled={!orderedListActive}
+                  onChange={(event) => handleListStartChange(event.target.value)}
+                />
+              </label>
+            </div>
+          )}
+        </div>
+
+        <div className="toolbar-item rotation">
+          <RotationInput
+            value={element.rotation}
+            onChange={(rotation) => onUpdate?.(element.id, { rotation })}
+          />
+        </div>
+
         <div className="toolbar-item delete">
           <button
             type="button"
@@ -610,6 +843,7 @@ export default React.memo(TextToolbar, (prevProps, nextProps) => {
     prevProps.element?.bold === nextProps.element?.bold &&
     prevProps.element?.italic === nextProps.element?.italic &&
     prevProps.element?.underline === nextProps.element?.underline &&
+    prevProps.element?.rotation === nextProps.element?.rotation &&
     prevProps.position?.x === nextProps.position?.x &&
     prevProps.position?.y === nextProps.position?.y &&
     prevProps.isVisible === nextProps.isVisible &&
@@ -0,0 +1,248 @@
+import React, { useEffect, useState } from 'react';
+import SlideRenderer from './SlideRenderer';
+import { normalizeSlideSize } from '../utils/slideSize';
+import './VersionHistoryDialog.css';
+
+const THUMBNAIL_WIDTH = 168;
+const DEFAULT_BACKGROUND = '#ffffff';
+
+const formatVersionDate = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+const VersionThumbnail = ({ slide, slideSize, index }) => {
+  const scale = THUMBNAIL_WIDTH / slideSize.width;
+  return (
+    <figure className="version-history-thumbnail">
+      <div
+        className="version-history-thumbnail-frame"
+        style={{ width: THUMBNAIL_WIDTH, height: Math.round(slideSize.height * scale) }}
+      >
+        <div
+          className="version-history-thumbnail-canvas"
+          style={{
+            width: slideSize.width,
+            height: slideSize.height,
+            backgroundColor: slide.background?.color || DEFAULT_BACKGROUND,
+            transform: `scale(${scale})`
+          }}
+        >
+          <SlideRenderer slide={slide} />
+        </div>
+      </div>
+      <figcaption>{index + 1}</figcaption>
+    </figure>
+  );
+};
+
+const VersionHistoryDialog = ({
+  versions = [],
+  isLoading = false,
+  isBusy = false,
+  onSave,
+  onRestore,
+  onRestoreCopy,
+  onDelete,
+  onCompare,
+  onLoadVersion,
+  onClose
+}) => {
+  const [name, setName] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareWithId, setCompareWithId] = useState('');
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && !isBusy) {
+        onClose?.();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isBusy, onClose]);
+
+  const selected = versions.find((version) => version.id === selectedId) || versions[0] || null;
+  const selectedVersionId = selected?.id || null;
+  // The list only holds summaries; the selected deck is loaded for its preview.
+  const previewVersion = preview?.id === selectedVersionId ? preview.version : null;
+  const selectedSize = normalizeSlideSize(previewVersion?.slideSize);
+  // An empty id compares against the deck as it is now.
+  const compareWith = versions.find((version) => version.id === compareWithId && version.id !== selected?.id) || null;
+
+  useEffect(() => {
+    if (!selectedVersionId || !onLoadVersion) {
+      return undefined;
+    }
+    let isCancelled = false;
+    Promise.resolve(onLoadVersion(selectedVersionId))
+      .catch((error) => {
+        console.warn('Failed to load the version preview', error);
+        return null;
+      })
+      .then((version) => {
+        if (!isCancelled) {
+          setPreview({ id: selectedVersionId, version });
+        }
+      });
+    return () => {
+      isCancelled = true;
+    };
+  }, [onLoadVersion, selectedVersionId]);
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    if (isBusy) {
+      return;
+    }
+    onSave?.(name);
+    setName('');
+  };
+
+  // Keeps editor shortcuts (arrow keys switch slides) from firing while typing in the form.
+  const handleKeyDown = (event) => {
+    event.stopPropagation();
+    if (event.key === 'Escape' && !isBusy) {
+      onClose?.();
+    }
+  };
+
+  const handleOverlayClick = (event) => {
+    if (event.target === event.currentTarget && !isBusy) {
+      onClose?.();
+    }
+  };
+
+  return (
+    <div className="version-history-overlay" onClick={handleOverlayClick} role="presentation">
+      <div
+        className="version-history-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="version-history-title"
+        onKeyDown={handleKeyDown}
+      >
+        <div className="version-history-header">
+          <h4 id="version-history-title">Version history</h4>
+          <button
+            type="button"
+            className="version-history-close"
+            onClick={onClose}
+            disabled={isBusy}
+            aria-label="Close version history"
+          >
+            ×
+          </button>
+        </div>
+
+        <form className="version-history-save" onSubmit={handleSave}>
+          <input
+            type="text"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            placeholder="Version name"
+            aria-label="Version name"
+            autoFocus
+          />
+          <button type="submit" className="version-history-primary" disabled={isBusy}>
+            Save version
+          </button>
+        </form>
+
+        <div className="version-history-body">
+          <ul className="version-history-list" aria-label="Saved versions">
+            {isLoading && <li className="version-history-empty">Loading versions…</li>}
+            {!isLoading && !versions.length && (
+              <li className="version-history-empty">
+                No versions yet. Save one above; snapshots are also taken every hour while you edit.
+              </li>
+            )}
+            {!isLoading &&
+              versions.map((version) => (
+                <li key={version.id}>
+                  <button
+                    type="button"
+                    className={`version-history-item${version.id === selected?.id ? ' is-selected' : ''}`}
+                    onClick={() => setSelectedId(version.id)}
+                    aria-pressed={version.id === selected?.id}
+                  >
+                    <span className="version-history-item-name">
+                      {version.name}
+                      {version.kind === 'auto' && <span className="version-history-badge">Auto</span>}
+                    </span>
+                    <span className="version-history-item-meta">
+                      {formatVersionDate(version.createdAt)} · {version.slideCount || 0} slide
+                      {version.slideCount === 1 ? '' : 's'}
+                    </span>
+                  </button>
+                </li>
+              ))}
+          </ul>
+
+          <div className="version-history-preview">
+            {selected ? (
+              <>
+                <div className="version-history-thumbnails">
+                  {preview?.id !== selectedVersionId && <p className="version-history-empty">Loading preview…</p>}
+                  {(previewVersion?.slides || []).map((slide, index) => (
+                    <VersionThumbnail key={slide.id || index} slide={slide} slideSize={selectedSize} index={index} />
+                  ))}
+                </div>
+                <div className="version-history-compare">
+                  <label htmlFor="version-history-compare-with">Compare with</label>
+                  <select
+                    id="version-history-compare-with"
+                    value={compareWith?.id || ''}
+                    onChange={(event) => setCompareWithId(event.target.value)}
+                  >
+                    <option value="">Current deck</option>
+                    {versions
+                      .filter((version) => version.id !== selected.id)
+                      .map((version) => (
+                        <option key={version.id} value={version.id}>
+                          {version.name} ({formatVersionDate(version.createdAt)})
+                        </option>
+                      ))}
+                  </select>
+                  <button type="button" onClick={() => onCompare?.(selected, compareWith)} disabled={isBusy}>
+                    Compare
+                  </button>
+                </div>
+                <div className="version-history-actions">
+                  <button
+                    type="button"
+                    className="version-history-danger"
+                    onClick={() => onDelete?.(selected)}
+                    disabled={isBusy}
+                  >
+                    Delete
+                  </button>
+                  <button type="button" onClick={() => onRestoreCopy?.(selected)} disabled={isBusy}>
+                    Restore as copy
+                  </button>
+                  <button
+                    type="button"
+                    className="version-history-primary"
+                    onClick={() => onRestore?.(selected)}
+                    disabled={isBusy}
+                  >
+                    Restore
+                  </button>
+                </div>
+              </>
+            ) : (
+              <p className="version-history-empty">Select a version to preview its slides.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VersionHistoryDialog;
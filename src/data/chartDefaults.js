@@ -0,0 +1,167 @@
+const createId = (prefix) =>
+  `${prefix}-${Math.random().toString(36).slice(2, 10)}`;
+
+export const CHART_COLOR_PALETTE = [
+  '#111111',
+  '#2d2d2d',
+  '#515151',
+  '#6b6b6b',
+  '#868686',
+  '#a3a3a3',
+  '#c7c7c7'
+];
+
+export const chartTypeLabels = {
+  bar: 'Bar chart',
+  area: 'Area chart',
+  pie: 'Pie chart',
+  columnLine: 'Column + Line chart'
+};
+
+export const getPaletteColor = (index) =>
+  CHART_COLOR_PALETTE[index % CHART_COLOR_PALETTE.length];
+
+export const createDefaultChartData = (chartType) => {
+  const type = chartType || 'bar';
+  const quarterLabels = ['Q1', 'Q2', 'Q3', 'Q4'];
+
+  switch (type) {
+    case 'bar':
+      return {
+        type: 'bar',
+        title: 'Bar Chart',
+        labels: quarterLabels,
+        datasets: [
+          {
+            id: createId('series'),
+            label: 'North',
+            data: [48, 38, 44, 52],
+            color: getPaletteColor(0),
+            variant: 'bar'
+          },
+          {
+            id: createId('series'),
+            label: 'South',
+            data: [36, 41, 30, 44],
+            color: getPaletteColor(1),
+            variant: 'bar'
+          },
+          {
+            id: createId('series'),
+            label: 'West',
+            data: [28, 34, 36, 32],
+            color: getPaletteColor(2),
+            variant: 'bar'
+          }
+        ]
+      };
+    case 'area':
+      return {
+        type: 'area',
+        title: 'Area Chart',
+        labels: quarterLabels,
+        datasets: [
+          {
+            id: createId('series'),
+            label: 'Organic',
+            data: [18, 26, 32, 28],
+            color: getPaletteColor(0),
+            variant: 'area',
+            fill: true
+          },
+          {
+            id: createId('series'),
+            label: 'Paid',
+            data: [12, 18, 22, 26],
+            color: getPaletteColor(1),
+            variant: 'area',
+            fill: true
+          },
+          {
+            id: createId('series'),
+            label: 'Referral',
+            data: [8, 12, 18, 20],
+            color: getPaletteColor(2),
+            variant: 'area',
+            fill: true
+          }
+        ]
+      };
+    case 'pie': {
+      const labels = ['North', 'South', 'East', 'West'];
+      return {
+        type: 'pie',
+        title: 'Pie Chart',
+        labels,
+        datasets: [
+          {
+            id: createId('series'),
+            label: 'Share',
+            data: [32, 26, 18, 24],
+            color: getPaletteColor(0),
+            variant: 'pie',
+            segmentColors: labels.map((_, index) => getPaletteColor(index))
+          }
+        ]
+      };
+    }
+    case 'columnLine':
+      return {
+        type: 'columnLine',
+        title: 'Column + Line',
+        labels: quarterLabels,
+        datasets: [
+          {
+            id: createId('series'),
+            label: 'Revenue',
+            data: [45, 58, 64, 60],
+            color: getPaletteColor(0),
+            variant: 'bar'
+          },
+          {
+            id: createId('series'),
+            label: 'Costs',
+            data: [24, 32, 38, 30],
+            color: getPaletteColor(2),
+            variant: 'bar'
+          },
+          {
+            id: createId('series'),
+            label: 'Conversion',
+            data: [28, 34, 42, 48],
+            color: getPaletteColor(1),
+            variant: 'line'
+          }
+        ]
+      };
+    default:
+      return {
+        type: 'bar',
+        title: 'Bar Chart',
+        labels: quarterLabels,
+        datasets: [
+          {
+            id: createId('series'),
+            label: 'North',
+            data: [48, 38, 44, 52],
+            color: getPaletteColor(0),
+            variant: 'bar'
+          },
+          {
+            id: createId('series'),
+            label: 'South',
+            data: [36, 41, 30, 44],
+            color: getPaletteColor(1),
+            variant: 'bar'
+          },
+          {
+            id: createId('series'),
+            label: 'West',
+            data: [28, 34, 36, 32],
+            color: getPaletteColor(2),
+            variant: 'bar'
+          }
+        ]
+      };
+  }
+};
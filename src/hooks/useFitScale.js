@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+
+// Largest scale at which a `width` x `height` box fits inside the element
+// behind `ref`, kept up to date as that element resizes.
+const useFitScale = (ref, width, height) => {
+  const [scale, setScale] = useState(0);
+
+  useEffect(() => {
+    const node = ref.current;
+    if (!node) {
+      return undefined;
+    }
+    const updateScale = () => {
+      setScale(Math.min(node.clientWidth / width, node.clientHeight / height));
+    };
+    updateScale();
+    if (typeof ResizeObserver === 'undefined') {
+      window.addEventListener('resize', updateScale);
+      return () => window.removeEventListener('resize', updateScale);
+    }
+    const observer = new ResizeObserver(updateScale);
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [ref, width, height]);
+
+  return scale;
+};
+
+export default useFitScale;
@@ -2,12 +2,16 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import PresenterView from './components/PresenterView';
+import { getPresenterPresentationId } from './utils/presenterChannel';
 import reportWebVitals from './reportWebVitals';
 
+const presenterPresentationId = getPresenterPresentationId();
+
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
   <React.StrictMode>
-    <App />
+    {presenterPresentationId ? <PresenterView presentationId={presenterPresentationId} /> : <App />}
   </React.StrictMode>
 );
 
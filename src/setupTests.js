@@ -3,3 +3,14 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no TextEncoder. Node's returns bytes from another realm, which
+// fail `instanceof Uint8Array` checks here, so they are copied over.
+if (typeof global.TextEncoder === 'undefined') {
+  const { TextEncoder: NodeTextEncoder } = require('util');
+  global.TextEncoder = class TextEncoder {
+    encode(value) {
+      return new Uint8Array(new NodeTextEncoder().encode(value));
+    }
+  };
+}
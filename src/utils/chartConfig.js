@@ -0,0 +1,158 @@
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  LineElement,
+  PointElement,
+  ArcElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler,
+  BarController,
+  LineController,
+  PieController
+} from 'chart.js';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  LineElement,
+  PointElement,
+  ArcElement,
+  Title,
+  Tooltip,
+  Legend,
+  Filler,
+  BarController,
+  LineController,
+  PieController
+);
+
+export const buildChartData = (type, data) => {
+  if (!data || !Array.isArray(data.labels) || !Array.isArray(data.datasets)) {
+    return {
+      labels: [],
+      datasets: []
+    };
+  }
+
+  const datasets = data.datasets.map((dataset, index) => {
+    const baseColor = dataset.color || dataset.backgroundColor || `#3b82f6`;
+    const normalizedData = Array.isArray(dataset.data)
+      ? dataset.data
+      : Array.isArray(data.labels)
+      ? data.labels.map(() => 0)
+      : [];
+
+    const isLineVariant = dataset.variant === 'line' || type === 'line';
+    const isAreaVariant = dataset.variant === 'area';
+    const isPieVariant = type === 'pie';
+
+    return {
+      ...dataset,
+      label: dataset.label || `Series ${index + 1}`,
+      data: normalizedData,
+      backgroundColor: isPieVariant
+        ? dataset.segmentColors || normalizedData.map(() => baseColor)
+        : isAreaVariant
+        ? dataset.backgroundColor || baseColor + '33'
+        : dataset.backgroundColor || baseColor,
+      borderColor: dataset.borderColor || baseColor,
+      borderWidth: dataset.borderWidth ?? (isLineVariant ? 2 : 1),
+      fill: isAreaVariant || dataset.fill || false,
+      tension: dataset.tension ?? (isLineVariant ? 0.35 : 0.1),
+      pointRadius: dataset.pointRadius ?? (isLineVariant ? 3 : 0),
+      pointHoverRadius: dataset.pointHoverRadius ?? (isLineVariant ? 5 : 3),
+      pointBackgroundColor: dataset.pointBackgroundColor || baseColor
+      ,
+      type: dataset.type || (dataset.variant === 'line' ? 'line' : undefined)
+    };
+  });
+
+  return {
+    labels: data.labels,
+    datasets
+  };
+};
+
+export const buildChartOptions = (type, options = {}) => {
+  const defaults = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    animations: false,
+    transitions: {
+      active: {
+        animation: {
+          duration: 0
+        }
+      }
+    },
+    responsiveAnimationDuration: 0,
+    plugins: {
+      legend: {
+        display: true,
+        position: 'top',
+        labels: {
+          usePointStyle: true,
+          padding: 16
+        }
+      },
+      tooltip: {
+        mode: 'index',
+        intersect: false
+      }
+    },
+    interaction: {
+      mode: 'nearest',
+      axis: 'x',
+      intersect: false
+    },
+    scales:
+      type === 'pie'
+        ? {}
+        : {
+            x: {
+              grid: {
+                display: false
+              }
+            },
+            y: {
+              beginAtZero: true,
+              grid: {
+                color: 'rgba(148, 163, 184, 0.2)'
+              }
+            }
+          }
+  };
+
+  return {
+    ...defaults,
+    ...options,
+    plugins: {
+      ...defaults.plugins,
+      ...(options.plugins || {})
+    },
+    scales: {
+      ...(defaults.scales || {}),
+      ...(options.scales || {})
+    }
+  };
+};
+
+export const resolveChartJsType = (type) => {
+  switch (type) {
+    case 'line':
+    case 'area':
+      return 'line';
+    case 'pie':
+      return 'pie';
+    default:
+      return 'bar';
+  }
+};
+
+export { ChartJS };
@@ -0,0 +1,288 @@
+// Compares two decks by slide and element id. Every difference becomes a
+// change with a stable `id`, so callers can accept or reject them one by one
+// and rebuild a deck with `mergeDeckChanges`.
+
+const POSITION_KEYS = ['x', 'y'];
+const SIZE_KEYS = ['width', 'height'];
+const TEXT_KEYS = ['text', 'plainText', 'cells', 'chartData', 'children'];
+const ELEMENT_IGNORED_KEYS = ['id'];
+const SLIDE_IGNORED_KEYS = ['id', 'content'];
+const AUTO_TITLE_PATTERN = /^Slide \d+$/;
+
+export const CHANGE_LABELS = {
+  'slide-added': 'Slide added',
+  'slide-removed': 'Slide removed',
+  'slide-moved': 'Slide reordered',
+  'slide-properties': 'Slide settings changed',
+  added: 'Element added',
+  removed: 'Element removed',
+  moved: 'Moved',
+  resized: 'Resized',
+  restyled: 'Restyled',
+  text: 'Text changed'
+};
+
+export const getChangeLabel = (change) => {
+  if (change.kind === 'text') {
+    const type = (change.after || change.before)?.type;
+    if (type === 'group') {
+      return 'Group contents changed';
+    }
+    if (type === 'chart') {
+      return 'Chart data changed';
+    }
+  }
+  return CHANGE_LABELS[change.kind] || change.kind;
+};
+
+const isEqualValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const changedKeys = (before, after, ignored) =>
+  Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})])).filter(
+    (key) => !ignored.includes(key) && !isEqualValue(before?.[key], after?.[key])
+  );
+
+const indexById = (items) => {
+  const map = new Map();
+  items.forEach((item, index) => {
+    if (item?.id !== undefined && !map.has(item.id)) {
+      map.set(item.id, index);
+    }
+  });
+  return map;
+};
+
+// Ids of items whose relative order changed: everything outside the longest
+// run that keeps its order in both lists.
+const findReorderedIds = (baseItems, targetIndex) => {
+  const common = baseItems.filter((item) => targetIndex.has(item.id));
+  const positions = common.map((item) => targetIndex.get(item.id));
+  const lengths = positions.map(() => 1);
+  const previous = positions.map(() => -1);
+  let bestEnd = -1;
+  positions.forEach((position, index) => {
+    for (let earlier = 0; earlier < index; earlier += 1) {
+      if (positions[earlier] < position && lengths[earlier] + 1 > lengths[index]) {
+        lengths[index] = lengths[earlier] + 1;
+        previous[index] = earlier;
+      }
+    }
+    if (bestEnd === -1 || lengths[index] > lengths[bestEnd]) {
+      bestEnd = index;
+    }
+  });
+  const kept = new Set();
+  for (let index = bestEnd; index !== -1; index = previous[index]) {
+    kept.add(common[index].id);
+  }
+  return new Set(common.filter((item) => !kept.has(item.id)).map((item) => item.id));
+};
+
+const diffElements = (slideId, baseElements = [], targetElements = []) => {
+  const baseIndex = indexById(baseElements);
+  const targetIndex = indexById(targetElements);
+  const changes = [];
+  const createChange = (kind, elementId, before, after, keys = []) => ({
+    id: `${slideId}:${elementId}:${kind}`,
+    slideId,
+    elementId,
+    kind,
+    keys,
+    before,
+    after
+  });
+
+  targetElements.forEach((element) => {
+    if (!baseIndex.has(element.id)) {
+      changes.push(createChange('added', element.id, null, element));
+      return;
+    }
+    const before = baseElements[baseIndex.get(element.id)];
+    const keys = changedKeys(before, element, ELEMENT_IGNORED_KEYS);
+    const buckets = {
+      moved: keys.filter((key) => POSITION_KEYS.includes(key)),
+      resized: keys.filter((key) => SIZE_KEYS.includes(key)),
+      text: keys.filter((key) => TEXT_KEYS.includes(key)),
+      restyled: keys.filter(
+        (key) => !POSITION_KEYS.includes(key) && !SIZE_KEYS.includes(key) && !TEXT_KEYS.includes(key)
+      )
+    };
+    Object.entries(buckets).forEach(([kind, bucketKeys]) => {
+      if (bucketKeys.length) {
+        changes.push(createChange(kind, element.id, before, element, bucketKeys));
+      }
+    });
+  });
+
+  baseElements.forEach((element) => {
+    if (!targetIndex.has(element.id)) {
+      changes.push(createChange('removed', element.id, element, null));
+    }
+  });
+
+  return changes;
+};
+
+const slidePropertyKeys = (before, after) =>
+  changedKeys(before, after, SLIDE_IGNORED_KEYS).filter(
+    (key) => !(key === 'title' && AUTO_TITLE_PATTERN.test(before?.title) && AUTO_TITLE_PATTERN.test(after?.title))
+  );
+
+// Returns one entry per slide in either deck, in `target` order with removed
+// slides after the slide that preceded them in `base`. Each entry lists its
+// changes; `changes` is the same list flattened.
+export const diffDecks = (base = [], target = []) => {
+  const baseIndex = indexById(base);
+  const targetIndex = indexById(target);
+  const reordered = findReorderedIds(base, targetIndex);
+
+  const entries = target.map((slide, index) => {
+    if (!baseIndex.has(slide.id)) {
+      return {
+        slideId: slide.id,
+        status: 'added',
+        baseIndex: -1,
+        targetIndex: index,
+        base: null,
+        target: slide,
+        changes: [{ id: `${slide.id}:slide-added`, slideId: slide.id, kind: 'slide-added', keys: [] }]
+      };
+    }
+    const before = base[baseIndex.get(slide.id)];
+    const changes = [];
+    if (reordered.has(slide.id)) {
+      changes.push({ id: `${slide.id}:slide-moved`, slideId: slide.id, kind: 'slide-moved', keys: [] });
+    }
+    const keys = slidePropertyKeys(before, slide);
+    if (keys.length) {
+      changes.push({ id: `${slide.id}:slide-properties`, slideId: slide.id, kind: 'slide-properties', keys });
+    }
+    changes.push(...diffElements(slide.id, before.content, slide.content));
+    return {
+      slideId: slide.id,
+      status: changes.length ? 'changed' : 'unchanged',
+      baseIndex: baseIndex.get(slide.id),
+      targetIndex: index,
+      base: before,
+      target: slide,
+      changes
+    };
+  });
+
+  base.forEach((slide, index) => {
+    if (targetIndex.has(slide.id)) {
+      return;
+    }
+    const entry = {
+      slideId: slide.id,
+      status: 'removed',
+      baseIndex: index,
+      targetIndex: -1,
+      base: slide,
+      target: null,
+      changes: [{ id: `${slide.id}:slide-removed`, slideId: slide.id, kind: 'slide-removed', keys: [] }]
+    };
+    const anchor = base
+      .slice(0, index)
+      .reverse()
+      .map((candidate) => entries.findIndex((item) => item.slideId === candidate.id))
+      .find((position) => position !== -1);
+    entries.splice(anchor === undefined ? 0 : anchor + 1, 0, entry);
+  });
+
+  return { entries, changes: entries.flatMap((entry) => entry.changes) };
+};
+
+// Puts `item` back after the nearest item that preceded it in `baseItems` and
+// is still present, or first when there is none.
+const insertAtBasePosition = (items, item, baseItems) => {
+  const baseIndex = baseItems.findIndex((candidate) => candidate.id === item.id);
+  for (let index = baseIndex - 1; index >= 0; index -= 1) {
+    const position = items.findIndex((candidate) => candidate.id === baseItems[index].id);
+    if (position !== -1) {
+      items.splice(position + 1, 0, item);
+      return;
+    }
+  }
+  items.unshift(item);
+};
+
+const restoreKeys = (target, source, keys) => {
+  const next = { ...target };
+  keys.forEach((key) => {
+    if (source && Object.prototype.hasOwnProperty.call(source, key)) {
+      next[key] = source[key];
+    } else {
+      delete next[key];
+    }
+  });
+  return next;
+};
+
+const mergeElements = (baseElements = [], targetElements = [], changes, rejected) => {
+  const byElement = new Map();
+  changes
+    .filter((change) => rejected.has(change.id))
+    .forEach((change) => byElement.set(change.elementId, [...(byElement.get(change.elementId) || []), change]));
+
+  const merged = [];
+  targetElements.forEach((element) => {
+    const elementChanges = byElement.get(element.id) || [];
+    if (elementChanges.some((change) => change.kind === 'added')) {
+      return;
+    }
+    merged.push(elementChanges.reduce((next, change) => restoreKeys(next, change.before, change.keys), element));
+  });
+  changes
+    .filter((change) => change.kind === 'removed' && rejected.has(change.id))
+    .forEach((change) => insertAtBasePosition(merged, change.before, baseElements));
+  return merged;
+};
+
+// Builds the `target` deck with every change in `rejectedIds` reverted to
+// its `base` state.
+export const mergeDeckChanges = (base = [], target = [], rejectedIds = []) => {
+  const rejected = new Set(rejectedIds);
+  const { entries } = diffDecks(base, target);
+  const isRejected = (entry, kind) => entry.changes.some((change) => change.kind === kind && rejected.has(change.id));
+
+  const merged = [];
+  const reinserted = [];
+  entries.forEach((entry) => {
+    if (entry.status === 'removed') {
+      if (isRejected(entry, 'slide-removed')) {
+        reinserted.push(entry.base);
+      }
+      return;
+    }
+    if (entry.status === 'added') {
+      if (!isRejected(entry, 'slide-added')) {
+        merged.push(entry.target);
+      }
+      return;
+    }
+    const propertyChange = entry.changes.find((change) => change.kind === 'slide-properties');
+    const slide = {
+      ...(propertyChange && rejected.has(propertyChange.id)
+        ? restoreKeys(entry.target, entry.base, propertyChange.keys)
+        : entry.target),
+      content: mergeElements(entry.base.content, entry.target.content, entry.changes, rejected)
+    };
+    if (isRejected(entry, 'slide-moved')) {
+      reinserted.push(slide);
+    } else {
+      merged.push(slide);
+    }
+  });
+
+  const baseOrder = indexById(base);
+  reinserted
+    .sort((a, b) => baseOrder.get(a.id) - baseOrder.get(b.id))
+    .forEach((slide) => insertAtBasePosition(merged, slide, base));
+
+  return merged.map((slide, index) =>
+    typeof slide.title === 'string' && AUTO_TITLE_PATTERN.test(slide.title)
+      ? { ...slide, title: `Slide ${index + 1}` }
+      : slide
+  );
+};
@@ -0,0 +1,86 @@
+import { diffDecks, getChangeLabel, mergeDeckChanges } from './deckDiff';
+
+const text = (id, value, extra = {}) => ({ id, type: 'text', text: value, x: 0, y: 0, width: 200, height: 80, ...extra });
+
+const BASE = [
+  { id: 's1', title: 'Slide 1', content: [text('t1', 'Hello'), text('t2', 'World')] },
+  { id: 's2', title: 'Agenda', content: [] },
+  { id: 's3', title: 'Slide 3', content: [] }
+];
+
+const TARGET = [
+  {
+    id: 's1',
+    title: 'Slide 1',
+    content: [text('t1', 'Hello there', { x: 40 }), text('t3', 'New')]
+  },
+  { id: 's4', title: 'Slide 2', content: [] },
+  { id: 's2', title: 'Agenda', background: '#000000', content: [] }
+];
+
+const changeIds = (deckDiff) => deckDiff.changes.map((change) => change.id);
+
+describe('diffDecks', () => {
+  test('lists element, slide and property changes', () => {
+    const diff = diffDecks(BASE, TARGET);
+    expect(diff.entries.map((entry) => [entry.slideId, entry.status])).toEqual([
+      ['s1', 'changed'],
+      ['s4', 'added'],
+      ['s2', 'changed'],
+      ['s3', 'removed']
+    ]);
+    expect(changeIds(diff)).toEqual([
+      's1:t1:moved',
+      's1:t1:text',
+      's1:t3:added',
+      's1:t2:removed',
+      's4:slide-added',
+      's2:slide-properties',
+      's3:slide-removed'
+    ]);
+    expect(diff.changes.find((change) => change.kind === 'slide-properties').keys).toEqual(['background']);
+  });
+
+  test('ignores renumbered automatic titles', () => {
+    const renumbered = [{ ...BASE[1] }, { ...BASE[0], title: 'Slide 2' }];
+    const diff = diffDecks(BASE.slice(0, 2), renumbered);
+    expect(changeIds(diff)).toEqual(['s2:slide-moved']);
+  });
+
+  test('reports nothing for identical decks', () => {
+    const diff = diffDecks(BASE, JSON.parse(JSON.stringify(BASE)));
+    expect(diff.changes).toEqual([]);
+    expect(diff.entries.every((entry) => entry.status === 'unchanged')).toBe(true);
+  });
+
+  test('labels chart and group content changes', () => {
+    expect(getChangeLabel({ kind: 'text', after: { type: 'chart' } })).toBe('Chart data changed');
+    expect(getChangeLabel({ kind: 'text', before: { type: 'group' } })).toBe('Group contents changed');
+    expect(getChangeLabel({ kind: 'moved' })).toBe('Moved');
+  });
+});
+
+describe('mergeDeckChanges', () => {
+  test('accepting everything gives the target deck', () => {
+    expect(mergeDeckChanges(BASE, TARGET, [])).toEqual(TARGET);
+  });
+
+  test('rejecting everything gives the base deck', () => {
+    expect(mergeDeckChanges(BASE, TARGET, changeIds(diffDecks(BASE, TARGET)))).toEqual(BASE);
+  });
+
+  test('reverts only the rejected changes', () => {
+    const merged = mergeDeckChanges(BASE, TARGET, ['s1:t1:moved', 's1:t2:removed', 's3:slide-removed']);
+    expect(merged.map((slide) => slide.id)).toEqual(['s1', 's4', 's2', 's3']);
+    expect(merged[0].content.map((element) => element.id)).toEqual(['t1', 't2', 't3']);
+    expect(merged[0].content[0]).toMatchObject({ x: 0, text: 'Hello there' });
+    expect(merged[3].title).toBe('Slide 4');
+  });
+
+  test('puts a slide back in its base position when its move is rejected', () => {
+    const reordered = [BASE[1], BASE[2], BASE[0]];
+    const [moveId] = changeIds(diffDecks(BASE, reordered));
+    expect(moveId).toBe('s1:slide-moved');
+    expect(mergeDeckChanges(BASE, reordered, [moveId]).map((slide) => slide.id)).toEqual(['s1', 's2', 's3']);
+  });
+});
@@ -0,0 +1,185 @@
+// Raw DEFLATE (RFC 1951) for environments without CompressionStream. Matches
+// come from an LZ77 hash chain and are written as a single block with the
+// fixed Huffman tables, which is small to implement and still shrinks XML
+// several times over.
+
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const HASH_BITS = 15;
+const HASH_SIZE = 1 << HASH_BITS;
+const MAX_CHAIN = 64;
+const NICE_MATCH = 128;
+
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097,
+  6145, 8193, 12289, 16385, 24577
+];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+const findBase = (bases, value) => {
+  let index = bases.length - 1;
+  while (bases[index] > value) {
+    index -= 1;
+  }
+  return index;
+};
+
+// Length and distance lookups, indexed by the value itself.
+const LENGTH_CODES = (() => {
+  const table = new Uint8Array(MAX_MATCH + 1);
+  for (let length = MIN_MATCH; length <= MAX_MATCH; length += 1) {
+    table[length] = findBase(LENGTH_BASE, length);
+  }
+  return table;
+})();
+
+const DISTANCE_CODES = (() => {
+  const table = new Uint8Array(WINDOW_SIZE + 1);
+  for (let distance = 1; distance <= WINDOW_SIZE; distance += 1) {
+    table[distance] = findBase(DISTANCE_BASE, distance);
+  }
+  return table;
+})();
+
+const createBitWriter = (initialSize) => {
+  let buffer = new Uint8Array(Math.max(64, initialSize));
+  let position = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const ensure = (extra) => {
+    if (position + extra > buffer.length) {
+      const next = new Uint8Array(Math.max(buffer.length * 2, position + extra));
+      next.set(buffer);
+      buffer = next;
+    }
+  };
+
+  // Writes `count` bits of `value`, least significant bit first.
+  const writeBits = (value, count) => {
+    bitBuffer |= value << bitCount;
+    bitCount += count;
+    ensure(4);
+    while (bitCount >= 8) {
+      buffer[position] = bitBuffer & 0xff;
+      position += 1;
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  // Huffman codes are packed starting from their most significant bit.
+  const writeCode = (code, length) => {
+    let reversed = 0;
+    for (let index = 0; index < length; index += 1) {
+      reversed = (reversed << 1) | ((code >>> index) & 1);
+    }
+    writeBits(reversed, length);
+  };
+
+  const finish = () => {
+    if (bitCount > 0) {
+      ensure(1);
+      buffer[position] = bitBuffer & 0xff;
+      position += 1;
+    }
+    return buffer.subarray(0, position);
+  };
+
+  return { writeBits, writeCode, finish };
+};
+
+const writeLiteral = (writer, symbol) => {
+  if (symbol < 144) {
+    writer.writeCode(0x30 + symbol, 8);
+  } else if (symbol < 256) {
+    writer.writeCode(0x190 + symbol - 144, 9);
+  } else if (symbol < 280) {
+    writer.writeCode(symbol - 256, 7);
+  } else {
+    writer.writeCode(0xc0 + symbol - 280, 8);
+  }
+};
+
+const writeMatch = (writer, length, distance) => {
+  const lengthCode = LENGTH_CODES[length];
+  writeLiteral(writer, 257 + lengthCode);
+  if (LENGTH_EXTRA[lengthCode]) {
+    writer.writeBits(length - LENGTH_BASE[lengthCode], LENGTH_EXTRA[lengthCode]);
+  }
+  const distanceCode = DISTANCE_CODES[distance];
+  writer.writeCode(distanceCode, 5);
+  if (DISTANCE_EXTRA[distanceCode]) {
+    writer.writeBits(distance - DISTANCE_BASE[distanceCode], DISTANCE_EXTRA[distanceCode]);
+  }
+};
+
+const hashAt = (bytes, index) =>
+  (((bytes[index] << 10) ^ (bytes[index + 1] << 5) ^ bytes[index + 2]) * 2654435761) >>> (32 - HASH_BITS);
+
+export const deflateRaw = (bytes) => {
+  const writer = createBitWriter(Math.ceil(bytes.length / 2));
+  const head = new Int32Array(HASH_SIZE).fill(-1);
+  const previous = new Int32Array(WINDOW_SIZE);
+  const length = bytes.length;
+
+  const insert = (index) => {
+    const hash = hashAt(bytes, index);
+    previous[index % WINDOW_SIZE] = head[hash];
+    head[hash] = index;
+  };
+
+  // One final block using the fixed Huffman codes.
+  writer.writeBits(1, 1);
+  writer.writeBits(1, 2);
+
+  let index = 0;
+  while (index < length) {
+    let bestLength = 0;
+    let bestDistance = 0;
+    if (index + MIN_MATCH <= length) {
+      const maxLength = Math.min(MAX_MATCH, length - index);
+      let candidate = head[hashAt(bytes, index)];
+      let chain = MAX_CHAIN;
+      while (candidate >= 0 && index - candidate <= WINDOW_SIZE && chain > 0) {
+        if (bytes[candidate + bestLength] === bytes[index + bestLength]) {
+          let matched = 0;
+          while (matched < maxLength && bytes[candidate + matched] === bytes[index + matched]) {
+            matched += 1;
+          }
+          if (matched > bestLength) {
+            bestLength = matched;
+            bestDistance = index - candidate;
+            if (matched >= NICE_MATCH || matched === maxLength) {
+              break;
+            }
+          }
+        }
+        candidate = previous[candidate % WINDOW_SIZE];
+        chain -= 1;
+      }
+      insert(index);
+    }
+
+    if (bestLength >= MIN_MATCH) {
+      writeMatch(writer, bestLength, bestDistance);
+      const end = index + bestLength;
+      for (index += 1; index < end; index += 1) {
+        if (index + MIN_MATCH <= length) {
+          insert(index);
+        }
+      }
+    } else {
+      writeLiteral(writer, bytes[index]);
+      index += 1;
+    }
+  }
+
+  writeLiteral(writer, 256);
+  return writer.finish();
+};
@@ -0,0 +1,38 @@
+import { inflateRawSync } from 'zlib';
+import { deflateRaw } from './deflate';
+
+const inflate = (bytes) => new Uint8Array(inflateRawSync(Buffer.from(bytes)));
+
+const pseudoRandomBytes = (length) => {
+  const bytes = new Uint8Array(length);
+  let seed = 12345;
+  for (let index = 0; index < length; index += 1) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    bytes[index] = seed >> 16;
+  }
+  return bytes;
+};
+
+test('round-trips empty input', () => {
+  expect(inflate(deflateRaw(new Uint8Array(0)))).toEqual(new Uint8Array(0));
+});
+
+test('shrinks repetitive XML and inflates back to the same bytes', () => {
+  const xml = new TextEncoder().encode('<a:p><a:r><a:t>Hello</a:t></a:r></a:p>'.repeat(2000));
+  const deflated = deflateRaw(xml);
+  expect(deflated.length).toBeLessThan(xml.length / 10);
+  expect(inflate(deflated)).toEqual(xml);
+});
+
+test('round-trips data with matches further apart than the window', () => {
+  const block = pseudoRandomBytes(40000);
+  const input = new Uint8Array(block.length * 2 + 3);
+  input.set(block, 0);
+  input.set(block, block.length + 3);
+  expect(inflate(deflateRaw(input))).toEqual(input);
+});
+
+test('round-trips runs longer than the longest match', () => {
+  const input = new Uint8Array(1000).fill(7);
+  expect(inflate(deflateRaw(input))).toEqual(input);
+});
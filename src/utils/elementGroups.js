@@ -0,0 +1,106 @@
+// Group elements keep their children in coordinates relative to the group's
+// top-left corner, so moving a group only touches the group itself.
+
+const toNumber = (value, fallback = 0) =>
+  typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+
+export const isGroupElement = (element) =>
+  element?.type === 'group' && Array.isArray(element.children);
+
+export const getElementsBounds = (elements = []) => {
+  const boxes = elements.filter(Boolean).map((element) => ({
+    left: toNumber(element.x),
+    top: toNumber(element.y),
+    right: toNumber(element.x) + toNumber(element.width),
+    bottom: toNumber(element.y) + toNumber(element.height)
+  }));
+  if (!boxes.length) {
+    return null;
+  }
+  const left = Math.min(...boxes.map((box) => box.left));
+  const top = Math.min(...boxes.map((box) => box.top));
+  const right = Math.max(...boxes.map((box) => box.right));
+  const bottom = Math.max(...boxes.map((box) => box.bottom));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+export const createGroupElement = (elements, id) => {
+  const bounds = getElementsBounds(elements);
+  if (!bounds || elements.length < 2) {
+    return null;
+  }
+  return {
+    id,
+    type: 'group',
+    x: Math.round(bounds.x),
+    y: Math.round(bounds.y),
+    width: Math.round(bounds.width),
+    height: Math.round(bounds.height),
+    children: elements.map((element) => ({
+      ...element,
+      x: toNumber(element.x) - bounds.x,
+      y: toNumber(element.y) - bounds.y
+    }))
+  };
+};
+
+export const ungroupElement = (group) => {
+  if (!isGroupElement(group)) {
+    return [];
+  }
+  const originX = toNumber(group.x);
+  const originY = toNumber(group.y);
+  return group.children.map((child) => ({
+    ...child,
+    x: Math.round(originX + toNumber(child.x)),
+    y: Math.round(originY + toNumber(child.y))
+  }));
+};
+
+// Maps every element of `elements` from the `from` box onto the `to` box.
+export const scaleElementsToBox = (elements, from, to) => {
+  const scaleX = from.width ? to.width / from.width : 1;
+  const scaleY = from.height ? to.height / from.height : 1;
+  return elements.map((element) => {
+    const scaled = {
+      ...element,
+      x: Math.round(to.x + (toNumber(element.x) - from.x) * scaleX),
+      y: Math.round(to.y + (toNumber(element.y) - from.y) * scaleY),
+      width: Math.max(Math.round(toNumber(element.width) * scaleX), 1),
+      height: Math.max(Math.round(toNumber(element.height) * scaleY), 1)
+    };
+    if (isGroupElement(element)) {
+      scaled.children = scaleElementsToBox(
+        element.children,
+        { x: 0, y: 0, width: toNumber(element.width), height: toNumber(element.height) },
+        { x: 0, y: 0, width: scaled.width, height: scaled.height }
+      );
+    }
+    return scaled;
+  });
+};
+
+export const resizeGroupElement = (group, width, height) => {
+  const [resized] = scaleElementsToBox(
+    [group],
+    { x: toNumber(group.x), y: toNumber(group.y), width: toNumber(group.width), height: toNumber(group.height) },
+    { x: toNumber(group.x), y: toNumber(group.y), width, height }
+  );
+  return resized.children;
+};
+
+// Expands groups into their members in slide coordinates. Each member keeps the
+// chain of group ids it belongs to (outermost first) in `groupPath`.
+export const flattenGroupedElements = (elements = [], offset = { x: 0, y: 0 }, groupPath = []) =>
+  elements.flatMap((element) => {
+    if (!element) {
+      return [];
+    }
+    const x = offset.x + toNumber(element.x);
+    const y = offset.y + toNumber(element.y);
+    if (isGroupElement(element)) {
+      return flattenGroupedElements(element.children, { x, y }, [...groupPath, element.id]);
+    }
+    const positioned = { ...element, x, y };
+    return groupPath.length ? [{ ...positioned, groupPath }] : [positioned];
+  });
@@ -0,0 +1,104 @@
+import {
+  createGroupElement,
+  flattenGroupedElements,
+  getElementsBounds,
+  isGroupElement,
+  resizeGroupElement,
+  scaleElementsToBox,
+  ungroupElement
+} from './elementGroups';
+
+const box = (id, x, y, width, height, extra = {}) => ({ id, type: 'shape', x, y, width, height, ...extra });
+
+const MEMBERS = [box('a', 100, 50, 200, 100), box('b', 400, 150, 100, 100)];
+
+describe('grouping', () => {
+  test('wraps the members in their bounding box with relative positions', () => {
+    const group = createGroupElement(MEMBERS, 'group-1');
+    expect(group).toEqual({
+      id: 'group-1',
+      type: 'group',
+      x: 100,
+      y: 50,
+      width: 400,
+      height: 200,
+      children: [box('a', 0, 0, 200, 100), box('b', 300, 100, 100, 100)]
+    });
+    expect(isGroupElement(group)).toBe(true);
+  });
+
+  test('needs at least two members', () => {
+    expect(createGroupElement([MEMBERS[0]], 'group-1')).toBeNull();
+    expect(createGroupElement([], 'group-1')).toBeNull();
+  });
+
+  test('measures the bounds of rotated or missing values as plain boxes', () => {
+    expect(getElementsBounds([box('a', 10, 20, 30, 40, { rotation: 45 }), { id: 'b' }])).toEqual({
+      x: 0,
+      y: 0,
+      width: 40,
+      height: 60
+    });
+    expect(getElementsBounds([])).toBeNull();
+  });
+
+  test('ungrouping puts the members back in slide coordinates', () => {
+    const group = createGroupElement(MEMBERS, 'group-1');
+    expect(ungroupElement({ ...group, x: 150, y: 80 })).toEqual([
+      box('a', 150, 80, 200, 100),
+      box('b', 450, 180, 100, 100)
+    ]);
+    expect(ungroupElement(MEMBERS[0])).toEqual([]);
+  });
+
+  test('ungrouping only opens the outer group', () => {
+    const inner = createGroupElement(MEMBERS, 'inner');
+    const outer = createGroupElement([inner, box('c', 0, 0, 50, 50)], 'outer');
+    const [restoredInner, restoredC] = ungroupElement(outer);
+    expect(restoredInner).toMatchObject({ id: 'inner', x: 100, y: 50, children: inner.children });
+    expect(restoredC).toEqual(box('c', 0, 0, 50, 50));
+  });
+});
+
+describe('scaleElementsToBox', () => {
+  test('maps positions and sizes from one box onto another', () => {
+    const scaled = scaleElementsToBox(
+      MEMBERS,
+      { x: 100, y: 50, width: 400, height: 200 },
+      { x: 0, y: 0, width: 200, height: 400 }
+    );
+    expect(scaled).toEqual([box('a', 0, 0, 100, 200), box('b', 150, 200, 50, 200)]);
+  });
+
+  test('scales the children of nested groups with their group', () => {
+    const group = createGroupElement(MEMBERS, 'group-1');
+    const [scaled] = scaleElementsToBox([group], { x: 0, y: 0, width: 1000, height: 500 }, { x: 0, y: 0, width: 500, height: 250 });
+    expect(scaled).toMatchObject({ x: 50, y: 25, width: 200, height: 100 });
+    expect(scaled.children).toEqual([box('a', 0, 0, 100, 50), box('b', 150, 50, 50, 50)]);
+  });
+
+  test('keeps elements at least a pixel wide and ignores empty source boxes', () => {
+    expect(scaleElementsToBox([box('a', 0, 0, 1, 1)], { x: 0, y: 0, width: 100, height: 100 }, { x: 0, y: 0, width: 10, height: 10 }))
+      .toEqual([box('a', 0, 0, 1, 1)]);
+    expect(scaleElementsToBox([box('a', 5, 5, 10, 10)], { x: 0, y: 0, width: 0, height: 0 }, { x: 20, y: 20, width: 50, height: 50 }))
+      .toEqual([box('a', 25, 25, 10, 10)]);
+  });
+
+  test('resizing a group scales its children to the new size', () => {
+    const group = createGroupElement(MEMBERS, 'group-1');
+    expect(resizeGroupElement(group, 800, 200)).toEqual([box('a', 0, 0, 400, 100), box('b', 600, 100, 200, 100)]);
+  });
+});
+
+describe('flattenGroupedElements', () => {
+  test('returns members in slide coordinates with the groups they belong to', () => {
+    const inner = createGroupElement(MEMBERS, 'inner');
+    const outer = createGroupElement([inner, box('c', 0, 0, 50, 50)], 'outer');
+    expect(flattenGroupedElements([outer, box('d', 600, 400, 10, 10), null])).toEqual([
+      { ...box('a', 100, 50, 200, 100), groupPath: ['outer', 'inner'] },
+      { ...box('b', 400, 150, 100, 100), groupPath: ['outer', 'inner'] },
+      { ...box('c', 0, 0, 50, 50), groupPath: ['outer'] },
+      box('d', 600, 400, 10, 10)
+    ]);
+  });
+});
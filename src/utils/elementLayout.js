@@ -0,0 +1,143 @@
+// Geometry helpers for smart guides, grid snapping and the align/distribute
+// commands. Boxes are plain `{ x, y, width, height }` objects in slide pixels.
+
+export const SNAP_THRESHOLD = 6;
+export const GRID_SIZE_OPTIONS = [10, 20, 40];
+
+export const DEFAULT_SNAP_SETTINGS = {
+  smartGuides: true,
+  grid: false,
+  gridSize: 20
+};
+
+export const ALIGNMENT_OPTIONS = [
+  { key: 'left', label: 'Left' },
+  { key: 'center', label: 'Center' },
+  { key: 'right', label: 'Right' },
+  { key: 'top', label: 'Top' },
+  { key: 'middle', label: 'Middle' },
+  { key: 'bottom', label: 'Bottom' }
+];
+
+export const DISTRIBUTE_OPTIONS = [
+  { key: 'horizontal', label: 'Horizontally' },
+  { key: 'vertical', label: 'Vertically' }
+];
+
+export const ROTATION_SNAP_STEP = 15;
+
+// Wraps an angle into 0-359 degrees, optionally rounding it to `step`.
+export const normalizeRotation = (angle, step = 1) => {
+  const rounded = Math.round((Number(angle) || 0) / step) * step;
+  return ((rounded % 360) + 360) % 360;
+};
+
+const toNumber = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : 0);
+
+const getAnchors = (start, size) => [start, start + size / 2, start + size];
+
+// Edges and centers of the slide and of every other element, per axis.
+export const getSnapTargets = (elements, slideSize) => ({
+  vertical: [
+    0,
+    slideSize.width / 2,
+    slideSize.width,
+    ...elements.flatMap((element) => getAnchors(toNumber(element.x), toNumber(element.width)))
+  ],
+  horizontal: [
+    0,
+    slideSize.height / 2,
+    slideSize.height,
+    ...elements.flatMap((element) => getAnchors(toNumber(element.y), toNumber(element.height)))
+  ]
+});
+
+const snapAxis = (start, size, targets, { threshold, gridSize }) => {
+  let offset = null;
+  getAnchors(start, size).forEach((anchor) => {
+    targets.forEach((target) => {
+      const distance = target - anchor;
+      if (Math.abs(distance) <= threshold && (offset === null || Math.abs(distance) < Math.abs(offset))) {
+        offset = distance;
+      }
+    });
+  });
+
+  if (offset === null) {
+    return {
+      start: gridSize > 0 ? Math.round(start / gridSize) * gridSize : start,
+      guides: []
+    };
+  }
+
+  const snappedAnchors = getAnchors(start + offset, size);
+  const guides = Array.from(
+    new Set(targets.filter((target) => snappedAnchors.some((anchor) => Math.abs(anchor - target) < 0.5)))
+  );
+  return { start: start + offset, guides };
+};
+
+// Snaps `box` to the closest guide on each axis, falling back to the grid when
+// no guide is within reach. Returns the snapped position and the guides to draw.
+export const snapBox = (box, targets, { threshold = SNAP_THRESHOLD, gridSize = 0 } = {}) => {
+  const horizontalTargets = targets?.horizontal || [];
+  const verticalTargets = targets?.vertical || [];
+  const x = snapAxis(box.x, box.width, verticalTargets, { threshold, gridSize });
+  const y = snapAxis(box.y, box.height, horizontalTargets, { threshold, gridSize });
+  return {
+    x: Math.round(x.start),
+    y: Math.round(y.start),
+    guides: [
+      ...x.guides.map((position) => ({ orientation: 'vertical', position })),
+      ...y.guides.map((position) => ({ orientation: 'horizontal', position }))
+    ]
+  };
+};
+
+// Aligns every element against `reference`, which is the selection bounds for
+// several elements or the slide itself for a single one.
+export const alignElements = (elements, alignment, reference) =>
+  elements.map((element) => {
+    const width = toNumber(element.width);
+    const height = toNumber(element.height);
+    switch (alignment) {
+      case 'left':
+        return { ...element, x: Math.round(reference.x) };
+      case 'center':
+        return { ...element, x: Math.round(reference.x + (reference.width - width) / 2) };
+      case 'right':
+        return { ...element, x: Math.round(reference.x + reference.width - width) };
+      case 'top':
+        return { ...element, y: Math.round(reference.y) };
+      case 'middle':
+        return { ...element, y: Math.round(reference.y + (reference.height - height) / 2) };
+      case 'bottom':
+        return { ...element, y: Math.round(reference.y + reference.height - height) };
+      default:
+        return element;
+    }
+  });
+
+// Keeps the outermost elements in place and spaces the rest so the gaps
+// between neighbours are equal.
+export const distributeElements = (elements, axis) => {
+  if (elements.length < 3) {
+    return elements;
+  }
+  const positionKey = axis === 'vertical' ? 'y' : 'x';
+  const sizeKey = axis === 'vertical' ? 'height' : 'width';
+  const sorted = [...elements].sort((a, b) => toNumber(a[positionKey]) - toNumber(b[positionKey]));
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const span = toNumber(last[positionKey]) + toNumber(last[sizeKey]) - toNumber(first[positionKey]);
+  const occupied = sorted.reduce((total, element) => total + toNumber(element[sizeKey]), 0);
+  const gap = (span - occupied) / (sorted.length - 1);
+
+  let cursor = toNumber(first[positionKey]);
+  const positions = new Map();
+  sorted.forEach((element) => {
+    positions.set(element.id, Math.round(cursor));
+    cursor += toNumber(element[sizeKey]) + gap;
+  });
+  return elements.map((element) => ({ ...element, [positionKey]: positions.get(element.id) }));
+};
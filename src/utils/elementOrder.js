@@ -0,0 +1,96 @@
+import { isGroupElement } from './elementGroups';
+
+// A slide's `content` array is its stacking order: the first element is the
+// backmost layer and the last one is drawn on top.
+
+export const ORDER_OPTIONS = [
+  { key: 'front', label: 'Bring to Front', shortcut: 'Ctrl+Shift+]' },
+  { key: 'forward', label: 'Bring Forward', shortcut: 'Ctrl+]' },
+  { key: 'backward', label: 'Send Backward', shortcut: 'Ctrl+[' },
+  { key: 'back', label: 'Send to Back', shortcut: 'Ctrl+Shift+[' }
+];
+
+const SHAPE_LABELS = {
+  rectangle: 'Rectangle',
+  circle: 'Circle',
+  triangle: 'Triangle',
+  arrow: 'Arrow',
+  star: 'Star',
+  line: 'Line'
+};
+
+const TYPE_LABELS = {
+  text: 'Text',
+  shape: 'Shape',
+  image: 'Image',
+  chart: 'Chart',
+  table: 'Table',
+  group: 'Group'
+};
+
+// Moves the elements in `ids` one step or all the way in the stacking order.
+// Selected elements keep their relative order and never jump over each other.
+export const reorderElements = (content = [], ids = [], command) => {
+  const selected = new Set(ids);
+  if (!selected.size) {
+    return content;
+  }
+  if (command === 'front' || command === 'back') {
+    const moved = content.filter((item) => selected.has(item.id));
+    const rest = content.filter((item) => !selected.has(item.id));
+    return command === 'front' ? [...rest, ...moved] : [...moved, ...rest];
+  }
+
+  const next = [...content];
+  const swap = (index, target) => {
+    [next[index], next[target]] = [next[target], next[index]];
+  };
+  if (command === 'forward') {
+    for (let index = next.length - 2; index >= 0; index -= 1) {
+      if (selected.has(next[index].id) && !selected.has(next[index + 1].id)) {
+        swap(index, index + 1);
+      }
+    }
+  } else if (command === 'backward') {
+    for (let index = 1; index < next.length; index += 1) {
+      if (selected.has(next[index].id) && !selected.has(next[index - 1].id)) {
+        swap(index, index - 1);
+      }
+    }
+  }
+  return next;
+};
+
+export const moveElementToIndex = (content = [], id, index) => {
+  const fromIndex = content.findIndex((item) => item.id === id);
+  if (fromIndex === -1) {
+    return content;
+  }
+  const next = [...content];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(Math.min(Math.max(index, 0), next.length), 0, moved);
+  return next;
+};
+
+export const getLayerLabel = (element) => {
+  if (element?.name) {
+    return element.name;
+  }
+  if (element?.type === 'text') {
+    const text = (element.plainText || '').replace(/\s+/g, ' ').trim();
+    return text ? (text.length > 32 ? `${text.slice(0, 32)}…` : text) : 'Empty text';
+  }
+  if (element?.type === 'shape') {
+    return SHAPE_LABELS[element.shape] || TYPE_LABELS.shape;
+  }
+  return TYPE_LABELS[element?.type] || 'Element';
+};
+
+// Drops hidden layers, including hidden members of groups, for renderers that
+// only draw what the audience sees.
+export const getVisibleElements = (elements = []) =>
+  elements
+    .filter((element) => element && !element.hidden)
+    .map((element) =>
+      isGroupElement(element) ? { ...element, children: getVisibleElements(element.children) } : element
+    );
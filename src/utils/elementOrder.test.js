@@ -0,0 +1,43 @@
+import { getLayerLabel, getVisibleElements, moveElementToIndex, reorderElements } from './elementOrder';
+
+const content = ['a', 'b', 'c', 'd', 'e'].map((id) => ({ id }));
+const ids = (elements) => elements.map((element) => element.id);
+
+describe('reorderElements', () => {
+  test('brings elements to the front and sends them to the back in their own order', () => {
+    expect(ids(reorderElements(content, ['d', 'b'], 'front'))).toEqual(['a', 'c', 'e', 'b', 'd']);
+    expect(ids(reorderElements(content, ['d', 'b'], 'back'))).toEqual(['b', 'd', 'a', 'c', 'e']);
+  });
+
+  test('moves one step without selected elements jumping over each other', () => {
+    expect(ids(reorderElements(content, ['b', 'c'], 'forward'))).toEqual(['a', 'd', 'b', 'c', 'e']);
+    expect(ids(reorderElements(content, ['a', 'c'], 'backward'))).toEqual(['a', 'c', 'b', 'd', 'e']);
+    expect(ids(reorderElements(content, ['e'], 'forward'))).toEqual(['a', 'b', 'c', 'd', 'e']);
+  });
+
+  test('returns the same array when nothing is selected', () => {
+    expect(reorderElements(content, [], 'front')).toBe(content);
+  });
+});
+
+test('moveElementToIndex clamps the target index', () => {
+  expect(ids(moveElementToIndex(content, 'a', 2))).toEqual(['b', 'c', 'a', 'd', 'e']);
+  expect(ids(moveElementToIndex(content, 'c', 99))).toEqual(['a', 'b', 'd', 'e', 'c']);
+  expect(moveElementToIndex(content, 'missing', 0)).toBe(content);
+});
+
+test('getLayerLabel prefers the name, then the text, then the type', () => {
+  expect(getLayerLabel({ type: 'text', name: 'Title', plainText: 'Hello' })).toBe('Title');
+  expect(getLayerLabel({ type: 'text', plainText: '  Hello\n world ' })).toBe('Hello world');
+  expect(getLayerLabel({ type: 'text', plainText: 'x'.repeat(40) })).toBe(`${'x'.repeat(32)}…`);
+  expect(getLayerLabel({ type: 'shape', shape: 'star' })).toBe('Star');
+  expect(getLayerLabel({ type: 'chart' })).toBe('Chart');
+});
+
+test('getVisibleElements drops hidden elements inside groups', () => {
+  const elements = [
+    { id: 'a', hidden: true },
+    { id: 'g', type: 'group', children: [{ id: 'b' }, { id: 'c', hidden: true }] }
+  ];
+  expect(getVisibleElements(elements)).toEqual([{ id: 'g', type: 'group', children: [{ id: 'b' }] }]);
+});
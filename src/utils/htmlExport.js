@@ -0,0 +1,313 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import SlideRenderer from '../components/SlideRenderer';
+import { ChartJS, buildChartData, buildChartOptions, resolveChartJsType } from './chartConfig';
+import { chartTypeLabels, createDefaultChartData, getPaletteColor } from '../data/chartDefaults';
+import { isGroupElement } from './elementGroups';
+import { downloadBlob } from './fileDownload';
+import { getSlideTransition } from './slideTransitions';
+import { DEFAULT_SLIDE_SIZE, normalizeSlideSize } from './slideSize';
+
+const CHART_PIXEL_RATIO = 2;
+const DEFAULT_BACKGROUND = '#ffffff';
+
+// Rules of the app's own stylesheets that the slide markup depends on: rich
+// text lists, tables, and the slideshow transition layers and keyframes.
+const EXPORTED_STYLE_PATTERN = /\.(slide-text|slide-transition-|table-element|table-cell)|@keyframes slide-/;
+
+const DECK_STYLES = `
+* { box-sizing: border-box; }
+html, body { margin: 0; height: 100%; background: #0f172a; overflow: hidden; }
+body { font-family: 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; }
+.deck-viewport { position: fixed; inset: 0 0 48px; display: flex; align-items: center; justify-content: center; }
+.deck-stage { width: var(--deck-width); height: var(--deck-height); flex: 0 0 auto; transform-origin: center; }
+.deck-slide:not(.is-current):not(.is-outgoing) { visibility: hidden; }
+.deck-canvas { position: relative; width: var(--deck-width); height: var(--deck-height); overflow: hidden; }
+.deck-controls { position: fixed; left: 0; right: 0; bottom: 0; height: 48px; display: flex; align-items: center; justify-content: center; gap: 16px; color: #e2e8f0; font-size: 14px; }
+.deck-controls button { min-width: 40px; height: 32px; border: 1px solid rgba(226, 232, 240, 0.35); border-radius: 8px; background: transparent; color: inherit; font: inherit; cursor: pointer; }
+.deck-controls button:disabled { opacity: 0.4; cursor: default; }
+`;
+
+// Plain script so the file works offline in any browser: arrow keys, space,
+// page keys, Home/End and clicks navigate, "f" toggles fullscreen and the
+// location hash remembers the slide.
+const DECK_SCRIPT = `
+(function () {
+  var slides = Array.prototype.slice.call(document.querySelectorAll('.deck-slide'));
+  var stage = document.querySelector('.deck-stage');
+  var counter = document.querySelector('.deck-counter');
+  var previousButton = document.querySelector('.deck-previous');
+  var nextButton = document.querySelector('.deck-next');
+  var animationClasses = ['is-outgoing', 'is-incoming', 'is-forward', 'is-backward'];
+  var current = 0;
+
+  function clearTransition(slide) {
+    animationClasses.concat('transition-' + slide.getAttribute('data-transition')).forEach(function (name) {
+      slide.classList.remove(name);
+    });
+    slide.style.animationDuration = '';
+  }
+
+  function update() {
+    counter.textContent = (current + 1) + ' / ' + slides.length;
+    previousButton.disabled = current === 0;
+    nextButton.disabled = current === slides.length - 1;
+    if (window.history && window.history.replaceState) {
+      window.history.replaceState(null, '', '#' + (current + 1));
+    }
+  }
+
+  function show(index) {
+    if (index < 0 || index >= slides.length || index === current) {
+      return;
+    }
+    var outgoing = slides[current];
+    var incoming = slides[index];
+    var type = incoming.getAttribute('data-transition');
+    slides.forEach(clearTransition);
+    outgoing.classList.remove('is-current');
+    incoming.classList.add('is-current');
+    if (type !== 'none') {
+      var classes = ['transition-' + type, index > current ? 'is-forward' : 'is-backward'];
+      var duration = incoming.getAttribute('data-duration') + 'ms';
+      classes.concat('is-outgoing').forEach(function (name) { outgoing.classList.add(name); });
+      classes.concat('is-incoming').forEach(function (name) { incoming.classList.add(name); });
+      outgoing.style.animationDuration = duration;
+      incoming.style.animationDuration = duration;
+      stage.classList.add('is-transitioning');
+    }
+    current = index;
+    update();
+  }
+
+  slides.forEach(function (slide) {
+    slide.addEventListener('animationend', function (event) {
+      if (event.target === slide && slide.classList.contains('is-incoming')) {
+        slides.forEach(clearTransition);
+        stage.classList.remove('is-transitioning');
+      }
+    });
+  });
+
+  function fit() {
+    var scale = Math.min(window.innerWidth / stage.offsetWidth, (window.innerHeight - 48) / stage.offsetHeight);
+    stage.style.transform = 'scale(' + Math.max(scale, 0.1) + ')';
+  }
+
+  document.addEventListener('keydown', function (event) {
+    var key = event.key;
+    if (key === 'ArrowRight' || key === 'ArrowDown' || key === 'PageDown' || key === ' ' || key === 'Enter') {
+      show(current + 1);
+    } else if (key === 'ArrowLeft' || key === 'ArrowUp' || key === 'PageUp' || key === 'Backspace') {
+      show(current - 1);
+    } else if (key === 'Home') {
+      show(0);
+    } else if (key === 'End') {
+      show(slides.length - 1);
+    } else if ((key === 'f' || key === 'F') && document.documentElement.requestFullscreen) {
+      if (document.fullscreenElement) {
+        document.exitFullscreen();
+      } else {
+        document.documentElement.requestFullscreen();
+      }
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+  stage.addEventListener('click', function () { show(current + 1); });
+  previousButton.addEventListener('click', function () { show(current - 1); });
+  nextButton.addEventListener('click', function () { show(current + 1); });
+  window.addEventListener('resize', fit);
+
+  var requested = parseInt(window.location.hash.slice(1), 10);
+  if (requested > 1 && requested <= slides.length) {
+    slides[0].classList.remove('is-current');
+    slides[requested - 1].classList.add('is-current');
+    current = requested - 1;
+  }
+  fit();
+  update();
+})();
+`;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const collectElements = (elements = []) =>
+  elements.flatMap((element) => (isGroupElement(element) ? collectElements(element.children) : [element]));
+
+// Charts are drawn once with Chart.js, exactly as presentation mode configures
+// them, and embedded as images.
+const renderChartImage = (element) => {
+  const data = element.chartData || createDefaultChartData(element.chartType || 'bar');
+  const type = data.type || element.chartType || 'bar';
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(Number(element.width) || 420));
+  canvas.height = Math.max(1, Math.round(Number(element.height) || 280));
+  try {
+    const chart = new ChartJS(canvas, {
+      type: resolveChartJsType(type),
+      data: buildChartData(type, {
+        labels: data.labels,
+        datasets: (data.datasets || []).map((dataset, index) => ({
+          ...dataset,
+          color: dataset.color || getPaletteColor(index)
+        }))
+      }),
+      options: {
+        ...buildChartOptions(type, {
+          plugins: {
+            title: {
+              display: !!data.title,
+              text: data.title || chartTypeLabels[type]
+            }
+          }
+        }),
+        responsive: false,
+        animation: false,
+        devicePixelRatio: CHART_PIXEL_RATIO
+      }
+    });
+    const dataUrl = canvas.toDataURL('image/png');
+    chart.destroy();
+    return dataUrl;
+  } catch (error) {
+    console.error('Failed to render chart for HTML export', error);
+    return null;
+  }
+};
+
+// Maps the id of every visible chart on the slides to its rendered image.
+export const renderChartImages = (slides) => {
+  const chartImages = {};
+  slides.forEach((slide) =>
+    collectElements(slide.content)
+      .filter((element) => element.type === 'chart' && !element.hidden)
+      .forEach((element) => {
+        const image = renderChartImage(element);
+        if (image) {
+          chartImages[element.id] = image;
+        }
+      })
+  );
+  return chartImages;
+};
+
+const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+// Linked images are fetched and inlined; ones that cannot be fetched keep
+// their address.
+const inlineImageSources = async (slides) => {
+  const sources = new Map();
+  slides.forEach((slide) =>
+    collectElements(slide.content).forEach((element) => {
+      if (element.type === 'image' && element.src && !element.src.startsWith('data:')) {
+        sources.set(element.src, element.src);
+      }
+    })
+  );
+  await Promise.all(
+    Array.from(sources.keys()).map(async (src) => {
+      try {
+        const response = await fetch(src);
+        if (response.ok) {
+          sources.set(src, await blobToDataUrl(await response.blob()));
+        }
+      } catch (error) {
+        console.warn('Could not embed image in HTML export', src, error);
+      }
+    })
+  );
+  const replaceSources = (elements = []) =>
+    elements.map((element) => {
+      if (isGroupElement(element)) {
+        return { ...element, children: replaceSources(element.children) };
+      }
+      return element.type === 'image' && sources.has(element.src)
+        ? { ...element, src: sources.get(element.src) }
+        : element;
+    });
+  return slides.map((slide) => ({ ...slide, content: replaceSources(slide.content) }));
+};
+
+const collectSlideStyles = () =>
+  Array.from(document.styleSheets || [])
+    .flatMap((sheet) => {
+      try {
+        return Array.from(sheet.cssRules || []);
+      } catch (error) {
+        // Cross-origin stylesheets cannot be read and hold nothing the slides use.
+        return [];
+      }
+    })
+    .map((rule) => rule.cssText)
+    .filter((text) => EXPORTED_STYLE_PATTERN.test(text))
+    .join('\n');
+
+export const buildPresentationHtml = (
+  slides,
+  { title = 'Presentation', chartImages = {}, styles = '', slideSize = DEFAULT_SLIDE_SIZE } = {}
+) => {
+  const sections = slides
+    .map((slide, index) => {
+      const transition = getSlideTransition(slide);
+      const markup = renderToStaticMarkup(<SlideRenderer slide={slide} chartImages={chartImages} />);
+      return (
+        `<section class="deck-slide slide-transition-layer${index === 0 ? ' is-current' : ''}"` +
+        ` data-transition="${transition.type}" data-duration="${transition.duration}"` +
+        ` aria-label="Slide ${index + 1}">` +
+        `<div class="deck-canvas" style="background-color: ${escapeHtml(slide.background?.color || DEFAULT_BACKGROUND)}">` +
+        `${markup}</div></section>`
+      );
+    })
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${styles}
+${DECK_STYLES}</style>
+</head>
+<body>
+<main class="deck-viewport" style="--deck-width: ${slideSize.width}px; --deck-height: ${slideSize.height}px">
+<div class="deck-stage slide-transition-stage">
+${sections}
+</div>
+</main>
+<nav class="deck-controls">
+<button type="button" class="deck-previous" aria-label="Previous slide">&#8592;</button>
+<span class="deck-counter">1 / ${slides.length}</span>
+<button type="button" class="deck-next" aria-label="Next slide">&#8594;</button>
+</nav>
+<script>${DECK_SCRIPT}</script>
+</body>
+</html>
+`;
+};
+
+export const exportSlidesAsHtml = async (slides, fileName, { slideSize } = {}) => {
+  const timestamp = new Date().toISOString().split('T')[0];
+  const desiredName = fileName || `presentation-${timestamp}.html`;
+  const deck = await inlineImageSources(slides || []);
+  const html = buildPresentationHtml(deck, {
+    title: desiredName.replace(/\.html?$/i, ''),
+    chartImages: renderChartImages(deck),
+    styles: collectSlideStyles(),
+    slideSize: normalizeSlideSize(slideSize)
+  });
+  downloadBlob(new Blob([html], { type: 'text/html;charset=utf-8' }), desiredName);
+};
@@ -0,0 +1,118 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import * as htmlToImage from 'html-to-image';
+import SlideRenderer from '../components/SlideRenderer';
+import { renderChartImages } from './htmlExport';
+import { buildZip } from './pptxBuilder';
+import { downloadBlob } from './fileDownload';
+import { DEFAULT_SLIDE_SIZE, normalizeSlideSize } from './slideSize';
+
+const DEFAULT_BACKGROUND = '#ffffff';
+const JPEG_QUALITY = 0.92;
+
+export const IMAGE_FORMAT_OPTIONS = [
+  { value: 'png', label: 'PNG', extension: 'png', mimeType: 'image/png' },
+  { value: 'jpeg', label: 'JPEG', extension: 'jpg', mimeType: 'image/jpeg' },
+  { value: 'svg', label: 'SVG', extension: 'svg', mimeType: 'image/svg+xml' }
+];
+
+export const IMAGE_SCALE_OPTIONS = [1, 2, 4];
+
+export const getImageScaleLabel = (scale, slideSize = DEFAULT_SLIDE_SIZE) =>
+  `${scale}x (${slideSize.width * scale} × ${slideSize.height * scale})`;
+
+const getSlideBackground = (slide) =>
+  typeof slide?.background === 'string' ? slide.background : slide?.background?.color || DEFAULT_BACKGROUND;
+
+const dataUrlToBytes = (dataUrl) => {
+  const separator = dataUrl.indexOf(',');
+  const header = dataUrl.slice(0, separator);
+  const payload = dataUrl.slice(separator + 1);
+  if (!header.endsWith(';base64')) {
+    return new TextEncoder().encode(decodeURIComponent(payload));
+  }
+  const binary = atob(payload);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index += 1) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return bytes;
+};
+
+// Slides are rendered off screen with the presentation-mode renderer, charts
+// swapped for their Chart.js images, and captured at the chosen scale.
+const captureSlide = async (slide, format, scale, chartImages, { width, height }) => {
+  const node = document.createElement('div');
+  node.setAttribute('aria-hidden', 'true');
+  Object.assign(node.style, {
+    position: 'fixed',
+    left: `-${width * 2}px`,
+    top: '0',
+    width: `${width}px`,
+    height: `${height}px`,
+    overflow: 'hidden',
+    pointerEvents: 'none',
+    backgroundColor: getSlideBackground(slide)
+  });
+  node.innerHTML = renderToStaticMarkup(<SlideRenderer slide={slide} chartImages={chartImages} />);
+  document.body.appendChild(node);
+
+  const options = {
+    cacheBust: true,
+    backgroundColor: getSlideBackground(slide),
+    width,
+    height,
+    pixelRatio: scale,
+    style: { left: '0', position: 'relative' }
+  };
+  try {
+    if (format === 'svg') {
+      // SVG output keeps its canvas viewBox; the scale only sets its size.
+      const svg = await htmlToImage.toSvg(node, options);
+      const markup = decodeURIComponent(svg.slice(svg.indexOf(',') + 1));
+      const svgDocument = new DOMParser().parseFromString(markup, 'image/svg+xml');
+      svgDocument.documentElement.setAttribute('width', String(width * scale));
+      svgDocument.documentElement.setAttribute('height', String(height * scale));
+      return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(new XMLSerializer().serializeToString(svgDocument))}`;
+    }
+    if (format === 'jpeg') {
+      return await htmlToImage.toJpeg(node, { ...options, quality: JPEG_QUALITY });
+    }
+    return await htmlToImage.toPng(node, options);
+  } finally {
+    node.remove();
+  }
+};
+
+// One slide is saved as a plain image; a range is bundled into a zip named
+// after the deck, with one numbered file per slide.
+export const exportSlidesAsImages = async (slides, baseName, options = {}) => {
+  const allSlides = Array.isArray(slides) ? slides : [];
+  const from = Math.max(1, Math.floor(Number(options.from) || 1));
+  const to = Math.min(allSlides.length, Math.floor(Number(options.to) || allSlides.length));
+  const selectedSlides = allSlides.slice(from - 1, to);
+  if (!selectedSlides.length) {
+    throw new Error('The selected slide range is empty.');
+  }
+
+  const format = IMAGE_FORMAT_OPTIONS.find((option) => option.value === options.format) || IMAGE_FORMAT_OPTIONS[0];
+  const scale = IMAGE_SCALE_OPTIONS.includes(Number(options.scale)) ? Number(options.scale) : 1;
+  const slideSize = normalizeSlideSize(options.slideSize);
+  const timestamp = new Date().toISOString().split('T')[0];
+  const name = baseName || `presentation-${timestamp}`;
+  const chartImages = renderChartImages(selectedSlides);
+  const digits = String(allSlides.length).length;
+
+  const entries = [];
+  for (let index = 0; index < selectedSlides.length; index += 1) {
+    const dataUrl = await captureSlide(selectedSlides[index], format.value, scale, chartImages, slideSize);
+    const slideNumber = String(from + index).padStart(digits, '0');
+    entries.push({ name: `${name}-slide-${slideNumber}.${format.extension}`, data: dataUrlToBytes(dataUrl) });
+  }
+
+  if (entries.length === 1) {
+    downloadBlob(new Blob([entries[0].data], { type: format.mimeType }), entries[0].name);
+    return;
+  }
+  downloadBlob(await buildZip(entries, 'application/zip'), `${name}-slides.zip`);
+};
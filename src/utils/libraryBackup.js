@@ -0,0 +1,354 @@
+import PizZip from 'pizzip';
+import { buildZip, decodeBase64 } from './pptxBuilder';
+import { downloadBlob } from './fileDownload';
+import {
+  STORAGE_QUOTA_MESSAGE,
+  createPresentationFolder,
+  clearAllPresentations,
+  generatePresentationId,
+  getPresentationFolders,
+  getRecentPresentations,
+  getTrashedPresentations,
+  importPresentation,
+  isQuotaExceededError,
+  listPresentationVersions,
+  loadPresentationData,
+  loadPresentationVersion
+} from './presentationStorage';
+
+// A library backup is a zip holding `manifest.json`, one folder per
+// presentation with its data and versions, and the images and themes they
+// use. Images and themes are stored once and referenced from the JSON files.
+
+export const BACKUP_FORMAT = 'pptts-library-backup';
+export const BACKUP_VERSION = 1;
+const ZIP_MIME_TYPE = 'application/zip';
+
+const ASSET_REF_PREFIX = 'pptts-asset:';
+const THEME_REF_PREFIX = 'pptts-theme:';
+const BASE64_DATA_URL = /^data:([^;,]+)((?:;[^;,]+)*?);base64,/;
+const MIN_ASSET_LENGTH = 256;
+
+const ASSET_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+};
+
+export const RESTORE_MODES = [
+  { value: 'merge', label: 'Merge into this library' },
+  { value: 'replace', label: 'Replace this library' }
+];
+
+export const CONFLICT_OPTIONS = [
+  { value: 'copy', label: 'Keep both (restore as a copy)' },
+  { value: 'replace', label: 'Replace the existing presentation' },
+  { value: 'skip', label: 'Skip' }
+];
+
+export const RESTORE_STATUS_LABELS = {
+  added: 'Restored',
+  copied: 'Restored as a copy',
+  replaced: 'Replaced existing',
+  skipped: 'Skipped',
+  failed: 'Failed'
+};
+
+const encodeBase64 = (bytes) => {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let index = 0; index < bytes.length; index += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(index, index + chunkSize));
+  }
+  return btoa(binary);
+};
+
+const jsonEntry = (name, value) => ({ name, data: JSON.stringify(value) });
+
+const safePathSegment = (value) => String(value).replace(/[^a-z0-9._-]/gi, '_');
+
+// Replaces every embedded image in `value` with a reference to an asset file,
+// adding each distinct image to `assets` the first time it is seen.
+const createAssetPacker = () => {
+  const assets = new Map();
+  const pack = (value) => {
+    if (typeof value === 'string') {
+      const match = value.length >= MIN_ASSET_LENGTH && BASE64_DATA_URL.exec(value);
+      if (!match) {
+        return value;
+      }
+      if (!assets.has(value)) {
+        const extension = ASSET_EXTENSIONS[match[1].toLowerCase()] || 'bin';
+        assets.set(value, {
+          path: `assets/asset-${assets.size + 1}.${extension}`,
+          header: match[0].slice(0, -1)
+        });
+      }
+      return `${ASSET_REF_PREFIX}${assets.get(value).path}`;
+    }
+    if (Array.isArray(value)) {
+      return value.map(pack);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, pack(item)]));
+    }
+    return value;
+  };
+  return { pack, assets };
+};
+
+const createThemePacker = () => {
+  const themes = new Map();
+  const pack = (design) => {
+    if (!design || typeof design !== 'object') {
+      return design;
+    }
+    const key = JSON.stringify(design);
+    if (!themes.has(key)) {
+      themes.set(key, { path: `themes/theme-${themes.size + 1}.json`, design });
+    }
+    return `${THEME_REF_PREFIX}${themes.get(key).path}`;
+  };
+  return { pack, themes };
+};
+
+const packSnapshot = (snapshot, packAsset, packTheme) =>
+  snapshot && packAsset({ ...snapshot, design: packTheme(snapshot.design) });
+
+// Every presentation in the library and the trash, with its versions,
+// folders and tags. Resolves with the zip and the number of presentations.
+export const createLibraryBackup = async () => {
+  const [recents, trash, folders] = await Promise.all([
+    getRecentPresentations(),
+    getTrashedPresentations(),
+    getPresentationFolders()
+  ]);
+  const assetPacker = createAssetPacker();
+  const themePacker = createThemePacker();
+  const entries = [];
+  const presentations = [];
+
+  for (const item of [...recents, ...trash]) {
+    const data = await loadPresentationData(item.id);
+    if (!data) {
+      continue;
+    }
+    const summaries = await listPresentationVersions(item.id);
+    const versions = (
+      await Promise.all(summaries.map((summary) => loadPresentationVersion(item.id, summary.id)))
+    ).filter(Boolean);
+    const path = `presentations/${safePathSegment(item.id)}`;
+    const { deletedAt, ...metadata } = item;
+    entries.push(jsonEntry(`${path}/presentation.json`, packSnapshot(data, assetPacker.pack, themePacker.pack)));
+    entries.push(
+      jsonEntry(
+        `${path}/versions.json`,
+        versions.map((version) => packSnapshot(version, assetPacker.pack, themePacker.pack))
+      )
+    );
+    presentations.push({
+      id: item.id,
+      name: item.name || data.fileName || 'Untitled presentation',
+      path,
+      metadata: assetPacker.pack(metadata),
+      deletedAt: deletedAt || null,
+      slideCount: data.slides?.length || 0,
+      versionCount: versions.length
+    });
+  }
+
+  assetPacker.assets.forEach(({ path }, dataUrl) => {
+    entries.push({ name: path, data: decodeBase64(dataUrl.slice(dataUrl.indexOf(',') + 1)) });
+  });
+  themePacker.themes.forEach(({ path, design }) => entries.push(jsonEntry(path, design)));
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    createdAt: Date.now(),
+    folders,
+    presentations,
+    assets: Object.fromEntries(Array.from(assetPacker.assets.values()).map(({ path, header }) => [path, header]))
+  };
+  entries.unshift(jsonEntry('manifest.json', manifest));
+
+  return { blob: await buildZip(entries, ZIP_MIME_TYPE), count: presentations.length };
+};
+
+export const exportLibraryBackup = async () => {
+  const { blob, count } = await createLibraryBackup();
+  const date = new Date().toISOString().slice(0, 10);
+  downloadBlob(blob, `pptts-library-${date}.zip`);
+  return count;
+};
+
+const readJson = (zip, path) => {
+  const file = zip.file(path);
+  if (!file) {
+    throw new Error(`The backup is missing ${path}.`);
+  }
+  return JSON.parse(file.asText());
+};
+
+// Resolves with the manifest contents plus the opened archive, which
+// `restoreLibraryBackup` reads each presentation from.
+export const readLibraryBackup = async (file) => {
+  let zip;
+  try {
+    zip = new PizZip(await file.arrayBuffer());
+  } catch (error) {
+    throw new Error('This file is not a valid backup archive.');
+  }
+  let manifest;
+  try {
+    manifest = readJson(zip, 'manifest.json');
+  } catch (error) {
+    throw new Error('This file is not a presentation library backup.');
+  }
+  if (manifest?.format !== BACKUP_FORMAT || !Array.isArray(manifest.presentations)) {
+    throw new Error('This file is not a presentation library backup.');
+  }
+  if (manifest.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of the app and cannot be restored here.');
+  }
+  return {
+    createdAt: manifest.createdAt,
+    folders: Array.isArray(manifest.folders) ? manifest.folders : [],
+    presentations: manifest.presentations,
+    manifest,
+    zip
+  };
+};
+
+const createUnpacker = ({ zip, manifest }) => {
+  const assets = new Map();
+  const themes = new Map();
+
+  const loadAsset = (path) => {
+    if (!assets.has(path)) {
+      const file = zip.file(path);
+      const header = manifest.assets?.[path];
+      if (!file || !header) {
+        throw new Error(`The backup is missing ${path}.`);
+      }
+      assets.set(path, `${header},${encodeBase64(file.asUint8Array())}`);
+    }
+    return assets.get(path);
+  };
+
+  const unpack = (value) => {
+    if (typeof value === 'string') {
+      return value.startsWith(ASSET_REF_PREFIX) ? loadAsset(value.slice(ASSET_REF_PREFIX.length)) : value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(unpack);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, unpack(item)]));
+    }
+    return value;
+  };
+
+  const unpackTheme = (design) => {
+    if (typeof design !== 'string' || !design.startsWith(THEME_REF_PREFIX)) {
+      return design;
+    }
+    const path = design.slice(THEME_REF_PREFIX.length);
+    if (!themes.has(path)) {
+      themes.set(path, readJson(zip, path));
+    }
+    return themes.get(path);
+  };
+
+  const unpackSnapshot = (snapshot) => {
+    const unpacked = unpack(snapshot);
+    return unpacked && { ...unpacked, design: unpackTheme(unpacked.design) };
+  };
+
+  return { unpack, unpackSnapshot };
+};
+
+// Ids in the backup that are already used in this library or its trash.
+export const findBackupConflicts = (backup, existingIds = []) => {
+  const ids = new Set(existingIds);
+  return backup.presentations.filter((entry) => ids.has(entry.id));
+};
+
+// `mode` 'replace' empties the library first. When merging, `onConflict`
+// decides what happens to presentations whose id is already in use: 'copy',
+// 'replace' or 'skip'. Every presentation is read from the archive before the
+// library is touched, so a damaged backup rejects and changes nothing.
+// Resolves with one result per presentation in the backup.
+export const restoreLibraryBackup = async (backup, { mode = 'merge', onConflict = 'copy' } = {}) => {
+  const existingIds = new Set();
+  if (mode !== 'replace') {
+    const [recents, trash] = await Promise.all([getRecentPresentations(), getTrashedPresentations()]);
+    [...recents, ...trash].forEach((item) => existingIds.add(item.id));
+  }
+  const { unpack, unpackSnapshot } = createUnpacker(backup);
+
+  const pending = backup.presentations.map((entry) => {
+    const result = { sourceId: entry.id, id: entry.id, name: entry.name || 'Untitled presentation' };
+    const isConflict = existingIds.has(entry.id);
+    if (isConflict && onConflict === 'skip') {
+      return { result: { ...result, status: 'skipped', message: 'A presentation with this ID is already in the library.' } };
+    }
+    let status = 'added';
+    if (isConflict) {
+      status = onConflict === 'replace' ? 'replaced' : 'copied';
+    }
+    try {
+      return {
+        entry,
+        result: { ...result, status },
+        data: unpackSnapshot(readJson(backup.zip, `${entry.path}/presentation.json`)),
+        versions: readJson(backup.zip, `${entry.path}/versions.json`).map(unpackSnapshot),
+        metadata: unpack(entry.metadata || {})
+      };
+    } catch (error) {
+      console.error('Failed to read presentation from backup', error);
+      throw new Error(`"${result.name}" could not be read from the backup. Nothing was restored.`);
+    }
+  });
+
+  if (mode === 'replace') {
+    await clearAllPresentations();
+  }
+  for (const folder of backup.folders) {
+    await createPresentationFolder(folder);
+  }
+
+  const results = [];
+  for (const { entry, result, data, versions, metadata } of pending) {
+    if (!entry) {
+      results.push(result);
+      continue;
+    }
+    if (result.status === 'copied') {
+      result.id = generatePresentationId();
+      result.name = `${result.name} (restored)`;
+    }
+    try {
+      await importPresentation({
+        id: result.id,
+        metadata: { ...metadata, name: result.name },
+        data: result.status === 'copied' ? { ...data, fileName: result.name } : data,
+        versions,
+        deletedAt: entry.deletedAt
+      });
+      results.push({ ...result, versionCount: versions.length });
+    } catch (error) {
+      console.error('Failed to restore presentation from backup', error);
+      results.push({
+        ...result,
+        status: 'failed',
+        message: isQuotaExceededError(error) ? STORAGE_QUOTA_MESSAGE : error?.message || 'Unable to restore.'
+      });
+    }
+  }
+  return results;
+};
@@ -0,0 +1,161 @@
+import PizZip from 'pizzip';
+import { createLibraryBackup, findBackupConflicts, readLibraryBackup, restoreLibraryBackup } from './libraryBackup';
+import {
+  createPresentationFolder,
+  deletePresentation,
+  getPresentationFolders,
+  getRecentPresentations,
+  getTrashedPresentations,
+  listPresentationVersions,
+  loadPresentationData,
+  loadPresentationVersion,
+  savePresentationData,
+  savePresentationVersion,
+  setStorageAdapter,
+  updatePresentationMetadata,
+  upsertRecentPresentation
+} from './presentationStorage';
+import { createMemoryAdapter } from './storageAdapters';
+
+const IMAGE = `data:image/png;base64,${'iVBORw0KGgo'.repeat(40)}AA==`;
+const DESIGN = { id: 'custom', colors: { background: '#fff', text: '#111' } };
+
+const blobToArrayBuffer = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+
+const readBackup = async (blob) => {
+  const buffer = await blobToArrayBuffer(blob);
+  return readLibraryBackup({ arrayBuffer: async () => buffer });
+};
+
+const addPresentation = async (id, name, { title = 'Intro', folder, tags } = {}) => {
+  const data = {
+    slides: [
+      {
+        id: `${id}-slide`,
+        title,
+        content: [{ id: `${id}-image`, type: 'image', src: IMAGE, x: 0, y: 0, width: 100, height: 80 }]
+      }
+    ],
+    design: DESIGN,
+    fileName: name
+  };
+  await savePresentationData(id, data);
+  await upsertRecentPresentation({ id, name, updatedAt: Date.now() });
+  if (folder || tags) {
+    await updatePresentationMetadata(id, { folder, tags });
+  }
+  await savePresentationVersion(id, data, { name: 'First draft' });
+};
+
+let backupBlob;
+
+beforeEach(async () => {
+  setStorageAdapter(createMemoryAdapter());
+  await createPresentationFolder('Work');
+  await addPresentation('pres-a', 'Quarterly review', { title: 'Résumé ✓', folder: 'Work', tags: ['finance'] });
+  await addPresentation('pres-b', 'Old pitch');
+  await deletePresentation('pres-b');
+  backupBlob = (await createLibraryBackup()).blob;
+});
+
+afterAll(() => setStorageAdapter(null));
+
+test('stores shared images once and reads the manifest back', async () => {
+  const backup = await readBackup(backupBlob);
+  expect(backup.presentations.map((entry) => entry.id).sort()).toEqual(['pres-a', 'pres-b']);
+  expect(backup.folders).toEqual(['Work']);
+
+  const zip = new PizZip(await blobToArrayBuffer(backupBlob));
+  expect(zip.file(/^assets\//)).toHaveLength(1);
+  expect(zip.file(/^themes\//)).toHaveLength(1);
+  expect(zip.file('presentations/pres-a/presentation.json').asText()).not.toContain('base64');
+});
+
+test('restores into an empty library with versions, folders, tags and trash', async () => {
+  const backup = await readBackup(backupBlob);
+  setStorageAdapter(createMemoryAdapter());
+
+  const results = await restoreLibraryBackup(backup, { mode: 'replace' });
+  expect(results.map((result) => result.status)).toEqual(['added', 'added']);
+
+  const [recents, trash, folders] = await Promise.all([
+    getRecentPresentations(),
+    getTrashedPresentations(),
+    getPresentationFolders()
+  ]);
+  expect(recents.map((item) => item.id)).toEqual(['pres-a']);
+  expect(recents[0]).toMatchObject({ folder: 'Work', tags: ['finance'] });
+  expect(trash.map((item) => item.id)).toEqual(['pres-b']);
+  expect(folders).toEqual(['Work']);
+
+  const data = await loadPresentationData('pres-a');
+  expect(data.slides[0].title).toBe('Résumé ✓');
+  expect(data.slides[0].content[0].src).toBe(IMAGE);
+  expect(data.design).toEqual(DESIGN);
+  const versions = await listPresentationVersions('pres-a');
+  expect(versions).toHaveLength(1);
+  expect(versions[0]).toMatchObject({ name: 'First draft', slideCount: 1 });
+  expect(await loadPresentationVersion('pres-a', versions[0].id)).toMatchObject({ name: 'First draft', design: DESIGN });
+});
+
+describe('merging into a library that has the same presentations', () => {
+  test('restores conflicts as copies', async () => {
+    const backup = await readBackup(backupBlob);
+    const existingIds = (await getRecentPresentations()).map((item) => item.id);
+    expect(findBackupConflicts(backup, existingIds).map((entry) => entry.id)).toEqual(['pres-a']);
+
+    const results = await restoreLibraryBackup(backup, { mode: 'merge', onConflict: 'copy' });
+    expect(results.map((result) => result.status)).toEqual(['copied', 'copied']);
+    const copy = results.find((result) => result.sourceId === 'pres-a');
+    expect(copy.id).not.toBe('pres-a');
+    expect(copy.name).toBe('Quarterly review (restored)');
+
+    const recents = await getRecentPresentations();
+    expect(recents.map((item) => item.id).sort()).toEqual([copy.id, 'pres-a'].sort());
+    expect((await loadPresentationData(copy.id)).fileName).toBe('Quarterly review (restored)');
+  });
+
+  test('replaces conflicts in place', async () => {
+    const backup = await readBackup(backupBlob);
+    await savePresentationData('pres-a', { slides: [], design: DESIGN, fileName: 'Edited since' });
+
+    const results = await restoreLibraryBackup(backup, { mode: 'merge', onConflict: 'replace' });
+    expect(results.map((result) => result.status)).toEqual(['replaced', 'replaced']);
+    expect((await loadPresentationData('pres-a')).slides).toHaveLength(1);
+    expect(await getRecentPresentations()).toHaveLength(1);
+  });
+
+  test('skips conflicts', async () => {
+    const backup = await readBackup(backupBlob);
+    await savePresentationData('pres-a', { slides: [], design: DESIGN, fileName: 'Edited since' });
+
+    const results = await restoreLibraryBackup(backup, { mode: 'merge', onConflict: 'skip' });
+    expect(results.map((result) => result.status)).toEqual(['skipped', 'skipped']);
+    expect((await loadPresentationData('pres-a')).fileName).toBe('Edited since');
+  });
+});
+
+test('leaves the library untouched when a presentation cannot be read', async () => {
+  const backup = await readBackup(backupBlob);
+  backup.zip.remove('presentations/pres-b/versions.json');
+
+  await expect(restoreLibraryBackup(backup, { mode: 'replace' })).rejects.toThrow('Nothing was restored');
+  expect((await getRecentPresentations()).map((item) => item.id)).toEqual(['pres-a']);
+  expect((await getTrashedPresentations()).map((item) => item.id)).toEqual(['pres-b']);
+  expect(await loadPresentationData('pres-a')).not.toBeNull();
+});
+
+test('rejects files that are not library backups', async () => {
+  const zip = new PizZip();
+  zip.file('manifest.json', JSON.stringify({ format: 'something-else', presentations: [] }));
+  const buffer = zip.generate({ type: 'arraybuffer' });
+  await expect(readLibraryBackup({ arrayBuffer: async () => buffer })).rejects.toThrow(
+    'not a presentation library backup'
+  );
+});
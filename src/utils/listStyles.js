@@ -0,0 +1,92 @@
+// Bullet and numbering styles shared by the text editor, the exporters and the
+// PPTX importer. `css` is the list-style-type the editor and slideshow render
+// with; `code` is the PowerPoint bullet character.
+export const BULLET_STYLES = [
+  { key: 'disc', label: 'Disc', symbol: '•', code: '2022', css: 'disc' },
+  { key: 'circle', label: 'Circle', symbol: '◦', code: '25E6', css: 'circle' },
+  { key: 'square', label: 'Square', symbol: '▪', code: '25AA', css: 'square' },
+  { key: 'dash', label: 'Dash', symbol: '–', code: '2013', css: '"– "' },
+  { key: 'arrow', label: 'Arrow', symbol: '➢', code: '27A2', css: '"➢ "' },
+  { key: 'check', label: 'Check', symbol: '✓', code: '2713', css: '"✓ "' }
+];
+
+// `key` doubles as the HTML `<ol type>` value.
+export const NUMBER_STYLES = [
+  { key: '1', label: '1. 2. 3.', scheme: 'arabicPeriod' },
+  { key: 'a', label: 'a. b. c.', scheme: 'alphaLcPeriod' },
+  { key: 'A', label: 'A. B. C.', scheme: 'alphaUcPeriod' },
+  { key: 'i', label: 'i. ii. iii.', scheme: 'romanLcPeriod' },
+  { key: 'I', label: 'I. II. III.', scheme: 'romanUcPeriod' }
+];
+
+// Browsers cycle disc, circle, square through nested unstyled lists.
+const NESTED_BULLET_KEYS = ['disc', 'circle', 'square'];
+
+export const getBulletStyle = (key, depth = 1) =>
+  BULLET_STYLES.find((style) => style.key === key) ||
+  BULLET_STYLES.find((style) => style.key === NESTED_BULLET_KEYS[Math.min(depth, 3) - 1]) ||
+  BULLET_STYLES[0];
+
+export const getNumberStyle = (key) =>
+  NUMBER_STYLES.find((style) => style.key === key) || NUMBER_STYLES[0];
+
+export const findBulletStyleBySymbol = (symbol) =>
+  BULLET_STYLES.find((style) => style.symbol === symbol) ||
+  (symbol === 'o' ? BULLET_STYLES[1] : symbol === '§' ? BULLET_STYLES[2] : null);
+
+// Maps any buAutoNum scheme (arabicParenR, alphaLcPeriod, ...) onto the
+// closest editor numbering style.
+export const findNumberStyleByScheme = (scheme = '') => {
+  const prefixes = [
+    ['alphaLc', 'a'],
+    ['alphaUc', 'A'],
+    ['romanLc', 'i'],
+    ['romanUc', 'I']
+  ];
+  const match = prefixes.find(([prefix]) => scheme.startsWith(prefix));
+  return getNumberStyle(match ? match[1] : '1');
+};
+
+const toAlpha = (value) => {
+  let remaining = value;
+  let text = '';
+  while (remaining > 0) {
+    remaining -= 1;
+    text = String.fromCharCode(97 + (remaining % 26)) + text;
+    remaining = Math.floor(remaining / 26);
+  }
+  return text;
+};
+
+const ROMAN_NUMERALS = [
+  [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+  [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']
+];
+
+const toRoman = (value) => {
+  let remaining = value;
+  let text = '';
+  ROMAN_NUMERALS.forEach(([amount, numeral]) => {
+    while (remaining >= amount) {
+      text += numeral;
+      remaining -= amount;
+    }
+  });
+  return text;
+};
+
+export const formatListNumber = (value, styleKey = '1') => {
+  const number = Math.max(1, Math.round(Number(value) || 1));
+  switch (styleKey) {
+    case 'a':
+      return toAlpha(number);
+    case 'A':
+      return toAlpha(number).toUpperCase();
+    case 'i':
+      return toRoman(number);
+    case 'I':
+      return toRoman(number).toUpperCase();
+    default:
+      return String(number);
+  }
+};
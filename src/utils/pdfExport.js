@@ -0,0 +1,771 @@
+import { getListMarker, parseRichTextParagraphs } from './richText';
+import { ChartJS, buildChartData, buildChartOptions, resolveChartJsType } from './chartConfig';
+import { flattenGroupedElements } from './elementGroups';
+import { getVisibleElements } from './elementOrder';
+import { normalizeSlideSize } from './slideSize';
+import { getColumnFractions, getCoveredCells, getRowFill, getTableColors } from './tableModel';
+
+const HANDOUT_PAGE = { width: 794, height: 1123 };
+const HANDOUT_MARGIN = 48;
+const HANDOUT_GAP = 24;
+const RASTER_SCALE = 2;
+const LIST_INDENT = 28;
+const DEFAULT_LINE_HEIGHT = 1.3;
+const NOTES_FONT_SIZE = 9;
+
+const TABLE_CELL_PADDING = { x: 8, y: 6 };
+
+const TEXT_BOX_PADDING = {
+  top: 10,
+  right: 14,
+  bottom: 10,
+  left: 14
+};
+
+// Glyphs outside WinAnsi cannot be drawn with the built-in PDF fonts, so text
+// containing them is rasterized instead.
+const PDF_SAFE_TEXT = /^[\u0020-\u00ff\u2013\u2014\u2018\u2019\u201c\u201d\u2022\u2026\u20ac]*$/;
+
+export const PDF_LAYOUT_OPTIONS = [
+  { value: 1, label: 'Full slides' },
+  { value: 2, label: 'Handouts (2 per page)' },
+  { value: 3, label: 'Handouts (3 per page)' },
+  { value: 6, label: 'Handouts (6 per page)' }
+];
+
+const HANDOUT_LAYOUTS = {
+  1: { columns: 1, rows: 1, notesBeside: false },
+  2: { columns: 1, rows: 2, notesBeside: false },
+  3: { columns: 1, rows: 3, notesBeside: true },
+  6: { columns: 2, rows: 3, notesBeside: false }
+};
+
+const parseColor = (value, fallback = { r: 17, g: 17, b: 17, a: 1 }) => {
+  if (!value || typeof value !== 'string') {
+    return fallback;
+  }
+  const text = value.trim();
+  let hex = text.replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex)) {
+    hex = hex.split('').map((char) => char + char).join('');
+  }
+  if (/^[0-9a-f]{6}$/i.test(hex)) {
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      a: 1
+    };
+  }
+  const match = text.match(/^rgba?\(([^)]+)\)/i);
+  if (match) {
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    if ([r, g, b].every(Number.isFinite)) {
+      return { r, g, b, a: Number.isFinite(a) ? a : 1 };
+    }
+  }
+  if (text === 'transparent') {
+    return { r: 0, g: 0, b: 0, a: 0 };
+  }
+  return fallback;
+};
+
+const toCssColor = (value) => {
+  const { r, g, b, a } = parseColor(value);
+  return `rgba(${r}, ${g}, ${b}, ${a})`;
+};
+
+const getSlideBackground = (slide) => {
+  if (typeof slide?.background === 'string') {
+    return slide.background;
+  }
+  return slide?.background?.color || slide?.background?.fill || '#ffffff';
+};
+
+const resolvePdfFont = (fontFace = '') => {
+  const name = fontFace.toLowerCase();
+  if (/mono|courier|consolas|menlo/.test(name)) {
+    return 'courier';
+  }
+  if (!name.includes('sans') && /times|georgia|garamond|cambria|palatino|serif/.test(name)) {
+    return 'times';
+  }
+  return 'helvetica';
+};
+
+const resolvePdfFontStyle = (style) => {
+  if (style.bold && style.italic) {
+    return 'bolditalic';
+  }
+  if (style.bold) {
+    return 'bold';
+  }
+  return style.italic ? 'italic' : 'normal';
+};
+
+const toCanvasFont = (style, factor) =>
+  `${style.italic ? 'italic ' : ''}${style.bold ? '700 ' : ''}${(style.fontSize / 0.75) * factor}px "${
+    style.fontFace || 'Segoe UI'
+  }", sans-serif`;
+
+const applyPdfFont = (doc, style, scale) => {
+  doc.setFont(resolvePdfFont(style.fontFace), resolvePdfFontStyle(style));
+  doc.setFontSize(style.fontSize * scale);
+};
+
+const setPdfFill = (doc, color) => {
+  const { r, g, b } = parseColor(color);
+  doc.setFillColor(r, g, b);
+};
+
+const setPdfStroke = (doc, color) => {
+  const { r, g, b } = parseColor(color);
+  doc.setDrawColor(r, g, b);
+};
+
+// Greedy word wrap in frame-local units. `measure` returns the width of a
+// string for a run style, so the same layout drives both PDF and canvas output.
+const layoutParagraphs = (paragraphs, baseStyle, width, lineHeight, measure) => {
+  const lines = [];
+  let cursorY = 0;
+
+  paragraphs.forEach((paragraph) => {
+    const indent = (paragraph.indentLevel || 0) * LIST_INDENT + (paragraph.bullet ? LIST_INDENT : 0);
+    const available = Math.max(1, width - indent);
+    const runs = paragraph.runs.length ? paragraph.runs : [{ text: '', style: baseStyle }];
+    const paragraphLines = [];
+    let current = null;
+
+    const trimTrailingSpace = () => {
+      const last = current.fragments[current.fragments.length - 1];
+      if (last && last.text.endsWith(' ')) {
+        const trimmed = last.text.replace(/\s+$/, '');
+        const removed = last.width - (trimmed ? measure(trimmed, last.style) : 0);
+        current.width -= removed;
+        if (trimmed) {
+          last.text = trimmed;
+          last.width -= removed;
+        } else {
+          current.fragments.pop();
+        }
+      }
+    };
+
+    const openLine = (style) => {
+      if (current) {
+        trimTrailingSpace();
+      }
+      current = { fragments: [], width: 0, fontSize: style.fontSize };
+      paragraphLines.push(current);
+    };
+
+    openLine(runs[0].style);
+    runs.forEach((run, runIndex) => {
+      if (runIndex > 0 && run.softBreakBefore) {
+        openLine(run.style);
+      }
+      current.fontSize = Math.max(current.fontSize, run.style.fontSize);
+      run.text.split(/(\s+)/).forEach((token) => {
+        if (!token) {
+          return;
+        }
+        const isSpace = !token.trim();
+        if (isSpace && !current.fragments.length) {
+          return;
+        }
+        const text = isSpace ? ' ' : token;
+        const tokenWidth = measure(text, run.style);
+        if (!isSpace && current.fragments.length && current.width + tokenWidth > available) {
+          openLine(run.style);
+        }
+        const last = current.fragments[current.fragments.length - 1];
+        if (last && last.style === run.style) {
+          last.text += text;
+          last.width += tokenWidth;
+        } else {
+          current.fragments.push({ text, style: run.style, x: current.width, width: tokenWidth });
+        }
+        current.width += tokenWidth;
+        current.fontSize = Math.max(current.fontSize, run.style.fontSize);
+      });
+    });
+    trimTrailingSpace();
+
+    paragraphLines.forEach((line, index) => {
+      const fontPx = line.fontSize / 0.75;
+      const height = fontPx * lineHeight;
+      let offset = 0;
+      if (paragraph.align === 'center') {
+        offset = (available - line.width) / 2;
+      } else if (paragraph.align === 'right') {
+        offset = available - line.width;
+      }
+      lines.push({
+        ...line,
+        x: indent + Math.max(0, offset),
+        y: cursorY,
+        height,
+        baseline: cursorY + (height - fontPx) / 2 + fontPx * 0.8,
+        marker: index === 0 ? getListMarker(paragraph) : null,
+        markerX: indent - LIST_INDENT,
+        markerStyle: runs[0].style
+      });
+      cursorY += height;
+    });
+  });
+
+  return { lines, height: cursorY };
+};
+
+const fitLayout = (layout, frame, verticalAlign, clip) => {
+  const lines = clip ? layout.lines.filter((line) => line.y + line.height <= frame.height + 0.5) : layout.lines;
+  const usedHeight = lines.length ? lines[lines.length - 1].y + lines[lines.length - 1].height : 0;
+  const offsetY = verticalAlign === 'middle' ? Math.max(0, (frame.height - usedHeight) / 2) : 0;
+  return { lines, offsetY };
+};
+
+const drawPdfTextLayout = (doc, lines, originX, originY, scale) => {
+  lines.forEach((line) => {
+    const baseline = originY + line.baseline * scale;
+    if (line.marker) {
+      const { r, g, b } = parseColor(`#${line.markerStyle.color}`);
+      applyPdfFont(doc, { ...line.markerStyle, underline: false }, scale);
+      doc.setTextColor(r, g, b);
+      doc.text(line.marker, originX + line.markerX * scale, baseline);
+    }
+    line.fragments.forEach((fragment) => {
+      const { style } = fragment;
+      const x = originX + (line.x + fragment.x) * scale;
+      const { r, g, b } = parseColor(`#${style.color}`);
+      applyPdfFont(doc, style, scale);
+      doc.setTextColor(r, g, b);
+      doc.text(fragment.text, x, baseline);
+      if (style.underline || style.strike) {
+        const fontPx = (style.fontSize / 0.75) * scale;
+        doc.setDrawColor(r, g, b);
+        doc.setLineWidth(Math.max(0.5, fontPx * 0.06));
+        const endX = x + fragment.width * scale;
+        if (style.underline) {
+          doc.line(x, baseline + fontPx * 0.12, endX, baseline + fontPx * 0.12);
+        }
+        if (style.strike) {
+          doc.line(x, baseline - fontPx * 0.28, endX, baseline - fontPx * 0.28);
+        }
+      }
+    });
+  });
+};
+
+const drawCanvasTextLayout = (ctx, lines, offsetY, factor) => {
+  ctx.textBaseline = 'alphabetic';
+  lines.forEach((line) => {
+    const baseline = (offsetY + line.baseline) * factor;
+    if (line.marker) {
+      ctx.font = toCanvasFont(line.markerStyle, factor);
+      ctx.fillStyle = toCssColor(`#${line.markerStyle.color}`);
+      ctx.fillText(line.marker, line.markerX * factor, baseline);
+    }
+    line.fragments.forEach((fragment) => {
+      const { style } = fragment;
+      const x = (line.x + fragment.x) * factor;
+      ctx.font = toCanvasFont(style, factor);
+      ctx.fillStyle = toCssColor(`#${style.color}`);
+      ctx.fillText(fragment.text, x, baseline);
+      if (style.underline || style.strike) {
+        const fontPx = (style.fontSize / 0.75) * factor;
+        const thickness = Math.max(1, fontPx * 0.06);
+        if (style.underline) {
+          ctx.fillRect(x, baseline + fontPx * 0.1, fragment.width * factor, thickness);
+        }
+        if (style.strike) {
+          ctx.fillRect(x, baseline - fontPx * 0.3, fragment.width * factor, thickness);
+        }
+      }
+    });
+  });
+};
+
+// `frame` is in slide units; `transform` maps slide units onto the page.
+const drawRichText = (doc, paragraphs, baseStyle, frame, transform, options = {}) => {
+  if (!paragraphs.length || frame.width <= 0 || frame.height <= 0) {
+    return;
+  }
+  const { lineHeight = DEFAULT_LINE_HEIGHT, verticalAlign = 'top', clip = false } = options;
+  const originX = transform.x + frame.x * transform.scale;
+  const originY = transform.y + frame.y * transform.scale;
+  const isVectorSafe = paragraphs.every(
+    (paragraph) =>
+      PDF_SAFE_TEXT.test(getListMarker(paragraph) || '') &&
+      paragraph.runs.every((run) => PDF_SAFE_TEXT.test(run.text))
+  );
+
+  if (isVectorSafe) {
+    const measure = (text, style) => {
+      applyPdfFont(doc, style, 1);
+      return doc.getTextWidth(text);
+    };
+    const layout = layoutParagraphs(paragraphs, baseStyle, frame.width, lineHeight, measure);
+    const { lines, offsetY } = fitLayout(layout, frame, verticalAlign, clip);
+    drawPdfTextLayout(doc, lines, originX, originY + offsetY * transform.scale, transform.scale);
+    return;
+  }
+
+  const factor = transform.scale * RASTER_SCALE;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(frame.width * factor));
+  canvas.height = Math.max(1, Math.ceil(frame.height * factor));
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    return;
+  }
+  const measure = (text, style) => {
+    ctx.font = toCanvasFont(style, 1);
+    return ctx.measureText(text).width;
+  };
+  const layout = layoutParagraphs(paragraphs, baseStyle, frame.width, lineHeight, measure);
+  const { lines, offsetY } = fitLayout(layout, frame, verticalAlign, clip);
+  drawCanvasTextLayout(ctx, lines, offsetY, factor);
+  doc.addImage(
+    canvas.toDataURL('image/png'),
+    'PNG',
+    originX,
+    originY,
+    frame.width * transform.scale,
+    frame.height * transform.scale
+  );
+};
+
+const toHex = (value) => {
+  const { r, g, b } = parseColor(value);
+  return [r, g, b].map((channel) => Math.round(channel).toString(16).padStart(2, '0')).join('');
+};
+
+const getTextBaseStyle = (item) => ({
+  fontSize: (Number(item.fontSize) || 18) * 0.75,
+  fontFace: String(item.fontFamily || 'Segoe UI').split(',')[0].replace(/["']/g, '').trim(),
+  color: toHex(item.color || '#111111'),
+  bold: Boolean(item.bold || (item.fontWeight && Number(item.fontWeight) >= 600)),
+  italic: Boolean(item.italic),
+  underline: Boolean(item.underline)
+});
+
+const plainTextParagraphs = (text, style, align = 'left') =>
+  String(text || '')
+    .split(/\r?\n/)
+    .map((line) => ({ align, indentLevel: 0, runs: line ? [{ text: line, style }] : [] }));
+
+const drawTextElement = (doc, item, transform) => {
+  const baseStyle = getTextBaseStyle(item);
+  const align = (item.textAlign || 'left').toLowerCase();
+  let paragraphs = parseRichTextParagraphs(item.text, baseStyle, align);
+  if (!paragraphs.length && item.plainText?.trim()) {
+    paragraphs = plainTextParagraphs(item.plainText.trim(), baseStyle, align);
+  }
+  const frame = {
+    x: (Number(item.x) || 0) + TEXT_BOX_PADDING.left,
+    y: (Number(item.y) || 0) + TEXT_BOX_PADDING.top,
+    width: (Number(item.width) || 0) - TEXT_BOX_PADDING.left - TEXT_BOX_PADDING.right,
+    height: Math.max(1, (Number(item.height) || 0) - TEXT_BOX_PADDING.top - TEXT_BOX_PADDING.bottom)
+  };
+  drawRichText(doc, paragraphs, baseStyle, frame, transform, {
+    lineHeight: Number(item.lineHeight) || DEFAULT_LINE_HEIGHT
+  });
+};
+
+const SHAPE_POLYGONS = {
+  arrow: [[0, 0.2], [0.6, 0.2], [0.6, 0], [1, 0.5], [0.6, 1], [0.6, 0.8], [0, 0.8]],
+  star: [
+    [0.5, 0], [0.61, 0.35], [0.98, 0.35], [0.68, 0.57], [0.79, 0.91],
+    [0.5, 0.7], [0.21, 0.91], [0.32, 0.57], [0.02, 0.35], [0.39, 0.35]
+  ]
+};
+
+const drawShapeElement = (doc, item, transform) => {
+  const { scale } = transform;
+  const x = transform.x + (Number(item.x) || 0) * scale;
+  const y = transform.y + (Number(item.y) || 0) * scale;
+  const width = (Number(item.width) || 0) * scale;
+  const height = (Number(item.height) || 0) * scale;
+  const fillColor = item.color || '#3b82f6';
+
+  if (item.shape === 'line') {
+    const strokeWidth = (Number(item.strokeWidth) || 2) * scale;
+    setPdfFill(doc, fillColor);
+    doc.roundedRect(x, y, width, strokeWidth, strokeWidth / 2, strokeWidth / 2, 'F');
+    return;
+  }
+
+  if (parseColor(fillColor).a === 0) {
+    return;
+  }
+
+  const borderWidth = Number(item.borderWidth) || 0;
+  setPdfFill(doc, fillColor);
+  if (borderWidth > 0) {
+    setPdfStroke(doc, item.borderColor || fillColor);
+    doc.setLineWidth(borderWidth * scale);
+  }
+  const paintStyle = borderWidth > 0 ? 'FD' : 'F';
+
+  if (item.shape === 'circle') {
+    doc.ellipse(x + width / 2, y + height / 2, width / 2, height / 2, paintStyle);
+  } else if (item.shape === 'triangle') {
+    doc.triangle(x + width / 2, y, x, y + height, x + width, y + height, paintStyle);
+  } else if (SHAPE_POLYGONS[item.shape]) {
+    const points = SHAPE_POLYGONS[item.shape].map(([px, py]) => [x + px * width, y + py * height]);
+    const segments = points.slice(1).map(([px, py], index) => [px - points[index][0], py - points[index][1]]);
+    doc.lines(segments, points[0][0], points[0][1], [1, 1], paintStyle, true);
+  } else {
+    doc.rect(x, y, width, height, paintStyle);
+  }
+
+  if (item.text) {
+    const style = {
+      fontSize: 10.5,
+      fontFace: 'Segoe UI',
+      color: 'ffffff',
+      bold: true
+    };
+    drawRichText(
+      doc,
+      plainTextParagraphs(item.text, style, 'center'),
+      style,
+      { x: Number(item.x) || 0, y: Number(item.y) || 0, width: Number(item.width) || 0, height: Number(item.height) || 0 },
+      transform,
+      { verticalAlign: 'middle' }
+    );
+  }
+};
+
+// Rows share the table height evenly, matching the editor's fixed layout.
+const drawTableElement = (doc, item, transform) => {
+  const cells = Array.isArray(item.cells) ? item.cells : [];
+  if (!cells.length) {
+    return;
+  }
+  const { scale } = transform;
+  const colors = getTableColors(item);
+  const covered = getCoveredCells(cells);
+  const originX = Number(item.x) || 0;
+  const originY = Number(item.y) || 0;
+  const width = Number(item.width) || 0;
+  const rowHeight = (Number(item.height) || 0) / cells.length;
+  const columnStarts = getColumnFractions(item).reduce(
+    (starts, fraction) => [...starts, starts[starts.length - 1] + fraction * width],
+    [0]
+  );
+
+  cells.forEach((row, rowIndex) => {
+    const isHeader = Boolean(item.headerRow) && rowIndex === 0;
+    const fill = getRowFill(item, rowIndex);
+    const baseStyle = getTextBaseStyle({
+      fontSize: item.fontSize || 16,
+      fontFamily: item.fontFamily,
+      color: isHeader ? colors.headerText : colors.text,
+      bold: isHeader
+    });
+    row.forEach((cell, colIndex) => {
+      if (covered.has(`${rowIndex}:${colIndex}`)) {
+        return;
+      }
+      const lastCol = Math.min(colIndex + (cell.colSpan || 1), columnStarts.length - 1);
+      const frame = {
+        x: originX + columnStarts[colIndex],
+        y: originY + rowIndex * rowHeight,
+        width: columnStarts[lastCol] - columnStarts[colIndex],
+        height: rowHeight * (cell.rowSpan || 1)
+      };
+      if (fill) {
+        setPdfFill(doc, fill);
+      }
+      setPdfStroke(doc, colors.border);
+      doc.setLineWidth(scale);
+      doc.rect(
+        transform.x + frame.x * scale,
+        transform.y + frame.y * scale,
+        frame.width * scale,
+        frame.height * scale,
+        fill ? 'FD' : 'S'
+      );
+      drawRichText(
+        doc,
+        parseRichTextParagraphs(cell.text, baseStyle, 'left'),
+        baseStyle,
+        {
+          x: frame.x + TABLE_CELL_PADDING.x,
+          y: frame.y + TABLE_CELL_PADDING.y,
+          width: frame.width - TABLE_CELL_PADDING.x * 2,
+          height: Math.max(1, frame.height - TABLE_CELL_PADDING.y * 2)
+        },
+        transform,
+        { verticalAlign: 'middle', clip: true }
+      );
+    });
+  });
+};
+
+const loadImage = (src) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Unable to load image'));
+    image.src = src;
+  });
+
+const drawImageElement = async (doc, item, transform) => {
+  const src = item.src || item.imageData?.src;
+  if (!src) {
+    return;
+  }
+  const { scale } = transform;
+  const width = (Number(item.width) || 0) * scale;
+  const height = (Number(item.height) || 0) * scale;
+  if (width <= 0 || height <= 0) {
+    return;
+  }
+
+  const image = await loadImage(src);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * RASTER_SCALE));
+  canvas.height = Math.max(1, Math.round(height * RASTER_SCALE));
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    return;
+  }
+
+  // Matches `object-fit: cover` on the canvas.
+  const naturalWidth = image.naturalWidth || image.width;
+  const naturalHeight = image.naturalHeight || image.height;
+  const ratio = Math.max(canvas.width / naturalWidth, canvas.height / naturalHeight);
+  const sourceWidth = canvas.width / ratio;
+  const sourceHeight = canvas.height / ratio;
+  ctx.translate(item.flipHorizontal ? canvas.width : 0, item.flipVertical ? canvas.height : 0);
+  ctx.scale(item.flipHorizontal ? -1 : 1, item.flipVertical ? -1 : 1);
+  ctx.drawImage(
+    image,
+    (naturalWidth - sourceWidth) / 2,
+    (naturalHeight - sourceHeight) / 2,
+    sourceWidth,
+    sourceHeight,
+    0,
+    0,
+    canvas.width,
+    canvas.height
+  );
+
+  const isJpeg = /^data:image\/jpe?g/i.test(src) || /\.jpe?g($|\?)/i.test(src);
+  doc.addImage(
+    canvas.toDataURL(isJpeg ? 'image/jpeg' : 'image/png', 0.92),
+    isJpeg ? 'JPEG' : 'PNG',
+    transform.x + (Number(item.x) || 0) * scale,
+    transform.y + (Number(item.y) || 0) * scale,
+    width,
+    height
+  );
+};
+
+const drawChartElement = (doc, item, transform) => {
+  const data = item.chartData || {};
+  const type = data.type || item.chartType || 'bar';
+  const width = Math.max(1, Math.round(Number(item.width) || 420));
+  const height = Math.max(1, Math.round(Number(item.height) || 280));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const chart = new ChartJS(canvas, {
+    type: resolveChartJsType(type),
+    data: buildChartData(type, {
+      labels: data.labels,
+      datasets: (data.datasets || []).map((dataset) => ({
+        ...dataset,
+        color: dataset.color || '#3b82f6'
+      }))
+    }),
+    options: {
+      ...buildChartOptions(type, {
+        plugins: {
+          title: {
+            display: !!data.title,
+            text: data.title
+          }
+        }
+      }),
+      responsive: false,
+      devicePixelRatio: RASTER_SCALE * Math.max(1, transform.scale)
+    }
+  });
+  const dataUrl = canvas.toDataURL('image/png');
+  chart.destroy();
+
+  doc.addImage(
+    dataUrl,
+    'PNG',
+    transform.x + (Number(item.x) || 0) * transform.scale,
+    transform.y + (Number(item.y) || 0) * transform.scale,
+    width * transform.scale,
+    height * transform.scale
+  );
+};
+
+const renderSlide = async (doc, slide, transform, slideSize) => {
+  const { r, g, b } = parseColor(getSlideBackground(slide), { r: 255, g: 255, b: 255, a: 1 });
+  doc.setFillColor(r, g, b);
+  doc.rect(transform.x, transform.y, slideSize.width * transform.scale, slideSize.height * transform.scale, 'F');
+
+  for (const item of flattenGroupedElements(getVisibleElements(slide?.content || []))) {
+    try {
+      if (item?.type === 'text') {
+        drawTextElement(doc, item, transform);
+      } else if (item?.type === 'shape') {
+        drawShapeElement(doc, item, transform);
+      } else if (item?.type === 'image') {
+        await drawImageElement(doc, item, transform);
+      } else if (item?.type === 'chart') {
+        drawChartElement(doc, item, transform);
+      } else if (item?.type === 'table') {
+        drawTableElement(doc, item, transform);
+      }
+    } catch (error) {
+      console.warn(`Skipping ${item?.type || 'unknown'} element in PDF export`, error);
+    }
+  }
+};
+
+const getNotesParagraphs = (slide, style) => {
+  const notes = slide?.notes;
+  if (!notes || typeof notes !== 'string') {
+    return [];
+  }
+  const paragraphs = parseRichTextParagraphs(notes, style, 'left');
+  return paragraphs.length || /<[a-z]/i.test(notes) ? paragraphs : plainTextParagraphs(notes.trim(), style);
+};
+
+const drawNotes = (doc, slide, frame) => {
+  const style = { fontSize: NOTES_FONT_SIZE, fontFace: 'Helvetica', color: '1f2937' };
+  const paragraphs = getNotesParagraphs(slide, style);
+  if (!paragraphs.length) {
+    return false;
+  }
+  drawRichText(doc, paragraphs, style, frame, { x: 0, y: 0, scale: 1 }, { clip: true, lineHeight: 1.4 });
+  return true;
+};
+
+const drawNoteLines = (doc, frame) => {
+  doc.setDrawColor(203, 213, 225);
+  doc.setLineWidth(0.75);
+  for (let y = frame.y + 28; y <= frame.y + frame.height; y += 28) {
+    doc.line(frame.x, y, frame.x + frame.width, y);
+  }
+};
+
+const drawSlideFrame = (doc, transform, slideSize) => {
+  doc.setDrawColor(148, 163, 184);
+  doc.setLineWidth(0.75);
+  doc.rect(transform.x, transform.y, slideSize.width * transform.scale, slideSize.height * transform.scale, 'S');
+};
+
+const renderHandoutPage = async (doc, pageSlides, layout, includeNotes, slideSize) => {
+  const contentWidth = HANDOUT_PAGE.width - HANDOUT_MARGIN * 2;
+  const contentHeight = HANDOUT_PAGE.height - HANDOUT_MARGIN * 2;
+  const cellWidth = (contentWidth - HANDOUT_GAP * (layout.columns - 1)) / layout.columns;
+  const cellHeight = (contentHeight - HANDOUT_GAP * (layout.rows - 1)) / layout.rows;
+
+  for (let index = 0; index < pageSlides.length; index += 1) {
+    const slide = pageSlides[index];
+    const cellX = HANDOUT_MARGIN + (index % layout.columns) * (cellWidth + HANDOUT_GAP);
+    const cellY = HANDOUT_MARGIN + Math.floor(index / layout.columns) * (cellHeight + HANDOUT_GAP);
+
+    if (layout.notesBeside) {
+      const slideWidth = cellWidth * 0.5;
+      const scale = Math.min(slideWidth / slideSize.width, cellHeight / slideSize.height);
+      const transform = { x: cellX, y: cellY, scale };
+      await renderSlide(doc, slide, transform, slideSize);
+      drawSlideFrame(doc, transform, slideSize);
+      const notesFrame = {
+        x: cellX + slideWidth + HANDOUT_GAP,
+        y: cellY,
+        width: cellWidth - slideWidth - HANDOUT_GAP,
+        height: cellHeight
+      };
+      if (!includeNotes || !drawNotes(doc, slide, notesFrame)) {
+        drawNoteLines(doc, notesFrame);
+      }
+      continue;
+    }
+
+    const slideAreaHeight = includeNotes ? cellHeight * 0.6 : cellHeight;
+    const scale = Math.min(cellWidth / slideSize.width, slideAreaHeight / slideSize.height);
+    const slideWidth = slideSize.width * scale;
+    const slideHeight = slideSize.height * scale;
+    const transform = { x: cellX + (cellWidth - slideWidth) / 2, y: cellY, scale };
+    await renderSlide(doc, slide, transform, slideSize);
+    drawSlideFrame(doc, transform, slideSize);
+    if (includeNotes) {
+      drawNotes(doc, slide, {
+        x: transform.x,
+        y: cellY + slideHeight + 12,
+        width: slideWidth,
+        height: cellHeight - slideHeight - 12
+      });
+    }
+  }
+};
+
+export const exportSlidesAsPdf = async (slides, fileName, options = {}) => {
+  const allSlides = Array.isArray(slides) ? slides : [];
+  const from = Math.max(1, Math.floor(Number(options.from) || 1));
+  const to = Math.min(allSlides.length, Math.floor(Number(options.to) || allSlides.length));
+  const selectedSlides = allSlides.slice(from - 1, to);
+  if (!selectedSlides.length) {
+    throw new Error('The selected slide range is empty.');
+  }
+
+  const slidesPerPage = HANDOUT_LAYOUTS[options.slidesPerPage] ? Number(options.slidesPerPage) : 1;
+  const includeNotes = Boolean(options.includeNotes);
+  const slideSize = normalizeSlideSize(options.slideSize);
+  const useSlidePages = slidesPerPage === 1 && !includeNotes;
+  const pageFormat = useSlidePages
+    ? [slideSize.width, slideSize.height]
+    : [HANDOUT_PAGE.width, HANDOUT_PAGE.height];
+  const orientation = useSlidePages && slideSize.width >= slideSize.height ? 'landscape' : 'portrait';
+
+  // jsPDF is large and only needed here, so it is loaded on first export.
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({
+    orientation,
+    unit: 'px',
+    format: pageFormat,
+    hotfixes: ['px_scaling'],
+    compress: true
+  });
+  doc.setProperties({ title: (fileName || 'presentation').replace(/\.pdf$/i, '') });
+
+  if (useSlidePages) {
+    for (let index = 0; index < selectedSlides.length; index += 1) {
+      if (index > 0) {
+        doc.addPage(pageFormat, orientation);
+      }
+      await renderSlide(doc, selectedSlides[index], { x: 0, y: 0, scale: 1 }, slideSize);
+    }
+  } else {
+    const layout = HANDOUT_LAYOUTS[slidesPerPage];
+    const perPage = layout.columns * layout.rows;
+    for (let start = 0; start < selectedSlides.length; start += perPage) {
+      if (start > 0) {
+        doc.addPage(pageFormat, orientation);
+      }
+      await renderHandoutPage(
+        doc,
+        selectedSlides.slice(start, start + perPage),
+        layout,
+        includeNotes,
+        slideSize
+      );
+    }
+  }
+
+  const timestamp = new Date().toISOString().split('T')[0];
+  doc.save(fileName || `presentation-${timestamp}.pdf`);
+};
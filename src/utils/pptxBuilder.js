@@ -1,4 +1,11 @@
-const UTF8_ENCODER = new TextEncoder();
+import { parseRichTextParagraphs } from './richText';
+import { isGroupElement } from './elementGroups';
+import { deflateRaw } from './deflate';
+import { DEFAULT_SLIDE_SIZE, normalizeSlideSize } from './slideSize';
+import { getColumnFractions, getCoveredCells, getRowFill, getTableColors } from './tableModel';
+
+// Created per call so importing this module needs no TextEncoder up front.
+const encodeUtf8 = (value) => new TextEncoder().encode(value);
 
 const CRC_TABLE = (() => {
   const table = new Uint32Array(256);
@@ -24,132 +31,769 @@ const toUint8 = (input) => {
   if (input instanceof Uint8Array) {
     return input;
   }
-  return UTF8_ENCODER.encode(input);
+  return encodeUtf8(input);
 };
 
 const xmlEscape = (value) =>
-  value
+  String(value)
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
     .replace(/>/g, '&gt;')
     .replace(/"/g, '&quot;')
     .replace(/'/g, '&apos;');
 
-const buildSlideXml = (slide, index) => {
-  const textItems = slide.content
-    .filter((item) => item?.type === 'text' && item.text)
-    .map((item) => item.text.trim())
-    .filter(Boolean);
-
-  const paragraphs = (textItems.length ? textItems : [`Slide ${index + 1}`])
-    .map((text) => {
-      const safe = xmlEscape(text);
-      return `      <a:p>
-        <a:r>
-          <a:rPr lang="en-US"/>
-          <a:t>${safe}</a:t>
-        </a:r>
-        <a:endParaRPr lang="en-US"/>
-      </a:p>`;
-    })
-    .join('\n');
+const CANVAS_WIDTH = DEFAULT_SLIDE_SIZE.width;
+const CANVAS_HEIGHT = DEFAULT_SLIDE_SIZE.height;
+const EMU_PER_PX = 9525;
+const BULLET_INDENT_EMU = 342900;
 
-  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<p:sld xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"
+// sldSz types and app.xml format names PowerPoint uses for the slide size
+// presets; anything else is written as a custom size.
+const SLIDE_SIZE_FORMATS = {
+  widescreen: { type: 'screen16x9', name: 'On-screen Show (16:9)' },
+  standard: { type: 'screen4x3', name: 'On-screen Show (4:3)' },
+  a4: { type: 'A4', name: 'A4 Paper (210x297 mm)' },
+  custom: { type: 'custom', name: 'Custom' }
+};
+
+const NS_DECLARATIONS = `xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"
  xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"
- xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main">
-  <p:cSld>
+ xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"`;
+
+const REL_TYPES = {
+  slide: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide',
+  slideLayout: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideLayout',
+  slideMaster: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/slideMaster',
+  theme: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/theme',
+  image: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image',
+  chart: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/chart'
+};
+
+const GRAPHIC_DATA_URIS = {
+  table: 'http://schemas.openxmlformats.org/drawingml/2006/table',
+  chart: 'http://schemas.openxmlformats.org/drawingml/2006/chart'
+};
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/gif': 'gif',
+  'image/bmp': 'bmp',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+};
+
+const IMAGE_CONTENT_TYPES = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  webp: 'image/webp',
+  svg: 'image/svg+xml'
+};
+
+// Same geometry the PptxGenJS exporter picks for each editor shape.
+const PRESET_GEOMETRY = {
+  circle: 'ellipse',
+  triangle: 'triangle',
+  arrow: 'rightArrow',
+  star: 'star5',
+  line: 'line'
+};
+
+const TEXT_BOX_PADDING = {
+  top: 10,
+  right: 14,
+  bottom: 10,
+  left: 14
+};
+
+// Series colours the PptxGenJS exporter falls back to.
+const CHART_SERIES_COLORS = ['3B82F6', '6366F1', '10B981', 'F59E0B', 'EF4444', '8B5CF6', '0EA5E9'];
+
+const ALIGNMENTS = { left: 'l', center: 'ctr', right: 'r', justify: 'just' };
+const ANCHORS = { top: 't', middle: 'ctr', center: 'ctr', bottom: 'b' };
+
+const toNumber = (value, fallback = 0) => {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) ? numeric : fallback;
+};
+
+const pxToEmu = (value) => Math.round(toNumber(value) * EMU_PER_PX);
+
+const normalizeHex = (input, fallback = 'FFFFFF') => {
+  if (!input) {
+    return fallback;
+  }
+  let hex = String(input).trim().replace('#', '');
+  if (hex.length === 3) {
+    hex = hex.split('').map((char) => char + char).join('');
+  }
+  return /^[0-9a-f]{6}$/i.test(hex) ? hex.toUpperCase() : fallback;
+};
+
+const getSlideBackground = (slide) => {
+  if (typeof slide?.background === 'string') {
+    return slide.background;
+  }
+  return slide?.background?.color || slide?.background?.fill || 'FFFFFF';
+};
+
+const determineFontFace = (fontFamily) =>
+  String(fontFamily || '').split(',')[0].replace(/["']/g, '').trim() || 'Segoe UI';
+
+const htmlToPlainText = (value) => {
+  if (!value || typeof value !== 'string') {
+    return '';
+  }
+  return value
+    .replace(/<\s*br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h[1-6]|li)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;| /g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+const solidFillXml = (hex) => `<a:solidFill><a:srgbClr val="${hex}"/></a:solidFill>`;
+
+const xfrmXml = (frame, rotation = 0, childFrame = null) => {
+  const rot = Math.round(toNumber(rotation) * 60000) % 21600000;
+  const child = childFrame
+    ? `<a:chOff x="${childFrame.x}" y="${childFrame.y}"/><a:chExt cx="${childFrame.cx}" cy="${childFrame.cy}"/>`
+    : '';
+  return (
+    `<a:xfrm${rot ? ` rot="${(rot + 21600000) % 21600000}"` : ''}>` +
+    `<a:off x="${frame.x}" y="${frame.y}"/><a:ext cx="${frame.cx}" cy="${frame.cy}"/>${child}</a:xfrm>`
+  );
+};
+
+const toFrame = (item, offset, defaults = {}) => ({
+  x: pxToEmu(offset.x + toNumber(item.x)),
+  y: pxToEmu(offset.y + toNumber(item.y)),
+  cx: Math.max(0, pxToEmu(item.width ?? defaults.width ?? CANVAS_WIDTH * 0.25)),
+  cy: Math.max(0, pxToEmu(item.height ?? defaults.height ?? CANVAS_HEIGHT * 0.25))
+});
+
+const nonVisualPropsXml = (id, item, fallbackName) =>
+  `<p:cNvPr id="${id}" name="${xmlEscape(item.name || fallbackName)}"` +
+  `${item.alt ? ` descr="${xmlEscape(item.alt)}"` : ''}${item.hidden ? ' hidden="1"' : ''}/>`;
+
+// Run properties in the shape `parseRichTextParagraphs` produces; sizes are
+// already in points.
+const runPropertiesXml = (style, tag = 'a:rPr') => {
+  const attributes = [`lang="en-US"`, `sz="${Math.max(100, Math.round(toNumber(style.fontSize, 14) * 100))}"`];
+  if (style.bold) {
+    attributes.push('b="1"');
+  }
+  if (style.italic) {
+    attributes.push('i="1"');
+  }
+  if (style.underline) {
+    attributes.push('u="sng"');
+  }
+  if (style.strike) {
+    attributes.push('strike="sngStrike"');
+  }
+  if (style.superscript) {
+    attributes.push('baseline="30000"');
+  } else if (style.subscript) {
+    attributes.push('baseline="-25000"');
+  }
+  const fontFace = xmlEscape(style.fontFace || 'Segoe UI');
+  return (
+    `<${tag} ${attributes.join(' ')} dirty="0">${solidFillXml(normalizeHex(style.color, '000000'))}` +
+    `<a:latin typeface="${fontFace}"/><a:cs typeface="${fontFace}"/></${tag}>`
+  );
+};
+
+const bulletXml = (paragraph) => {
+  if (!paragraph.bullet) {
+    return '<a:buNone/>';
+  }
+  if (paragraph.bullet.type === 'number') {
+    return `<a:buAutoNum type="${paragraph.bullet.style || 'arabicPeriod'}"${
+      paragraph.bullet.startAt > 1 ? ` startAt="${paragraph.bullet.startAt}"` : ''
+    }/>`;
+  }
+  const char = String.fromCodePoint(parseInt(paragraph.bullet.characterCode || '2022', 16));
+  return `<a:buFont typeface="Arial"/><a:buChar char="${xmlEscape(char)}"/>`;
+};
+
+const paragraphXml = (paragraph, baseStyle) => {
+  const level = Math.max(0, Math.floor(toNumber(paragraph.indentLevel)));
+  const indent = paragraph.bullet
+    ? ` marL="${BULLET_INDENT_EMU * (level + 1)}" indent="-${BULLET_INDENT_EMU}"`
+    : level
+      ? ` marL="${BULLET_INDENT_EMU * level}"`
+      : '';
+  const runs = paragraph.runs
+    .map(
+      (run, index) =>
+        `${index > 0 && run.softBreakBefore ? `<a:br>${runPropertiesXml(run.style)}</a:br>` : ''}` +
+        (run.text ? `<a:r>${runPropertiesXml(run.style)}<a:t>${xmlEscape(run.text)}</a:t></a:r>` : '')
+    )
+    .join('');
+  return (
+    `<a:p><a:pPr algn="${ALIGNMENTS[paragraph.align] || 'l'}"${level ? ` lvl="${level}"` : ''}${indent}>` +
+    `<a:lnSpc><a:spcPct val="120000"/></a:lnSpc>${bulletXml(paragraph)}</a:pPr>` +
+    `${runs}${runPropertiesXml(paragraph.runs[0]?.style || baseStyle, 'a:endParaRPr')}</a:p>`
+  );
+};
+
+// Rich text goes through the same parser as the PptxGenJS exporter where a DOM
+// is available; in workers and Node each line becomes a plain paragraph.
+const textParagraphs = (item) => {
+  const baseStyle = {
+    fontSize: Math.max(10, Math.round((Number(item.fontSize) || 18) * 0.75)),
+    fontFace: determineFontFace(item.fontFamily),
+    color: normalizeHex(item.color, 'F5F5F5'),
+    bold: Boolean(item.bold || (item.fontWeight && Number(item.fontWeight) >= 600)),
+    italic: Boolean(item.italic),
+    underline: Boolean(item.underline)
+  };
+  const align = (item.textAlign || 'left').toLowerCase();
+  const paragraphs = parseRichTextParagraphs(item.text || '', baseStyle, align);
+  if (paragraphs.length) {
+    return { paragraphs, baseStyle };
+  }
+  const text = String(item.plainText ?? htmlToPlainText(item.text)).trim();
+  return {
+    paragraphs: text
+      ? text.split('\n').map((line) => ({ align, indentLevel: 0, runs: [{ text: line, style: baseStyle }] }))
+      : [],
+    baseStyle
+  };
+};
+
+const textBodyXml = (paragraphs, baseStyle, { anchor = 't', insets = TEXT_BOX_PADDING } = {}) => {
+  const body = paragraphs.length
+    ? paragraphs.map((paragraph) => paragraphXml(paragraph, baseStyle)).join('')
+    : `<a:p>${runPropertiesXml(baseStyle, 'a:endParaRPr')}</a:p>`;
+  return (
+    `<p:txBody><a:bodyPr wrap="square" lIns="${pxToEmu(insets.left)}" tIns="${pxToEmu(insets.top)}"` +
+    ` rIns="${pxToEmu(insets.right)}" bIns="${pxToEmu(insets.bottom)}" anchor="${anchor}" rtlCol="0">` +
+    `<a:noAutofit/></a:bodyPr><a:lstStyle/>${body}</p:txBody>`
+  );
+};
+
+const textElementXml = (item, id, offset) => {
+  const { paragraphs, baseStyle } = textParagraphs(item);
+  const frame = toFrame(item, offset, { width: CANVAS_WIDTH * 0.6, height: CANVAS_HEIGHT * 0.2 });
+  return (
+    `<p:sp><p:nvSpPr>${nonVisualPropsXml(id, item, `TextBox ${id}`)}<p:cNvSpPr txBox="1"/><p:nvPr/></p:nvSpPr>` +
+    `<p:spPr>${xfrmXml(frame, item.rotation)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom><a:noFill/></p:spPr>` +
+    `${textBodyXml(paragraphs, baseStyle, { anchor: ANCHORS[(item.verticalAlign || 'top').toLowerCase()] || 't' })}</p:sp>`
+  );
+};
+
+const shapeElementXml = (item, id, offset) => {
+  const isLine = item.shape === 'line';
+  const fillColor = normalizeHex(item.color || item.fillColor, '3B82F6');
+  const strokeColor = normalizeHex(item.borderColor || item.color, fillColor);
+  const frame = toFrame(item, offset, { width: 160, height: 100 });
+  let geometryXml;
+  if (isLine) {
+    // The editor draws lines as a horizontal bar `strokeWidth` pixels tall.
+    const strokeWidth = toNumber(item.strokeWidth, 2) || 2;
+    frame.y += pxToEmu(strokeWidth / 2);
+    frame.cy = 0;
+    geometryXml = `<a:prstGeom prst="line"><a:avLst/></a:prstGeom><a:ln w="${pxToEmu(strokeWidth)}">${solidFillXml(
+      normalizeHex(item.color, 'FFFFFF')
+    )}</a:ln>`;
+  } else {
+    const borderWidth = toNumber(item.borderWidth);
+    geometryXml =
+      `<a:prstGeom prst="${PRESET_GEOMETRY[item.shape] || 'rect'}"><a:avLst/></a:prstGeom>${solidFillXml(fillColor)}` +
+      (borderWidth > 0 ? `<a:ln w="${pxToEmu(borderWidth)}">${solidFillXml(strokeColor)}</a:ln>` : '<a:ln><a:noFill/></a:ln>');
+  }
+  const textStyle = { fontSize: 10.5, fontFace: 'Segoe UI', color: 'FFFFFF' };
+  const text = !isLine && item.text ? String(item.text) : '';
+  return (
+    `<p:sp><p:nvSpPr>${nonVisualPropsXml(id, item, `Shape ${id}`)}<p:cNvSpPr/><p:nvPr/></p:nvSpPr>` +
+    `<p:spPr>${xfrmXml(frame, item.rotation)}${geometryXml}</p:spPr>` +
+    textBodyXml(
+      text ? [{ align: 'center', indentLevel: 0, runs: [{ text, style: textStyle }] }] : [],
+      textStyle,
+      { anchor: 'ctr', insets: { top: 4, right: 8, bottom: 4, left: 8 } }
+    ) +
+    '</p:sp>'
+  );
+};
+
+export const decodeBase64 = (value) => {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index += 1) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return bytes;
+};
+
+const parseDataUrl = (src) => {
+  const match = /^data:([^;,]+)?((?:;[^;,]+)*?)(;base64)?,(.*)$/s.exec(src);
+  const extension = match && IMAGE_EXTENSIONS[(match[1] || '').toLowerCase()];
+  if (!extension) {
+    return null;
+  }
+  try {
+    return {
+      extension,
+      data: match[3] ? decodeBase64(match[4]) : encodeUtf8(decodeURIComponent(match[4]))
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Embedded images become media parts shared by every slide that uses them;
+// linked images stay external references.
+const createMediaRegistry = () => {
+  const bySource = new Map();
+  const parts = [];
+  return {
+    parts,
+    resolve: (src) => {
+      if (!bySource.has(src)) {
+        const parsed = parseDataUrl(src);
+        if (parsed) {
+          const name = `media/image${parts.length + 1}.${parsed.extension}`;
+          parts.push({ name, extension: parsed.extension, data: parsed.data });
+          bySource.set(src, { target: `../${name}` });
+        } else if (/^https?:\/\//i.test(src)) {
+          bySource.set(src, { target: src, isExternal: true });
+        } else {
+          bySource.set(src, null);
+        }
+      }
+      return bySource.get(src);
+    }
+  };
+};
+
+// Each chart is its own part; slides reference it through a relationship.
+const createChartRegistry = () => {
+  const parts = [];
+  return {
+    parts,
+    add: (data) => {
+      const name = `charts/chart${parts.length + 1}.xml`;
+      parts.push({ name, data });
+      return `../${name}`;
+    }
+  };
+};
+
+const imageElementXml = (item, id, offset, context) => {
+  const media = item.src ? context.media.resolve(item.src) : null;
+  if (!media) {
+    return '';
+  }
+  const relId = context.addRelationship(REL_TYPES.image, media.target, media.isExternal);
+  const frame = toFrame(item, offset, { width: 320, height: 240 });
+  return (
+    `<p:pic><p:nvPicPr>${nonVisualPropsXml(id, item, `Picture ${id}`)}` +
+    '<p:cNvPicPr><a:picLocks noChangeAspect="1"/></p:cNvPicPr><p:nvPr/></p:nvPicPr>' +
+    `<p:blipFill><a:blip ${media.isExternal ? 'r:link' : 'r:embed'}="${relId}"/><a:stretch><a:fillRect/></a:stretch></p:blipFill>` +
+    `<p:spPr>${xfrmXml(frame, item.rotation)}<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></p:spPr></p:pic>`
+  );
+};
+
+// Groups keep their members in slide coordinates, so the child extents match
+// the group frame.
+const groupElementXml = (item, id, offset, context) => {
+  const childOffset = { x: offset.x + toNumber(item.x), y: offset.y + toNumber(item.y) };
+  const members = elementsXml(item.children, childOffset, context);
+  if (!members) {
+    return '';
+  }
+  const frame = toFrame(item, offset);
+  return (
+    `<p:grpSp><p:nvGrpSpPr>${nonVisualPropsXml(id, item, `Group ${id}`)}<p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>` +
+    `<p:grpSpPr>${xfrmXml(frame, item.rotation, frame)}</p:grpSpPr>${members}</p:grpSp>`
+  );
+};
+
+const graphicFrameXml = (id, item, fallbackName, frame, graphicData, locks = '') =>
+  `<p:graphicFrame><p:nvGraphicFramePr>${nonVisualPropsXml(id, item, fallbackName)}` +
+  `<p:cNvGraphicFramePr>${locks}</p:cNvGraphicFramePr><p:nvPr/></p:nvGraphicFramePr>` +
+  `<p:xfrm><a:off x="${frame.x}" y="${frame.y}"/><a:ext cx="${frame.cx}" cy="${frame.cy}"/></p:xfrm>` +
+  `<a:graphic>${graphicData}</a:graphic></p:graphicFrame>`;
+
+const cellBorderXml = (hex) =>
+  ['a:lnL', 'a:lnR', 'a:lnT', 'a:lnB']
+    .map((tag) => `<${tag} w="${Math.round(0.75 * 12700)}">${solidFillXml(hex)}</${tag}>`)
+    .join('');
+
+// Merged ranges are written the way PowerPoint stores them: the anchor cell
+// carries gridSpan/rowSpan and every covered cell stays in the grid marked
+// with hMerge/vMerge.
+const tableElementXml = (item, id, offset) => {
+  const cells = Array.isArray(item.cells) ? item.cells : [];
+  if (!cells.length || !cells[0]?.length) {
+    return '';
+  }
+  const frame = toFrame(item, offset, { width: CANVAS_WIDTH * 0.5, height: cells.length * 40 });
+  const colors = getTableColors(item);
+  const covered = getCoveredCells(cells);
+  const border = cellBorderXml(normalizeHex(colors.border));
+  const fractions = getColumnFractions(item);
+  const columnWidths = fractions.map((fraction) => Math.round(fraction * frame.cx));
+  const rowHeight = Math.round(frame.cy / cells.length);
+
+  const rows = cells.map((row, rowIndex) => {
+    const isHeader = Boolean(item.headerRow) && rowIndex === 0;
+    const fill = getRowFill(item, rowIndex);
+    const cellsXml = fractions.map((_, colIndex) => {
+      const cell = row[colIndex] || {};
+      const anchor = covered.get(`${rowIndex}:${colIndex}`);
+      const attributes = [];
+      if (anchor) {
+        if (anchor.col !== colIndex) {
+          attributes.push('hMerge="1"');
+        }
+        if (anchor.row !== rowIndex) {
+          attributes.push('vMerge="1"');
+        }
+      } else {
+        if (cell.colSpan > 1) {
+          attributes.push(`gridSpan="${cell.colSpan}"`);
+        }
+        if (cell.rowSpan > 1) {
+          attributes.push(`rowSpan="${cell.rowSpan}"`);
+        }
+      }
+      const { paragraphs, baseStyle } = textParagraphs({
+        text: anchor ? '' : cell.text,
+        fontSize: item.fontSize || 16,
+        fontFamily: item.fontFamily,
+        color: isHeader ? colors.headerText : colors.text,
+        bold: isHeader
+      });
+      const body = paragraphs.length
+        ? paragraphs.map((paragraph) => paragraphXml(paragraph, baseStyle)).join('')
+        : `<a:p>${runPropertiesXml(baseStyle, 'a:endParaRPr')}</a:p>`;
+      return (
+        `<a:tc${attributes.length ? ` ${attributes.join(' ')}` : ''}><a:txBody><a:bodyPr/><a:lstStyle/>${body}</a:txBody>` +
+        `<a:tcPr anchor="ctr">${border}${fill ? solidFillXml(normalizeHex(fill)) : '<a:noFill/>'}</a:tcPr></a:tc>`
+      );
+    });
+    return `<a:tr h="${rowHeight}">${cellsXml.join('')}</a:tr>`;
+  });
+
+  return graphicFrameXml(
+    id,
+    item,
+    `Table ${id}`,
+    frame,
+    `<a:graphicData uri="${GRAPHIC_DATA_URIS.table}"><a:tbl>` +
+      `<a:tblPr${item.headerRow ? ' firstRow="1"' : ''}${item.bandedRows ? ' bandRow="1"' : ''}/>` +
+      `<a:tblGrid>${columnWidths.map((width) => `<a:gridCol w="${width}"/>`).join('')}</a:tblGrid>` +
+      `${rows.join('')}</a:tbl></a:graphicData>`,
+    '<a:graphicFrameLocks noGrp="1"/>'
+  );
+};
+
+const seriesColor = (dataset, index) => {
+  const color = dataset.color || dataset.borderColor || dataset.backgroundColor;
+  const fallback = CHART_SERIES_COLORS[index % CHART_SERIES_COLORS.length];
+  return normalizeHex(Array.isArray(color) ? color[0] : color, fallback);
+};
+
+const pieColors = (dataset, count) => {
+  const colors = [dataset.segmentColors, dataset.backgroundColor].find((value) => Array.isArray(value) && value.length);
+  return Array.from({ length: count }, (_, index) => {
+    const fallback = CHART_SERIES_COLORS[index % CHART_SERIES_COLORS.length];
+    return colors ? normalizeHex(colors[index], fallback) : seriesColor(dataset, 0);
+  });
+};
+
+// Series data is written as cached values only; the sheet references point at
+// a workbook that is not embedded, so PowerPoint shows the chart but cannot
+// edit its data.
+const chartCacheXml = (values, isNumeric) => {
+  const tag = isNumeric ? 'c:numCache' : 'c:strCache';
+  const points = values
+    .map((value, index) => `<c:pt idx="${index}"><c:v>${xmlEscape(isNumeric ? toNumber(value) : value ?? '')}</c:v></c:pt>`)
+    .join('');
+  return `<${tag}>${isNumeric ? '<c:formatCode>General</c:formatCode>' : ''}<c:ptCount val="${values.length}"/>${points}</${tag}>`;
+};
+
+const sheetColumn = (index) =>
+  index < 26 ? String.fromCharCode(65 + index) : `${sheetColumn(Math.floor(index / 26) - 1)}${sheetColumn(index % 26)}`;
+
+const chartSeriesXml = (dataset, index, labels, { kind, color, pointColors = [] }) => {
+  const column = sheetColumn(index + 1);
+  const lastRow = labels.length + 1;
+  const values = labels.map((_, pointIndex) => (Array.isArray(dataset.data) ? dataset.data[pointIndex] : 0));
+  const spPr =
+    kind === 'line'
+      ? `<c:spPr><a:ln w="28575" cap="rnd">${solidFillXml(color)}</a:ln></c:spPr><c:marker><c:symbol val="none"/></c:marker>`
+      : `<c:spPr>${solidFillXml(color)}</c:spPr>${kind === 'bar' ? '<c:invertIfNegative val="0"/>' : ''}`;
+  const points = pointColors
+    .map(
+      (pointColor, pointIndex) =>
+        `<c:dPt><c:idx val="${pointIndex}"/><c:bubble3D val="0"/><c:spPr>${solidFillXml(pointColor)}</c:spPr></c:dPt>`
+    )
+    .join('');
+  return (
+    `<c:ser><c:idx val="${index}"/><c:order val="${index}"/>` +
+    `<c:tx><c:strRef><c:f>Sheet1!$${column}$1</c:f>${chartCacheXml([dataset.label || 'Series'], false)}</c:strRef></c:tx>` +
+    `${spPr}${points}<c:cat><c:strRef><c:f>Sheet1!$A$2:$A$${lastRow}</c:f>` +
+    `${chartCacheXml(labels.map(String), false)}</c:strRef></c:cat>` +
+    `<c:val><c:numRef><c:f>Sheet1!$${column}$2:$${column}$${lastRow}</c:f>${chartCacheXml(values, true)}</c:numRef></c:val>` +
+    `${kind === 'line' ? '<c:smooth val="0"/>' : ''}</c:ser>`
+  );
+};
+
+const CHART_AXIS_IDS = '<c:axId val="500000001"/><c:axId val="500000002"/>';
+
+const chartAxesXml = () =>
+  '<c:catAx><c:axId val="500000001"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>' +
+  '<c:axPos val="b"/><c:numFmt formatCode="General" sourceLinked="0"/><c:majorTickMark val="none"/>' +
+  '<c:minorTickMark val="none"/><c:tickLblPos val="nextTo"/><c:crossAx val="500000002"/><c:crosses val="autoZero"/>' +
+  '<c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/><c:noMultiLvlLbl val="0"/></c:catAx>' +
+  '<c:valAx><c:axId val="500000002"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>' +
+  '<c:axPos val="l"/><c:majorGridlines/><c:numFmt formatCode="General" sourceLinked="0"/>' +
+  '<c:majorTickMark val="none"/><c:minorTickMark val="none"/><c:tickLblPos val="nextTo"/>' +
+  '<c:crossAx val="500000001"/><c:crosses val="autoZero"/><c:crossBetween val="between"/></c:valAx>';
+
+// Same chart types as the PptxGenJS exporter: a pie of the first series, an
+// area chart, columns with the last series drawn as a line, or columns.
+const chartPlotXml = (chartType, labels, datasets) => {
+  const seriesXml = (items, kind, start = 0) =>
+    items
+      .map((dataset, index) => chartSeriesXml(dataset, start + index, labels, { kind, color: seriesColor(dataset, start + index) }))
+      .join('');
+  const columnsXml = (items) =>
+    `<c:barChart><c:barDir val="col"/><c:grouping val="clustered"/><c:varyColors val="0"/>${seriesXml(items, 'bar')}` +
+    `<c:gapWidth val="150"/>${CHART_AXIS_IDS}</c:barChart>`;
+
+  if (chartType === 'pie') {
+    const [dataset] = datasets;
+    return (
+      '<c:pieChart><c:varyColors val="1"/>' +
+      chartSeriesXml(dataset, 0, labels, {
+        kind: 'pie',
+        color: seriesColor(dataset, 0),
+        pointColors: pieColors(dataset, labels.length)
+      }) +
+      '<c:firstSliceAng val="0"/></c:pieChart>'
+    );
+  }
+  if (chartType === 'area') {
+    return (
+      `<c:areaChart><c:grouping val="standard"/><c:varyColors val="0"/>${seriesXml(datasets, 'area')}` +
+      `${CHART_AXIS_IDS}</c:areaChart>${chartAxesXml()}`
+    );
+  }
+  if (chartType === 'columnline' && datasets.length >= 2) {
+    const lineIndex = datasets.length - 1;
+    return (
+      columnsXml(datasets.slice(0, lineIndex)) +
+      `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${seriesXml(datasets.slice(lineIndex), 'line', lineIndex)}` +
+      `<c:marker val="1"/>${CHART_AXIS_IDS}</c:lineChart>${chartAxesXml()}`
+    );
+  }
+  return `${columnsXml(datasets)}${chartAxesXml()}`;
+};
+
+const chartPartXml = (plotXml) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<c:chartSpace xmlns:c="${GRAPHIC_DATA_URIS.chart}" ${NS_DECLARATIONS}>
+  <c:roundedCorners val="0"/>
+  <c:chart>
+    <c:autoTitleDeleted val="1"/>
+    <c:plotArea><c:layout/>${plotXml}</c:plotArea>
+    <c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend>
+    <c:plotVisOnly val="1"/>
+    <c:dispBlanksAs val="gap"/>
+  </c:chart>
+</c:chartSpace>`;
+
+// Charts without labels or series have nothing to draw, as in the PptxGenJS
+// exporter.
+const chartElementXml = (item, id, offset, context) => {
+  const data = item.chartData || {};
+  const labels = Array.isArray(data.labels) ? data.labels : [];
+  const datasets = Array.isArray(data.datasets) ? data.datasets : [];
+  if (!labels.length || !datasets.length) {
+    return '';
+  }
+  const chartType = (item.chartType || data.type || 'bar').toLowerCase();
+  const target = context.charts.add(chartPartXml(chartPlotXml(chartType, labels, datasets)));
+  const relId = context.addRelationship(REL_TYPES.chart, target);
+  return graphicFrameXml(
+    id,
+    item,
+    `Chart ${id}`,
+    toFrame(item, offset, { width: 420, height: 280 }),
+    `<a:graphicData uri="${GRAPHIC_DATA_URIS.chart}"><c:chart xmlns:c="${GRAPHIC_DATA_URIS.chart}" r:id="${relId}"/></a:graphicData>`
+  );
+};
+
+const ELEMENT_WRITERS = {
+  text: textElementXml,
+  shape: shapeElementXml,
+  image: imageElementXml,
+  table: tableElementXml,
+  chart: chartElementXml,
+  group: groupElementXml
+};
+
+const elementsXml = (elements = [], offset, context) =>
+  elements
+    .map((item) => {
+      const writer = item && ELEMENT_WRITERS[isGroupElement(item) ? 'group' : item.type];
+      return writer ? writer(item, context.nextShapeId(), offset, context) : '';
+    })
+    .join('');
+
+const relationshipsXml = (relationships) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${relationships
+  .map(
+    (rel) =>
+      `  <Relationship Id="${rel.id}" Type="${rel.type}" Target="${xmlEscape(rel.target)}"${
+        rel.isExternal ? ' TargetMode="External"' : ''
+      }/>`
+  )
+  .join('\n')}
+</Relationships>`;
+
+const emptyTreeXml = `<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>
+      <p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>`;
+
+const buildSlideParts = (slide, index, media, charts) => {
+  const relationships = [{ id: 'rId1', type: REL_TYPES.slideLayout, target: '../slideLayouts/slideLayout1.xml' }];
+  let shapeId = 1;
+  const context = {
+    media,
+    charts,
+    nextShapeId: () => {
+      shapeId += 1;
+      return shapeId;
+    },
+    addRelationship: (type, target, isExternal = false) => {
+      const existing = relationships.find((rel) => rel.type === type && rel.target === target);
+      if (existing) {
+        return existing.id;
+      }
+      const id = `rId${relationships.length + 1}`;
+      relationships.push({ id, type, target, isExternal });
+      return id;
+    }
+  };
+  const shapes = elementsXml(slide?.content || [], { x: 0, y: 0 }, context);
+  const background = normalizeHex(getSlideBackground(slide), 'FFFFFF');
+
+  const xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sld ${NS_DECLARATIONS}>
+  <p:cSld name="${xmlEscape(slide?.title || `Slide ${index + 1}`)}">
+    <p:bg><p:bgPr>${solidFillXml(background)}<a:effectLst/></p:bgPr></p:bg>
     <p:spTree>
-      <p:nvGrpSpPr>
-        <p:cNvPr id="1" name=""/>
-        <p:cNvGrpSpPr/>
-        <p:nvPr/>
-      </p:nvGrpSpPr>
-      <p:grpSpPr>
-        <a:xfrm>
-          <a:off x="0" y="0"/>
-          <a:ext cx="0" cy="0"/>
-          <a:chOff x="0" y="0"/>
-          <a:chExt cx="0" cy="0"/>
-        </a:xfrm>
-      </p:grpSpPr>
-      <p:sp>
-        <p:nvSpPr>
-          <p:cNvPr id="2" name="TextBox ${index + 1}"/>
-          <p:cNvSpPr txBox="1"/>
-          <p:nvPr/>
-        </p:nvSpPr>
-        <p:spPr>
-          <a:xfrm>
-            <a:off x="457200" y="457200"/>
-            <a:ext cx="8229600" cy="5486400"/>
-          </a:xfrm>
-          <a:prstGeom prst="rect">
-            <a:avLst/>
-          </a:prstGeom>
-        </p:spPr>
-        <p:txBody>
-          <a:bodyPr wrap="square"/>
-          <a:lstStyle/>
-${paragraphs}
-        </p:txBody>
-      </p:sp>
+      ${emptyTreeXml}
+      ${shapes}
     </p:spTree>
   </p:cSld>
   <p:clrMapOvr>
     <a:masterClrMapping/>
   </p:clrMapOvr>
 </p:sld>`;
+
+  return { xml, rels: relationshipsXml(relationships) };
 };
 
-const buildContentTypesXml = (slideCount) => {
+const slideMasterXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sldMaster ${NS_DECLARATIONS}>
+  <p:cSld>
+    <p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg>
+    <p:spTree>
+      ${emptyTreeXml}
+    </p:spTree>
+  </p:cSld>
+  <p:clrMap bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"/>
+  <p:sldLayoutIdLst>
+    <p:sldLayoutId id="2147483649" r:id="rId1"/>
+  </p:sldLayoutIdLst>
+</p:sldMaster>`;
+
+const slideLayoutXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<p:sldLayout ${NS_DECLARATIONS} type="blank" preserve="1">
+  <p:cSld name="Blank">
+    <p:spTree>
+      ${emptyTreeXml}
+    </p:spTree>
+  </p:cSld>
+  <p:clrMapOvr>
+    <a:masterClrMapping/>
+  </p:clrMapOvr>
+</p:sldLayout>`;
+
+const buildContentTypesXml = (slideCount, mediaExtensions, chartParts) => {
   const slideOverrides = Array.from({ length: slideCount }, (_, i) => {
     const index = i + 1;
     return `  <Override PartName="/ppt/slides/slide${index}.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slide+xml"/>`;
   }).join('\n');
+  const chartOverrides = chartParts
+    .map(
+      (part) =>
+        `\n  <Override PartName="/ppt/${part.name}" ContentType="application/vnd.openxmlformats-officedocument.drawingml.chart+xml"/>`
+    )
+    .join('');
+  const mediaDefaults = mediaExtensions
+    .map((extension) => `  <Default Extension="${extension}" ContentType="${IMAGE_CONTENT_TYPES[extension]}"/>\n`)
+    .join('');
 
   return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
 <Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
   <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
   <Default Extension="xml" ContentType="application/xml"/>
-  <Override PartName="/ppt/presentation.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml"/>
+${mediaDefaults}  <Override PartName="/ppt/presentation.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml"/>
+  <Override PartName="/ppt/slideMasters/slideMaster1.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slideMaster+xml"/>
+  <Override PartName="/ppt/slideLayouts/slideLayout1.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.slideLayout+xml"/>
   <Override PartName="/ppt/theme/theme1.xml" ContentType="application/vnd.openxmlformats-officedocument.theme+xml"/>
   <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
   <Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>
-${slideOverrides}
+${slideOverrides}${chartOverrides}
 </Types>`;
 };
 
-const buildPresentationXml = (slideCount) => {
+// rId1 is the slide master, slides follow from rId2 and the theme comes last.
+const buildPresentationXml = (slideCount, slideSize) => {
+  const format = SLIDE_SIZE_FORMATS[slideSize.preset] || SLIDE_SIZE_FORMATS.custom;
   const slideEntries = Array.from({ length: slideCount }, (_, i) => {
-    const idx = i + 1;
-    return `    <p:sldId id="${256 + i}" r:id="rId${idx}"/>`;
+    return `    <p:sldId id="${256 + i}" r:id="rId${i + 2}"/>`;
   }).join('\n');
 
   return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<p:presentation xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"
- xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"
- xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main">
+<p:presentation ${NS_DECLARATIONS}>
+  <p:sldMasterIdLst>
+    <p:sldMasterId id="2147483648" r:id="rId1"/>
+  </p:sldMasterIdLst>
   <p:sldIdLst>
 ${slideEntries}
   </p:sldIdLst>
-  <p:sldSz cx="9144000" cy="6858000" type="screen4x3"/>
+  <p:sldSz cx="${slideSize.width * EMU_PER_PX}" cy="${slideSize.height * EMU_PER_PX}" type="${format.type}"/>
   <p:notesSz cx="6858000" cy="9144000"/>
 </p:presentation>`;
 };
 
-const buildPresentationRelsXml = (slideCount) => {
-  const rels = Array.from({ length: slideCount }, (_, i) => {
-    const idx = i + 1;
-    return `  <Relationship Id="rId${idx}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/slide" Target="slides/slide${idx}.xml"/>`;
-  }).join('\n');
-
-  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
-${rels}
-  <Relationship Id="rId${slideCount + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/theme" Target="theme/theme1.xml"/>
-</Relationships>`;
-};
+const buildPresentationRelsXml = (slideCount) =>
+  relationshipsXml([
+    { id: 'rId1', type: REL_TYPES.slideMaster, target: 'slideMasters/slideMaster1.xml' },
+    ...Array.from({ length: slideCount }, (_, i) => ({
+      id: `rId${i + 2}`,
+      type: REL_TYPES.slide,
+      target: `slides/slide${i + 1}.xml`
+    })),
+    { id: `rId${slideCount + 2}`, type: REL_TYPES.theme, target: 'theme/theme1.xml' }
+  ]);
 
 const coreXml = () => {
   const now = new Date().toISOString();
@@ -167,13 +811,13 @@ const coreXml = () => {
 </cp:coreProperties>`;
 };
 
-const appXml = (slideCount) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+const appXml = (slideCount, slideSize) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
 <Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"
  xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes">
   <Application>pptts</Application>
   <Slides>${slideCount}</Slides>
   <Notes>0</Notes>
-  <PresentationFormat>Custom</PresentationFormat>
+  <PresentationFormat>${(SLIDE_SIZE_FORMATS[slideSize.preset] || SLIDE_SIZE_FORMATS.custom).name}</PresentationFormat>
 </Properties>`;
 
 const themeXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
@@ -208,15 +852,23 @@ const themeXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
     <a:fmtScheme name="Office">
       <a:fillStyleLst>
         <a:solidFill><a:schemeClr val="phClr"/></a:solidFill>
+        <a:solidFill><a:schemeClr val="phClr"/></a:solidFill>
+        <a:solidFill><a:schemeClr val="phClr"/></a:solidFill>
       </a:fillStyleLst>
       <a:lnStyleLst>
         <a:ln w="9525"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>
+        <a:ln w="25400"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>
+        <a:ln w="38100"><a:solidFill><a:schemeClr val="phClr"/></a:solidFill></a:ln>
       </a:lnStyleLst>
       <a:effectStyleLst>
         <a:effectStyle><a:effectLst/></a:effectStyle>
+        <a:effectStyle><a:effectLst/></a:effectStyle>
+        <a:effectStyle><a:effectLst/></a:effectStyle>
       </a:effectStyleLst>
       <a:bgFillStyleLst>
         <a:solidFill><a:schemeClr val="phClr"/></a:solidFill>
+        <a:solidFill><a:schemeClr val="phClr"/></a:solidFill>
+        <a:solidFill><a:schemeClr val="phClr"/></a:solidFill>
       </a:bgFillStyleLst>
     </a:fmtScheme>
   </a:themeElements>
@@ -229,103 +881,217 @@ const rootRelsXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
   <Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties" Target="docProps/app.xml"/>
 </Relationships>`;
 
-const buildZip = (entries) => {
+const PPTX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+
+const ZIP32_LIMIT = 0xffffffff;
+const ZIP16_LIMIT = 0xffff;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const UTF8_NAMES_FLAG = 0x0800;
+const ALREADY_COMPRESSED = /\.(png|jpe?g|gif|webp|zip)$/i;
+
+const writeUint16 = (view, pos, value) => {
+  view.setUint16(pos, value, true);
+};
+const writeUint32 = (view, pos, value) => {
+  view.setUint32(pos, value, true);
+};
+const writeUint64 = (view, pos, value) => {
+  view.setUint32(pos, value % 0x100000000, true);
+  view.setUint32(pos + 4, Math.floor(value / 0x100000000), true);
+};
+
+let isStreamCompressionSupported = typeof CompressionStream !== 'undefined';
+
+// Uses the platform's DEFLATE where available and the bundled encoder otherwise.
+const deflateEntry = async (bytes) => {
+  if (isStreamCompressionSupported) {
+    try {
+      const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    } catch (error) {
+      isStreamCompressionSupported = false;
+    }
+  }
+  return deflateRaw(bytes);
+};
+
+// Entries are deflated unless they are already compressed media or would not
+// get smaller. Sizes, offsets or entry counts past the 32-bit limits switch to
+// ZIP64 records.
+export const buildZip = async (entries, type = PPTX_MIME_TYPE) => {
+  const prepared = await Promise.all(
+    entries.map(async ({ name, data }) => {
+      const fileData = toUint8(data);
+      let method = METHOD_STORED;
+      let payload = fileData;
+      if (fileData.length && !ALREADY_COMPRESSED.test(name)) {
+        const deflated = await deflateEntry(fileData);
+        if (deflated.length < fileData.length) {
+          method = METHOD_DEFLATE;
+          payload = deflated;
+        }
+      }
+      return { nameBytes: toUint8(name), crc: crc32(fileData), method, payload, size: fileData.length };
+    })
+  );
+
   let offset = 0;
   const chunks = [];
   const centralDirectory = [];
 
-  const writeUint16 = (view, pos, value) => {
-    view.setUint16(pos, value, true);
-  };
-  const writeUint32 = (view, pos, value) => {
-    view.setUint32(pos, value, true);
-  };
+  prepared.forEach(({ nameBytes, crc, method, payload, size }) => {
+    const hasZip64Sizes = size >= ZIP32_LIMIT || payload.length >= ZIP32_LIMIT;
+    const hasZip64Offset = offset >= ZIP32_LIMIT;
+    const version = hasZip64Sizes || hasZip64Offset ? 45 : 20;
 
-  entries.forEach(({ name, data }) => {
-    const fileData = toUint8(data);
-    const nameBytes = toUint8(name);
-    const crc = crc32(fileData);
-    const compressedSize = fileData.length;
-    const uncompressedSize = fileData.length;
-    const localHeader = new ArrayBuffer(30);
+    const localExtraLength = hasZip64Sizes ? 20 : 0;
+    const localHeader = new ArrayBuffer(30 + localExtraLength);
     const localView = new DataView(localHeader);
     writeUint32(localView, 0, 0x04034b50);
-    writeUint16(localView, 4, 20);
-    writeUint16(localView, 6, 0);
-    writeUint16(localView, 8, 0); // stored, no compression
+    writeUint16(localView, 4, version);
+    writeUint16(localView, 6, UTF8_NAMES_FLAG);
+    writeUint16(localView, 8, method);
     writeUint16(localView, 10, 0);
     writeUint16(localView, 12, 0);
     writeUint32(localView, 14, crc);
-    writeUint32(localView, 18, compressedSize);
-    writeUint32(localView, 22, uncompressedSize);
+    writeUint32(localView, 18, hasZip64Sizes ? ZIP32_LIMIT : payload.length);
+    writeUint32(localView, 22, hasZip64Sizes ? ZIP32_LIMIT : size);
     writeUint16(localView, 26, nameBytes.length);
-    writeUint16(localView, 28, 0);
+    writeUint16(localView, 28, localExtraLength);
+    if (hasZip64Sizes) {
+      writeUint16(localView, 30, 0x0001);
+      writeUint16(localView, 32, 16);
+      writeUint64(localView, 34, size);
+      writeUint64(localView, 42, payload.length);
+    }
 
     chunks.push(new Uint8Array(localHeader));
     chunks.push(nameBytes);
-    chunks.push(fileData);
+    chunks.push(payload);
 
+    const zip64Fields = [
+      ...(hasZip64Sizes ? [size, payload.length] : []),
+      ...(hasZip64Offset ? [offset] : [])
+    ];
+    const centralExtraLength = zip64Fields.length ? 4 + zip64Fields.length * 8 : 0;
     const centralHeader = new ArrayBuffer(46);
     const centralView = new DataView(centralHeader);
     writeUint32(centralView, 0, 0x02014b50);
-    writeUint16(centralView, 4, 20);
-    writeUint16(centralView, 6, 20);
-    writeUint16(centralView, 8, 0);
-    writeUint16(centralView, 10, 0);
+    writeUint16(centralView, 4, version);
+    writeUint16(centralView, 6, version);
+    writeUint16(centralView, 8, UTF8_NAMES_FLAG);
+    writeUint16(centralView, 10, method);
     writeUint16(centralView, 12, 0);
     writeUint16(centralView, 14, 0);
-    writeUint16(centralView, 16, 0);
-    writeUint32(centralView, 18, crc);
-    writeUint32(centralView, 22, compressedSize);
-    writeUint32(centralView, 26, uncompressedSize);
-    writeUint16(centralView, 30, nameBytes.length);
+    writeUint32(centralView, 16, crc);
+    writeUint32(centralView, 20, hasZip64Sizes ? ZIP32_LIMIT : payload.length);
+    writeUint32(centralView, 24, hasZip64Sizes ? ZIP32_LIMIT : size);
+    writeUint16(centralView, 28, nameBytes.length);
+    writeUint16(centralView, 30, centralExtraLength);
     writeUint16(centralView, 32, 0);
     writeUint16(centralView, 34, 0);
     writeUint16(centralView, 36, 0);
-    writeUint16(centralView, 38, 0);
-    writeUint32(centralView, 40, 0);
-    writeUint32(centralView, 42, offset);
+    writeUint32(centralView, 38, 0);
+    writeUint32(centralView, 42, hasZip64Offset ? ZIP32_LIMIT : offset);
 
     centralDirectory.push(new Uint8Array(centralHeader));
     centralDirectory.push(nameBytes);
+    if (centralExtraLength) {
+      const extra = new ArrayBuffer(centralExtraLength);
+      const extraView = new DataView(extra);
+      writeUint16(extraView, 0, 0x0001);
+      writeUint16(extraView, 2, centralExtraLength - 4);
+      zip64Fields.forEach((value, index) => writeUint64(extraView, 4 + index * 8, value));
+      centralDirectory.push(new Uint8Array(extra));
+    }
 
-    offset += 30 + nameBytes.length + fileData.length;
+    offset += localHeader.byteLength + nameBytes.length + payload.length;
   });
 
   const centralSize = centralDirectory.reduce((sum, part) => sum + part.length, 0);
+  const needsZip64End = prepared.length >= ZIP16_LIMIT || centralSize >= ZIP32_LIMIT || offset >= ZIP32_LIMIT;
+  const trailer = [];
+  if (needsZip64End) {
+    const zip64End = new ArrayBuffer(76);
+    const zip64View = new DataView(zip64End);
+    writeUint32(zip64View, 0, 0x06064b50);
+    writeUint64(zip64View, 4, 44);
+    writeUint16(zip64View, 12, 45);
+    writeUint16(zip64View, 14, 45);
+    writeUint32(zip64View, 16, 0);
+    writeUint32(zip64View, 20, 0);
+    writeUint64(zip64View, 24, prepared.length);
+    writeUint64(zip64View, 32, prepared.length);
+    writeUint64(zip64View, 40, centralSize);
+    writeUint64(zip64View, 48, offset);
+    // Locator pointing back at the ZIP64 end record.
+    writeUint32(zip64View, 56, 0x07064b50);
+    writeUint32(zip64View, 60, 0);
+    writeUint64(zip64View, 64, offset + centralSize);
+    writeUint32(zip64View, 72, 1);
+    trailer.push(new Uint8Array(zip64End));
+  }
+
   const endHeader = new ArrayBuffer(22);
   const endView = new DataView(endHeader);
   writeUint32(endView, 0, 0x06054b50);
   writeUint16(endView, 4, 0);
   writeUint16(endView, 6, 0);
-  writeUint16(endView, 8, entries.length);
-  writeUint16(endView, 10, entries.length);
-  writeUint32(endView, 12, centralSize);
-  writeUint32(endView, 16, offset);
+  writeUint16(endView, 8, Math.min(prepared.length, ZIP16_LIMIT));
+  writeUint16(endView, 10, Math.min(prepared.length, ZIP16_LIMIT));
+  writeUint32(endView, 12, Math.min(centralSize, ZIP32_LIMIT));
+  writeUint32(endView, 16, Math.min(offset, ZIP32_LIMIT));
   writeUint16(endView, 20, 0);
+  trailer.push(new Uint8Array(endHeader));
 
-  return new Blob([...chunks, ...centralDirectory, new Uint8Array(endHeader)], {
-    type: 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
-  });
+  return new Blob([...chunks, ...centralDirectory, ...trailer], { type });
 };
 
-export const createPptx = (slides) => {
-  const slideCount = slides.length || 1;
+// Dependency-free alternative to the PptxGenJS exporter: writes a deck at the
+// given slide size (16:9 by default) with one blank master and layout,
+// positioned text boxes, preset shapes, pictures, tables, charts and groups.
+// Works in workers and Node as well as the browser and resolves to the .pptx
+// Blob.
+export const createPptx = async (slides, options = {}) => {
+  const slideSize = normalizeSlideSize(options.slideSize);
+  const deck = Array.isArray(slides) && slides.length ? slides : [{ content: [] }];
+  const media = createMediaRegistry();
+  const charts = createChartRegistry();
+  const slideParts = deck.map((slide, index) => buildSlideParts(slide, index, media, charts));
+  const mediaExtensions = Array.from(new Set(media.parts.map((part) => part.extension)));
+
   const entries = [
-    { name: '[Content_Types].xml', data: buildContentTypesXml(slideCount) },
+    { name: '[Content_Types].xml', data: buildContentTypesXml(deck.length, mediaExtensions, charts.parts) },
     { name: '_rels/.rels', data: rootRelsXml },
-    { name: 'docProps/app.xml', data: appXml(slideCount) },
+    { name: 'docProps/app.xml', data: appXml(deck.length, slideSize) },
     { name: 'docProps/core.xml', data: coreXml() },
-    { name: 'ppt/presentation.xml', data: buildPresentationXml(slideCount) },
-    { name: 'ppt/_rels/presentation.xml.rels', data: buildPresentationRelsXml(slideCount) },
+    { name: 'ppt/presentation.xml', data: buildPresentationXml(deck.length, slideSize) },
+    { name: 'ppt/_rels/presentation.xml.rels', data: buildPresentationRelsXml(deck.length) },
+    { name: 'ppt/slideMasters/slideMaster1.xml', data: slideMasterXml },
+    {
+      name: 'ppt/slideMasters/_rels/slideMaster1.xml.rels',
+      data: relationshipsXml([
+        { id: 'rId1', type: REL_TYPES.slideLayout, target: '../slideLayouts/slideLayout1.xml' },
+        { id: 'rId2', type: REL_TYPES.theme, target: '../theme/theme1.xml' }
+      ])
+    },
+    { name: 'ppt/slideLayouts/slideLayout1.xml', data: slideLayoutXml },
+    {
+      name: 'ppt/slideLayouts/_rels/slideLayout1.xml.rels',
+      data: relationshipsXml([
+        { id: 'rId1', type: REL_TYPES.slideMaster, target: '../slideMasters/slideMaster1.xml' }
+      ])
+    },
     { name: 'ppt/theme/theme1.xml', data: themeXml }
   ];
 
-  slides.forEach((slide, index) => {
-    entries.push({
-      name: `ppt/slides/slide${index + 1}.xml`,
-      data: buildSlideXml(slide, index)
-    });
+  slideParts.forEach((part, index) => {
+    entries.push({ name: `ppt/slides/slide${index + 1}.xml`, data: part.xml });
+    entries.push({ name: `ppt/slides/_rels/slide${index + 1}.xml.rels`, data: part.rels });
+  });
+  [...media.parts, ...charts.parts].forEach((part) => {
+    entries.push({ name: `ppt/${part.name}`, data: part.data });
   });
 
   return buildZip(entries);
@@ -0,0 +1,193 @@
+import PizZip from 'pizzip';
+import { buildZip, createPptx } from './pptxBuilder';
+import { parsePptx } from './pptxImport';
+
+const blobToArrayBuffer = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+
+const TABLE = {
+  id: 'table',
+  type: 'table',
+  x: 10,
+  y: 20,
+  width: 400,
+  height: 120,
+  columnWidths: [0.5, 0.25, 0.25],
+  cells: [
+    [{ text: '<p>Region</p>', colSpan: 2 }, { text: '<p></p>' }, { text: '<p>Total</p>' }],
+    [{ text: '<p>North</p>', rowSpan: 2 }, { text: '<p>Q1</p>' }, { text: '<p>10</p>' }],
+    [{ text: '<p></p>' }, { text: '<p>Q2</p>' }, { text: '<p>12</p>' }]
+  ],
+  headerRow: true,
+  bandedRows: true,
+  fontSize: 16,
+  accentColor: '#2563eb',
+  textColor: '#111111'
+};
+
+const chart = (id, chartType, datasets) => ({
+  id,
+  type: 'chart',
+  chartType,
+  x: 0,
+  y: 200,
+  width: 400,
+  height: 300,
+  chartData: { labels: ['Q1', 'Q2'], datasets }
+});
+
+const IMAGE = `data:image/png;base64,${window.btoa(String.fromCharCode(137, 80, 78, 71, 13, 10, 26, 10))}`;
+
+const exportAndImport = async (content, options) => {
+  const buffer = await blobToArrayBuffer(await createPptx([{ content }], options));
+  return { zip: new PizZip(buffer), result: parsePptx(buffer) };
+};
+
+const readXml = (zip, name) => new DOMParser().parseFromString(zip.file(name).asText(), 'application/xml');
+
+test('writes text boxes, shapes and pictures that import back in place', async () => {
+  const { zip, result } = await exportAndImport([
+    {
+      id: 'title',
+      type: 'text',
+      x: 40,
+      y: 30,
+      width: 400,
+      height: 80,
+      text: '<p>Hello <strong>world</strong></p>',
+      fontSize: 32,
+      color: '#112233'
+    },
+    { id: 'badge', type: 'shape', shape: 'circle', x: 500, y: 40, width: 120, height: 120, color: '#ff0000' },
+    { id: 'logo', type: 'image', x: 700, y: 300, width: 160, height: 90, src: IMAGE }
+  ]);
+  expect(zip.file('ppt/media/image1.png').asUint8Array()).toEqual(new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]));
+  expect(result.report.skipped).toEqual([]);
+
+  const [text, shape, image] = result.slides[0].content;
+  expect(text).toMatchObject({ type: 'text', x: 40, y: 30, width: 400, height: 80, fontSize: 32, color: '#112233' });
+  expect(text.text).toBe('<p>Hello <strong>world</strong></p>');
+  expect(shape).toMatchObject({ type: 'shape', shape: 'circle', x: 500, y: 40, width: 120, height: 120, color: '#ff0000' });
+  expect(image).toMatchObject({ type: 'image', x: 700, y: 300, width: 160, height: 90, src: IMAGE });
+});
+
+test('writes group members in slide coordinates', async () => {
+  const { zip, result } = await exportAndImport([
+    {
+      id: 'group',
+      type: 'group',
+      x: 100,
+      y: 50,
+      width: 300,
+      height: 100,
+      children: [
+        { id: 'left', type: 'shape', shape: 'rectangle', x: 0, y: 0, width: 100, height: 100, color: '#00ff00' },
+        { id: 'right', type: 'shape', shape: 'rectangle', x: 200, y: 0, width: 100, height: 100, color: '#0000ff' }
+      ]
+    }
+  ]);
+  const xfrm = readXml(zip, 'ppt/slides/slide1.xml').getElementsByTagName('p:grpSpPr')[1].firstChild;
+  const attributes = (name) => {
+    const node = Array.from(xfrm.childNodes).find((child) => child.nodeName === name);
+    return Array.from(node.attributes).map((attribute) => attribute.value);
+  };
+  expect(attributes('a:off')).toEqual(['952500', '476250']);
+  expect(attributes('a:chOff')).toEqual(attributes('a:off'));
+  expect(attributes('a:chExt')).toEqual(attributes('a:ext'));
+  const members = Array.from(readXml(zip, 'ppt/slides/slide1.xml').getElementsByTagName('p:sp'));
+  expect(members.map((member) => member.getElementsByTagName('a:off')[0].getAttribute('x'))).toEqual(['952500', '2857500']);
+
+  const [group] = result.slides[0].content;
+  expect(group).toMatchObject({ type: 'group', x: 100, y: 50, width: 300, height: 100 });
+  expect(group.children).toEqual([
+    expect.objectContaining({ color: '#00ff00', x: 0, y: 0, width: 100, height: 100 }),
+    expect.objectContaining({ color: '#0000ff', x: 200, y: 0, width: 100, height: 100 })
+  ]);
+});
+
+test('writes the slide size it is given', async () => {
+  const { zip, result } = await exportAndImport(
+    [{ id: 'corner', type: 'shape', shape: 'rectangle', x: 860, y: 620, width: 100, height: 100, color: '#000000' }],
+    { slideSize: { preset: 'standard' } }
+  );
+  const sldSz = readXml(zip, 'ppt/presentation.xml').getElementsByTagName('p:sldSz')[0];
+  expect(sldSz.getAttribute('cx')).toBe('9144000');
+  expect(sldSz.getAttribute('cy')).toBe('6858000');
+  expect(sldSz.getAttribute('type')).toBe('screen4x3');
+  expect(zip.file('docProps/app.xml').asText()).toContain('<PresentationFormat>On-screen Show (4:3)</PresentationFormat>');
+  expect(result.report.slideSize).toEqual({ preset: 'standard', width: 960, height: 720 });
+  expect(result.slides[0].content[0]).toMatchObject({ x: 860, y: 620, width: 100, height: 100 });
+});
+
+test('writes tables with merged cells that import back unchanged', async () => {
+  const { zip, result } = await exportAndImport([TABLE]);
+  expect(zip.file('ppt/slides/slide1.xml').asText()).toContain('<a:tc hMerge="1">');
+  expect(result.report.skipped).toEqual([]);
+
+  const [table] = result.slides[0].content;
+  expect(table).toMatchObject({ type: 'table', x: 10, y: 20, width: 400, height: 120, headerRow: true, bandedRows: true });
+  expect(table.columnWidths).toEqual(TABLE.columnWidths);
+  expect(table.cells[0][0]).toEqual({ text: '<p>Region</p>', colSpan: 2 });
+  expect(table.cells[1][0]).toEqual({ text: '<p>North</p>', rowSpan: 2 });
+  expect(table.cells[2][2].text).toBe('<p>12</p>');
+});
+
+test('writes each chart as its own part', async () => {
+  const { zip, result } = await exportAndImport([
+    chart('combo', 'columnLine', [
+      { label: 'Revenue', data: [1, 2], color: '#ff0000' },
+      { label: 'Target', data: [3, 4] }
+    ]),
+    chart('pie', 'pie', [{ label: 'Share', data: [1, 2], segmentColors: ['#111111', '#222222'] }])
+  ]);
+  expect(zip.file(/^ppt\/charts\//).map((file) => file.name)).toEqual(['ppt/charts/chart1.xml', 'ppt/charts/chart2.xml']);
+  expect(zip.file('[Content_Types].xml').asText()).toContain(
+    '<Override PartName="/ppt/charts/chart2.xml" ContentType="application/vnd.openxmlformats-officedocument.drawingml.chart+xml"/>'
+  );
+  expect(result.report.skipped).toEqual([]);
+
+  const [combo, pie] = result.slides[0].content;
+  expect(combo.chartType).toBe('columnLine');
+  expect(combo.chartData.labels).toEqual(['Q1', 'Q2']);
+  expect(combo.chartData.datasets.map(({ label, data, color, variant }) => ({ label, data, color, variant }))).toEqual([
+    { label: 'Revenue', data: [1, 2], color: '#ff0000', variant: 'bar' },
+    { label: 'Target', data: [3, 4], color: '#6366f1', variant: 'line' }
+  ]);
+  expect(pie.chartType).toBe('pie');
+  expect(pie.chartData.datasets[0].segmentColors).toEqual(['#111111', '#222222']);
+});
+
+test('leaves out charts with no data', async () => {
+  const { zip, result } = await exportAndImport([chart('empty', 'bar', [])]);
+  expect(zip.file(/^ppt\/charts\//)).toHaveLength(0);
+  expect(result.slides[0].content).toEqual([]);
+});
+
+describe('buildZip', () => {
+  test('writes entries PizZip can read back', async () => {
+    const xml = '<p:sld>'.concat('<a:t>Résumé</a:t>'.repeat(500), '</p:sld>');
+    const png = new Uint8Array([137, 80, 78, 71, 1, 2, 3, 4]);
+    const blob = await buildZip([
+      { name: 'ppt/slides/slide1.xml', data: xml },
+      { name: 'ppt/media/image1.png', data: png },
+      { name: 'notes/übersicht.txt', data: '' }
+    ]);
+    expect(blob.type).toBe('application/vnd.openxmlformats-officedocument.presentationml.presentation');
+    expect(blob.size).toBeLessThan(xml.length / 5);
+
+    const zip = new PizZip(await blobToArrayBuffer(blob));
+    expect(Object.keys(zip.files)).toEqual(['ppt/slides/slide1.xml', 'ppt/media/image1.png', 'notes/übersicht.txt']);
+    expect(zip.file('ppt/slides/slide1.xml').asText()).toBe(xml);
+    expect(zip.file('ppt/media/image1.png').asUint8Array()).toEqual(png);
+    expect(zip.file('notes/übersicht.txt').asText()).toBe('');
+  });
+
+  test('uses the given MIME type', async () => {
+    expect((await buildZip([], 'application/zip')).type).toBe('application/zip');
+  });
+});
@@ -1,9 +1,18 @@
 import PptxGenJS from 'pptxgenjs';
-
-const CANVAS_WIDTH = 960;
-const CANVAS_HEIGHT = 540;
-const SLIDE_WIDTH_IN = 10;
-const SLIDE_HEIGHT_IN = 5.625;
+import PizZip from 'pizzip';
+import { getListMarker, parseRichTextParagraphs } from './richText';
+import { flattenGroupedElements, isGroupElement } from './elementGroups';
+import { normalizeRotation } from './elementLayout';
+import { getSlideTransition, hasSlideTransition } from './slideTransitions';
+import { getAnimationSteps, getSlideAnimations, hasSlideAnimations } from './slideAnimations';
+import { clampSlideDuration } from './slideTimings';
+import { downloadBlob } from './fileDownload';
+import { DEFAULT_SLIDE_SIZE, PIXELS_PER_INCH, isSameSlideSize, normalizeSlideSize } from './slideSize';
+import { getColumnFractions, getCoveredCells, getRowFill, getTableColors } from './tableModel';
+
+const CANVAS_WIDTH = DEFAULT_SLIDE_SIZE.width;
+const CANVAS_HEIGHT = DEFAULT_SLIDE_SIZE.height;
+const CUSTOM_LAYOUT_NAME = 'PPTTS_SLIDE_SIZE';
 
 const DEFAULT_SERIES_COLORS = [
   '#3B82F6',
@@ -15,6 +24,19 @@ const DEFAULT_SERIES_COLORS = [
   '#0EA5E9'
 ];
 
+const PPTX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+const PRESENTATION_NS = 'http://schemas.openxmlformats.org/presentationml/2006/main';
+const DRAWING_NS = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+const MARKUP_COMPATIBILITY_NS = 'http://schemas.openxmlformats.org/markup-compatibility/2006';
+const POWERPOINT_2010_NS = 'http://schemas.microsoft.com/office/powerpoint/2010/main';
+
+// Members of a group are written with a marker in their shape name, then
+// wrapped into <p:grpSp> once PptxGenJS has produced the slide XML. Hidden
+// layers are marked the same way since PptxGenJS cannot hide a shape.
+const GROUP_NAME_PREFIX = 'pptts-group:';
+const HIDDEN_NAME_PREFIX = 'pptts-hidden:';
+const ELEMENT_ID_PREFIX = 'pptts-id:';
+
 const TEXT_BOX_PADDING = {
   top: 10,
   right: 14,
@@ -27,11 +49,10 @@ const pxToPoints = (value) => {
   return Number.isFinite(numeric) ? Number((numeric * 0.75).toFixed(2)) : 0;
 };
 
+// The canvas is 96 px per inch at every slide size, so both axes convert alike.
 const pxToInches = (value, axis = 'x') => {
   const numeric = Number(value) || 0;
-  const base = axis === 'x' ? CANVAS_WIDTH : CANVAS_HEIGHT;
-  const slideBase = axis === 'x' ? SLIDE_WIDTH_IN : SLIDE_HEIGHT_IN;
-  const inches = (numeric / base) * slideBase;
+  const inches = numeric / PIXELS_PER_INCH;
   return Number.isFinite(inches) ? Number(inches.toFixed(2)) : 0;
 };
 
@@ -80,9 +101,30 @@ const htmlToPlainText = (value) => {
     .trim();
 };
 
+// Animated elements carry their id so the timing data can address the shape
+// PptxGenJS creates for them.
+const objectNameOption = (item) => {
+  const name = item.groupPath?.length
+    ? `${GROUP_NAME_PREFIX}${item.groupPath.join('/')}|${item.name || item.id}`
+    : item.name;
+  if (!name && !item.hidden && !item.isAnimated) {
+    return {};
+  }
+  const idMarker = item.isAnimated ? `${ELEMENT_ID_PREFIX}${item.id}|` : '';
+  return { objectName: `${idMarker}${item.hidden ? HIDDEN_NAME_PREFIX : ''}${name || ''}` };
+};
+
+// PowerPoint cannot rotate chart or table frames, so they export upright.
+const rotationOption = (item) => {
+  const rotate = item.type === 'chart' || item.type === 'table' ? 0 : normalizeRotation(item.rotation);
+  return rotate ? { rotate } : {};
+};
+
 const getTextOptions = (item) => {
   const fontSize = Number(item.fontSize) || 18;
   return {
+    ...objectNameOption(item),
+    ...rotationOption(item),
     x: pxToInches(item.x || 0, 'x'),
     y: pxToInches(item.y || 0, 'y'),
     w: pxToInches(item.width || CANVAS_WIDTH * 0.6, 'x'),
@@ -106,86 +148,156 @@ const getTextOptions = (item) => {
   };
 };
 
-const addTextElements = (pptSlide, slide) => {
-  (slide?.content || []).forEach((item) => {
-    if (item?.type !== 'text') {
-      return;
-    }
-    const rawHtml = item.text || '';
-    const text = (item.plainText ?? htmlToPlainText(rawHtml)).trim();
-    if (!text) {
-      return;
-    }
-    pptSlide.addText(text, getTextOptions(item));
+const toRunOptions = (style, paragraph) => {
+  const options = {
+    fontSize: Math.max(1, Math.round(style.fontSize)),
+    fontFace: style.fontFace,
+    color: style.color,
+    align: paragraph.align
+  };
+  if (style.bold) {
+    options.bold = true;
+  }
+  if (style.italic) {
+    options.italic = true;
+  }
+  if (style.underline) {
+    options.underline = { style: 'sng' };
+  }
+  if (style.strike) {
+    options.strike = 'sngStrike';
+  }
+  if (style.superscript) {
+    options.superscript = true;
+  } else if (style.subscript) {
+    options.subscript = true;
+  }
+  if (paragraph.indentLevel) {
+    options.indentLevel = paragraph.indentLevel;
+  }
+  return options;
+};
+
+const paragraphsToTextRuns = (paragraphs, baseStyle) => {
+  const runs = [];
+  paragraphs.forEach((paragraph, paragraphIndex) => {
+    const isLast = paragraphIndex === paragraphs.length - 1;
+    const paragraphRuns = paragraph.runs.length
+      ? paragraph.runs
+      : [{ text: '', style: baseStyle }];
+    paragraphRuns.forEach((run, runIndex) => {
+      const options = toRunOptions(run.style, paragraph);
+      if (runIndex === 0 && paragraph.bullet) {
+        options.bullet = paragraph.bullet;
+      }
+      if (runIndex > 0 && run.softBreakBefore) {
+        options.softBreakBefore = true;
+      }
+      if (runIndex === paragraphRuns.length - 1 && !isLast) {
+        options.breakLine = true;
+      }
+      runs.push({ text: run.text, options });
+    });
   });
+  return runs;
+};
+
+const htmlToTextRuns = (html, item) => {
+  const baseFontSize = Number(item.fontSize) || 18;
+  const baseStyle = {
+    fontSize: Math.max(10, Math.round(baseFontSize * 0.75)),
+    fontFace: determineFontFace(item.fontFamily),
+    color: normalizeHex(item.color, 'F5F5F5'),
+    bold: Boolean(item.bold || (item.fontWeight && Number(item.fontWeight) >= 600)),
+    italic: Boolean(item.italic),
+    underline: Boolean(item.underline)
+  };
+  const baseAlign = (item.textAlign || 'left').toLowerCase();
+
+  const paragraphs = parseRichTextParagraphs(html, baseStyle, baseAlign);
+  if (!paragraphs.length) {
+    return [];
+  }
+  return paragraphsToTextRuns(paragraphs, baseStyle);
+};
+
+const addTextElement = (pptSlide, item) => {
+  const rawHtml = item.text || '';
+  const runs = htmlToTextRuns(rawHtml, item);
+  // Run-level formatting is authoritative; box-level flags would otherwise
+  // be inherited by every run that leaves them unset.
+  const { bold, italic, underline, ...boxOptions } = getTextOptions(item);
+  if (runs.length) {
+    pptSlide.addText(runs, boxOptions);
+    return;
+  }
+  const text = (item.plainText ?? htmlToPlainText(rawHtml)).trim();
+  if (!text) {
+    return;
+  }
+  pptSlide.addText(text, getTextOptions(item));
 };
 
 const inchesOptions = (item, defaults = {}) => ({
+  ...objectNameOption(item),
+  ...rotationOption(item),
   x: pxToInches(item.x ?? defaults.x ?? 0, 'x'),
   y: pxToInches(item.y ?? defaults.y ?? 0, 'y'),
   w: pxToInches(item.width ?? defaults.w ?? CANVAS_WIDTH * 0.25, 'x'),
   h: pxToInches(item.height ?? defaults.h ?? CANVAS_HEIGHT * 0.25, 'y')
 });
 
-const addShapeElements = (pptx, pptSlide, slide) => {
+const addShapeElement = (pptx, pptSlide, item) => {
   const { ShapeType } = pptx;
   if (!ShapeType) {
     return;
   }
 
-  (slide?.content || []).forEach((item) => {
-    if (item?.type !== 'shape') {
-      return;
-    }
+  const fillColor = normalizeHex(item.color || item.fillColor || '#3B82F6');
+  const strokeColor = normalizeHex(item.borderColor || item.color || fillColor);
+  const strokeWidth = Math.max(0, Number(item.borderWidth || 0) * 0.75);
 
-    const fillColor = normalizeHex(item.color || item.fillColor || '#3B82F6');
-    const strokeColor = normalizeHex(item.borderColor || item.color || fillColor);
-    const strokeWidth = Math.max(0, Number(item.borderWidth || 0) * 0.75);
+  const baseOptions = {
+    ...inchesOptions(item, { w: 160, h: 100 }),
+    fill: { color: fillColor },
+    line: {
+      color: strokeColor,
+      width: strokeWidth
+    }
+  };
 
-    const baseOptions = {
-      ...inchesOptions(item, { w: 160, h: 100 }),
-      fill: { color: fillColor },
-      line: {
-        color: strokeColor,
-        width: strokeWidth
+  if (item.text && item.shape !== 'line') {
+    baseOptions.text = {
+      text: item.text,
+      options: {
+        align: 'center',
+        fontFace: 'Segoe UI',
+        fontSize: 14,
+        color: 'FFFFFF'
       }
     };
+  }
 
-    if (item.text && item.shape !== 'line') {
-      baseOptions.text = {
-        text: item.text,
-        options: {
-          align: 'center',
-          fontFace: 'Segoe UI',
-          fontSize: 14,
-          color: 'FFFFFF'
-        }
-      };
-    }
-
-    const shapeMap = {
-      circle: ShapeType.ellipse,
-      triangle: ShapeType.triangle,
-      arrow: ShapeType.rightArrow,
-      star: ShapeType.star5,
-      line: ShapeType.line
-    };
+  const shapeMap = {
+    circle: ShapeType.ellipse,
+    triangle: ShapeType.triangle,
+    arrow: ShapeType.rightArrow,
+    star: ShapeType.star5,
+    line: ShapeType.line
+  };
 
-    const shapeType = shapeMap[item.shape] || ShapeType.rect;
-    pptSlide.addShape(shapeType, baseOptions);
-  });
+  const shapeType = shapeMap[item.shape] || ShapeType.rect;
+  pptSlide.addShape(shapeType, baseOptions);
 };
 
-const addImageElements = (pptSlide, slide) => {
-  (slide?.content || []).forEach((item) => {
-    if (item?.type !== 'image' || !item.src) {
-      return;
-    }
+const addImageElement = (pptSlide, item) => {
+  if (!item.src) {
+    return;
+  }
 
-    pptSlide.addImage({
-      data: item.src,
-      ...inchesOptions(item, { w: 320, h: 240 })
-    });
+  pptSlide.addImage({
+    data: item.src,
+    ...inchesOptions(item, { w: 320, h: 240 })
   });
 };
 
@@ -224,86 +336,529 @@ const resolvePieColors = (dataset, fallbackPalette) => {
   return Array.from({ length }, (_, index) => normalizeHex(baseColor, fallbackPalette[index % fallbackPalette.length]));
 };
 
-const addChartElements = (pptx, pptSlide, slide) => {
+const addChartElement = (pptx, pptSlide, item) => {
   const { ChartType } = pptx;
   if (!ChartType) {
     return;
   }
 
-  (slide?.content || []).forEach((item) => {
-    if (item?.type !== 'chart') {
-      return;
-    }
+  const data = item.chartData || {};
+  const labels = Array.isArray(data.labels) ? data.labels : [];
+  const datasets = Array.isArray(data.datasets) ? data.datasets : [];
+  if (!labels.length || !datasets.length) {
+    return;
+  }
 
-    const data = item.chartData || {};
-    const labels = Array.isArray(data.labels) ? data.labels : [];
-    const datasets = Array.isArray(data.datasets) ? data.datasets : [];
-    if (!labels.length || !datasets.length) {
-      return;
-    }
+  const baseOptions = {
+    ...inchesOptions(item, { w: 420, h: 280 })
+  };
 
-    const baseOptions = {
-      ...inchesOptions(item, { w: 420, h: 280 })
+  const chartType = (item.chartType || data.type || 'bar').toLowerCase();
+
+  if (chartType === 'pie') {
+    const seriesColors = resolvePieColors(datasets[0] || {}, DEFAULT_SERIES_COLORS);
+    const pieSeries = datasets[0] ? [normalizeDataset(datasets[0], labels)] : [];
+    pptSlide.addChart(ChartType.pie, pieSeries, {
+      ...baseOptions,
+      chartColors: seriesColors
+    });
+    return;
+  }
+
+  if (chartType === 'area') {
+    const areaSeries = datasets.map((dataset) => normalizeDataset(dataset, labels));
+    const chartColors = datasets.map((dataset, index) =>
+      resolveSeriesColor(dataset, DEFAULT_SERIES_COLORS[index % DEFAULT_SERIES_COLORS.length])
+    );
+    pptSlide.addChart(ChartType.area, areaSeries, {
+      ...baseOptions,
+      chartColors
+    });
+    return;
+  }
+
+  if (chartType === 'columnline' && datasets.length >= 2) {
+    const comboSeries = datasets.map((dataset, index) => ({
+      type: index === datasets.length - 1 ? ChartType.line : ChartType.column,
+      ...normalizeDataset(dataset, labels)
+    }));
+    const chartColors = datasets.map((dataset, index) =>
+      resolveSeriesColor(dataset, DEFAULT_SERIES_COLORS[index % DEFAULT_SERIES_COLORS.length])
+    );
+    pptSlide.addChart(ChartType.combo, comboSeries, {
+      ...baseOptions,
+      chartColors
+    });
+    return;
+  }
+
+  const barSeries = datasets.map((dataset) => normalizeDataset(dataset, labels));
+  const chartColors = datasets.map((dataset, index) =>
+    resolveSeriesColor(dataset, DEFAULT_SERIES_COLORS[index % DEFAULT_SERIES_COLORS.length])
+  );
+  pptSlide.addChart(ChartType.bar, barSeries, {
+    ...baseOptions,
+    chartColors
+  });
+};
+
+// Covered cells of merged ranges are left out; PptxGenJS fills them in from
+// the anchor cell's rowspan/colspan.
+const addTableElement = (pptSlide, item) => {
+  const cells = Array.isArray(item.cells) ? item.cells : [];
+  if (!cells.length) {
+    return;
+  }
+  const colors = getTableColors(item);
+  const covered = getCoveredCells(cells);
+  const border = { type: 'solid', pt: 0.75, color: normalizeHex(colors.border) };
+  const width = Number(item.width) || CANVAS_WIDTH * 0.5;
+
+  const rows = cells.map((row, rowIndex) => {
+    const isHeader = Boolean(item.headerRow) && rowIndex === 0;
+    const fill = getRowFill(item, rowIndex);
+    const textStyle = {
+      fontSize: item.fontSize || 16,
+      fontFamily: item.fontFamily,
+      color: isHeader ? colors.headerText : colors.text,
+      bold: isHeader
     };
+    return row
+      .map((cell, colIndex) => {
+        if (covered.has(`${rowIndex}:${colIndex}`)) {
+          return null;
+        }
+        const options = {
+          border,
+          valign: 'middle',
+          color: normalizeHex(textStyle.color, '111111'),
+          bold: isHeader
+        };
+        if (fill) {
+          options.fill = { color: normalizeHex(fill) };
+        }
+        if (cell.rowSpan > 1) {
+          options.rowspan = cell.rowSpan;
+        }
+        if (cell.colSpan > 1) {
+          options.colspan = cell.colSpan;
+        }
+        const runs = htmlToTextRuns(cell.text || '', textStyle);
+        return { text: runs.length ? runs : '', options };
+      })
+      .filter(Boolean);
+  });
 
-    const chartType = (item.chartType || data.type || 'bar').toLowerCase();
+  pptSlide.addTable(rows, {
+    ...inchesOptions(item),
+    colW: getColumnFractions(item).map((fraction) => pxToInches(fraction * width, 'x')),
+    fontSize: Math.max(10, Math.round((Number(item.fontSize) || 16) * 0.75)),
+    fontFace: determineFontFace(item.fontFamily),
+    autoPage: false
+  });
+};
 
-    if (chartType === 'pie') {
-      const seriesColors = resolvePieColors(datasets[0] || {}, DEFAULT_SERIES_COLORS);
-      const pieSeries = datasets[0] ? [normalizeDataset(datasets[0], labels)] : [];
-      pptSlide.addChart(ChartType.pie, pieSeries, {
-        ...baseOptions,
-        chartColors: seriesColors
-      });
-      return;
+// Elements are added in `content` order, which PowerPoint reads as the
+// stacking order from back to front.
+const addSlideElement = (pptx, pptSlide, item) => {
+  switch (item?.type) {
+    case 'text':
+      addTextElement(pptSlide, item);
+      break;
+    case 'shape':
+      addShapeElement(pptx, pptSlide, item);
+      break;
+    case 'image':
+      addImageElement(pptSlide, item);
+      break;
+    case 'chart':
+      addChartElement(pptx, pptSlide, item);
+      break;
+    case 'table':
+      addTableElement(pptSlide, item);
+      break;
+    default:
+      break;
+  }
+};
+
+// PowerPoint notes pages hold plain text, so list markers are written out.
+const notesToPlainText = (notes) => {
+  if (!notes || typeof notes !== 'string') {
+    return '';
+  }
+  if (!/<[a-z]/i.test(notes)) {
+    return notes.trim();
+  }
+  return parseRichTextParagraphs(notes, {}, 'left')
+    .map((paragraph) => {
+      const text = paragraph.runs
+        .map((run) => `${run.softBreakBefore ? '\n' : ''}${run.text}`)
+        .join('');
+      const indent = '  '.repeat(paragraph.indentLevel || 0);
+      const marker = getListMarker(paragraph);
+      return marker ? `${indent}${marker} ${text}` : text;
+    })
+    .join('\n')
+    .trim();
+};
+
+const addSpeakerNotes = (pptSlide, slide) => {
+  const text = notesToPlainText(slide?.notes);
+  if (text) {
+    pptSlide.addNotes(text);
+  }
+};
+
+const readGroupMarker = (node) => {
+  const cNvPr = node.getElementsByTagNameNS(PRESENTATION_NS, 'cNvPr')[0];
+  const name = cNvPr?.getAttribute('name') || '';
+  if (!name.startsWith(GROUP_NAME_PREFIX)) {
+    return null;
+  }
+  const marker = name.slice(GROUP_NAME_PREFIX.length);
+  const separator = marker.indexOf('|');
+  const path = marker.slice(0, separator);
+  return { cNvPr, path, depth: path.split('/').length, label: marker.slice(separator + 1) };
+};
+
+const readFrame = (node) => {
+  const xfrm = node.getElementsByTagNameNS(DRAWING_NS, 'xfrm')[0] ||
+    node.getElementsByTagNameNS(PRESENTATION_NS, 'xfrm')[0];
+  const off = xfrm?.getElementsByTagNameNS(DRAWING_NS, 'off')[0];
+  const ext = xfrm?.getElementsByTagNameNS(DRAWING_NS, 'ext')[0];
+  if (!off || !ext) {
+    return null;
+  }
+  const x = Number(off.getAttribute('x')) || 0;
+  const y = Number(off.getAttribute('y')) || 0;
+  return {
+    x,
+    y,
+    right: x + (Number(ext.getAttribute('cx')) || 0),
+    bottom: y + (Number(ext.getAttribute('cy')) || 0)
+  };
+};
+
+const createGroupShapeNode = (doc, id, name, members, { rotation = 0, hidden = false } = {}) => {
+  const frames = members.map(readFrame).filter(Boolean);
+  const x = Math.min(...frames.map((frame) => frame.x));
+  const y = Math.min(...frames.map((frame) => frame.y));
+  const cx = Math.max(...frames.map((frame) => frame.right)) - x;
+  const cy = Math.max(...frames.map((frame) => frame.bottom)) - y;
+  const fragment = new DOMParser().parseFromString(
+    `<p:grpSp xmlns:p="${PRESENTATION_NS}" xmlns:a="${DRAWING_NS}">` +
+      `<p:nvGrpSpPr><p:cNvPr id="${id}" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>` +
+      `<p:grpSpPr><a:xfrm${rotation ? ` rot="${Math.round(rotation * 60000)}"` : ''}><a:off x="${x}" y="${y}"/><a:ext cx="${cx}" cy="${cy}"/>` +
+      `<a:chOff x="${x}" y="${y}"/><a:chExt cx="${cx}" cy="${cy}"/></a:xfrm></p:grpSpPr>` +
+      '</p:grpSp>',
+    'application/xml'
+  );
+  const cNvPr = fragment.getElementsByTagNameNS(PRESENTATION_NS, 'cNvPr')[0];
+  cNvPr.setAttribute('name', name);
+  if (hidden) {
+    cNvPr.setAttribute('hidden', '1');
+  }
+  return doc.importNode(fragment.documentElement, true);
+};
+
+// Returns the shape id of every element exported with an id marker.
+const readElementIdMarkers = (doc) => {
+  const shapeIds = new Map();
+  Array.from(doc.getElementsByTagNameNS(PRESENTATION_NS, 'cNvPr')).forEach((cNvPr) => {
+    const name = cNvPr.getAttribute('name') || '';
+    if (name.startsWith(ELEMENT_ID_PREFIX)) {
+      const marker = name.slice(ELEMENT_ID_PREFIX.length);
+      const separator = marker.indexOf('|');
+      shapeIds.set(marker.slice(0, separator), cNvPr.getAttribute('id'));
+      cNvPr.setAttribute('name', marker.slice(separator + 1));
     }
+  });
+  return shapeIds;
+};
 
-    if (chartType === 'area') {
-      const areaSeries = datasets.map((dataset) => normalizeDataset(dataset, labels));
-      const chartColors = datasets.map((dataset, index) =>
-        resolveSeriesColor(dataset, DEFAULT_SERIES_COLORS[index % DEFAULT_SERIES_COLORS.length])
-      );
-      pptSlide.addChart(ChartType.area, areaSeries, {
-        ...baseOptions,
-        chartColors
-      });
-      return;
+const applyHiddenMarkers = (doc) => {
+  Array.from(doc.getElementsByTagNameNS(PRESENTATION_NS, 'cNvPr')).forEach((cNvPr) => {
+    const name = cNvPr.getAttribute('name') || '';
+    if (name.startsWith(HIDDEN_NAME_PREFIX)) {
+      cNvPr.setAttribute('name', name.slice(HIDDEN_NAME_PREFIX.length));
+      cNvPr.setAttribute('hidden', '1');
     }
+  });
+};
 
-    if (chartType === 'columnline' && datasets.length >= 2) {
-      const comboSeries = datasets.map((dataset, index) => ({
-        type: index === datasets.length - 1 ? ChartType.line : ChartType.column,
-        ...normalizeDataset(dataset, labels)
-      }));
-      const chartColors = datasets.map((dataset, index) =>
-        resolveSeriesColor(dataset, DEFAULT_SERIES_COLORS[index % DEFAULT_SERIES_COLORS.length])
-      );
-      pptSlide.addChart(ChartType.combo, comboSeries, {
-        ...baseOptions,
-        chartColors
+// Wraps marked shapes into group shapes, innermost groups first, and returns
+// the shape id standing in for each group.
+const wrapGroupedShapes = (doc, groups) => {
+  const shapeIds = new Map();
+  const spTree = doc.getElementsByTagNameNS(PRESENTATION_NS, 'spTree')[0];
+  if (!spTree) {
+    return shapeIds;
+  }
+  let nextId = Math.max(
+    0,
+    ...Array.from(doc.getElementsByTagNameNS(PRESENTATION_NS, 'cNvPr')).map((node) => Number(node.getAttribute('id')) || 0)
+  ) + 1;
+
+  for (;;) {
+    const marked = Array.from(spTree.children)
+      .map((node) => ({ node, marker: readGroupMarker(node) }))
+      .filter((entry) => entry.marker);
+    if (!marked.length) {
+      break;
+    }
+    const deepest = marked.reduce((best, entry) => (entry.marker.depth > best.marker.depth ? entry : best));
+    const path = deepest.marker.path;
+    const members = marked.filter((entry) => entry.marker.path === path);
+    const segments = path.split('/');
+    const groupId = segments.pop();
+    const group = groups.get(groupId) || {};
+    if (members.length < 2) {
+      shapeIds.set(groupId, members[0].marker.cNvPr.getAttribute('id'));
+      members.forEach(({ marker }) => {
+        marker.cNvPr.setAttribute('name', marker.label);
+        if (group.hidden) {
+          marker.cNvPr.setAttribute('hidden', '1');
+        }
       });
-      return;
+      continue;
     }
-
-    const barSeries = datasets.map((dataset) => normalizeDataset(dataset, labels));
-    const chartColors = datasets.map((dataset, index) =>
-      resolveSeriesColor(dataset, DEFAULT_SERIES_COLORS[index % DEFAULT_SERIES_COLORS.length])
+    const label = group.name || `Group ${groupId}`;
+    const name = segments.length ? `${GROUP_NAME_PREFIX}${segments.join('/')}|${label}` : label;
+    const groupNode = createGroupShapeNode(
+      doc,
+      nextId,
+      name,
+      members.map((entry) => entry.node),
+      group
     );
-    pptSlide.addChart(ChartType.bar, barSeries, {
-      ...baseOptions,
-      chartColors
+    shapeIds.set(groupId, String(nextId));
+    nextId += 1;
+    spTree.insertBefore(groupNode, members[0].node);
+    members.forEach(({ node, marker }) => {
+      marker.cNvPr.setAttribute('name', marker.label);
+      groupNode.appendChild(node);
     });
-  });
+  }
+  return shapeIds;
 };
 
-export const exportSlidesAsPptx = async (slides, fileName) => {
+const TRANSITION_ELEMENTS = {
+  fade: '<p:fade/>',
+  push: '<p:push dir="l"/>',
+  wipe: '<p:wipe dir="l"/>',
+  zoom: '<p:zoom/>'
+};
+
+const toTransitionSpeed = (duration) => (duration <= 500 ? 'fast' : duration <= 750 ? 'med' : 'slow');
+
+// PowerPoint 2010+ reads the exact duration from the p14 choice; older readers
+// fall back to the nearest of the three preset speeds. A slide timing becomes
+// the transition's advance time, on an effect-less transition if need be.
+const applySlideTransition = (doc, transition, advanceAfter) => {
+  const effect = TRANSITION_ELEMENTS[transition?.type];
+  const root = doc.documentElement;
+  if ((!effect && !advanceAfter) || !root) {
+    return;
+  }
+  const advance = advanceAfter ? ` advTm="${advanceAfter}"` : '';
+  const speed = effect ? toTransitionSpeed(transition.duration) : null;
+  const fragment = new DOMParser().parseFromString(
+    effect
+      ? `<mc:AlternateContent xmlns:mc="${MARKUP_COMPATIBILITY_NS}" xmlns:p="${PRESENTATION_NS}">` +
+          `<mc:Choice xmlns:p14="${POWERPOINT_2010_NS}" Requires="p14">` +
+          `<p:transition spd="${speed}" p14:dur="${transition.duration}"${advance}>${effect}</p:transition>` +
+          '</mc:Choice>' +
+          `<mc:Fallback><p:transition spd="${speed}"${advance}>${effect}</p:transition></mc:Fallback>` +
+          '</mc:AlternateContent>'
+      : `<p:transition xmlns:p="${PRESENTATION_NS}"${advance}/>`,
+    'application/xml'
+  );
+  // <p:transition> sits after the colour map override and before timing data.
+  const following = Array.from(root.children).find((child) => ['timing', 'extLst'].includes(child.localName));
+  root.insertBefore(doc.importNode(fragment.documentElement, true), following || null);
+};
+
+const ANIMATION_PRESET_CLASSES = { entrance: 'entr', emphasis: 'emph', exit: 'exit' };
+const ANIMATION_NODE_TYPES = { onClick: 'clickEffect', withPrevious: 'withEffect', afterPrevious: 'afterEffect' };
+
+// PowerPoint plays the behaviours below; the preset ids only tell its
+// animation pane which named effect to show. Emphasis fly and wipe have no
+// preset equivalent and show as custom effects.
+const ANIMATION_PRESETS = {
+  entrance: { fade: [10, 0], fly: [2, 4], wipe: [22, 8], zoom: [53, 16] },
+  emphasis: { fade: [9, 0], fly: [0, 0], wipe: [0, 0], zoom: [6, 0] },
+  exit: { fade: [10, 0], fly: [2, 4], wipe: [22, 8], zoom: [53, 16] }
+};
+
+const createTimingBuilder = () => {
+  let nextId = 3;
+  // Children are rendered after the id is taken so ids ascend in document order.
+  const cTn = (attributes, children = '') => {
+    const id = nextId++;
+    return `<p:cTn id="${id}"${attributes}>${typeof children === 'function' ? children() : children}</p:cTn>`;
+  };
+  const target = (spid) => `<p:tgtEl><p:spTgt spid="${spid}"/></p:tgtEl>`;
+  const startAfter = (delay) => `<p:stCondLst><p:cond delay="${delay}"/></p:stCondLst>`;
+
+  const setVisibility = (spid, value, delay) =>
+    `<p:set><p:cBhvr>${cTn(' dur="1" fill="hold"', startAfter(delay))}${target(spid)}` +
+    '<p:attrNameLst><p:attrName>style.visibility</p:attrName></p:attrNameLst></p:cBhvr>' +
+    `<p:to><p:strVal val="${value}"/></p:to></p:set>`;
+  const filterEffect = (spid, transition, filter, timing) =>
+    `<p:animEffect transition="${transition}" filter="${filter}"><p:cBhvr>${cTn(timing)}${target(spid)}</p:cBhvr></p:animEffect>`;
+  const animateProperty = (spid, attribute, from, to, timing) =>
+    `<p:anim calcmode="lin" valueType="num"><p:cBhvr additive="base">${cTn(timing)}${target(spid)}` +
+    `<p:attrNameLst><p:attrName>${attribute}</p:attrName></p:attrNameLst></p:cBhvr>` +
+    `<p:tavLst><p:tav tm="0"><p:val><p:strVal val="${from}"/></p:val></p:tav>` +
+    `<p:tav tm="100000"><p:val><p:strVal val="${to}"/></p:val></p:tav></p:tavLst></p:anim>`;
+
+  const entranceOrExitBehaviours = (spid, { kind, effect, duration }) => {
+    const isEntrance = kind === 'entrance';
+    const direction = isEntrance ? 'in' : 'out';
+    const timing = ` dur="${duration}" fill="hold"`;
+    const swap = (hidden, shown) => (isEntrance ? [hidden, shown] : [shown, hidden]);
+    const behaviours = {
+      fade: () => filterEffect(spid, direction, 'fade', ` dur="${duration}"`),
+      fly: () => animateProperty(spid, 'ppt_y', ...swap('1+#ppt_h/2', '#ppt_y'), timing),
+      wipe: () => filterEffect(spid, direction, 'wipe(left)', ` dur="${duration}"`),
+      zoom: () =>
+        animateProperty(spid, 'ppt_w', ...swap('0', '#ppt_w'), timing) +
+        animateProperty(spid, 'ppt_h', ...swap('0', '#ppt_h'), timing) +
+        filterEffect(spid, direction, 'fade', ` dur="${duration}"`)
+    };
+    return isEntrance
+      ? setVisibility(spid, 'visible', 0) + behaviours[effect]()
+      : behaviours[effect]() + setVisibility(spid, 'hidden', Math.max(0, duration - 1));
+  };
+
+  // Emphasis effects run to their peak and reverse back.
+  const emphasisBehaviours = (spid, { effect, duration }) => {
+    const timing = ` dur="${Math.max(1, Math.round(duration / 2))}" autoRev="1" fill="hold"`;
+    switch (effect) {
+      case 'fly':
+        return (
+          `<p:animMotion origin="layout" path="M 0 0 L 0 -0.03 E" pathEditMode="relative"><p:cBhvr>${cTn(timing)}${target(spid)}` +
+          '<p:attrNameLst><p:attrName>ppt_x</p:attrName><p:attrName>ppt_y</p:attrName></p:attrNameLst></p:cBhvr></p:animMotion>'
+        );
+      case 'wipe':
+        return filterEffect(spid, 'in', 'wipe(left)', ` dur="${duration}"`);
+      case 'zoom':
+        return `<p:animScale><p:cBhvr>${cTn(timing)}${target(spid)}</p:cBhvr><p:by x="115000" y="115000"/></p:animScale>`;
+      default:
+        return animateProperty(spid, 'style.opacity', '1', '0.35', timing);
+    }
+  };
+
+  const effectPar = (spid, animation) => {
+    const [presetId, presetSubtype] = ANIMATION_PRESETS[animation.kind][animation.effect];
+    const behaviours = () =>
+      animation.kind === 'emphasis' ? emphasisBehaviours(spid, animation) : entranceOrExitBehaviours(spid, animation);
+    return `<p:par>${cTn(
+      ` presetID="${presetId}" presetClass="${ANIMATION_PRESET_CLASSES[animation.kind]}" presetSubtype="${presetSubtype}"` +
+        ` fill="hold" nodeType="${ANIMATION_NODE_TYPES[animation.trigger]}"`,
+      () => `${startAfter(0)}<p:childTnLst>${behaviours()}</p:childTnLst>`
+    )}</p:par>`;
+  };
+
+  // Every click step holds one parallel block per start time: effects that
+  // run with the previous one share its block, the others open a new one.
+  const stepPar = (animations, spids, isAutomatic) => {
+    const blocks = [];
+    animations.forEach((animation) => {
+      if (!blocks.length || animation.trigger !== 'withPrevious') {
+        blocks.push({ delay: animation.delay, animations: [] });
+      }
+      blocks[blocks.length - 1].animations.push(animation);
+    });
+    const conditions = isAutomatic
+      ? '<p:stCondLst><p:cond delay="indefinite"/><p:cond evt="onBegin" delay="0"><p:tn val="2"/></p:cond></p:stCondLst>'
+      : '<p:stCondLst><p:cond delay="indefinite"/></p:stCondLst>';
+    const blockPar = (block) =>
+      `<p:par>${cTn(
+        ' fill="hold"',
+        () =>
+          `${startAfter(block.delay)}<p:childTnLst>${block.animations
+            .map((animation) => effectPar(spids.get(animation.elementId), animation))
+            .join('')}</p:childTnLst>`
+      )}</p:par>`;
+    return `<p:par>${cTn(
+      ' fill="hold"',
+      () => `${conditions}<p:childTnLst>${blocks.map(blockPar).join('')}</p:childTnLst>`
+    )}</p:par>`;
+  };
+
+  return { stepPar };
+};
+
+const buildTimingXml = (steps, shapeIds) => {
+  const builder = createTimingBuilder();
+  const clickPars = steps
+    .map((step, index) => ({
+      index,
+      animations: step.animations.filter((animation) => shapeIds.has(animation.elementId))
+    }))
+    .filter((step) => step.animations.length)
+    .map((step) => builder.stepPar(step.animations, shapeIds, step.index === 0))
+    .join('');
+  if (!clickPars) {
+    return null;
+  }
+  return (
+    `<p:timing xmlns:p="${PRESENTATION_NS}"><p:tnLst><p:par>` +
+    '<p:cTn id="1" dur="indefinite" restart="never" nodeType="tmRoot"><p:childTnLst>' +
+    `<p:seq concurrent="1" nextAc="seek"><p:cTn id="2" dur="indefinite" nodeType="mainSeq"><p:childTnLst>${clickPars}</p:childTnLst></p:cTn>` +
+    '<p:prevCondLst><p:cond evt="onPrev" delay="0"><p:tgtEl><p:sldTgt/></p:tgtEl></p:cond></p:prevCondLst>' +
+    '<p:nextCondLst><p:cond evt="onNext" delay="0"><p:tgtEl><p:sldTgt/></p:tgtEl></p:cond></p:nextCondLst>' +
+    '</p:seq></p:childTnLst></p:cTn></p:par></p:tnLst></p:timing>'
+  );
+};
+
+const applySlideTiming = (doc, steps, shapeIds) => {
+  const xml = buildTimingXml(steps, shapeIds);
+  const root = doc.documentElement;
+  if (!xml || !root) {
+    return;
+  }
+  const fragment = new DOMParser().parseFromString(xml, 'application/xml');
+  const extLst = Array.from(root.children).find((child) => child.localName === 'extLst');
+  root.insertBefore(doc.importNode(fragment.documentElement, true), extLst || null);
+};
+
+const postProcessSlideXml = (xml, groups, { transition, advanceAfter, animationSteps }) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  const shapeIds = readElementIdMarkers(doc);
+  applyHiddenMarkers(doc);
+  wrapGroupedShapes(doc, groups).forEach((spid, groupId) => shapeIds.set(groupId, spid));
+  applySlideTransition(doc, transition, advanceAfter);
+  if (animationSteps) {
+    applySlideTiming(doc, animationSteps, shapeIds);
+  }
+  return new XMLSerializer().serializeToString(doc);
+};
+
+export const exportSlidesAsPptx = async (slides, fileName, options = {}) => {
   if (typeof PptxGenJS !== 'function') {
     throw new Error('Unable to load PowerPoint exporter. Please refresh and try again.');
   }
 
   const pptx = new PptxGenJS();
+  const slideSize = normalizeSlideSize(options.slideSize);
+  if (!isSameSlideSize(slideSize, DEFAULT_SLIDE_SIZE)) {
+    pptx.defineLayout({
+      name: CUSTOM_LAYOUT_NAME,
+      width: slideSize.width / PIXELS_PER_INCH,
+      height: slideSize.height / PIXELS_PER_INCH
+    });
+    pptx.layout = CUSTOM_LAYOUT_NAME;
+  }
 
-  (slides || []).forEach((slide) => {
+  (slides || []).forEach((sourceSlide) => {
+    const animatedIds = new Set(getSlideAnimations(sourceSlide).map((animation) => animation.elementId));
+    const content = (sourceSlide?.content || []).map((element) =>
+      animatedIds.has(element?.id) && !isGroupElement(element) ? { ...element, isAnimated: true } : element
+    );
+    const slide = { ...sourceSlide, content: flattenGroupedElements(content) };
     const backgroundColor = normalizeHex(getSlideBackground(slide));
     const pptSlide = pptx.addSlide({
       bkgd: backgroundColor
@@ -313,13 +868,48 @@ export const exportSlidesAsPptx = async (slides, fileName) => {
     pptSlide.background = {
       color: backgroundColor
     };
-    addTextElements(pptSlide, slide);
-    addShapeElements(pptx, pptSlide, slide);
-    addImageElements(pptSlide, slide);
-    addChartElements(pptx, pptSlide, slide);
+    slide.content.forEach((item) => addSlideElement(pptx, pptSlide, item));
+    addSpeakerNotes(pptSlide, slide);
   });
 
   const timestamp = new Date().toISOString().split('T')[0];
   const desiredName = fileName || `presentation-${timestamp}.pptx`;
-  await pptx.writeFile({ fileName: desiredName });
+  const groups = new Map();
+  let hasHiddenElements = false;
+  const collectLayerInfo = (elements) =>
+    elements.forEach((element) => {
+      hasHiddenElements = hasHiddenElements || Boolean(element?.hidden);
+      if (isGroupElement(element)) {
+        groups.set(element.id, {
+          name: element.name,
+          hidden: Boolean(element.hidden),
+          rotation: normalizeRotation(element.rotation)
+        });
+        collectLayerInfo(element.children);
+      }
+    });
+  (slides || []).forEach((slide) => collectLayerInfo(slide?.content || []));
+  const hasTransitions = (slides || []).some((slide) => hasSlideTransition(slide) || slide?.advanceAfter);
+  const hasAnimations = (slides || []).some(hasSlideAnimations);
+  if (!groups.size && !hasHiddenElements && !hasTransitions && !hasAnimations) {
+    await pptx.writeFile({ fileName: desiredName });
+    return;
+  }
+
+  const zip = new PizZip(await pptx.write({ outputType: 'arraybuffer' }));
+  Object.keys(zip.files)
+    .filter((path) => /^ppt\/slides\/slide\d+\.xml$/.test(path))
+    .forEach((path) => {
+      const slideNumber = Number(path.match(/slide(\d+)\.xml$/)[1]);
+      const slide = slides[slideNumber - 1];
+      zip.file(
+        path,
+        postProcessSlideXml(zip.file(path).asText(), groups, {
+          transition: getSlideTransition(slide),
+          advanceAfter: slide?.advanceAfter ? clampSlideDuration(slide.advanceAfter) : null,
+          animationSteps: hasSlideAnimations(slide) ? getAnimationSteps(slide) : null
+        })
+      );
+    });
+  downloadBlob(zip.generate({ type: 'blob', mimeType: PPTX_MIME_TYPE }), desiredName);
 };
@@ -0,0 +1,178 @@
+import PizZip from 'pizzip';
+import { exportSlidesAsPptx } from './pptxExport';
+import { parsePptx } from './pptxImport';
+import { downloadBlob } from './fileDownload';
+
+jest.mock('./fileDownload', () => ({ downloadBlob: jest.fn() }));
+
+const P_NS = 'http://schemas.openxmlformats.org/presentationml/2006/main';
+const A_NS = 'http://schemas.openxmlformats.org/drawingml/2006/main';
+
+const blobToArrayBuffer = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+
+const text = (id, x, extra = {}) => ({ id, type: 'text', text: `<p>${id}</p>`, x, y: 40, width: 200, height: 60, ...extra });
+
+const animation = (elementId, kind, effect, trigger, duration = 500) => ({ id: `anim-${elementId}`, elementId, kind, effect, trigger, duration });
+
+const exportDeck = async (slides) => {
+  downloadBlob.mockClear();
+  await exportSlidesAsPptx(slides, 'deck.pptx');
+  const [blob, fileName] = downloadBlob.mock.calls[0];
+  expect(fileName).toBe('deck.pptx');
+  const buffer = await blobToArrayBuffer(blob);
+  const zip = new PizZip(buffer);
+  const readSlide = (number) =>
+    new DOMParser().parseFromString(zip.file(`ppt/slides/slide${number}.xml`).asText(), 'application/xml');
+  return { buffer, readSlide };
+};
+
+const children = (node, localName) => Array.from(node.children).filter((child) => child.localName === localName);
+const child = (node, localName) => children(node, localName)[0];
+const shapeIdByText = (doc, value) => {
+  const shape = Array.from(doc.getElementsByTagNameNS(P_NS, 'sp')).find((node) => node.textContent === value);
+  return shape.getElementsByTagNameNS(P_NS, 'cNvPr')[0].getAttribute('id');
+};
+const effectSummary = (blockPar) =>
+  children(child(child(blockPar, 'cTn'), 'childTnLst'), 'par').map((effectPar) => {
+    const cTn = child(effectPar, 'cTn');
+    return {
+      nodeType: cTn.getAttribute('nodeType'),
+      presetClass: cTn.getAttribute('presetClass'),
+      spid: effectPar.getElementsByTagNameNS(P_NS, 'spTgt')[0].getAttribute('spid')
+    };
+  });
+
+const BUILD_SLIDE = {
+  id: 's1',
+  content: [text('a', 0), text('b', 220), text('c', 440)],
+  transition: { type: 'fade', duration: 600 },
+  animations: [
+    animation('a', 'entrance', 'fade', 'onClick'),
+    animation('b', 'emphasis', 'zoom', 'withPrevious', 400),
+    animation('c', 'exit', 'fly', 'afterPrevious', 300)
+  ]
+};
+
+test('writes click, with-previous and after-previous builds as a main sequence', async () => {
+  const { readSlide } = await exportDeck([BUILD_SLIDE]);
+  const doc = readSlide(1);
+  const mainSeq = Array.from(doc.getElementsByTagNameNS(P_NS, 'cTn')).find(
+    (node) => node.getAttribute('nodeType') === 'mainSeq'
+  );
+  const clickPars = children(child(mainSeq, 'childTnLst'), 'par');
+  expect(clickPars).toHaveLength(1);
+
+  const clickCTn = child(clickPars[0], 'cTn');
+  const conditions = child(clickCTn, 'stCondLst').children;
+  expect(Array.from(conditions).map((cond) => cond.getAttribute('delay'))).toEqual(['indefinite']);
+
+  // The with-previous effect shares the click's block; the after-previous one
+  // starts a block delayed by the click effect's duration.
+  const blocks = children(child(clickCTn, 'childTnLst'), 'par');
+  expect(blocks.map((block) => child(child(child(block, 'cTn'), 'stCondLst'), 'cond').getAttribute('delay'))).toEqual([
+    '0',
+    '500'
+  ]);
+  expect(blocks.map(effectSummary)).toEqual([
+    [
+      { nodeType: 'clickEffect', presetClass: 'entr', spid: shapeIdByText(doc, 'a') },
+      { nodeType: 'withEffect', presetClass: 'emph', spid: shapeIdByText(doc, 'b') }
+    ],
+    [{ nodeType: 'afterEffect', presetClass: 'exit', spid: shapeIdByText(doc, 'c') }]
+  ]);
+
+  const ids = Array.from(doc.getElementsByTagNameNS(P_NS, 'cTn')).map((node) => Number(node.getAttribute('id')));
+  expect(ids).toEqual(ids.map((_, index) => index + 1));
+});
+
+test('starts builds that do not wait for a click when the slide begins', async () => {
+  const { readSlide } = await exportDeck([
+    { ...BUILD_SLIDE, animations: [animation('a', 'entrance', 'wipe', 'afterPrevious')] }
+  ]);
+  const doc = readSlide(1);
+  const onBegin = Array.from(doc.getElementsByTagNameNS(P_NS, 'cond')).find((cond) => cond.getAttribute('evt') === 'onBegin');
+  expect(onBegin).toBeDefined();
+  expect(onBegin.getElementsByTagNameNS(P_NS, 'tn')[0].getAttribute('val')).toBe('2');
+});
+
+test('wraps transitions in a p14 choice with a preset-speed fallback', async () => {
+  const { readSlide } = await exportDeck([BUILD_SLIDE, { id: 's2', content: [text('d', 0)], advanceAfter: 4000 }]);
+  const first = readSlide(1).documentElement;
+  const alternate = child(first, 'AlternateContent');
+  expect(Array.from(first.children).map((node) => node.localName)).toEqual([
+    'cSld',
+    'clrMapOvr',
+    'AlternateContent',
+    'timing'
+  ]);
+  const choice = child(alternate, 'Choice');
+  expect(choice.getAttribute('Requires')).toBe('p14');
+  const choiceTransition = child(choice, 'transition');
+  expect(choiceTransition.getAttribute('p14:dur')).toBe('600');
+  expect(child(choiceTransition, 'fade')).toBeDefined();
+  const fallback = child(child(alternate, 'Fallback'), 'transition');
+  expect(fallback.getAttribute('spd')).toBe('med');
+  expect(fallback.hasAttribute('p14:dur')).toBe(false);
+
+  const second = readSlide(2).documentElement;
+  const timedTransition = child(second, 'transition');
+  expect(timedTransition.getAttribute('advTm')).toBe('4000');
+  expect(timedTransition.children).toHaveLength(0);
+});
+
+test('rebuilds groups around their members and animates the group shape', async () => {
+  const group = {
+    id: 'g',
+    type: 'group',
+    name: 'Logo',
+    x: 100,
+    y: 50,
+    width: 420,
+    height: 60,
+    children: [text('left', 0, { y: 0 }), text('right', 220, { y: 0 })]
+  };
+  const { readSlide, buffer } = await exportDeck([
+    { id: 's1', content: [text('title', 0), group], animations: [animation('g', 'entrance', 'fade', 'onClick')] }
+  ]);
+  const doc = readSlide(1);
+  const [groupShape] = doc.getElementsByTagNameNS(P_NS, 'grpSp');
+  const groupProps = groupShape.getElementsByTagNameNS(P_NS, 'cNvPr')[0];
+  expect(groupProps.getAttribute('name')).toBe('Logo');
+  expect(children(groupShape, 'sp').map((shape) => shape.textContent)).toEqual(['left', 'right']);
+
+  const xfrm = child(child(groupShape, 'grpSpPr'), 'xfrm');
+  const attrs = (name, keys) => keys.map((key) => child(xfrm, name).getAttribute(key));
+  expect(attrs('chOff', ['x', 'y'])).toEqual(attrs('off', ['x', 'y']));
+  expect(attrs('chExt', ['cx', 'cy'])).toEqual(attrs('ext', ['cx', 'cy']));
+  const [firstMember] = children(groupShape, 'sp');
+  const memberOff = firstMember.getElementsByTagNameNS(A_NS, 'off')[0];
+  expect(attrs('off', ['x', 'y'])).toEqual([memberOff.getAttribute('x'), memberOff.getAttribute('y')]);
+
+  const [target] = doc.getElementsByTagNameNS(P_NS, 'spTgt');
+  expect(target.getAttribute('spid')).toBe(groupProps.getAttribute('id'));
+
+  const result = parsePptx(buffer);
+  const [, importedGroup] = result.slides[0].content;
+  expect(importedGroup).toMatchObject({ type: 'group', x: 100, y: 50 });
+  expect(importedGroup.children).toHaveLength(2);
+});
+
+test('exports decks that import back', async () => {
+  const { buffer } = await exportDeck([BUILD_SLIDE, { id: 's2', content: [text('d', 0)], notes: '<p>Say hello</p>' }]);
+  const result = parsePptx(buffer);
+  expect(result.slides).toHaveLength(2);
+  expect(result.slides[0].content).toHaveLength(3);
+  expect(result.slides[0].transition).toMatchObject({ type: 'fade', duration: 600 });
+  expect(result.slides[0].animations.map(({ kind, effect, trigger }) => [kind, effect, trigger])).toEqual([
+    ['entrance', 'fade', 'onClick'],
+    ['emphasis', 'zoom', 'withPrevious'],
+    ['exit', 'fly', 'afterPrevious']
+  ]);
+  expect(result.slides[1].notes).toContain('Say hello');
+});
@@ -0,0 +1,1717 @@
+import PizZip from 'pizzip';
+import { createGroupElement } from './elementGroups';
+import { findBulletStyleBySymbol, findNumberStyleByScheme } from './listStyles';
+import { normalizeSlideSize } from './slideSize';
+
+const EMU_PER_POINT = 12700;
+const EMU_PER_PIXEL = 9525;
+const DEFAULT_SLIDE_SIZE = { cx: 12192000, cy: 6858000 };
+
+const REL_TYPES = {
+  officeDocument: '/officeDocument',
+  slide: '/slide',
+  slideLayout: '/slideLayout',
+  slideMaster: '/slideMaster',
+  theme: '/theme',
+  image: '/image',
+  chart: '/chart',
+  notesSlide: '/notesSlide'
+};
+
+const GRAPHIC_DATA_URIS = {
+  chart: 'http://schemas.openxmlformats.org/drawingml/2006/chart',
+  table: 'http://schemas.openxmlformats.org/drawingml/2006/table',
+  diagram: 'http://schemas.openxmlformats.org/drawingml/2006/diagram'
+};
+
+const POWERPOINT_2010_NS = 'http://schemas.microsoft.com/office/powerpoint/2010/main';
+
+const TRANSITION_SPEEDS = { fast: 500, med: 750, slow: 1000 };
+const SUPPORTED_TRANSITIONS = ['fade', 'push', 'wipe', 'zoom'];
+const ANIMATION_KINDS = { entr: 'entrance', emph: 'emphasis', exit: 'exit' };
+const ANIMATION_TRIGGERS = { clickEffect: 'onClick', withEffect: 'withPrevious', afterEffect: 'afterPrevious' };
+
+const IMAGE_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+  webp: 'image/webp'
+};
+
+const PRESET_SHAPE_MAP = {
+  rect: 'rectangle',
+  roundRect: 'rectangle',
+  snip1Rect: 'rectangle',
+  ellipse: 'circle',
+  triangle: 'triangle',
+  rtTriangle: 'triangle',
+  rightArrow: 'arrow',
+  star5: 'star',
+  line: 'line',
+  straightConnector1: 'line'
+};
+
+const PRESET_COLORS = {
+  black: '#000000',
+  white: '#ffffff',
+  red: '#ff0000',
+  green: '#008000',
+  blue: '#0000ff',
+  yellow: '#ffff00',
+  gray: '#808080'
+};
+
+const DEFAULT_THEME_COLORS = {
+  dk1: '#000000',
+  lt1: '#ffffff',
+  dk2: '#1f497d',
+  lt2: '#eeece1',
+  accent1: '#4f81bd',
+  accent2: '#c0504d',
+  accent3: '#9bbb59',
+  accent4: '#8064a2',
+  accent5: '#4bacc6',
+  accent6: '#f79646',
+  hlink: '#0000ff',
+  folHlink: '#800080'
+};
+
+const DEFAULT_CLR_MAP = {
+  bg1: 'lt1',
+  tx1: 'dk1',
+  bg2: 'lt2',
+  tx2: 'dk2'
+};
+
+const ALIGNMENT_MAP = {
+  l: 'left',
+  ctr: 'center',
+  r: 'right',
+  just: 'justify',
+  dist: 'justify'
+};
+
+const TITLE_PLACEHOLDER_TYPES = ['title', 'ctrTitle'];
+const BODY_PLACEHOLDER_TYPES = ['body', 'subTitle', 'obj'];
+
+const uniqueId = (prefix) =>
+  `${prefix}-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// XML helpers work on local names so the namespace prefixes used by the
+// producing application do not matter.
+const childElements = (node, name) => {
+  if (!node) {
+    return [];
+  }
+  return Array.from(node.childNodes || []).filter(
+    (child) => child.nodeType === 1 && (!name || child.localName === name)
+  );
+};
+
+const childElement = (node, name) => childElements(node, name)[0] || null;
+
+const findPath = (node, ...names) =>
+  names.reduce((current, name) => childElement(current, name), node);
+
+const findDescendant = (node, name) => {
+  if (!node || typeof node.getElementsByTagNameNS !== 'function') {
+    return null;
+  }
+  return node.getElementsByTagNameNS('*', name)[0] || null;
+};
+
+const getAttr = (node, name) => {
+  if (!node) {
+    return null;
+  }
+  const value = node.getAttribute(name);
+  return value === null || value === '' ? null : value;
+};
+
+const getNumberAttr = (node, name, fallback = null) => {
+  const value = Number(getAttr(node, name));
+  return Number.isFinite(value) && getAttr(node, name) !== null ? value : fallback;
+};
+
+const getRelId = (node, name = 'embed') => {
+  if (!node) {
+    return null;
+  }
+  return (
+    node.getAttribute(`r:${name}`) ||
+    node.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', name) ||
+    null
+  );
+};
+
+const parseXml = (text) => {
+  if (!text) {
+    return null;
+  }
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    return null;
+  }
+  return doc;
+};
+
+const resolvePartPath = (basePath, target) => {
+  if (!target) {
+    return null;
+  }
+  if (target.startsWith('/')) {
+    return target.slice(1);
+  }
+  const segments = basePath.split('/').slice(0, -1);
+  target.split('/').forEach((segment) => {
+    if (segment === '..') {
+      segments.pop();
+    } else if (segment && segment !== '.') {
+      segments.push(segment);
+    }
+  });
+  return segments.join('/');
+};
+
+const relsPathFor = (partPath) => {
+  const segments = partPath.split('/');
+  const fileName = segments.pop();
+  return [...segments, '_rels', `${fileName}.rels`].filter(Boolean).join('/');
+};
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return window.btoa(binary);
+};
+
+const clampChannel = (value) => Math.max(0, Math.min(255, Math.round(value)));
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+};
+
+const rgbToHex = ({ r, g, b }) =>
+  `#${[r, g, b].map((channel) => clampChannel(channel).toString(16).padStart(2, '0')).join('')}`;
+
+const rgbToHsl = ({ r, g, b }) => {
+  const rn = r / 255;
+  const gn = g / 255;
+  const bn = b / 255;
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  if (max === min) {
+    return { h: 0, s: 0, l };
+  }
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === rn) {
+    h = (gn - bn) / d + (gn < bn ? 6 : 0);
+  } else if (max === gn) {
+    h = (bn - rn) / d + 2;
+  } else {
+    h = (rn - gn) / d + 4;
+  }
+  return { h: h / 6, s, l };
+};
+
+const hslToRgb = ({ h, s, l }) => {
+  if (s === 0) {
+    return { r: l * 255, g: l * 255, b: l * 255 };
+  }
+  const hueToChannel = (p, q, t) => {
+    let tn = t;
+    if (tn < 0) tn += 1;
+    if (tn > 1) tn -= 1;
+    if (tn < 1 / 6) return p + (q - p) * 6 * tn;
+    if (tn < 1 / 2) return q;
+    if (tn < 2 / 3) return p + (q - p) * (2 / 3 - tn) * 6;
+    return p;
+  };
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  return {
+    r: hueToChannel(p, q, h + 1 / 3) * 255,
+    g: hueToChannel(p, q, h) * 255,
+    b: hueToChannel(p, q, h - 1 / 3) * 255
+  };
+};
+
+const applyColorModifiers = (hex, colorNode) => {
+  const modifiers = childElements(colorNode);
+  if (!modifiers.length) {
+    return hex;
+  }
+  let rgb = hexToRgb(hex);
+  modifiers.forEach((modifier) => {
+    const amount = getNumberAttr(modifier, 'val', 100000) / 100000;
+    if (modifier.localName === 'lumMod' || modifier.localName === 'lumOff') {
+      const hsl = rgbToHsl(rgb);
+      hsl.l = modifier.localName === 'lumMod' ? hsl.l * amount : hsl.l + amount;
+      hsl.l = Math.max(0, Math.min(1, hsl.l));
+      rgb = hslToRgb(hsl);
+    } else if (modifier.localName === 'tint') {
+      rgb = {
+        r: rgb.r + (255 - rgb.r) * (1 - amount),
+        g: rgb.g + (255 - rgb.g) * (1 - amount),
+        b: rgb.b + (255 - rgb.b) * (1 - amount)
+      };
+    } else if (modifier.localName === 'shade') {
+      rgb = { r: rgb.r * amount, g: rgb.g * amount, b: rgb.b * amount };
+    }
+  });
+  return rgbToHex(rgb);
+};
+
+const resolveSchemeColor = (value, context) => {
+  if (!value || value === 'phClr') {
+    return null;
+  }
+  const mapped = context.clrMap?.[value] || DEFAULT_CLR_MAP[value] || value;
+  return context.theme?.colors?.[mapped] || DEFAULT_THEME_COLORS[mapped] || null;
+};
+
+// Resolves the first colour child (srgbClr, schemeClr, ...) of a fill-like node.
+const resolveColor = (node, context) => {
+  if (!node) {
+    return null;
+  }
+  const colorNode = childElements(node).find((child) =>
+    ['srgbClr', 'schemeClr', 'sysClr', 'prstClr', 'scrgbClr'].includes(child.localName)
+  );
+  if (!colorNode) {
+    return null;
+  }
+
+  let hex = null;
+  switch (colorNode.localName) {
+    case 'srgbClr':
+      hex = `#${getAttr(colorNode, 'val') || '000000'}`;
+      break;
+    case 'sysClr':
+      hex = `#${getAttr(colorNode, 'lastClr') || '000000'}`;
+      break;
+    case 'prstClr':
+      hex = PRESET_COLORS[getAttr(colorNode, 'val')] || '#000000';
+      break;
+    case 'scrgbClr': {
+      const channel = (name) => (getNumberAttr(colorNode, name, 0) / 100000) * 255;
+      hex = rgbToHex({ r: channel('r'), g: channel('g'), b: channel('b') });
+      break;
+    }
+    case 'schemeClr':
+      hex = resolveSchemeColor(getAttr(colorNode, 'val'), context);
+      break;
+    default:
+      break;
+  }
+
+  if (!hex || !/^#[0-9a-f]{6}$/i.test(hex)) {
+    return null;
+  }
+  return applyColorModifiers(hex.toLowerCase(), colorNode);
+};
+
+const resolveFontFace = (typeface, context) => {
+  if (!typeface) {
+    return null;
+  }
+  if (typeface.startsWith('+mj')) {
+    return context.theme?.fonts?.major || null;
+  }
+  if (typeface.startsWith('+mn')) {
+    return context.theme?.fonts?.minor || null;
+  }
+  return typeface;
+};
+
+const createPackageReader = (zip) => {
+  const xmlCache = {};
+  const relsCache = {};
+
+  const readXml = (path) => {
+    if (!path) {
+      return null;
+    }
+    if (!Object.prototype.hasOwnProperty.call(xmlCache, path)) {
+      const file = zip.file(path);
+      xmlCache[path] = file ? parseXml(file.asText()) : null;
+    }
+    return xmlCache[path];
+  };
+
+  const readRels = (partPath) => {
+    if (!Object.prototype.hasOwnProperty.call(relsCache, partPath)) {
+      const doc = readXml(relsPathFor(partPath));
+      const rels = {};
+      if (doc) {
+        Array.from(doc.getElementsByTagName('Relationship')).forEach((rel) => {
+          const isExternal = rel.getAttribute('TargetMode') === 'External';
+          rels[rel.getAttribute('Id')] = {
+            type: rel.getAttribute('Type') || '',
+            target: isExternal
+              ? rel.getAttribute('Target')
+              : resolvePartPath(partPath, rel.getAttribute('Target')),
+            isExternal
+          };
+        });
+      }
+      relsCache[partPath] = rels;
+    }
+    return relsCache[partPath];
+  };
+
+  const findRelTarget = (partPath, typeSuffix) => {
+    const rels = readRels(partPath);
+    const match = Object.values(rels).find((rel) => rel.type.endsWith(typeSuffix));
+    return match ? match.target : null;
+  };
+
+  const readBinary = (path) => {
+    const file = path ? zip.file(path) : null;
+    return file ? file.asUint8Array() : null;
+  };
+
+  return { readXml, readRels, findRelTarget, readBinary };
+};
+
+const parseTheme = (doc) => {
+  const colors = { ...DEFAULT_THEME_COLORS };
+  const fonts = { major: null, minor: null };
+  if (!doc) {
+    return { name: null, colors, fonts };
+  }
+
+  const scheme = findDescendant(doc, 'clrScheme');
+  childElements(scheme).forEach((entry) => {
+    const color = resolveColor(entry, { theme: { colors } });
+    if (color) {
+      colors[entry.localName] = color;
+    }
+  });
+
+  const fontScheme = findDescendant(doc, 'fontScheme');
+  fonts.major = getAttr(findPath(fontScheme, 'majorFont', 'latin'), 'typeface');
+  fonts.minor = getAttr(findPath(fontScheme, 'minorFont', 'latin'), 'typeface');
+
+  return {
+    name: getAttr(doc.documentElement, 'name'),
+    colors,
+    fonts
+  };
+};
+
+const parseClrMap = (node) => {
+  if (!node) {
+    return { ...DEFAULT_CLR_MAP };
+  }
+  const map = {};
+  Array.from(node.attributes || []).forEach((attr) => {
+    map[attr.localName] = attr.value;
+  });
+  return map;
+};
+
+const readSlideSize = (presentationDoc) => {
+  const size = presentationDoc ? findDescendant(presentationDoc, 'sldSz') : null;
+  const cx = getNumberAttr(size, 'cx', DEFAULT_SLIDE_SIZE.cx);
+  const cy = getNumberAttr(size, 'cy', DEFAULT_SLIDE_SIZE.cy);
+  return { cx, cy };
+};
+
+// The imported deck keeps its own slide size. Only sizes outside the range
+// the editor supports are fitted with a uniform scale, letterboxed rather
+// than stretched.
+const createCanvasTransform = ({ cx, cy }, { width, height }) => {
+  const scale = Math.min(width / cx, height / cy);
+  return {
+    scale,
+    width,
+    height,
+    offsetX: (width - cx * scale) / 2,
+    offsetY: (height - cy * scale) / 2
+  };
+};
+
+const identityGroupTransform = (point) => point;
+
+const readXfrm = (xfrm) => {
+  if (!xfrm) {
+    return null;
+  }
+  const off = childElement(xfrm, 'off');
+  const ext = childElement(xfrm, 'ext');
+  if (!off || !ext) {
+    return null;
+  }
+  return {
+    x: getNumberAttr(off, 'x', 0),
+    y: getNumberAttr(off, 'y', 0),
+    cx: getNumberAttr(ext, 'cx', 0),
+    cy: getNumberAttr(ext, 'cy', 0),
+    rotation: getNumberAttr(xfrm, 'rot', 0) / 60000,
+    flipH: getAttr(xfrm, 'flipH') === '1',
+    flipV: getAttr(xfrm, 'flipV') === '1'
+  };
+};
+
+const createGroupTransform = (groupNode, parentTransform) => {
+  const xfrm = findPath(groupNode, 'grpSpPr', 'xfrm');
+  const frame = readXfrm(xfrm);
+  const chOff = childElement(xfrm, 'chOff');
+  const chExt = childElement(xfrm, 'chExt');
+  if (!frame || !chOff || !chExt) {
+    return parentTransform;
+  }
+  const childX = getNumberAttr(chOff, 'x', 0);
+  const childY = getNumberAttr(chOff, 'y', 0);
+  const scaleX = getNumberAttr(chExt, 'cx', 0) ? frame.cx / getNumberAttr(chExt, 'cx', 1) : 1;
+  const scaleY = getNumberAttr(chExt, 'cy', 0) ? frame.cy / getNumberAttr(chExt, 'cy', 1) : 1;
+
+  return (box) =>
+    parentTransform({
+      ...box,
+      x: frame.x + (box.x - childX) * scaleX,
+      y: frame.y + (box.y - childY) * scaleY,
+      cx: box.cx * scaleX,
+      cy: box.cy * scaleY
+    });
+};
+
+const toCanvasBox = (box, context) => {
+  const { scale, offsetX, offsetY } = context.canvas;
+  const transformed = context.groupTransform(box);
+  return {
+    x: Math.round(offsetX + transformed.x * scale),
+    y: Math.round(offsetY + transformed.y * scale),
+    width: Math.max(1, Math.round(transformed.cx * scale)),
+    height: Math.max(1, Math.round(transformed.cy * scale)),
+    ...(transformed.rotation ? { rotation: Math.round(transformed.rotation * 100) / 100 } : {})
+  };
+};
+
+const pointsToPx = (points, context) =>
+  Math.max(1, Math.round(points * EMU_PER_POINT * context.canvas.scale));
+
+const getPlaceholderInfo = (node) => {
+  const nvProps = childElements(node).find((child) => child.localName.startsWith('nv'));
+  const ph = findPath(nvProps, 'nvPr', 'ph');
+  if (!ph) {
+    return null;
+  }
+  return {
+    type: getAttr(ph, 'type') || 'body',
+    idx: getAttr(ph, 'idx')
+  };
+};
+
+const isSamePlaceholderType = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+  if (TITLE_PLACEHOLDER_TYPES.includes(a) && TITLE_PLACEHOLDER_TYPES.includes(b)) {
+    return true;
+  }
+  return BODY_PLACEHOLDER_TYPES.includes(a) && BODY_PLACEHOLDER_TYPES.includes(b);
+};
+
+const findMatchingPlaceholder = (spTree, placeholder) => {
+  if (!spTree || !placeholder) {
+    return null;
+  }
+  const candidates = childElements(spTree, 'sp')
+    .map((node) => ({ node, info: getPlaceholderInfo(node) }))
+    .filter((entry) => entry.info);
+
+  if (placeholder.idx !== null) {
+    const byIdx = candidates.find((entry) => entry.info.idx === placeholder.idx);
+    if (byIdx) {
+      return byIdx.node;
+    }
+  }
+  const byType = candidates.find((entry) => entry.info.type === placeholder.type);
+  if (byType) {
+    return byType.node;
+  }
+  const similar = candidates.find((entry) => isSamePlaceholderType(entry.info.type, placeholder.type));
+  return similar ? similar.node : null;
+};
+
+const getMasterTextStyle = (masterDoc, placeholder) => {
+  const txStyles = masterDoc ? findDescendant(masterDoc, 'txStyles') : null;
+  if (!txStyles) {
+    return null;
+  }
+  if (!placeholder) {
+    return childElement(txStyles, 'otherStyle');
+  }
+  if (TITLE_PLACEHOLDER_TYPES.includes(placeholder.type)) {
+    return childElement(txStyles, 'titleStyle');
+  }
+  if (BODY_PLACEHOLDER_TYPES.includes(placeholder.type)) {
+    return childElement(txStyles, 'bodyStyle');
+  }
+  return childElement(txStyles, 'otherStyle');
+};
+
+// Collects the chain of nodes a shape inherits from, nearest first:
+// the shape itself, then its layout placeholder and master placeholder.
+const resolveInheritance = (node, context) => {
+  const placeholder = getPlaceholderInfo(node);
+  const chain = [node];
+  if (placeholder) {
+    const layoutMatch = findMatchingPlaceholder(context.layoutTree, placeholder);
+    if (layoutMatch && layoutMatch !== node) {
+      chain.push(layoutMatch);
+    }
+    const masterMatch = findMatchingPlaceholder(context.masterTree, placeholder);
+    if (masterMatch && masterMatch !== node) {
+      chain.push(masterMatch);
+    }
+  }
+
+  const listStyles = chain
+    .map((entry) => findPath(entry, 'txBody', 'lstStyle'))
+    .filter(Boolean);
+  const masterStyle = getMasterTextStyle(context.masterDoc, placeholder);
+  if (masterStyle) {
+    listStyles.push(masterStyle);
+  }
+
+  return { placeholder, chain, listStyles };
+};
+
+const resolveFrame = (chain) => {
+  for (const entry of chain) {
+    const spPr = childElement(entry, 'spPr') || childElement(entry, 'grpSpPr');
+    const frame = readXfrm(childElement(spPr, 'xfrm') || childElement(entry, 'xfrm'));
+    if (frame) {
+      return frame;
+    }
+  }
+  return null;
+};
+
+const getLevelProps = (listStyles, level) =>
+  listStyles
+    .map((style) => childElement(style, `lvl${level + 1}pPr`))
+    .filter(Boolean);
+
+const resolveRunProps = (runProps, paragraphProps, levelProps, context) => {
+  const sources = [runProps, childElement(paragraphProps, 'defRPr')]
+    .concat(levelProps.map((props) => childElement(props, 'defRPr')))
+    .filter(Boolean);
+
+  const pick = (reader) => {
+    for (const source of sources) {
+      const value = reader(source);
+      if (value !== null && value !== undefined) {
+        return value;
+      }
+    }
+    return null;
+  };
+
+  const size = pick((source) => getNumberAttr(source, 'sz'));
+  const bold = pick((source) => (getAttr(source, 'b') === null ? null : getAttr(source, 'b') === '1'));
+  const italic = pick((source) => (getAttr(source, 'i') === null ? null : getAttr(source, 'i') === '1'));
+  const underline = pick((source) => (getAttr(source, 'u') === null ? null : getAttr(source, 'u') !== 'none'));
+  const strike = pick((source) => (getAttr(source, 'strike') === null ? null : getAttr(source, 'strike') !== 'noStrike'));
+  const color = pick((source) => resolveColor(childElement(source, 'solidFill'), context));
+  const fontFace = pick((source) => resolveFontFace(getAttr(childElement(source, 'latin'), 'typeface'), context));
+
+  return {
+    fontSize: size ? pointsToPx(size / 100, context) : null,
+    bold: Boolean(bold),
+    italic: Boolean(italic),
+    underline: Boolean(underline),
+    strike: Boolean(strike),
+    color,
+    fontFamily: fontFace
+  };
+};
+
+const resolveParagraphProps = (paragraph, listStyles) => {
+  const pPr = childElement(paragraph, 'pPr');
+  const level = getNumberAttr(pPr, 'lvl', 0);
+  const levelProps = getLevelProps(listStyles, level);
+  const allProps = [pPr, ...levelProps].filter(Boolean);
+
+  const alignSource = allProps.find((props) => getAttr(props, 'algn'));
+  const bulletSource = allProps.find((props) =>
+    childElements(props).some((child) => ['buNone', 'buChar', 'buAutoNum', 'buBlip'].includes(child.localName))
+  );
+  let listType = null;
+  let listStyle = null;
+  let listStart = 1;
+  if (bulletSource) {
+    const autoNum = childElement(bulletSource, 'buAutoNum');
+    const bulletChar = childElement(bulletSource, 'buChar');
+    if (autoNum) {
+      listType = 'ordered';
+      listStyle = findNumberStyleByScheme(getAttr(autoNum, 'type') || '').key;
+      listStart = getNumberAttr(autoNum, 'startAt', 1);
+    } else if (bulletChar || childElement(bulletSource, 'buBlip')) {
+      listType = 'bullet';
+      listStyle = findBulletStyleBySymbol(getAttr(bulletChar, 'char'))?.key || null;
+    }
+  }
+
+  return {
+    pPr,
+    level,
+    levelProps,
+    align: ALIGNMENT_MAP[getAttr(alignSource, 'algn')] || null,
+    listType,
+    listStyle,
+    listStart
+  };
+};
+
+const renderRunHtml = (text, props, baseline) => {
+  if (!text) {
+    return '';
+  }
+  // Some writers (PptxGenJS notes among them) keep line feeds inside a single run.
+  let html = escapeHtml(text).replace(/\r?\n|\v/g, '<br>');
+  const styles = [];
+  if (props.color && props.color !== baseline.color) {
+    styles.push(`color: ${props.color}`);
+  }
+  if (props.fontSize && props.fontSize !== baseline.fontSize) {
+    styles.push(`font-size: ${props.fontSize}px`);
+  }
+  if (props.fontFamily && props.fontFamily !== baseline.fontFamily) {
+    styles.push(`font-family: ${props.fontFamily}`);
+  }
+  if (styles.length) {
+    html = `<span style="${styles.join('; ')}">${html}</span>`;
+  }
+  if (props.strike) {
+    html = `<s>${html}</s>`;
+  }
+  if (props.underline && !baseline.underline) {
+    html = `<u>${html}</u>`;
+  }
+  if (props.italic && !baseline.italic) {
+    html = `<em>${html}</em>`;
+  }
+  if (props.bold && !baseline.bold) {
+    html = `<strong>${html}</strong>`;
+  }
+  return html;
+};
+
+const readParagraphRuns = (paragraph, paragraphProps, context) =>
+  childElements(paragraph)
+    .filter((child) => ['r', 'fld', 'br'].includes(child.localName))
+    .map((child) => {
+      if (child.localName === 'br') {
+        return { isBreak: true, text: '\n' };
+      }
+      const text = childElement(child, 't')?.textContent || '';
+      return {
+        text,
+        props: resolveRunProps(
+          childElement(child, 'rPr'),
+          paragraphProps.pPr,
+          paragraphProps.levelProps,
+          context
+        )
+      };
+    });
+
+const openListTag = (item) => {
+  if (item.listType === 'ordered') {
+    const type = item.listStyle && item.listStyle !== '1' ? ` type="${item.listStyle}"` : '';
+    const start = item.listStart > 1 ? ` start="${item.listStart}"` : '';
+    return `<ol${type}${start}>`;
+  }
+  return item.listStyle ? `<ul data-bullet-style="${item.listStyle}">` : '<ul>';
+};
+
+const wrapListItems = (items) => {
+  let html = '';
+  const stack = [];
+
+  const closeTo = (depth) => {
+    while (stack.length > depth) {
+      const { tag } = stack.pop();
+      html += `</li></${tag}>`;
+    }
+  };
+
+  items.forEach((item) => {
+    const tag = item.listType === 'ordered' ? 'ol' : 'ul';
+    const openTag = openListTag(item);
+    const depth = item.level + 1;
+    if (stack.length > depth) {
+      closeTo(depth);
+    }
+    if (stack.length === depth && stack[depth - 1].openTag !== openTag) {
+      closeTo(depth - 1);
+    }
+    if (stack.length === depth) {
+      html += '</li><li>';
+    }
+    while (stack.length < depth) {
+      const isTarget = stack.length === depth - 1;
+      html += `${isTarget ? openTag : '<ul>'}<li>`;
+      stack.push(isTarget ? { tag, openTag } : { tag: 'ul', openTag: '<ul>' });
+    }
+    html += item.html;
+  });
+  closeTo(0);
+  return html;
+};
+
+// Converts a DrawingML text body into TipTap-compatible HTML plus the
+// element-level defaults taken from the first formatted run.
+const convertTextBody = (txBody, listStyles, context) => {
+  const paragraphs = childElements(txBody, 'p').map((paragraph) => {
+    const paragraphProps = resolveParagraphProps(paragraph, listStyles);
+    const runs = readParagraphRuns(paragraph, paragraphProps, context);
+    const endProps = resolveRunProps(
+      childElement(paragraph, 'endParaRPr'),
+      paragraphProps.pPr,
+      paragraphProps.levelProps,
+      context
+    );
+    return { ...paragraphProps, runs, endProps };
+  });
+
+  const plainText = paragraphs
+    .map((paragraph) => paragraph.runs.map((run) => run.text).join(''))
+    .join('\n');
+
+  const firstRun = paragraphs
+    .flatMap((paragraph) => paragraph.runs)
+    .find((run) => !run.isBreak && run.text.trim());
+  const baseline = firstRun?.props || paragraphs[0]?.endProps || {};
+  const firstAlign = paragraphs.find((paragraph) => paragraph.align)?.align || 'left';
+
+  const blocks = paragraphs.map((paragraph) => {
+    const content = paragraph.runs
+      .map((run) => (run.isBreak ? '<br>' : renderRunHtml(run.text, run.props, baseline)))
+      .join('');
+    const alignStyle =
+      paragraph.align && paragraph.align !== 'left'
+        ? ` style="text-align: ${paragraph.align}"`
+        : '';
+    return {
+      listType: paragraph.runs.length ? paragraph.listType : null,
+      listStyle: paragraph.listStyle,
+      listStart: paragraph.listStart,
+      level: paragraph.level,
+      html: `<p${alignStyle}>${content}</p>`
+    };
+  });
+
+  let html = '';
+  let pendingList = [];
+  blocks.forEach((block) => {
+    if (block.listType) {
+      pendingList.push(block);
+      return;
+    }
+    if (pendingList.length) {
+      html += wrapListItems(pendingList);
+      pendingList = [];
+    }
+    html += block.html;
+  });
+  if (pendingList.length) {
+    html += wrapListItems(pendingList);
+  }
+
+  return {
+    html: html || '<p></p>',
+    plainText: plainText.trim(),
+    baseline,
+    textAlign: firstAlign
+  };
+};
+
+const resolveVerticalAlign = (chain) => {
+  for (const entry of chain) {
+    const anchor = getAttr(findPath(entry, 'txBody', 'bodyPr'), 'anchor');
+    if (anchor) {
+      return anchor === 'ctr' ? 'middle' : anchor === 'b' ? 'bottom' : 'top';
+    }
+  }
+  return 'top';
+};
+
+const resolveShapeFill = (node, context) => {
+  const spPr = childElement(node, 'spPr');
+  if (childElement(spPr, 'noFill')) {
+    return { kind: 'none' };
+  }
+  const solid = childElement(spPr, 'solidFill');
+  if (solid) {
+    return { kind: 'solid', color: resolveColor(solid, context) };
+  }
+  if (childElement(spPr, 'gradFill')) {
+    const firstStop = findDescendant(childElement(spPr, 'gradFill'), 'gs');
+    return { kind: 'gradient', color: resolveColor(firstStop, context) };
+  }
+  if (childElement(spPr, 'blipFill') || childElement(spPr, 'pattFill')) {
+    return { kind: 'unsupported' };
+  }
+  const fillRef = findPath(node, 'style', 'fillRef');
+  if (fillRef && getNumberAttr(fillRef, 'idx', 0) > 0) {
+    return { kind: 'solid', color: resolveColor(fillRef, context) };
+  }
+  return { kind: 'none' };
+};
+
+const resolveShapeLine = (node, context) => {
+  const ln = findPath(node, 'spPr', 'ln');
+  if (childElement(ln, 'noFill')) {
+    return null;
+  }
+  const width = getNumberAttr(ln, 'w', 12700);
+  const color =
+    resolveColor(childElement(ln, 'solidFill'), context) ||
+    resolveColor(findPath(node, 'style', 'lnRef'), context);
+  if (!color) {
+    return null;
+  }
+  return {
+    color,
+    width: Math.max(1, Math.round(width * context.canvas.scale))
+  };
+};
+
+const createTextElement = (node, inheritance, box, frame, context) => {
+  const txBody = childElement(node, 'txBody');
+  const converted = convertTextBody(txBody, inheritance.listStyles, context);
+  if (!converted.plainText) {
+    return null;
+  }
+  const isTitle = TITLE_PLACEHOLDER_TYPES.includes(inheritance.placeholder?.type);
+  const { baseline } = converted;
+  return {
+    id: uniqueId('text'),
+    type: 'text',
+    ...box,
+    fontSize: baseline.fontSize || pointsToPx(isTitle ? 44 : 18, context),
+    color: baseline.color || context.defaultTextColor,
+    fontFamily: baseline.fontFamily || context.theme?.fonts?.minor || 'Calibri',
+    text: converted.html,
+    plainText: converted.plainText,
+    textAlign: converted.textAlign,
+    verticalAlign: resolveVerticalAlign(inheritance.chain),
+    fontWeight: baseline.bold ? 700 : 400,
+    bold: Boolean(baseline.bold),
+    italic: Boolean(baseline.italic),
+    underline: Boolean(baseline.underline),
+    textStyle: isTitle ? 'title' : 'body',
+    flipHorizontal: Boolean(frame?.flipH),
+    flipVertical: Boolean(frame?.flipV)
+  };
+};
+
+const createPlaceholderElement = (box, label) => ({
+  id: uniqueId('shape'),
+  type: 'shape',
+  shape: 'rectangle',
+  ...box,
+  color: '#e2e8f0',
+  borderColor: '#94a3b8',
+  borderWidth: 1,
+  text: label
+});
+
+const getNonVisualProps = (node) => {
+  const nvPr = childElements(node).find((child) => child.localName.startsWith('nv'));
+  return childElements(nvPr).find((child) => child.localName === 'cNvPr');
+};
+
+const describeNode = (node) => getAttr(getNonVisualProps(node), 'name') || node.localName;
+
+const isHiddenNode = (node) => ['1', 'true'].includes(getAttr(getNonVisualProps(node), 'hidden'));
+
+const convertShape = (node, context) => {
+  const inheritance = resolveInheritance(node, context);
+  const frame = resolveFrame(inheritance.chain);
+  if (!frame) {
+    context.skip(node, 'shape has no position');
+    return [];
+  }
+  const box = toCanvasBox(frame, context);
+  const elements = [];
+  const prstGeom = findPath(node, 'spPr', 'prstGeom');
+  const custGeom = findPath(node, 'spPr', 'custGeom');
+  const preset = getAttr(prstGeom, 'prst') || (custGeom ? 'custom' : null);
+  const fill = resolveShapeFill(node, context);
+  const line = resolveShapeLine(node, context);
+  const isConnector = node.localName === 'cxnSp' || PRESET_SHAPE_MAP[preset] === 'line';
+
+  if (isConnector) {
+    if (line) {
+      elements.push({
+        id: uniqueId('shape'),
+        type: 'shape',
+        shape: 'line',
+        ...box,
+        height: Math.max(box.height, line.width),
+        color: line.color,
+        borderColor: line.color,
+        borderWidth: 0,
+        strokeWidth: line.width
+      });
+    }
+    return elements;
+  }
+
+  const hasVisibleFill = fill.kind === 'solid' || fill.kind === 'gradient';
+  if (fill.kind === 'unsupported') {
+    elements.push(createPlaceholderElement(box, describeNode(node)));
+    context.skip(node, 'picture or pattern fill replaced with a placeholder');
+  } else if (hasVisibleFill || (line && !inheritance.placeholder)) {
+    const mappedShape = PRESET_SHAPE_MAP[preset];
+    if (!mappedShape && preset) {
+      context.skip(node, `"${preset}" geometry approximated as a rectangle`);
+    }
+    if (fill.kind === 'gradient') {
+      context.skip(node, 'gradient fill flattened to its first colour');
+    }
+    const fillColor = hasVisibleFill ? fill.color || line?.color : 'transparent';
+    elements.push({
+      id: uniqueId('shape'),
+      type: 'shape',
+      shape: mappedShape || 'rectangle',
+      ...box,
+      color: fillColor,
+      borderColor: line?.color || fillColor,
+      borderWidth: line?.width || 0
+    });
+  }
+
+  if (childElement(node, 'txBody')) {
+    const textElement = createTextElement(node, inheritance, box, frame, context);
+    if (textElement) {
+      elements.push(textElement);
+    }
+  }
+  return elements;
+};
+
+const readMediaAsDataUrl = (path, context) => {
+  if (!path) {
+    return null;
+  }
+  if (context.mediaCache[path]) {
+    return context.mediaCache[path];
+  }
+  const extension = path.split('.').pop().toLowerCase();
+  const mime = IMAGE_MIME_TYPES[extension];
+  const bytes = mime ? context.reader.readBinary(path) : null;
+  if (!bytes) {
+    return null;
+  }
+  const media = {
+    src: `data:${mime};base64,${bytesToBase64(bytes)}`,
+    name: path.split('/').pop(),
+    size: bytes.length,
+    type: mime
+  };
+  context.mediaCache[path] = media;
+  return media;
+};
+
+const createImageElement = (media, box, extra = {}) => ({
+  id: uniqueId('image'),
+  type: 'image',
+  ...box,
+  src: media.src,
+  imageData: {
+    ...media,
+    uploadedAt: new Date().toISOString()
+  },
+  alt: media.name,
+  ...extra
+});
+
+const convertPicture = (node, context) => {
+  const inheritance = resolveInheritance(node, context);
+  const frame = resolveFrame(inheritance.chain);
+  if (!frame) {
+    context.skip(node, 'picture has no position');
+    return [];
+  }
+  const box = toCanvasBox(frame, context);
+  const blip = findPath(node, 'blipFill', 'blip');
+  const rel = context.rels[getRelId(blip, 'embed') || getRelId(blip, 'link')];
+  const media = rel && !rel.isExternal ? readMediaAsDataUrl(rel.target, context) : null;
+  if (!media) {
+    context.skip(node, 'image format is not supported by the browser');
+    return [createPlaceholderElement(box, describeNode(node))];
+  }
+  if (childElement(childElement(node, 'blipFill'), 'srcRect')?.attributes?.length) {
+    context.skip(node, 'image cropping was not applied');
+  }
+  const cNvPr = findPath(node, 'nvPicPr', 'cNvPr');
+  return [
+    createImageElement(media, box, {
+      alt: getAttr(cNvPr, 'descr') || media.name,
+      flipHorizontal: frame.flipH,
+      flipVertical: frame.flipV
+    })
+  ];
+};
+
+const readCachedValues = (node) => {
+  const cache =
+    findDescendant(node, 'strCache') ||
+    findDescendant(node, 'numCache') ||
+    findDescendant(node, 'multiLvlStrCache');
+  if (!cache) {
+    const literal = childElement(node, 'v');
+    return literal ? [literal.textContent] : [];
+  }
+  const count = getNumberAttr(childElement(cache, 'ptCount'), 'val', 0);
+  const values = Array.from({ length: count }, () => null);
+  // Multi-level category caches keep the innermost labels in the first <c:lvl>.
+  const pointParent = childElement(cache, 'lvl') || cache;
+  childElements(pointParent, 'pt').forEach((point) => {
+    const index = getNumberAttr(point, 'idx', 0);
+    values[index] = childElement(point, 'v')?.textContent ?? null;
+  });
+  return values;
+};
+
+const readChartTitle = (chartNode) => {
+  const title = childElement(chartNode, 'title');
+  if (!title) {
+    return null;
+  }
+  const texts = Array.from(title.getElementsByTagNameNS('*', 't')).map((node) => node.textContent);
+  return texts.join('').trim() || null;
+};
+
+const CHART_KINDS = {
+  barChart: 'bar',
+  bar3DChart: 'bar',
+  lineChart: 'line',
+  line3DChart: 'line',
+  areaChart: 'area',
+  area3DChart: 'area',
+  pieChart: 'pie',
+  pie3DChart: 'pie',
+  doughnutChart: 'pie'
+};
+
+const parseChartPart = (doc, context) => {
+  const chartNode = findDescendant(doc, 'chart');
+  const plotArea = findPath(chartNode, 'plotArea');
+  if (!plotArea) {
+    return null;
+  }
+
+  const groups = childElements(plotArea)
+    .filter((child) => CHART_KINDS[child.localName])
+    .map((child) => ({ kind: CHART_KINDS[child.localName], node: child }));
+  if (!groups.length) {
+    return null;
+  }
+
+  let labels = [];
+  const datasets = [];
+  groups.forEach(({ kind, node }) => {
+    childElements(node, 'ser').forEach((series) => {
+      const seriesLabels = readCachedValues(childElement(series, 'cat'));
+      if (!labels.length && seriesLabels.length) {
+        labels = seriesLabels.map((label, index) => label ?? `Item ${index + 1}`);
+      }
+      const values = readCachedValues(childElement(series, 'val')).map((value) => {
+        const numeric = Number(value);
+        return Number.isFinite(numeric) ? numeric : 0;
+      });
+      const name = readCachedValues(childElement(series, 'tx'))[0];
+      const color = resolveColor(findPath(series, 'spPr', 'solidFill'), context)
+        || resolveColor(findPath(series, 'spPr', 'ln', 'solidFill'), context);
+      const dataset = {
+        id: uniqueId('series'),
+        label: name || `Series ${datasets.length + 1}`,
+        data: values,
+        color: color || context.theme.colors[`accent${(datasets.length % 6) + 1}`],
+        variant: kind === 'line' ? 'line' : kind
+      };
+      if (kind === 'area') {
+        dataset.fill = true;
+      }
+      if (kind === 'pie') {
+        const pointColors = childElements(series, 'dPt').reduce((acc, point) => {
+          const index = getNumberAttr(childElement(point, 'idx'), 'val', 0);
+          acc[index] = resolveColor(findPath(point, 'spPr', 'solidFill'), context);
+          return acc;
+        }, {});
+        dataset.segmentColors = values.map((_, index) =>
+          pointColors[index] || context.theme.colors[`accent${(index % 6) + 1}`]
+        );
+      }
+      datasets.push(dataset);
+    });
+  });
+
+  if (!labels.length) {
+    const length = Math.max(0, ...datasets.map((dataset) => dataset.data.length));
+    labels = Array.from({ length }, (_, index) => `Item ${index + 1}`);
+  }
+
+  const kinds = Array.from(new Set(groups.map((group) => group.kind)));
+  let type = kinds[0];
+  const approximations = [];
+  if (kinds.includes('bar') && kinds.includes('line')) {
+    type = 'columnLine';
+  } else if (type === 'line') {
+    type = 'area';
+    datasets.forEach((dataset) => {
+      dataset.variant = 'line';
+    });
+    approximations.push('line chart imported as an area chart');
+  } else if (kinds.length > 1) {
+    approximations.push(`combined ${kinds.join('/')} chart imported as a ${type} chart`);
+  }
+  if (type === 'pie' && datasets.length > 1) {
+    datasets.splice(1);
+    approximations.push('only the first pie series was imported');
+  }
+
+  return {
+    chartType: type,
+    chartData: {
+      type,
+      title: readChartTitle(chartNode) || '',
+      labels: labels.map((label) => String(label)),
+      datasets
+    },
+    approximations
+  };
+};
+
+// Cells covered by a merge stay in the grid as empty cells, mirroring the
+// editor's table model where only the anchor cell carries rowSpan/colSpan.
+const convertTable = (tbl, box, context) => {
+  const columnWidths = childElements(childElement(tbl, 'tblGrid'), 'gridCol').map((col) =>
+    getNumberAttr(col, 'w', 0)
+  );
+  const totalWidth = columnWidths.reduce((sum, width) => sum + width, 0);
+  const rows = childElements(tbl, 'tr');
+  if (!rows.length || !totalWidth) {
+    return null;
+  }
+  const tblPr = childElement(tbl, 'tblPr');
+  let fontSize = null;
+  let textColor = null;
+
+  const cells = rows.map((row, rowIndex) =>
+    columnWidths.map((_, colIndex) => {
+      const tc = childElements(row, 'tc')[colIndex];
+      if (!tc || getAttr(tc, 'hMerge') === '1' || getAttr(tc, 'vMerge') === '1') {
+        return { text: '<p></p>' };
+      }
+      const converted = convertTextBody(childElement(tc, 'txBody'), [], context);
+      if (converted.plainText && !fontSize) {
+        fontSize = converted.baseline.fontSize || null;
+      }
+      if (converted.plainText && rowIndex > 0 && !textColor) {
+        textColor = converted.baseline.color || null;
+      }
+      const cell = { text: converted.plainText ? converted.html : '<p></p>' };
+      const rowSpan = getNumberAttr(tc, 'rowSpan', 1);
+      const colSpan = getNumberAttr(tc, 'gridSpan', 1);
+      if (rowSpan > 1) {
+        cell.rowSpan = Math.min(rowSpan, rows.length - rowIndex);
+      }
+      if (colSpan > 1) {
+        cell.colSpan = Math.min(colSpan, columnWidths.length - colIndex);
+      }
+      return cell;
+    })
+  );
+
+  // Writers such as PptxGenJS omit the table style flags, so direct cell fills
+  // also count as a header row and banding.
+  const rowFill = (row) => resolveColor(findPath(childElements(row, 'tc')[0], 'tcPr', 'solidFill'), context);
+  const headerFill = rowFill(rows[0]);
+  const hasBodyFill = rows.slice(1).some((row) => rowFill(row));
+  return {
+    id: uniqueId('table'),
+    type: 'table',
+    ...box,
+    columnWidths: columnWidths.map((width) => Math.round((width / totalWidth) * 10000) / 10000),
+    cells,
+    headerRow: getAttr(tblPr, 'firstRow') === '1' || Boolean(headerFill),
+    bandedRows: getAttr(tblPr, 'bandRow') === '1' || hasBodyFill,
+    fontSize: fontSize || pointsToPx(18, context),
+    accentColor: headerFill || context.theme?.colors?.accent1 || DEFAULT_THEME_COLORS.accent1,
+    textColor: textColor || context.defaultTextColor
+  };
+};
+
+const convertGraphicFrame = (node, context) => {
+  const frame = readXfrm(childElement(node, 'xfrm'));
+  if (!frame) {
+    context.skip(node, 'graphic frame has no position');
+    return [];
+  }
+  const box = toCanvasBox(frame, context);
+  const graphicData = findPath(node, 'graphic', 'graphicData');
+  const uri = getAttr(graphicData, 'uri');
+
+  if (uri === GRAPHIC_DATA_URIS.chart) {
+    const chartRef = childElement(graphicData, 'chart');
+    const rel = context.rels[getRelId(chartRef, 'id')];
+    const chartDoc = rel ? context.reader.readXml(rel.target) : null;
+    const parsed = chartDoc ? parseChartPart(chartDoc, context) : null;
+    if (!parsed) {
+      context.skip(node, 'chart type is not supported');
+      return [createPlaceholderElement(box, describeNode(node))];
+    }
+    parsed.approximations.forEach((reason) => context.skip(node, reason));
+    return [
+      {
+        id: uniqueId('chart'),
+        type: 'chart',
+        ...box,
+        chartType: parsed.chartType,
+        chartData: parsed.chartData
+      }
+    ];
+  }
+
+  if (uri === GRAPHIC_DATA_URIS.table) {
+    const table = convertTable(childElement(graphicData, 'tbl'), box, context);
+    if (table) {
+      return [table];
+    }
+  }
+
+  const kind =
+    uri === GRAPHIC_DATA_URIS.table
+      ? 'table'
+      : uri === GRAPHIC_DATA_URIS.diagram
+      ? 'SmartArt diagram'
+      : 'embedded object';
+  context.skip(node, `${kind} is not supported`);
+  return [createPlaceholderElement(box, `${describeNode(node)} (${kind})`)];
+};
+
+const isOutsideCanvas = (element, canvas) =>
+  element.x >= canvas.width ||
+  element.y >= canvas.height ||
+  element.x + element.width <= 0 ||
+  element.y + element.height <= 0;
+
+// Slide contexts record which element each shape id became, so animation
+// timing can be mapped back onto elements.
+const convertTree = (tree, context, options = {}) =>
+  childElements(tree).flatMap((node) => {
+    const converted = convertNode(node, context, options);
+    const shapeId = getAttr(getNonVisualProps(node), 'id');
+    if (context.shapeIds && shapeId && converted.length === 1) {
+      context.shapeIds.set(shapeId, converted[0].id);
+    }
+    const elements = isHiddenNode(node) ? converted.map((element) => ({ ...element, hidden: true })) : converted;
+    const visible = elements.filter((element) => !isOutsideCanvas(element, context.canvas));
+    if (visible.length < elements.length) {
+      context.skip(node, 'element lies outside the slide area');
+    }
+    return visible;
+  });
+
+const convertNode = (node, context, { includePlaceholders = true } = {}) => {
+  if (!includePlaceholders && getPlaceholderInfo(node)) {
+    return [];
+  }
+  switch (node.localName) {
+    case 'sp':
+    case 'cxnSp':
+      return convertShape(node, context);
+    case 'pic':
+      return convertPicture(node, context);
+    case 'graphicFrame':
+      return convertGraphicFrame(node, context);
+    case 'grpSp': {
+      const groupContext = {
+        ...context,
+        groupTransform: createGroupTransform(node, context.groupTransform)
+      };
+      const members = convertTree(node, groupContext, { includePlaceholders });
+      if (members.length < 2) {
+        return members;
+      }
+      const group = createGroupElement(members, uniqueId('group'));
+      const rotation = readXfrm(findPath(node, 'grpSpPr', 'xfrm'))?.rotation;
+      return [rotation ? { ...group, rotation } : group];
+    }
+    case 'nvGrpSpPr':
+    case 'grpSpPr':
+    case 'extLst':
+      return [];
+    case 'AlternateContent': {
+      const fallback = childElement(node, 'Fallback');
+      return fallback ? convertTree(fallback, context, { includePlaceholders }) : [];
+    }
+    default:
+      context.skip(node, `unsupported element <${node.localName}>`);
+      return [];
+  }
+};
+
+const resolveBackground = (docs, context) => {
+  for (const { doc, rels } of docs) {
+    const bg = doc ? findDescendant(doc, 'bg') : null;
+    if (!bg) {
+      continue;
+    }
+    const bgPr = childElement(bg, 'bgPr');
+    if (bgPr) {
+      const solid = childElement(bgPr, 'solidFill');
+      if (solid) {
+        return { color: resolveColor(solid, context) };
+      }
+      const gradient = childElement(bgPr, 'gradFill');
+      if (gradient) {
+        return { color: resolveColor(findDescendant(gradient, 'gs'), context), approximated: true };
+      }
+      const blip = findPath(bgPr, 'blipFill', 'blip');
+      if (blip) {
+        const rel = rels[getRelId(blip, 'embed')];
+        return {
+          color: null,
+          media: rel ? readMediaAsDataUrl(rel.target, context) : null
+        };
+      }
+    }
+    const bgRef = childElement(bg, 'bgRef');
+    if (bgRef) {
+      return { color: resolveColor(bgRef, context) };
+    }
+  }
+  return { color: null };
+};
+
+const partName = (path) => (path || '').split('/').pop();
+
+const convertSlide = (slidePath, index, pkg) => {
+  const { reader } = pkg;
+  const slideDoc = reader.readXml(slidePath);
+  const layoutPath = reader.findRelTarget(slidePath, REL_TYPES.slideLayout);
+  const layoutDoc = reader.readXml(layoutPath);
+  const masterPath = layoutPath ? reader.findRelTarget(layoutPath, REL_TYPES.slideMaster) : null;
+  const masterDoc = reader.readXml(masterPath);
+  const themePath = masterPath ? reader.findRelTarget(masterPath, REL_TYPES.theme) : null;
+  const theme = pkg.themes[themePath] || (pkg.themes[themePath] = parseTheme(reader.readXml(themePath)));
+
+  const override = slideDoc ? findDescendant(slideDoc, 'overrideClrMapping') : null;
+  const clrMap = override
+    ? parseClrMap(override)
+    : parseClrMap(masterDoc ? findDescendant(masterDoc, 'clrMap') : null);
+
+  const baseContext = {
+    reader,
+    theme,
+    clrMap,
+    canvas: pkg.canvas,
+    mediaCache: pkg.mediaCache,
+    groupTransform: identityGroupTransform,
+    layoutTree: layoutDoc ? findDescendant(layoutDoc, 'spTree') : null,
+    masterTree: masterDoc ? findDescendant(masterDoc, 'spTree') : null,
+    masterDoc
+  };
+  baseContext.defaultTextColor = resolveSchemeColor('tx1', baseContext) || '#111111';
+
+  const createPartContext = (path, label) => ({
+    ...baseContext,
+    rels: reader.readRels(path),
+    skip: (node, reason) => {
+      pkg.skipped.push({
+        slide: index + 1,
+        source: label,
+        element: describeNode(node),
+        reason
+      });
+    }
+  });
+
+  const slideContext = { ...createPartContext(slidePath, partName(slidePath)), shapeIds: new Map() };
+  if (!slideDoc) {
+    pkg.skipped.push({ slide: index + 1, source: partName(slidePath), element: null, reason: 'slide part is missing or unreadable' });
+    return null;
+  }
+
+  const showMasterShapes = (doc) => getAttr(doc?.documentElement, 'showMasterSp') !== '0';
+  const content = [];
+
+  const background = resolveBackground(
+    [
+      { doc: slideDoc, rels: slideContext.rels },
+      { doc: layoutDoc, rels: layoutPath ? reader.readRels(layoutPath) : {} },
+      { doc: masterDoc, rels: masterPath ? reader.readRels(masterPath) : {} }
+    ],
+    slideContext
+  );
+  if (background.media) {
+    content.push(
+      createImageElement(
+        background.media,
+        toCanvasBox({ x: 0, y: 0, cx: pkg.slideSize.cx, cy: pkg.slideSize.cy }, slideContext),
+        { alt: 'Slide background' }
+      )
+    );
+  }
+  if (background.approximated) {
+    pkg.skipped.push({ slide: index + 1, source: partName(slidePath), element: 'Background', reason: 'gradient background flattened to its first colour' });
+  }
+
+  if (showMasterShapes(slideDoc)) {
+    if (masterDoc && showMasterShapes(layoutDoc)) {
+      content.push(
+        ...convertTree(baseContext.masterTree, createPartContext(masterPath, partName(masterPath)), {
+          includePlaceholders: false
+        })
+      );
+    }
+    if (layoutDoc) {
+      content.push(
+        ...convertTree(baseContext.layoutTree, createPartContext(layoutPath, partName(layoutPath)), {
+          includePlaceholders: false
+        })
+      );
+    }
+  }
+  content.push(...convertTree(findDescendant(slideDoc, 'spTree'), slideContext));
+
+  const cSld = findDescendant(slideDoc, 'cSld');
+  const backgroundColor = background.color || theme.colors.lt1 || '#ffffff';
+  const transition = readSlideTransition(slideDoc, (reason) =>
+    pkg.skipped.push({ slide: index + 1, source: partName(slidePath), element: 'Transition', reason })
+  );
+  const advanceAfter = getNumberAttr(findDescendant(slideDoc, 'transition'), 'advTm', 0);
+  const animations = readSlideAnimations(slideDoc, slideContext.shapeIds, (reason) =>
+    pkg.skipped.push({ slide: index + 1, source: partName(slidePath), element: 'Animation', reason })
+  );
+  return {
+    id: Date.now() + index,
+    title: getAttr(cSld, 'name') || `Slide ${index + 1}`,
+    content,
+    background: {
+      color: backgroundColor
+    },
+    notes: readSlideNotes(slidePath, slideContext),
+    ...(transition ? { transition } : {}),
+    ...(advanceAfter > 0 ? { advanceAfter } : {}),
+    ...(animations.length ? { animations } : {})
+  };
+};
+
+// The first <p:transition> in document order is the p14 choice when present,
+// which carries the exact duration; other effects play as a fade.
+const readSlideTransition = (slideDoc, report) => {
+  const transition = findDescendant(slideDoc, 'transition');
+  if (!transition) {
+    return null;
+  }
+  const effect = childElements(transition)[0];
+  if (!effect || effect.localName === 'cut') {
+    return null;
+  }
+  const exactDuration = Number(transition.getAttributeNS(POWERPOINT_2010_NS, 'dur'));
+  const duration = exactDuration > 0
+    ? exactDuration
+    : TRANSITION_SPEEDS[getAttr(transition, 'spd') || 'fast'] || TRANSITION_SPEEDS.fast;
+  if (!SUPPORTED_TRANSITIONS.includes(effect.localName)) {
+    report(`${effect.localName} transition replaced with a fade`);
+    return { type: 'fade', duration };
+  }
+  return { type: effect.localName, duration };
+};
+
+const getBehaviourNames = (effectNode) =>
+  Array.from(effectNode.getElementsByTagNameNS('*', 'attrName')).map((node) => node.textContent.trim());
+
+// Effects are recognised by what they animate rather than by preset id, so
+// custom effects built from the same behaviours import too.
+const inferAnimationEffect = (effectNode) => {
+  const attributes = getBehaviourNames(effectNode);
+  const filter = getAttr(findDescendant(effectNode, 'animEffect'), 'filter') || '';
+  if (findDescendant(effectNode, 'animScale') || attributes.includes('ppt_w') || attributes.includes('ppt_h')) {
+    return 'zoom';
+  }
+  if (filter.startsWith('wipe')) {
+    return 'wipe';
+  }
+  if (findDescendant(effectNode, 'animMotion') || attributes.includes('ppt_x') || attributes.includes('ppt_y')) {
+    return 'fly';
+  }
+  if (filter.startsWith('fade') || attributes.includes('style.opacity')) {
+    return 'fade';
+  }
+  return null;
+};
+
+// Emphasis effects that reverse automatically run for twice their duration.
+const readAnimationDuration = (effectNode) =>
+  Math.max(
+    0,
+    ...Array.from(effectNode.getElementsByTagNameNS('*', 'cTn'))
+      .filter((node) => node !== effectNode)
+      .map((node) => (getNumberAttr(node, 'dur', 0) || 0) * (getAttr(node, 'autoRev') === '1' ? 2 : 1))
+  );
+
+// Walks the main sequence (click steps > start-time blocks > effects) of the
+// slide's timing tree.
+const readSlideAnimations = (slideDoc, shapeIds, report) => {
+  const mainSequence = Array.from(slideDoc.getElementsByTagNameNS('*', 'cTn')).find(
+    (node) => getAttr(node, 'nodeType') === 'mainSeq'
+  );
+  if (!mainSequence) {
+    return [];
+  }
+  const childPars = (cTn) => childElements(childElement(cTn, 'childTnLst'), 'par').map((par) => childElement(par, 'cTn'));
+  const effectNodes = childPars(mainSequence).flatMap((step) => childPars(step).flatMap(childPars));
+  return effectNodes.flatMap((effectNode) => {
+    const kind = ANIMATION_KINDS[getAttr(effectNode, 'presetClass')];
+    if (!kind) {
+      report(`${getAttr(effectNode, 'presetClass') || 'unknown'} animation is not supported`);
+      return [];
+    }
+    const elementId = shapeIds.get(getAttr(findDescendant(effectNode, 'spTgt'), 'spid'));
+    if (!elementId) {
+      report(`${kind} animation targets a shape that was not imported`);
+      return [];
+    }
+    let effect = inferAnimationEffect(effectNode);
+    if (!effect) {
+      report(`${kind} effect replaced with a fade`);
+      effect = 'fade';
+    }
+    return [{
+      id: uniqueId('anim'),
+      elementId,
+      kind,
+      effect,
+      trigger: ANIMATION_TRIGGERS[getAttr(effectNode, 'nodeType')] || 'onClick',
+      duration: readAnimationDuration(effectNode) || 500
+    }];
+  });
+};
+
+// Notes pages keep the speaker notes in their body placeholder.
+const readSlideNotes = (slidePath, context) => {
+  const notesPath = context.reader.findRelTarget(slidePath, REL_TYPES.notesSlide);
+  const notesDoc = context.reader.readXml(notesPath);
+  if (!notesDoc) {
+    return '';
+  }
+  const bodyShape = childElements(findDescendant(notesDoc, 'spTree'), 'sp').find(
+    (node) => getPlaceholderInfo(node)?.type === 'body'
+  );
+  const txBody = childElement(bodyShape, 'txBody');
+  if (!txBody) {
+    return '';
+  }
+  const converted = convertTextBody(txBody, [], context);
+  return converted.plainText ? converted.html : '';
+};
+
+const getSlidePaths = (reader, presentationPath) => {
+  const doc = reader.readXml(presentationPath);
+  const rels = reader.readRels(presentationPath);
+  const idList = doc ? findDescendant(doc, 'sldIdLst') : null;
+  return childElements(idList, 'sldId')
+    .map((entry) => rels[getRelId(entry, 'id')])
+    .filter((rel) => rel && rel.type.endsWith(REL_TYPES.slide))
+    .map((rel) => rel.target);
+};
+
+const createDesignFromTheme = (theme) => ({
+  id: 'imported',
+  name: theme?.name || 'Imported theme',
+  background: theme?.colors?.lt1 || '#ffffff',
+  textColor: theme?.colors?.dk1 || '#111111',
+  accentColor: theme?.colors?.accent1 || '#2563eb'
+});
+
+export const parsePptx = (data) => {
+  let zip;
+  try {
+    zip = new PizZip(data);
+  } catch (error) {
+    throw new Error('This file is not a valid PowerPoint (.pptx) package.');
+  }
+
+  const reader = createPackageReader(zip);
+  const presentationPath =
+    reader.findRelTarget('', REL_TYPES.officeDocument) || 'ppt/presentation.xml';
+  const presentationDoc = reader.readXml(presentationPath);
+  if (!presentationDoc) {
+    throw new Error('The presentation part is missing from this .pptx file.');
+  }
+
+  const slideSize = readSlideSize(presentationDoc);
+  const canvasSize = normalizeSlideSize({
+    width: slideSize.cx / EMU_PER_PIXEL,
+    height: slideSize.cy / EMU_PER_PIXEL
+  });
+  const pkg = {
+    reader,
+    slideSize,
+    canvas: createCanvasTransform(slideSize, canvasSize),
+    themes: {},
+    mediaCache: {},
+    skipped: []
+  };
+
+  const slides = getSlidePaths(reader, presentationPath)
+    .map((slidePath, index) => convertSlide(slidePath, index, pkg))
+    .filter(Boolean);
+
+  if (!slides.length) {
+    throw new Error('No slides were found in this .pptx file.');
+  }
+
+  const firstTheme = Object.values(pkg.themes)[0];
+  return {
+    slides,
+    design: createDesignFromTheme(firstTheme),
+    report: {
+      slideCount: slides.length,
+      elementCount: slides.reduce((sum, slide) => sum + slide.content.length, 0),
+      slideSize: canvasSize,
+      skipped: pkg.skipped
+    }
+  };
+};
+
+export const importPptxFile = async (file) => {
+  if (!file) {
+    throw new Error('No file selected.');
+  }
+  const buffer = await file.arrayBuffer();
+  const result = parsePptx(buffer);
+  return {
+    ...result,
+    fileName: (file.name || 'Imported presentation').replace(/\.pptx$/i, '')
+  };
+};
@@ -0,0 +1,199 @@
+import PizZip from 'pizzip';
+import { parsePptx } from './pptxImport';
+
+const NAMESPACES = [
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+  'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"'
+].join(' ');
+const REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const IMAGE_BYTES = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const emu = (px) => Math.round(px * 9525);
+
+const relsXml = (rels) =>
+  `<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${rels
+    .map(({ id, type, target }) => `<Relationship Id="${id}" Type="${REL_TYPE}/${type}" Target="${target}"/>`)
+    .join('')}</Relationships>`;
+
+const xfrm = ({ x, y, width, height }, children = '') =>
+  `<a:xfrm><a:off x="${emu(x)}" y="${emu(y)}"/><a:ext cx="${emu(width)}" cy="${emu(height)}"/>${children}</a:xfrm>`;
+
+const nvProps = (tag, id, name, extra = '') =>
+  `<p:${tag}><p:cNvPr id="${id}" name="${name}"${extra}/><p:c${tag.slice(2)}/><p:nvPr/></p:${tag}>`;
+
+const textShape = (id, box, paragraphs) =>
+  `<p:sp>${nvProps('nvSpPr', id, `Text ${id}`)}<p:spPr>${xfrm(box)}<a:prstGeom prst="rect"/></p:spPr>` +
+  `<p:txBody><a:bodyPr/><a:lstStyle/>${paragraphs}</p:txBody></p:sp>`;
+
+const filledShape = (id, box, color) =>
+  `<p:sp>${nvProps('nvSpPr', id, `Shape ${id}`)}<p:spPr>${xfrm(box)}<a:prstGeom prst="ellipse"/>` +
+  `<a:solidFill><a:srgbClr val="${color}"/></a:solidFill></p:spPr></p:sp>`;
+
+const picture = (id, box, relId) =>
+  `<p:pic>${nvProps('nvPicPr', id, 'Picture', ' descr="Company logo"')}` +
+  `<p:blipFill><a:blip r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></p:blipFill>` +
+  `<p:spPr>${xfrm(box)}<a:prstGeom prst="rect"/></p:spPr></p:pic>`;
+
+// The children are laid out at half size and the group frame doubles them.
+const group = (id, box, members) =>
+  `<p:grpSp><p:nvGrpSpPr><p:cNvPr id="${id}" name="Group"/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>` +
+  `<p:grpSpPr>${xfrm(box, `<a:chOff x="0" y="0"/><a:chExt cx="${emu(box.width / 2)}" cy="${emu(box.height / 2)}"/>`)}</p:grpSpPr>` +
+  `${members}</p:grpSp>`;
+
+const slideXml = ({ shapes = '', background = '', extra = '' }) =>
+  `<?xml version="1.0" encoding="UTF-8"?><p:sld ${NAMESPACES}><p:cSld>${background}<p:spTree>` +
+  '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr><p:grpSpPr/>' +
+  `${shapes}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr>${extra}</p:sld>`;
+
+const notesXml = (text) =>
+  `<?xml version="1.0" encoding="UTF-8"?><p:notes ${NAMESPACES}><p:cSld><p:spTree>` +
+  '<p:sp><p:nvSpPr><p:cNvPr id="2" name="Notes"/><p:cNvSpPr/><p:nvPr><p:ph type="body"/></p:nvPr></p:nvSpPr><p:spPr/>' +
+  `<p:txBody><a:bodyPr/><a:p><a:r><a:rPr lang="en-US"/><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp>` +
+  '</p:spTree></p:cSld></p:notes>';
+
+const effect = (id, presetClass, nodeType, spid) =>
+  `<p:par><p:cTn id="${id}" presetClass="${presetClass}" nodeType="${nodeType}" fill="hold"><p:childTnLst>` +
+  `<p:animEffect transition="in" filter="fade"><p:cBhvr><p:cTn id="${id + 1}" dur="700"/>` +
+  `<p:tgtEl><p:spTgt spid="${spid}"/></p:tgtEl></p:cBhvr></p:animEffect></p:childTnLst></p:cTn></p:par>`;
+
+const timing = (effects) =>
+  '<p:timing><p:tnLst><p:par><p:cTn id="1" dur="indefinite" restart="never" nodeType="tmRoot"><p:childTnLst>' +
+  '<p:seq concurrent="1" nextAc="seek"><p:cTn id="2" dur="indefinite" nodeType="mainSeq"><p:childTnLst>' +
+  '<p:par><p:cTn id="3" fill="hold"><p:stCondLst><p:cond delay="indefinite"/></p:stCondLst><p:childTnLst>' +
+  `<p:par><p:cTn id="4" fill="hold"><p:stCondLst><p:cond delay="0"/></p:stCondLst><p:childTnLst>${effects}` +
+  '</p:childTnLst></p:cTn></p:par></p:childTnLst></p:cTn></p:par>' +
+  '</p:childTnLst></p:cTn></p:seq></p:childTnLst></p:cTn></p:par></p:tnLst></p:timing>';
+
+// Builds a package with only the parts the importer reads: no layouts,
+// masters or themes, so every slide falls back to the default theme.
+// A slide without `xml` is listed in the presentation but has no part.
+const buildPptx = ({ slides, slideSize }) => {
+  const zip = new PizZip();
+  zip.file('_rels/.rels', relsXml([{ id: 'rId1', type: 'officeDocument', target: 'ppt/presentation.xml' }]));
+  const size = slideSize ? `<p:sldSz cx="${emu(slideSize.width)}" cy="${emu(slideSize.height)}"/>` : '';
+  zip.file(
+    'ppt/presentation.xml',
+    `<?xml version="1.0" encoding="UTF-8"?><p:presentation ${NAMESPACES}><p:sldIdLst>${slides
+      .map((slide, index) => `<p:sldId id="${256 + index}" r:id="rId${index + 1}"/>`)
+      .join('')}</p:sldIdLst>${size}</p:presentation>`
+  );
+  zip.file(
+    'ppt/_rels/presentation.xml.rels',
+    relsXml(slides.map((slide, index) => ({ id: `rId${index + 1}`, type: 'slide', target: `slides/slide${index + 1}.xml` })))
+  );
+  slides.forEach((slide, index) => {
+    const number = index + 1;
+    if (!slide.xml) {
+      return;
+    }
+    zip.file(`ppt/slides/slide${number}.xml`, slide.xml);
+    const rels = [];
+    if (slide.image) {
+      zip.file('ppt/media/image1.png', IMAGE_BYTES);
+      rels.push({ id: 'rId2', type: 'image', target: '../media/image1.png' });
+    }
+    if (slide.notes) {
+      zip.file(`ppt/notesSlides/notesSlide${number}.xml`, notesXml(slide.notes));
+      rels.push({ id: 'rId3', type: 'notesSlide', target: `../notesSlides/notesSlide${number}.xml` });
+    }
+    zip.file(`ppt/slides/_rels/slide${number}.xml.rels`, relsXml(rels));
+  });
+  return zip.generate({ type: 'uint8array' });
+};
+
+const TEXT_PARAGRAPHS =
+  '<a:p><a:r><a:rPr sz="1800"/><a:t>Hello</a:t></a:r><a:br/><a:r><a:rPr sz="1800" b="1"/><a:t>world &amp; co</a:t></a:r></a:p>' +
+  '<a:p><a:r><a:rPr sz="2400"/><a:t>Bigger</a:t></a:r></a:p>';
+
+test('imports text runs with line breaks and inline formatting', () => {
+  const { slides, report } = parsePptx(
+    buildPptx({ slides: [{ xml: slideXml({ shapes: textShape(2, { x: 40, y: 30, width: 400, height: 120 }, TEXT_PARAGRAPHS) }) }] })
+  );
+  expect(report).toMatchObject({ slideCount: 1, elementCount: 1, skipped: [] });
+  expect(slides[0].content[0]).toMatchObject({
+    type: 'text',
+    x: 40,
+    y: 30,
+    width: 400,
+    height: 120,
+    fontSize: 24,
+    bold: false,
+    text: '<p>Hello<br><strong>world &amp; co</strong></p><p><span style="font-size: 32px">Bigger</span></p>',
+    plainText: 'Hello\nworld & co\nBigger'
+  });
+});
+
+test('imports pictures, groups in slide coordinates and speaker notes', () => {
+  const shapes =
+    picture(3, { x: 10, y: 20, width: 120, height: 80 }, 'rId2') +
+    group(
+      4,
+      { x: 400, y: 300, width: 200, height: 100 },
+      filledShape(5, { x: 0, y: 0, width: 50, height: 50 }, 'FF0000') +
+        filledShape(6, { x: 50, y: 0, width: 50, height: 50 }, '0000FF')
+    );
+  const { slides } = parsePptx(buildPptx({ slides: [{ xml: slideXml({ shapes }), image: true, notes: 'Mention the logo' }] }));
+  const [image, grouped] = slides[0].content;
+
+  expect(image).toMatchObject({ type: 'image', x: 10, y: 20, width: 120, height: 80, alt: 'Company logo' });
+  expect(image.src).toBe(`data:image/png;base64,${window.btoa(String.fromCharCode(...IMAGE_BYTES))}`);
+
+  expect(grouped).toMatchObject({ type: 'group', x: 400, y: 300, width: 200, height: 100 });
+  expect(grouped.children).toEqual([
+    expect.objectContaining({ type: 'shape', shape: 'circle', color: '#ff0000', x: 0, y: 0, width: 100, height: 100 }),
+    expect.objectContaining({ type: 'shape', shape: 'circle', color: '#0000ff', x: 100, y: 0, width: 100, height: 100 })
+  ]);
+
+  expect(slides[0].notes).toBe('<p>Mention the logo</p>');
+});
+
+test('keeps the slide size of the presentation', () => {
+  const shapes = filledShape(2, { x: 860, y: 620, width: 100, height: 100 }, '00FF00');
+  const { slides, report } = parsePptx(buildPptx({ slides: [{ xml: slideXml({ shapes }) }], slideSize: { width: 960, height: 720 } }));
+  expect(report.slideSize).toEqual({ preset: 'standard', width: 960, height: 720 });
+  expect(slides[0].content[0]).toMatchObject({ x: 860, y: 620, width: 100, height: 100 });
+});
+
+test('falls back to the PowerPoint default size when sldSz is missing', () => {
+  const { report } = parsePptx(buildPptx({ slides: [{ xml: slideXml({}) }] }));
+  expect(report.slideSize).toEqual({ preset: 'custom', width: 1280, height: 720 });
+});
+
+test('reports what could only be approximated or was skipped', () => {
+  const gradient =
+    '<p:bg><p:bgPr><a:gradFill><a:gsLst><a:gs pos="0"><a:srgbClr val="112233"/></a:gs>' +
+    '<a:gs pos="100000"><a:srgbClr val="FFFFFF"/></a:gs></a:gsLst></a:gradFill><a:effectLst/></p:bgPr></p:bg>';
+  const animated = slideXml({
+    shapes: textShape(2, { x: 40, y: 30, width: 400, height: 120 }, TEXT_PARAGRAPHS),
+    extra: timing(effect(5, 'entr', 'clickEffect', 2) + effect(7, 'path', 'withEffect', 2))
+  });
+  const transitioned = slideXml({
+    background: gradient,
+    extra: '<p:transition spd="slow"><p:split orient="vert"/></p:transition>'
+  });
+  const { slides, report } = parsePptx(buildPptx({ slides: [{ xml: animated }, { xml: transitioned }, {}] }));
+
+  expect(slides).toHaveLength(2);
+  expect(slides[0].animations).toEqual([
+    expect.objectContaining({
+      elementId: slides[0].content[0].id,
+      kind: 'entrance',
+      effect: 'fade',
+      trigger: 'onClick',
+      duration: 700
+    })
+  ]);
+  expect(slides[1].background.color).toBe('#112233');
+  expect(slides[1].transition).toEqual({ type: 'fade', duration: 1000 });
+  expect(report.skipped).toEqual([
+    { slide: 1, source: 'slide1.xml', element: 'Animation', reason: 'path animation is not supported' },
+    { slide: 2, source: 'slide2.xml', element: 'Background', reason: 'gradient background flattened to its first colour' },
+    { slide: 2, source: 'slide2.xml', element: 'Transition', reason: 'split transition replaced with a fade' },
+    { slide: 3, source: 'slide3.xml', element: null, reason: 'slide part is missing or unreadable' }
+  ]);
+});
+
+test('rejects files that are not presentations', () => {
+  expect(() => parsePptx(new Uint8Array([1, 2, 3]))).toThrow('not a valid PowerPoint');
+});
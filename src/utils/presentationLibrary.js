@@ -0,0 +1,114 @@
+import { flattenGroupedElements } from './elementGroups';
+
+// Helpers for the landing page library: the text a presentation is found by,
+// and how the list is filtered and sorted.
+
+export const LIBRARY_SORT_OPTIONS = [
+  { value: 'modified', label: 'Date modified' },
+  { value: 'created', label: 'Date created' },
+  { value: 'name', label: 'Name' }
+];
+
+export const LIBRARY_VIEWS = ['grid', 'list'];
+
+const SEARCH_TEXT_LIMIT = 20000;
+const FOLDER_NAME_LIMIT = 60;
+
+const htmlToPlainText = (value) => {
+  if (!value || typeof value !== 'string') {
+    return '';
+  }
+  return value
+    .replace(/<\s*br\s*\/?>/gi, ' ')
+    .replace(/<\/(p|div|h[1-6]|li)>/gi, ' ')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;| /g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+};
+
+const elementText = (element) => {
+  if (element.type === 'table') {
+    return (element.cells || []).flat().map((cell) => htmlToPlainText(cell?.text));
+  }
+  if (element.type === 'chart') {
+    const { labels = [], datasets = [] } = element.chartData || {};
+    return [...labels, ...datasets.map((dataset) => dataset.label)].filter(Boolean).map(String);
+  }
+  return [element.plainText ?? htmlToPlainText(element.text)];
+};
+
+// Titles, text boxes, shapes, table cells, chart labels and speaker notes,
+// collapsed into one string for the library search.
+export const getSlidesSearchText = (slides = []) =>
+  slides
+    .flatMap((slide) => [
+      slide.title,
+      ...flattenGroupedElements(slide.content || []).flatMap(elementText),
+      htmlToPlainText(slide.notes)
+    ])
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, SEARCH_TEXT_LIMIT);
+
+export const normalizeFolderName = (name) =>
+  String(name || '').replace(/\s+/g, ' ').trim().slice(0, FOLDER_NAME_LIMIT);
+
+// Accepts a comma separated string or an array; duplicates are dropped
+// regardless of case.
+export const normalizeTags = (value) => {
+  const parts = Array.isArray(value) ? value : String(value || '').split(',');
+  const seen = new Set();
+  return parts
+    .map((tag) => String(tag).replace(/\s+/g, ' ').trim())
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+};
+
+export const collectTags = (items = []) =>
+  normalizeTags(items.flatMap((item) => item.tags || [])).sort((a, b) => a.localeCompare(b));
+
+// `folder` undefined matches every presentation and '' only unfiled ones.
+// Every word of `query` has to appear in the name, folder, tags or slide text.
+export const filterPresentations = (items = [], { query = '', folder, tag } = {}) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return items.filter((item) => {
+    if (folder !== undefined && (item.folder || '') !== folder) {
+      return false;
+    }
+    if (tag && !(item.tags || []).some((itemTag) => itemTag.toLowerCase() === tag.toLowerCase())) {
+      return false;
+    }
+    if (!words.length) {
+      return true;
+    }
+    const haystack = [item.name, item.folder, ...(item.tags || []), item.searchText]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  });
+};
+
+const compareNames = (a, b) =>
+  (a.name || '').localeCompare(b.name || '', undefined, { numeric: true, sensitivity: 'base' });
+
+export const sortPresentations = (items = [], sort = 'modified') => {
+  const sorted = items.slice();
+  if (sort === 'name') {
+    return sorted.sort(compareNames);
+  }
+  const key = sort === 'created' ? (item) => item.createdAt || item.updatedAt || 0 : (item) => item.updatedAt || 0;
+  return sorted.sort((a, b) => key(b) - key(a) || compareNames(a, b));
+};
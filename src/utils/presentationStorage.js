@@ -1,28 +1,127 @@
-const STORAGE_VERSION = '1';
+import {
+  createIndexedDbAdapter,
+  createLocalStorageAdapter,
+  createMemoryAdapter,
+  isIndexedDbAvailable,
+  isLocalStorageAvailable,
+  isQuotaExceededError,
+  migrateStorage
+} from './storageAdapters';
+import { getSlidesSearchText, normalizeFolderName, normalizeTags } from './presentationLibrary';
+
+export { isQuotaExceededError };
+
+export const STORAGE_QUOTA_MESSAGE =
+  'Browser storage is full, so your latest changes could not be saved. Download a copy (.pptx) or delete presentations you no longer need.';
 
 const STORAGE_KEYS = {
   activePresentationId: 'pptts:activePresentationId',
-  presentationsList: 'pptts:presentations:list'
+  presentationsList: 'pptts:presentations:list',
+  trashList: 'pptts:presentations:trash',
+  folders: 'pptts:presentations:folders',
+  snapSettings: 'pptts:snapSettings',
+  trashRetentionDays: 'pptts:trashRetentionDays',
+  libraryPreferences: 'pptts:libraryPreferences'
 };
 
-const presentationDataKey = (id) => `pptts:presentation:data:${id}`;
+const PRESENTATION_DATA_PREFIX = 'pptts:presentation:data:';
+const PRESENTATION_VERSION_PREFIX = 'pptts:presentation:version:';
+const PRESENTATION_VERSION_INDEX_PREFIX = 'pptts:presentation:versionIndex:';
+
+// Automatic snapshots beyond this count are pruned oldest first; named
+// versions are only removed by the user.
+export const AUTO_VERSION_LIMIT = 24;
+export const AUTO_VERSION_INTERVAL = 60 * 60 * 1000;
+
+// Deleted presentations stay in the trash this many days before they are
+// purged for good.
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+export const TRASH_RETENTION_OPTIONS = [7, 14, 30, 60, 90];
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const presentationDataKey = (id) => `${PRESENTATION_DATA_PREFIX}${id}`;
+const presentationVersionsPrefix = (id) => `${PRESENTATION_VERSION_PREFIX}${id}:`;
+const presentationVersionKey = (id, versionId) => `${presentationVersionsPrefix(id)}${versionId}`;
+const presentationVersionIndexKey = (id) => `${PRESENTATION_VERSION_INDEX_PREFIX}${id}`;
+
+const mergePresentationLists = (primary = [], secondary = []) => {
+  const byId = new Map();
+  [...primary, ...secondary].forEach((item) => {
+    if (!item?.id) {
+      return;
+    }
+    const existing = byId.get(item.id);
+    if (!existing || (item.updatedAt || 0) > (existing.updatedAt || 0)) {
+      byId.set(item.id, item);
+    }
+  });
+  return Array.from(byId.values()).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+};
 
-const safeParse = (value, fallback) => {
-  if (!value) {
-    return fallback;
+// Moves presentations saved by the localStorage-only versions of the app into
+// IndexedDB. The recents list is merged rather than overwritten.
+const migrateLegacyData = async (legacy, target) => {
+  const legacyList = await legacy.load(STORAGE_KEYS.presentationsList);
+  await migrateStorage(legacy, target, PRESENTATION_DATA_PREFIX);
+  if (await migrateStorage(legacy, target, PRESENTATION_VERSION_PREFIX)) {
+    // Legacy versions have no index entries; drop the indexes so they are
+    // rebuilt from the stored versions on the next read.
+    const indexKeys = await target.list(PRESENTATION_VERSION_INDEX_PREFIX);
+    await Promise.all(indexKeys.map((key) => target.delete(key)));
   }
-  try {
-    const parsed = JSON.parse(value);
-    if (parsed && typeof parsed === 'object' && parsed.version === STORAGE_VERSION) {
-      return parsed.value;
+  if (Array.isArray(legacyList)) {
+    const currentList = await target.load(STORAGE_KEYS.presentationsList);
+    await target.save(
+      STORAGE_KEYS.presentationsList,
+      mergePresentationLists(Array.isArray(currentList) ? currentList : [], legacyList)
+    );
+    await legacy.delete(STORAGE_KEYS.presentationsList);
+  }
+};
+
+const initializeAdapter = async () => {
+  const legacy = isLocalStorageAvailable() ? createLocalStorageAdapter() : null;
+  if (isIndexedDbAvailable()) {
+    const indexedDb = createIndexedDbAdapter();
+    try {
+      if (legacy) {
+        await migrateLegacyData(legacy, indexedDb);
+      } else {
+        await indexedDb.list(PRESENTATION_DATA_PREFIX);
+      }
+      return indexedDb;
+    } catch (error) {
+      console.warn('IndexedDB is unavailable, falling back to localStorage', error);
     }
-  } catch (error) {
-    console.warn('Failed to parse stored presentation data', error);
   }
-  return fallback;
+  return legacy || createMemoryAdapter();
+};
+
+let adapterPromise = null;
+
+const getAdapter = () => {
+  if (!adapterPromise) {
+    adapterPromise = initializeAdapter();
+  }
+  return adapterPromise;
+};
+
+// Lets tests or alternative backends replace the storage used by every helper
+// below. Passing nothing restores automatic backend selection.
+export const setStorageAdapter = (adapter) => {
+  adapterPromise = adapter ? Promise.resolve(adapter) : null;
 };
 
-const buildPayload = (value) => JSON.stringify({ version: STORAGE_VERSION, value });
+export const getStorageBackendName = async () => (await getAdapter()).name;
+
+// Recents updates are read-modify-write, so they run one at a time.
+let listQueue = Promise.resolve();
+
+const enqueueListTask = (task) => {
+  const run = listQueue.then(task);
+  listQueue = run.catch(() => {});
+  return run;
+};
 
 export const generatePresentationId = () =>
   `pres-${Date.now()}-${Math.random().toString(16).slice(2)}`;
@@ -54,112 +153,586 @@ export const setActivePresentationId = (id) => {
   }
 };
 
-export const loadPresentationData = (id) => {
-  if (!id || typeof window === 'undefined') {
+export const getSnapPreferences = () => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEYS.snapSettings);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn('Unable to read snap settings', error);
     return null;
   }
+};
+
+export const setSnapPreferences = (settings) => {
+  if (typeof window === 'undefined') {
+    return;
+  }
   try {
-    const raw = window.localStorage.getItem(presentationDataKey(id));
-    return safeParse(raw, null);
+    window.localStorage.setItem(STORAGE_KEYS.snapSettings, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Unable to persist snap settings', error);
+  }
+};
+
+export const getTrashRetentionDays = () => {
+  if (typeof window === 'undefined') {
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+  try {
+    const days = Number(window.localStorage.getItem(STORAGE_KEYS.trashRetentionDays));
+    return days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+  } catch (error) {
+    console.warn('Unable to read trash retention', error);
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+};
+
+export const setTrashRetentionDays = (days) => {
+  if (typeof window === 'undefined') {
+    return;
+  }
+  try {
+    window.localStorage.setItem(STORAGE_KEYS.trashRetentionDays, String(days));
+  } catch (error) {
+    console.warn('Unable to persist trash retention', error);
+  }
+};
+
+export const getLibraryPreferences = () => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEYS.libraryPreferences);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn('Unable to read library preferences', error);
+    return null;
+  }
+};
+
+export const setLibraryPreferences = (preferences) => {
+  if (typeof window === 'undefined') {
+    return;
+  }
+  try {
+    window.localStorage.setItem(STORAGE_KEYS.libraryPreferences, JSON.stringify(preferences));
+  } catch (error) {
+    console.warn('Unable to persist library preferences', error);
+  }
+};
+
+export const loadPresentationData = async (id) => {
+  if (!id) {
+    return null;
+  }
+  try {
+    const adapter = await getAdapter();
+    return await adapter.load(presentationDataKey(id));
   } catch (error) {
     console.warn('Failed to load presentation data', error);
     return null;
   }
 };
 
-export const savePresentationData = (id, data) => {
-  if (!id || typeof window === 'undefined') {
+// Resolves with the saved `updatedAt`. When the backend is full, the save is
+// retried without undo history before rejecting, so the slides themselves are
+// kept whenever possible. Rejections can be checked with `isQuotaExceededError`.
+export const savePresentationData = async (id, data) => {
+  if (!id) {
     return null;
   }
   const payload = {
     ...data,
     updatedAt: data?.updatedAt || Date.now()
   };
+  const adapter = await getAdapter();
   try {
-    window.localStorage.setItem(presentationDataKey(id), buildPayload(payload));
+    await adapter.save(presentationDataKey(id), payload);
   } catch (error) {
-    console.warn('Failed to save presentation data', error);
+    if (!isQuotaExceededError(error) || !Array.isArray(payload.history) || payload.history.length <= 1) {
+      throw error;
+    }
+    console.warn('Storage is full; saving presentation without undo history', error);
+    await adapter.save(presentationDataKey(id), {
+      ...payload,
+      history: [{ slides: payload.slides, slideSize: payload.slideSize }],
+      historyIndex: 0
+    });
   }
   return payload.updatedAt;
 };
 
-export const deletePresentationData = (id) => {
-  if (!id || typeof window === 'undefined') {
+export const deletePresentationData = async (id) => {
+  if (!id) {
     return;
   }
   try {
-    window.localStorage.removeItem(presentationDataKey(id));
+    const adapter = await getAdapter();
+    await adapter.delete(presentationDataKey(id));
   } catch (error) {
     console.warn('Failed to delete presentation data', error);
   }
 };
 
-const loadPresentationsList = () => {
-  if (typeof window === 'undefined') {
+const generateVersionId = () => `ver-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+// Version index updates are read-modify-write too. They get their own queue
+// because purging a presentation from inside a list task deletes its versions.
+let versionQueue = Promise.resolve();
+
+const enqueueVersionTask = (task) => {
+  const run = versionQueue.then(task);
+  versionQueue = run.catch(() => {});
+  return run;
+};
+
+const toVersionSummary = (version) => ({
+  id: version.id,
+  name: version.name,
+  kind: version.kind,
+  createdAt: version.createdAt,
+  slideCount: version.slides?.length || 0
+});
+
+const sortVersions = (versions) => versions.slice().sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+// The index lists every version without its deck, so listing and pruning
+// never load the full copies. Presentations saved before the index existed
+// get one built from their stored versions the first time it is read.
+const loadVersionIndex = async (adapter, id) => {
+  const index = await adapter.load(presentationVersionIndexKey(id));
+  if (Array.isArray(index)) {
+    return index;
+  }
+  const keys = await adapter.list(presentationVersionsPrefix(id));
+  if (!keys.length) {
+    return [];
+  }
+  const versions = await Promise.all(keys.map((key) => adapter.load(key)));
+  const summaries = sortVersions(versions.filter((version) => version?.id).map(toVersionSummary));
+  await adapter.save(presentationVersionIndexKey(id), summaries);
+  return summaries;
+};
+
+// Newest first, as summaries: `id`, `name`, `kind` ('manual' or 'auto'),
+// `createdAt` and `slideCount`. `loadPresentationVersion` reads the deck.
+export const listPresentationVersions = async (id) => {
+  if (!id) {
     return [];
   }
   try {
-    const raw = window.localStorage.getItem(STORAGE_KEYS.presentationsList);
-    return safeParse(raw, []);
+    const adapter = await getAdapter();
+    return sortVersions(await enqueueVersionTask(() => loadVersionIndex(adapter, id)));
   } catch (error) {
-    console.warn('Failed to load presentations list', error);
+    console.warn('Failed to load presentation versions', error);
     return [];
   }
 };
 
-const persistPresentationsList = (list) => {
-  if (typeof window === 'undefined') {
+// A full copy of the deck: `slides`, `design`, `fileName`, `playback` and
+// `slideSize` along with the summary fields.
+export const loadPresentationVersion = async (id, versionId) => {
+  if (!id || !versionId) {
+    return null;
+  }
+  const adapter = await getAdapter();
+  return adapter.load(presentationVersionKey(id, versionId));
+};
+
+// Automatic snapshots beyond the limit are dropped, oldest first.
+const addToVersionIndex = (adapter, id, version) =>
+  enqueueVersionTask(async () => {
+    const index = sortVersions([
+      toVersionSummary(version),
+      ...(await loadVersionIndex(adapter, id)).filter((entry) => entry.id !== version.id)
+    ]);
+    const stale = new Set(
+      index
+        .filter((entry) => entry.kind === 'auto')
+        .slice(AUTO_VERSION_LIMIT)
+        .map((entry) => entry.id)
+    );
+    await adapter.save(presentationVersionIndexKey(id), index.filter((entry) => !stale.has(entry.id)));
+    await Promise.all(Array.from(stale, (versionId) => adapter.delete(presentationVersionKey(id, versionId))));
+  });
+
+// Resolves with the stored version. Rejections can be checked with
+// `isQuotaExceededError`.
+export const savePresentationVersion = async (id, snapshot, { name, kind = 'manual' } = {}) => {
+  if (!id) {
+    return null;
+  }
+  const createdAt = Date.now();
+  const version = {
+    id: generateVersionId(),
+    name: (name || '').trim() || new Date(createdAt).toLocaleString(),
+    kind,
+    createdAt,
+    slides: snapshot?.slides || [],
+    design: snapshot?.design || null,
+    fileName: snapshot?.fileName || '',
+    playback: snapshot?.playback || null,
+    slideSize: snapshot?.slideSize || null
+  };
+  const adapter = await getAdapter();
+  await adapter.save(presentationVersionKey(id, version.id), version);
+  await addToVersionIndex(adapter, id, version);
+  return version;
+};
+
+export const deletePresentationVersion = async (id, versionId) => {
+  if (!id || !versionId) {
     return;
   }
   try {
-    window.localStorage.setItem(
-      STORAGE_KEYS.presentationsList,
-      buildPayload(list)
-    );
+    const adapter = await getAdapter();
+    await enqueueVersionTask(async () => {
+      const index = await loadVersionIndex(adapter, id);
+      await adapter.save(
+        presentationVersionIndexKey(id),
+        index.filter((entry) => entry.id !== versionId)
+      );
+      await adapter.delete(presentationVersionKey(id, versionId));
+    });
+  } catch (error) {
+    console.warn('Failed to delete presentation version', error);
+  }
+};
+
+const deletePresentationVersions = async (id) => {
+  try {
+    const adapter = await getAdapter();
+    await enqueueVersionTask(async () => {
+      const keys = await adapter.list(presentationVersionsPrefix(id));
+      await Promise.all(keys.map((key) => adapter.delete(key)));
+      await adapter.delete(presentationVersionIndexKey(id));
+    });
   } catch (error) {
-    console.warn('Failed to persist presentations list', error);
+    console.warn('Failed to delete presentation versions', error);
   }
 };
 
-export const getRecentPresentations = () => {
-  const list = loadPresentationsList();
-  return list
-    .slice()
-    .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+const loadPresentationsList = async () => {
+  try {
+    const adapter = await getAdapter();
+    const list = await adapter.load(STORAGE_KEYS.presentationsList);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    console.warn('Failed to load presentations list', error);
+    return [];
+  }
 };
 
+const persistPresentationsList = async (list) => {
+  const adapter = await getAdapter();
+  await adapter.save(STORAGE_KEYS.presentationsList, list);
+};
+
+const loadTrashList = async () => {
+  try {
+    const adapter = await getAdapter();
+    const list = await adapter.load(STORAGE_KEYS.trashList);
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    console.warn('Failed to load trash', error);
+    return [];
+  }
+};
+
+const persistTrashList = async (list) => {
+  const adapter = await getAdapter();
+  await adapter.save(STORAGE_KEYS.trashList, list);
+};
+
+export const getRecentPresentations = () =>
+  enqueueListTask(async () => {
+    const list = await loadPresentationsList();
+    return list
+      .slice()
+      .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+  });
+
+// Folder, tags and the creation date are kept from the existing entry, and
+// so are the preview and search text unless new ones are given. A deck in the
+// trash stays there; only its trash entry is updated, so a save from another
+// open window cannot bring it back.
 export const upsertRecentPresentation = (metadata) => {
   if (!metadata?.id) {
-    return;
+    return Promise.resolve();
   }
-  const list = loadPresentationsList();
-  const filtered = list.filter((item) => item.id !== metadata.id);
-  const merged = {
-    id: metadata.id,
-    name: metadata.name || 'Untitled presentation',
-    updatedAt: metadata.updatedAt || Date.now(),
-    preview: metadata.preview || null
-  };
-  filtered.unshift(merged);
-  persistPresentationsList(filtered.slice(0, 20));
+  return enqueueListTask(async () => {
+    const list = await loadPresentationsList();
+    const trash = await loadTrashList();
+    const trashed = trash.find((item) => item.id === metadata.id);
+    const existing = trashed || list.find((item) => item.id === metadata.id);
+    const filtered = list.filter((item) => item.id !== metadata.id);
+    const updatedAt = metadata.updatedAt || Date.now();
+    const merged = {
+      id: metadata.id,
+      name: metadata.name || 'Untitled presentation',
+      createdAt: existing?.createdAt || metadata.createdAt || updatedAt,
+      updatedAt,
+      preview: metadata.preview || existing?.preview || null,
+      folder: existing?.folder || '',
+      tags: existing?.tags || []
+    };
+    const searchText = metadata.searchText ?? existing?.searchText;
+    if (searchText !== undefined) {
+      merged.searchText = searchText;
+    }
+    if (trashed) {
+      await persistTrashList(
+        trash.map((item) => (item.id === metadata.id ? { ...merged, deletedAt: trashed.deletedAt } : item))
+      );
+      return;
+    }
+    filtered.unshift(merged);
+    await persistPresentationsList(filtered);
+  });
 };
 
-export const deletePresentation = (id) => {
+// Changes the folder or tags of a presentation without marking it modified.
+export const updatePresentationMetadata = (id, { folder, tags } = {}) => {
+  if (!id) {
+    return Promise.resolve();
+  }
+  return enqueueListTask(async () => {
+    const list = await loadPresentationsList();
+    await persistPresentationsList(
+      list.map((item) => {
+        if (item.id !== id) {
+          return item;
+        }
+        return {
+          ...item,
+          ...(folder !== undefined ? { folder: normalizeFolderName(folder) } : {}),
+          ...(tags !== undefined ? { tags: normalizeTags(tags) } : {})
+        };
+      })
+    );
+  });
+};
+
+// Entries saved before the library search existed have no `searchText`; it is
+// read from their slides once.
+export const indexPresentationSearchText = () =>
+  enqueueListTask(async () => {
+    const list = await loadPresentationsList();
+    const missing = list.filter((item) => item.searchText === undefined);
+    if (!missing.length) {
+      return;
+    }
+    const texts = new Map(
+      await Promise.all(
+        missing.map(async (item) => [item.id, getSlidesSearchText((await loadPresentationData(item.id))?.slides)])
+      )
+    );
+    await persistPresentationsList(
+      list.map((item) => (texts.has(item.id) ? { ...item, searchText: texts.get(item.id) } : item))
+    );
+  });
+
+const loadFolderList = async () => {
+  try {
+    const adapter = await getAdapter();
+    const folders = await adapter.load(STORAGE_KEYS.folders);
+    return Array.isArray(folders) ? folders : [];
+  } catch (error) {
+    console.warn('Failed to load folders', error);
+    return [];
+  }
+};
+
+const persistFolderList = async (folders) => {
+  const adapter = await getAdapter();
+  await adapter.save(STORAGE_KEYS.folders, folders);
+};
+
+const sortFolders = (folders) => folders.slice().sort((a, b) => a.localeCompare(b));
+
+// Folder names saved by the user plus any still set on a presentation.
+export const getPresentationFolders = () =>
+  enqueueListTask(async () => {
+    const [folders, list, trash] = await Promise.all([loadFolderList(), loadPresentationsList(), loadTrashList()]);
+    const names = new Set(folders);
+    [...list, ...trash].forEach((item) => item.folder && names.add(item.folder));
+    return sortFolders(Array.from(names));
+  });
+
+export const createPresentationFolder = (name) => {
+  const folder = normalizeFolderName(name);
+  if (!folder) {
+    return Promise.resolve('');
+  }
+  return enqueueListTask(async () => {
+    const folders = await loadFolderList();
+    if (!folders.includes(folder)) {
+      await persistFolderList(sortFolders([...folders, folder]));
+    }
+    return folder;
+  });
+};
+
+const replaceFolder = (items, from, to) =>
+  items.map((item) => (item.folder === from ? { ...item, folder: to } : item));
+
+// Renaming onto an existing folder merges the two.
+export const renamePresentationFolder = (from, to) => {
+  const folder = normalizeFolderName(to);
+  if (!from || !folder) {
+    return Promise.resolve('');
+  }
+  return enqueueListTask(async () => {
+    const [folders, list, trash] = await Promise.all([loadFolderList(), loadPresentationsList(), loadTrashList()]);
+    await persistFolderList(sortFolders(Array.from(new Set([...folders.filter((name) => name !== from), folder]))));
+    await persistPresentationsList(replaceFolder(list, from, folder));
+    await persistTrashList(replaceFolder(trash, from, folder));
+    return folder;
+  });
+};
+
+// The presentations inside are kept and become unfiled.
+export const deletePresentationFolder = (name) => {
+  if (!name) {
+    return Promise.resolve();
+  }
+  return enqueueListTask(async () => {
+    const [folders, list, trash] = await Promise.all([loadFolderList(), loadPresentationsList(), loadTrashList()]);
+    await persistFolderList(folders.filter((folder) => folder !== name));
+    await persistPresentationsList(replaceFolder(list, name, ''));
+    await persistTrashList(replaceFolder(trash, name, ''));
+  });
+};
+
+const purgePresentationRecords = (id) => Promise.all([deletePresentationData(id), deletePresentationVersions(id)]);
+
+// Moves the presentation to the trash. Its data and versions are kept until
+// it is purged, either by the user or once it expires.
+export const deletePresentation = async (id) => {
   if (!id) {
     return;
   }
-  const list = loadPresentationsList();
-  const filtered = list.filter((item) => item.id !== id);
-  persistPresentationsList(filtered);
-  deletePresentationData(id);
+  await enqueueListTask(async () => {
+    const list = await loadPresentationsList();
+    const trash = await loadTrashList();
+    const item = list.find((entry) => entry.id === id) || { id, name: 'Untitled presentation' };
+    await persistTrashList([
+      { ...item, deletedAt: Date.now() },
+      ...trash.filter((entry) => entry.id !== id)
+    ]);
+    await persistPresentationsList(list.filter((entry) => entry.id !== id));
+  });
   if (getActivePresentationId() === id) {
     setActivePresentationId(null);
   }
 };
 
-export const clearAllPresentations = () => {
-  const list = loadPresentationsList();
-  list.forEach((item) => deletePresentationData(item.id));
-  persistPresentationsList([]);
+// Most recently deleted first; each entry carries its `deletedAt`.
+export const getTrashedPresentations = () =>
+  enqueueListTask(async () => {
+    const trash = await loadTrashList();
+    return trash.slice().sort((a, b) => (b.deletedAt || 0) - (a.deletedAt || 0));
+  });
+
+export const restorePresentation = (id) => {
+  if (!id) {
+    return Promise.resolve();
+  }
+  return enqueueListTask(async () => {
+    const trash = await loadTrashList();
+    const item = trash.find((entry) => entry.id === id);
+    if (!item) {
+      return;
+    }
+    const { deletedAt, ...metadata } = item;
+    const list = await loadPresentationsList();
+    await persistPresentationsList(
+      mergePresentationLists(list.filter((entry) => entry.id !== id), [metadata])
+    );
+    await persistTrashList(trash.filter((entry) => entry.id !== id));
+  });
+};
+
+// Deletes a trashed presentation with all of its versions, permanently.
+export const purgePresentation = async (id) => {
+  if (!id) {
+    return;
+  }
+  await enqueueListTask(async () => {
+    const trash = await loadTrashList();
+    await persistTrashList(trash.filter((entry) => entry.id !== id));
+  });
+  await purgePresentationRecords(id);
+};
+
+export const emptyTrash = () =>
+  enqueueListTask(async () => {
+    const trash = await loadTrashList();
+    await Promise.all(trash.map((item) => purgePresentationRecords(item.id)));
+    await persistTrashList([]);
+  });
+
+// Purges everything deleted more than `retentionDays` ago and resolves with
+// the number of presentations removed.
+export const purgeExpiredPresentations = (retentionDays = getTrashRetentionDays()) =>
+  enqueueListTask(async () => {
+    const trash = await loadTrashList();
+    const cutoff = Date.now() - retentionDays * DAY_IN_MS;
+    const expired = trash.filter((item) => (item.deletedAt || 0) <= cutoff);
+    if (!expired.length) {
+      return 0;
+    }
+    await Promise.all(expired.map((item) => purgePresentationRecords(item.id)));
+    await persistTrashList(trash.filter((item) => (item.deletedAt || 0) > cutoff));
+    return expired.length;
+  });
+
+// Writes a presentation read from a backup: its data, its versions as they
+// were saved and its library entry, in the trash when `deletedAt` is set.
+// Anything stored under the same id is replaced.
+export const importPresentation = async ({ id, metadata = {}, data, versions = [], deletedAt }) => {
+  if (!id) {
+    return;
+  }
+  await deletePresentationVersions(id);
+  await savePresentationData(id, data);
+  const adapter = await getAdapter();
+  const stored = versions.filter((version) => version?.id);
+  for (const version of stored) {
+    await adapter.save(presentationVersionKey(id, version.id), version);
+  }
+  await adapter.save(presentationVersionIndexKey(id), sortVersions(stored.map(toVersionSummary)));
+  await enqueueListTask(async () => {
+    const [list, trash] = await Promise.all([loadPresentationsList(), loadTrashList()]);
+    const entry = {
+      ...metadata,
+      id,
+      name: metadata.name || data?.fileName || 'Untitled presentation',
+      updatedAt: metadata.updatedAt || data?.updatedAt || Date.now()
+    };
+    const remainingList = list.filter((item) => item.id !== id);
+    const remainingTrash = trash.filter((item) => item.id !== id);
+    if (deletedAt) {
+      await persistTrashList([{ ...entry, deletedAt }, ...remainingTrash]);
+      await persistPresentationsList(remainingList);
+    } else {
+      await persistPresentationsList(mergePresentationLists(remainingList, [entry]));
+      await persistTrashList(remainingTrash);
+    }
+  });
+};
+
+export const clearAllPresentations = async () => {
+  await enqueueListTask(async () => {
+    const list = await loadPresentationsList();
+    const trash = await loadTrashList();
+    await Promise.all([...list, ...trash].map((item) => purgePresentationRecords(item.id)));
+    await persistPresentationsList([]);
+    await persistTrashList([]);
+  });
   setActivePresentationId(null);
 };
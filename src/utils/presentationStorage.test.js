@@ -0,0 +1,195 @@
+import {
+  AUTO_VERSION_LIMIT,
+  DEFAULT_TRASH_RETENTION_DAYS,
+  deletePresentation,
+  deletePresentationVersion,
+  emptyTrash,
+  getRecentPresentations,
+  getTrashRetentionDays,
+  getTrashedPresentations,
+  listPresentationVersions,
+  loadPresentationData,
+  loadPresentationVersion,
+  purgeExpiredPresentations,
+  purgePresentation,
+  restorePresentation,
+  savePresentationData,
+  savePresentationVersion,
+  setStorageAdapter,
+  setTrashRetentionDays,
+  upsertRecentPresentation
+} from './presentationStorage';
+import { createMemoryAdapter } from './storageAdapters';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 31);
+
+const addPresentation = async (id) => {
+  await savePresentationData(id, { slides: [], fileName: id });
+  await upsertRecentPresentation({ id, name: id, updatedAt: NOW });
+};
+
+const deleteAt = async (id, time) => {
+  Date.now.mockReturnValue(time);
+  await deletePresentation(id);
+  Date.now.mockReturnValue(NOW);
+};
+
+const ids = (items) => items.map((item) => item.id);
+
+let adapter;
+
+beforeEach(async () => {
+  jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  window.localStorage.clear();
+  adapter = createMemoryAdapter();
+  setStorageAdapter(adapter);
+  await addPresentation('a');
+  await addPresentation('b');
+  await addPresentation('c');
+});
+
+afterEach(() => Date.now.mockRestore());
+
+afterAll(() => setStorageAdapter(null));
+
+test('deleting moves a presentation to the trash and keeps its data', async () => {
+  await deletePresentation('b');
+  expect(ids(await getRecentPresentations()).sort()).toEqual(['a', 'c']);
+  const trash = await getTrashedPresentations();
+  expect(trash).toEqual([expect.objectContaining({ id: 'b', deletedAt: NOW })]);
+  expect(await loadPresentationData('b')).not.toBeNull();
+});
+
+test('restoring puts the presentation back in the library', async () => {
+  await deletePresentation('b');
+  await restorePresentation('b');
+  expect(ids(await getRecentPresentations()).sort()).toEqual(['a', 'b', 'c']);
+  expect((await getRecentPresentations()).find((item) => item.id === 'b').deletedAt).toBeUndefined();
+  expect(await getTrashedPresentations()).toEqual([]);
+});
+
+test('saving a trashed presentation keeps it in the trash', async () => {
+  await deleteAt('b', NOW - DAY);
+  await upsertRecentPresentation({ id: 'b', name: 'Renamed', updatedAt: NOW });
+  expect(ids(await getRecentPresentations()).sort()).toEqual(['a', 'c']);
+  expect(await getTrashedPresentations()).toEqual([
+    expect.objectContaining({ id: 'b', name: 'Renamed', updatedAt: NOW, deletedAt: NOW - DAY })
+  ]);
+});
+
+test('lists the trash most recently deleted first', async () => {
+  await deleteAt('a', NOW - 2 * DAY);
+  await deleteAt('b', NOW - DAY);
+  expect(ids(await getTrashedPresentations())).toEqual(['b', 'a']);
+});
+
+test('purges only presentations older than the retention period', async () => {
+  await deleteAt('a', NOW - 31 * DAY);
+  await deleteAt('b', NOW - 29 * DAY);
+
+  expect(await purgeExpiredPresentations(30)).toBe(1);
+  expect(ids(await getTrashedPresentations())).toEqual(['b']);
+  expect(await loadPresentationData('a')).toBeNull();
+  expect(await loadPresentationData('b')).not.toBeNull();
+  expect(await purgeExpiredPresentations(30)).toBe(0);
+});
+
+test('purging and emptying the trash delete the data', async () => {
+  await deletePresentation('a');
+  await deletePresentation('b');
+  await purgePresentation('a');
+  expect(ids(await getTrashedPresentations())).toEqual(['b']);
+  expect(await loadPresentationData('a')).toBeNull();
+
+  await emptyTrash();
+  expect(await getTrashedPresentations()).toEqual([]);
+  expect(await loadPresentationData('b')).toBeNull();
+  expect(ids(await getRecentPresentations())).toEqual(['c']);
+});
+
+test('remembers the retention period', () => {
+  expect(getTrashRetentionDays()).toBe(DEFAULT_TRASH_RETENTION_DAYS);
+  setTrashRetentionDays(7);
+  expect(getTrashRetentionDays()).toBe(7);
+});
+
+describe('versions', () => {
+  const SLIDES = [{ id: 'slide-1', content: [] }, { id: 'slide-2', content: [] }];
+  const DESIGN = { id: 'design-1' };
+
+  const saveAt = async (time, name, kind) => {
+    Date.now.mockReturnValue(time);
+    const version = await savePresentationVersion('a', { slides: SLIDES, design: DESIGN }, { name, kind });
+    Date.now.mockReturnValue(NOW);
+    return version;
+  };
+
+  const isVersionRecord = (key) => key.startsWith('pptts:presentation:version:');
+
+  test('lists summaries newest first without loading the decks', async () => {
+    await saveAt(NOW - 2 * DAY, 'First draft');
+    await saveAt(NOW - DAY, 'Hourly snapshot', 'auto');
+    const load = jest.spyOn(adapter, 'load');
+
+    const versions = await listPresentationVersions('a');
+    expect(versions).toEqual([
+      { id: expect.any(String), name: 'Hourly snapshot', kind: 'auto', createdAt: NOW - DAY, slideCount: 2 },
+      { id: expect.any(String), name: 'First draft', kind: 'manual', createdAt: NOW - 2 * DAY, slideCount: 2 }
+    ]);
+    expect(load.mock.calls.map(([key]) => key).filter(isVersionRecord)).toEqual([]);
+  });
+
+  test('loads the full deck of a version to restore it', async () => {
+    const saved = await saveAt(NOW, 'First draft');
+    const version = await loadPresentationVersion('a', saved.id);
+    expect(version).toMatchObject({ name: 'First draft', slides: SLIDES, design: DESIGN });
+    expect(await loadPresentationVersion('a', 'ver-missing')).toBeNull();
+  });
+
+  test('prunes automatic snapshots beyond the limit and keeps named versions', async () => {
+    const named = await saveAt(NOW - 100 * DAY, 'Named');
+    const autos = [];
+    for (let index = 0; index <= AUTO_VERSION_LIMIT; index += 1) {
+      autos.push(await saveAt(NOW - (AUTO_VERSION_LIMIT - index) * DAY, 'Hourly snapshot', 'auto'));
+    }
+
+    const versions = await listPresentationVersions('a');
+    expect(versions).toHaveLength(AUTO_VERSION_LIMIT + 1);
+    expect(ids(versions)).toContain(named.id);
+    expect(ids(versions)).not.toContain(autos[0].id);
+    expect(await loadPresentationVersion('a', autos[0].id)).toBeNull();
+    expect(await loadPresentationVersion('a', named.id)).not.toBeNull();
+  });
+
+  test('deleting a version removes it from the list and storage', async () => {
+    const first = await saveAt(NOW - DAY, 'First draft');
+    const second = await saveAt(NOW, 'Second draft');
+    await deletePresentationVersion('a', first.id);
+    expect(ids(await listPresentationVersions('a'))).toEqual([second.id]);
+    expect(await loadPresentationVersion('a', first.id)).toBeNull();
+  });
+
+  test('purging a presentation deletes its versions', async () => {
+    const saved = await saveAt(NOW, 'First draft');
+    await deletePresentation('a');
+    await purgePresentation('a');
+    expect(await listPresentationVersions('a')).toEqual([]);
+    expect(await loadPresentationVersion('a', saved.id)).toBeNull();
+  });
+
+  test('builds the list for versions saved before the index existed', async () => {
+    await adapter.save('pptts:presentation:version:a:ver-old', {
+      id: 'ver-old',
+      name: 'Old version',
+      kind: 'manual',
+      createdAt: NOW - DAY,
+      slides: SLIDES
+    });
+    expect(await listPresentationVersions('a')).toEqual([
+      { id: 'ver-old', name: 'Old version', kind: 'manual', createdAt: NOW - DAY, slideCount: 2 }
+    ]);
+    const saved = await saveAt(NOW, 'New version');
+    expect(ids(await listPresentationVersions('a'))).toEqual([saved.id, 'ver-old']);
+  });
+});
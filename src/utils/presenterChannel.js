@@ -0,0 +1,59 @@
+// The audience slideshow and the presenter console run in separate windows of
+// the same origin and talk over a BroadcastChannel scoped to the presentation.
+
+const CHANNEL_PREFIX = 'pptts:slideshow:';
+
+export const PRESENTER_QUERY_PARAM = 'presenter';
+
+export const SLIDESHOW_MESSAGES = {
+  presenterReady: 'presenter-ready',
+  slides: 'slides',
+  state: 'state',
+  // `next`/`previous` step through builds like the slideshow keys; `goTo`
+  // jumps straight to a slide.
+  next: 'next',
+  previous: 'previous',
+  goTo: 'go-to',
+  togglePause: 'toggle-pause',
+  end: 'end'
+};
+
+export const isBroadcastChannelSupported = () =>
+  typeof window !== 'undefined' && typeof window.BroadcastChannel === 'function';
+
+export const createSlideshowChannel = (presentationId, onMessage) => {
+  if (!presentationId || !isBroadcastChannelSupported()) {
+    return null;
+  }
+  const channel = new window.BroadcastChannel(`${CHANNEL_PREFIX}${presentationId}`);
+  channel.onmessage = (event) => {
+    if (event.data?.type) {
+      onMessage?.(event.data);
+    }
+  };
+  return {
+    post: (type, payload = {}) => {
+      try {
+        channel.postMessage({ ...payload, type });
+      } catch (error) {
+        console.warn('Failed to sync slideshow window', error);
+      }
+    },
+    close: () => channel.close()
+  };
+};
+
+export const getPresenterPresentationId = () => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  return new URLSearchParams(window.location.search).get(PRESENTER_QUERY_PARAM);
+};
+
+export const openPresenterWindow = (presentationId) => {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  url.searchParams.set(PRESENTER_QUERY_PARAM, presentationId);
+  return window.open(url.toString(), `pptts-presenter-${presentationId}`, 'popup,width=1200,height=760');
+};
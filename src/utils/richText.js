@@ -0,0 +1,299 @@
+import { formatListNumber, getBulletStyle, getNumberStyle } from './listStyles';
+
+const pxToPoints = (value) => Number(((Number(value) || 0) * 0.75).toFixed(2));
+
+const primaryFontFamily = (fontFamily) =>
+  String(fontFamily || '').split(',')[0].replace(/["']/g, '').trim();
+
+const HEADING_SCALE = {
+  h1: 2,
+  h2: 1.5,
+  h3: 1.17,
+  h4: 1,
+  h5: 0.83,
+  h6: 0.67
+};
+
+const PARAGRAPH_TAGS = new Set(['p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre']);
+
+const cssColorToHex = (value) => {
+  if (!value) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  if (trimmed.startsWith('#')) {
+    let hex = trimmed.slice(1);
+    if (hex.length === 3) {
+      hex = hex.split('').map((char) => char + char).join('');
+    }
+    return /^[0-9a-f]{6}$/i.test(hex) ? hex.toUpperCase() : null;
+  }
+  const match = trimmed.match(/^rgba?\(([^)]+)\)/i);
+  if (!match) {
+    return null;
+  }
+  const channels = match[1].split(/[\s,/]+/).filter(Boolean).slice(0, 3).map(Number);
+  if (channels.length < 3 || channels.some((channel) => !Number.isFinite(channel))) {
+    return null;
+  }
+  return channels
+    .map((channel) => Math.max(0, Math.min(255, Math.round(channel))).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+};
+
+const cssFontSizeToPoints = (value, currentPoints) => {
+  const match = String(value || '').trim().match(/^([\d.]+)\s*(px|pt|em|rem|%)?$/i);
+  if (!match) {
+    return null;
+  }
+  const numeric = Number(match[1]);
+  if (!Number.isFinite(numeric) || numeric <= 0) {
+    return null;
+  }
+  const unit = (match[2] || 'px').toLowerCase();
+  if (unit === 'pt') {
+    return numeric;
+  }
+  if (unit === 'em' || unit === 'rem') {
+    return Number((numeric * currentPoints).toFixed(2));
+  }
+  if (unit === '%') {
+    return Number(((numeric / 100) * currentPoints).toFixed(2));
+  }
+  return pxToPoints(numeric);
+};
+
+const applyInlineStyle = (node, style) => {
+  const next = { ...style };
+  const tag = node.tagName.toLowerCase();
+
+  if (tag === 'strong' || tag === 'b') {
+    next.bold = true;
+  } else if (tag === 'em' || tag === 'i') {
+    next.italic = true;
+  } else if (tag === 'u') {
+    next.underline = true;
+  } else if (tag === 's' || tag === 'strike' || tag === 'del') {
+    next.strike = true;
+  } else if (tag === 'sup') {
+    next.superscript = true;
+  } else if (tag === 'sub') {
+    next.subscript = true;
+  }
+
+  const inline = node.style;
+  if (!inline) {
+    return next;
+  }
+  const color = cssColorToHex(inline.color);
+  if (color) {
+    next.color = color;
+  }
+  const fontSize = cssFontSizeToPoints(inline.fontSize, next.fontSize);
+  if (fontSize) {
+    next.fontSize = fontSize;
+  }
+  if (inline.fontFamily) {
+    next.fontFace = primaryFontFamily(inline.fontFamily) || next.fontFace;
+  }
+  if (inline.fontWeight) {
+    next.bold = inline.fontWeight === 'bold' || Number(inline.fontWeight) >= 600;
+  }
+  if (inline.fontStyle) {
+    next.italic = inline.fontStyle === 'italic';
+  }
+  const decoration = `${inline.textDecoration || ''} ${inline.textDecorationLine || ''}`;
+  if (decoration.includes('underline')) {
+    next.underline = true;
+  }
+  if (decoration.includes('line-through')) {
+    next.strike = true;
+  }
+  return next;
+};
+
+
+// Flattens TipTap HTML into paragraphs of styled runs. List items become
+// paragraphs carrying the bullet/numbering and nesting depth of their list.
+const collectParagraphs = (root, baseStyle, baseAlign) => {
+  const paragraphs = [];
+  let current = null;
+
+  const startParagraph = (attributes) => {
+    current = { ...attributes, runs: [] };
+    paragraphs.push(current);
+    return current;
+  };
+
+  const closeParagraph = () => {
+    current = null;
+  };
+
+  const resolveAlign = (node, fallback) => {
+    const value = (node.style?.textAlign || node.getAttribute?.('align') || '').toLowerCase();
+    return ['left', 'center', 'right', 'justify'].includes(value) ? value : fallback;
+  };
+
+  const walk = (node, style, context) => {
+    if (node.nodeType === 3) {
+      const text = node.textContent.replace(/\u00a0/g, ' ').replace(/[\r\n\t]+/g, ' ');
+      if (!text) {
+        return;
+      }
+      if (!current) {
+        if (!text.trim()) {
+          return;
+        }
+        startParagraph({ align: context.align, indentLevel: context.indentLevel });
+      }
+      current.runs.push({ text, style, softBreakBefore: context.pendingBreak });
+      context.pendingBreak = false;
+      return;
+    }
+    if (node.nodeType !== 1) {
+      return;
+    }
+
+    const tag = node.tagName.toLowerCase();
+
+    if (tag === 'br') {
+      if (!current) {
+        startParagraph({ align: context.align, indentLevel: context.indentLevel });
+      }
+      if (context.pendingBreak) {
+        current.runs.push({ text: '', style, softBreakBefore: true });
+      }
+      context.pendingBreak = true;
+      return;
+    }
+
+    if (tag === 'ul' || tag === 'ol') {
+      closeParagraph();
+      const listContext = {
+        ...context,
+        list: {
+          ordered: tag === 'ol',
+          startAt: Number(node.getAttribute('start')) || 1,
+          styleKey:
+            tag === 'ol'
+              ? getNumberStyle(node.getAttribute('type')).key
+              : getBulletStyle(node.getAttribute('data-bullet-style'), context.listDepth + 1).key,
+          count: 0
+        },
+        listDepth: context.listDepth + 1
+      };
+      Array.from(node.childNodes).forEach((child) => walk(child, style, listContext));
+      closeParagraph();
+      return;
+    }
+
+    if (tag === 'li') {
+      closeParagraph();
+      const itemContext = {
+        ...context,
+        align: resolveAlign(node, context.align),
+        indentLevel: Math.max(0, context.listDepth - 1),
+        pendingBreak: false
+      };
+      const attributes = {
+        align: itemContext.align,
+        indentLevel: itemContext.indentLevel,
+        bullet: context.list
+          ? context.list.ordered
+            ? {
+                type: 'number',
+                startAt: context.list.startAt,
+                style: getNumberStyle(context.list.styleKey).scheme
+              }
+            : { characterCode: getBulletStyle(context.list.styleKey).code }
+          : undefined,
+        listNumber: context.list?.ordered ? context.list.startAt + context.list.count : undefined,
+        listStyle: context.list?.styleKey
+      };
+      if (context.list) {
+        context.list.count += 1;
+      }
+      startParagraph(attributes);
+      Array.from(node.childNodes).forEach((child) => {
+        const childTag = child.nodeType === 1 ? child.tagName.toLowerCase() : '';
+        if (PARAGRAPH_TAGS.has(childTag)) {
+          // TipTap wraps list item text in <p>; the first one stays on the bullet line.
+          if (!current || current.runs.length) {
+            startParagraph({ align: itemContext.align, indentLevel: itemContext.indentLevel });
+          }
+          const paragraphContext = { ...itemContext, align: resolveAlign(child, itemContext.align) };
+          current.align = paragraphContext.align;
+          Array.from(child.childNodes).forEach((grandChild) =>
+            walk(grandChild, applyInlineStyle(child, style), paragraphContext)
+          );
+          return;
+        }
+        walk(child, style, itemContext);
+      });
+      closeParagraph();
+      return;
+    }
+
+    if (PARAGRAPH_TAGS.has(tag)) {
+      closeParagraph();
+      const paragraphStyle = HEADING_SCALE[tag]
+        ? {
+            ...style,
+            bold: true,
+            fontSize: Number((style.fontSize * HEADING_SCALE[tag]).toFixed(2))
+          }
+        : style;
+      const paragraphContext = {
+        ...context,
+        align: resolveAlign(node, context.align),
+        pendingBreak: false
+      };
+      startParagraph({ align: paragraphContext.align, indentLevel: context.indentLevel });
+      Array.from(node.childNodes).forEach((child) =>
+        walk(child, applyInlineStyle(node, paragraphStyle), paragraphContext)
+      );
+      closeParagraph();
+      return;
+    }
+
+    const inlineStyle = applyInlineStyle(node, style);
+    Array.from(node.childNodes).forEach((child) => walk(child, inlineStyle, context));
+  };
+
+  Array.from(root.childNodes).forEach((child) =>
+    walk(child, baseStyle, { align: baseAlign, indentLevel: 0, listDepth: 0, pendingBreak: false })
+  );
+
+  return paragraphs;
+};
+
+
+// Parses editor HTML into `{ align, indentLevel, bullet, listNumber, listStyle, runs: [{ text, style, softBreakBefore }] }`
+// paragraphs. Styles extend `baseStyle` and carry font sizes in points.
+export const parseRichTextParagraphs = (html, baseStyle, baseAlign = 'left') => {
+  if (!html || typeof html !== 'string' || typeof DOMParser === 'undefined') {
+    return [];
+  }
+
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  const paragraphs = collectParagraphs(doc.body, baseStyle, baseAlign);
+  const hasText = (paragraph) => paragraph.runs.some((run) => run.text.trim());
+  while (paragraphs.length && !hasText(paragraphs[paragraphs.length - 1])) {
+    paragraphs.pop();
+  }
+  while (paragraphs.length && !hasText(paragraphs[0])) {
+    paragraphs.shift();
+  }
+  return paragraphs;
+};
+
+// Marker written before a list paragraph, e.g. "•" or "iii.".
+export const getListMarker = (paragraph) => {
+  if (!paragraph?.bullet) {
+    return null;
+  }
+  return paragraph.listNumber
+    ? `${formatListNumber(paragraph.listNumber, paragraph.listStyle)}.`
+    : getBulletStyle(paragraph.listStyle).symbol;
+};
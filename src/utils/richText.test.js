@@ -0,0 +1,53 @@
+import { getListMarker, parseRichTextParagraphs } from './richText';
+
+const BASE_STYLE = { fontSize: 12, fontFace: 'Inter', color: '111111' };
+
+const texts = (paragraph) => paragraph.runs.map((run) => run.text).join('');
+
+describe('parseRichTextParagraphs', () => {
+  test('splits paragraphs and keeps inline styles', () => {
+    const paragraphs = parseRichTextParagraphs(
+      '<p style="text-align: center">Plain <strong>bold</strong> <span style="color: rgb(255, 0, 0); font-size: 32px">red</span></p>' +
+        '<p><em>Second</em><br>line</p>',
+      BASE_STYLE
+    );
+    expect(paragraphs).toHaveLength(2);
+    const [first, second] = paragraphs;
+    expect(first.align).toBe('center');
+    expect(first.runs.map((run) => run.text)).toEqual(['Plain ', 'bold', ' ', 'red']);
+    expect(first.runs[1].style).toEqual({ ...BASE_STYLE, bold: true });
+    expect(first.runs[3].style).toEqual({ ...BASE_STYLE, color: 'FF0000', fontSize: 24 });
+    expect(second.runs).toEqual([
+      { text: 'Second', style: { ...BASE_STYLE, italic: true }, softBreakBefore: false },
+      { text: 'line', style: BASE_STYLE, softBreakBefore: true }
+    ]);
+  });
+
+  test('scales headings and makes them bold', () => {
+    const [heading] = parseRichTextParagraphs('<h1>Title</h1>', BASE_STYLE);
+    expect(heading.runs[0].style).toMatchObject({ bold: true, fontSize: 24 });
+  });
+
+  test('turns list items into paragraphs with bullets and nesting', () => {
+    const paragraphs = parseRichTextParagraphs(
+      '<ul><li><p>One</p><ul><li><p>Nested</p></li></ul></li></ul><ol start="3" type="i"><li><p>Three</p></li></ol>',
+      BASE_STYLE
+    );
+    expect(paragraphs.map((paragraph) => [texts(paragraph), paragraph.indentLevel, getListMarker(paragraph)])).toEqual([
+      ['One', 0, '•'],
+      ['Nested', 1, '◦'],
+      ['Three', 0, 'iii.']
+    ]);
+    expect(paragraphs[2].bullet).toEqual({ type: 'number', startAt: 3, style: 'romanLcPeriod' });
+  });
+
+  test('drops empty paragraphs at the start and end', () => {
+    const paragraphs = parseRichTextParagraphs('<p></p><p>Body</p><p> </p>', BASE_STYLE);
+    expect(paragraphs.map(texts)).toEqual(['Body']);
+    expect(parseRichTextParagraphs('', BASE_STYLE)).toEqual([]);
+  });
+});
+
+test('getListMarker is empty for plain paragraphs', () => {
+  expect(getListMarker({ runs: [] })).toBeNull();
+});
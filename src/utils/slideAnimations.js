@@ -0,0 +1,114 @@
+export const ANIMATION_KINDS = [
+  { value: 'entrance', label: 'Entrance' },
+  { value: 'emphasis', label: 'Emphasis' },
+  { value: 'exit', label: 'Exit' }
+];
+
+export const ANIMATION_EFFECTS = [
+  { value: 'fade', label: 'Fade' },
+  { value: 'fly', label: 'Fly' },
+  { value: 'wipe', label: 'Wipe' },
+  { value: 'zoom', label: 'Zoom' }
+];
+
+export const ANIMATION_TRIGGERS = [
+  { value: 'onClick', label: 'On click' },
+  { value: 'withPrevious', label: 'With previous' },
+  { value: 'afterPrevious', label: 'After previous' }
+];
+
+export const DEFAULT_ANIMATION_DURATION = 500;
+export const MIN_ANIMATION_DURATION = 100;
+export const MAX_ANIMATION_DURATION = 10000;
+
+const KIND_VALUES = ANIMATION_KINDS.map((option) => option.value);
+const EFFECT_VALUES = ANIMATION_EFFECTS.map((option) => option.value);
+const TRIGGER_VALUES = ANIMATION_TRIGGERS.map((option) => option.value);
+
+export const clampAnimationDuration = (value) => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) {
+    return DEFAULT_ANIMATION_DURATION;
+  }
+  return Math.round(Math.min(Math.max(numeric, MIN_ANIMATION_DURATION), MAX_ANIMATION_DURATION));
+};
+
+export const createAnimation = (elementId, overrides = {}) => ({
+  id: `anim-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  elementId,
+  kind: 'entrance',
+  effect: 'fade',
+  trigger: 'onClick',
+  duration: DEFAULT_ANIMATION_DURATION,
+  ...overrides
+});
+
+const normalizeAnimation = (animation) => ({
+  ...animation,
+  kind: KIND_VALUES.includes(animation.kind) ? animation.kind : 'entrance',
+  effect: EFFECT_VALUES.includes(animation.effect) ? animation.effect : 'fade',
+  trigger: TRIGGER_VALUES.includes(animation.trigger) ? animation.trigger : 'onClick',
+  duration: clampAnimationDuration(animation.duration ?? DEFAULT_ANIMATION_DURATION)
+});
+
+// Animations live on the slide in playback order and target top-level
+// elements; entries whose element has been deleted or grouped are ignored.
+export const getSlideAnimations = (slide) => {
+  const ids = new Set((slide?.content || []).map((element) => element.id));
+  return (Array.isArray(slide?.animations) ? slide.animations : [])
+    .filter((animation) => animation && ids.has(animation.elementId))
+    .map(normalizeAnimation);
+};
+
+export const hasSlideAnimations = (slide) => getSlideAnimations(slide).length > 0;
+
+// Splits the animations into build steps. Step 0 holds the effects that run
+// as soon as the slide appears; every "on click" effect starts a new step.
+// `delay` is the offset from the start of the step.
+export const getAnimationSteps = (slide) => {
+  const steps = [{ animations: [], duration: 0 }];
+  let previousStart = 0;
+  getSlideAnimations(slide).forEach((animation) => {
+    if (animation.trigger === 'onClick') {
+      steps.push({ animations: [], duration: 0 });
+    }
+    const step = steps[steps.length - 1];
+    let delay = 0;
+    if (animation.trigger === 'withPrevious' && step.animations.length) {
+      delay = previousStart;
+    } else if (animation.trigger === 'afterPrevious') {
+      delay = step.duration;
+    }
+    previousStart = delay;
+    step.animations.push({ ...animation, delay });
+    step.duration = Math.max(step.duration, delay + animation.duration);
+  });
+  return steps;
+};
+
+export const getBuildStepCount = (slide) => getAnimationSteps(slide).length - 1;
+
+// Visibility of every animated element once `step` has been reached. With
+// `animate`, effects of that step are returned so the renderer can play them;
+// exiting elements stay visible until their exit effect has run.
+export const getBuildState = (slide, step, { animate = true } = {}) => {
+  const steps = getAnimationSteps(slide);
+  const lastStep = Math.max(0, Math.min(step, steps.length - 1));
+  const state = {};
+  steps.flatMap((entry) => entry.animations).forEach((animation) => {
+    if (!state[animation.elementId]) {
+      state[animation.elementId] = { hidden: animation.kind === 'entrance', animation: null };
+    }
+  });
+  steps.slice(0, lastStep + 1).forEach((entry, index) => {
+    const isPlaying = animate && index === lastStep;
+    entry.animations.forEach((animation) => {
+      const elementState = state[animation.elementId];
+      if (animation.kind !== 'emphasis') {
+        elementState.hidden = animation.kind === 'exit' && !isPlaying;
+      }
+      elementState.animation = isPlaying ? animation : null;
+    });
+  });
+  return state;
+};
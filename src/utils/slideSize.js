@@ -0,0 +1,122 @@
+import { scaleElementsToBox } from './elementGroups';
+
+// Slide sizes are stored in canvas pixels at 96 px per inch, so the exporters
+// can keep converting coordinates with a fixed ratio.
+export const PIXELS_PER_INCH = 96;
+
+export const SLIDE_SIZE_PRESETS = [
+  { value: 'widescreen', label: 'Widescreen (16:9)', width: 960, height: 540 },
+  { value: 'standard', label: 'Standard (4:3)', width: 960, height: 720 },
+  { value: 'a4', label: 'A4 paper', width: 1040, height: 720 },
+  { value: 'custom', label: 'Custom' }
+];
+
+export const MIN_SLIDE_DIMENSION = PIXELS_PER_INCH;
+export const MAX_SLIDE_DIMENSION = PIXELS_PER_INCH * 56;
+
+export const DEFAULT_SLIDE_SIZE = { preset: 'widescreen', width: 960, height: 540 };
+
+export const SLIDE_RESIZE_MODES = [
+  { value: 'scale', label: 'Scale content to fit' },
+  { value: 'reposition', label: 'Keep element sizes, move them to match' },
+  { value: 'none', label: 'Leave elements where they are' }
+];
+
+const clampDimension = (value, fallback) => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric <= 0) {
+    return fallback;
+  }
+  return Math.round(Math.min(Math.max(numeric, MIN_SLIDE_DIMENSION), MAX_SLIDE_DIMENSION));
+};
+
+export const normalizeSlideSize = (size) => {
+  const preset = SLIDE_SIZE_PRESETS.find((option) => option.value === size?.preset);
+  if (preset && preset.value !== 'custom') {
+    return { preset: preset.value, width: preset.width, height: preset.height };
+  }
+  if (!size) {
+    return DEFAULT_SLIDE_SIZE;
+  }
+  const width = clampDimension(size.width, DEFAULT_SLIDE_SIZE.width);
+  const height = clampDimension(size.height, DEFAULT_SLIDE_SIZE.height);
+  const match = SLIDE_SIZE_PRESETS.find((option) => option.width === width && option.height === height);
+  return { preset: match ? match.value : 'custom', width, height };
+};
+
+export const isSameSlideSize = (a, b) => a?.width === b?.width && a?.height === b?.height;
+
+export const formatSlideSize = (size) => {
+  const inches = (value) => Number((value / PIXELS_PER_INCH).toFixed(2));
+  return `${inches(size.width)} × ${inches(size.height)} in`;
+};
+
+const scaleFontSize = (size, factor) => Math.max(1, Math.round(size * factor));
+
+// Sizes set on part of the text are stored as inline `font-size` styles in
+// the rich text HTML. Relative units follow the element size and are left as
+// they are.
+const scaleInlineFontSizes = (html, factor) =>
+  html.replace(/font-size:\s*(\d+(?:\.\d+)?)(px|pt)/gi, (match, size, unit) =>
+    `font-size: ${scaleFontSize(Number(size), factor)}${unit}`
+  );
+
+const scaleFontSizes = (elements, factor) =>
+  elements.map((element) => {
+    const scaled = { ...element };
+    if (Number.isFinite(element.fontSize)) {
+      scaled.fontSize = scaleFontSize(element.fontSize, factor);
+    }
+    if (typeof element.text === 'string') {
+      scaled.text = scaleInlineFontSizes(element.text, factor);
+    }
+    if (Array.isArray(element.cells)) {
+      scaled.cells = element.cells.map((row) =>
+        row.map((cell) =>
+          typeof cell?.text === 'string' ? { ...cell, text: scaleInlineFontSizes(cell.text, factor) } : cell
+        )
+      );
+    }
+    if (Array.isArray(element.children)) {
+      scaled.children = scaleFontSizes(element.children, factor);
+    }
+    return scaled;
+  });
+
+// "scale" shrinks or grows everything uniformly and centres it on the new
+// canvas; "reposition" keeps each element's size and moves its centre to the
+// same relative spot, inside the slide where it fits.
+const resizeContent = (content, from, to, mode) => {
+  if (mode === 'scale') {
+    const factor = Math.min(to.width / from.width, to.height / from.height);
+    const box = {
+      x: (to.width - from.width * factor) / 2,
+      y: (to.height - from.height * factor) / 2,
+      width: from.width * factor,
+      height: from.height * factor
+    };
+    return scaleFontSizes(
+      scaleElementsToBox(content, { x: 0, y: 0, width: from.width, height: from.height }, box),
+      factor
+    );
+  }
+  return content.map((element) => {
+    const width = Number(element.width) || 0;
+    const height = Number(element.height) || 0;
+    const centerX = ((Number(element.x) || 0) + width / 2) * (to.width / from.width);
+    const centerY = ((Number(element.y) || 0) + height / 2) * (to.height / from.height);
+    const fit = (start, size, limit) => (size <= limit ? Math.min(Math.max(start, 0), limit - size) : start);
+    return {
+      ...element,
+      x: Math.round(fit(centerX - width / 2, width, to.width)),
+      y: Math.round(fit(centerY - height / 2, height, to.height))
+    };
+  });
+};
+
+export const resizeSlides = (slides, from, to, mode) => {
+  if (isSameSlideSize(from, to) || mode === 'none') {
+    return slides;
+  }
+  return slides.map((slide) => ({ ...slide, content: resizeContent(slide.content || [], from, to, mode) }));
+};
@@ -0,0 +1,68 @@
+import { DEFAULT_SLIDE_SIZE, formatSlideSize, normalizeSlideSize, resizeSlides } from './slideSize';
+
+const WIDESCREEN = normalizeSlideSize({ preset: 'widescreen' });
+const STANDARD = normalizeSlideSize({ preset: 'standard' });
+
+const slide = (content) => ({ id: 's1', content });
+
+describe('normalizeSlideSize', () => {
+  test('uses the preset dimensions', () => {
+    expect(normalizeSlideSize({ preset: 'a4', width: 10, height: 10 })).toEqual({ preset: 'a4', width: 1040, height: 720 });
+    expect(normalizeSlideSize(undefined)).toBe(DEFAULT_SLIDE_SIZE);
+  });
+
+  test('recognises preset sizes and clamps custom ones', () => {
+    expect(normalizeSlideSize({ width: 960, height: 720 })).toEqual(STANDARD);
+    expect(normalizeSlideSize({ width: 1280, height: 10 })).toEqual({ preset: 'custom', width: 1280, height: 96 });
+    expect(normalizeSlideSize({ width: 'wide', height: 99999 })).toEqual({ preset: 'custom', width: 960, height: 5376 });
+  });
+
+  test('formats the size in inches', () => {
+    expect(formatSlideSize(WIDESCREEN)).toBe('10 × 5.63 in');
+  });
+});
+
+describe('resizeSlides', () => {
+  const slides = [
+    slide([
+      { id: 'a', type: 'text', x: 0, y: 0, width: 480, height: 270, fontSize: 20 },
+      { id: 'b', type: 'shape', x: 860, y: 440, width: 100, height: 100 }
+    ])
+  ];
+
+  test('leaves slides alone when the size is unchanged or the mode is none', () => {
+    expect(resizeSlides(slides, WIDESCREEN, { ...WIDESCREEN }, 'scale')).toBe(slides);
+    expect(resizeSlides(slides, WIDESCREEN, STANDARD, 'none')).toBe(slides);
+  });
+
+  test('scales content uniformly and centres it', () => {
+    const [resized] = resizeSlides(slides, STANDARD, WIDESCREEN, 'scale');
+    expect(resized.content[0]).toMatchObject({ x: 120, y: 0, width: 360, height: 203, fontSize: 15 });
+  });
+
+  test('scales inline font sizes in text, table cells and groups', () => {
+    const text = '<p>Plain <span style="font-size: 40px">big</span> <span style="color: red; font-size:18pt">pt</span> <span style="font-size: 150%">relative</span></p>';
+    const [resized] = resizeSlides(
+      [
+        slide([
+          { id: 'text', type: 'text', x: 0, y: 0, width: 480, height: 270, fontSize: 20, text },
+          { id: 'table', type: 'table', x: 0, y: 300, width: 400, height: 80, fontSize: 16, cells: [[{ text: '<p><span style="font-size: 24px">A</span></p>' }]] },
+          { id: 'group', type: 'group', x: 500, y: 0, width: 200, height: 100, children: [{ id: 'child', type: 'text', x: 0, y: 0, width: 200, height: 100, text }] }
+        ])
+      ],
+      STANDARD,
+      WIDESCREEN,
+      'scale'
+    );
+    const expected = '<p>Plain <span style="font-size: 30px">big</span> <span style="color: red; font-size: 14pt">pt</span> <span style="font-size: 150%">relative</span></p>';
+    expect(resized.content[0].text).toBe(expected);
+    expect(resized.content[1]).toMatchObject({ fontSize: 12, cells: [[{ text: '<p><span style="font-size: 18px">A</span></p>' }]] });
+    expect(resized.content[2].children[0].text).toBe(expected);
+  });
+
+  test('keeps sizes and moves elements to the same relative spot', () => {
+    const [resized] = resizeSlides(slides, WIDESCREEN, STANDARD, 'reposition');
+    expect(resized.content[0]).toMatchObject({ x: 0, y: 45, width: 480, height: 270, fontSize: 20 });
+    expect(resized.content[1]).toMatchObject({ x: 860, y: 603, width: 100, height: 100 });
+  });
+});
@@ -0,0 +1,49 @@
+export const ADVANCE_MODES = [
+  { value: 'manual', label: 'Manually' },
+  { value: 'timed', label: 'Using slide timings' },
+  { value: 'kiosk', label: 'Kiosk (loop continuously)' }
+];
+
+export const DEFAULT_SLIDE_DURATION = 5000;
+export const MIN_SLIDE_DURATION = 1000;
+export const MAX_SLIDE_DURATION = 60 * 60 * 1000;
+
+export const DEFAULT_PLAYBACK_SETTINGS = { advance: 'timed' };
+
+const ADVANCE_VALUES = ADVANCE_MODES.map((option) => option.value);
+
+export const normalizePlaybackSettings = (settings) => ({
+  ...DEFAULT_PLAYBACK_SETTINGS,
+  ...(settings && ADVANCE_VALUES.includes(settings.advance) ? { advance: settings.advance } : {})
+});
+
+export const clampSlideDuration = (value) => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) {
+    return DEFAULT_SLIDE_DURATION;
+  }
+  return Math.round(Math.min(Math.max(numeric, MIN_SLIDE_DURATION), MAX_SLIDE_DURATION));
+};
+
+// Slides without their own timing advance after the default duration.
+export const getSlideDuration = (slide) =>
+  slide?.advanceAfter ? clampSlideDuration(slide.advanceAfter) : DEFAULT_SLIDE_DURATION;
+
+export const formatDuration = (milliseconds) => {
+  const totalSeconds = Math.max(0, Math.round((Number(milliseconds) || 0) / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+// A rehearsal adds up the time each slide is on screen while the show is
+// running; revisiting a slide adds to its total.
+export const createRehearsal = () => ({ durations: {}, slideId: null, enteredAt: null });
+
+export const recordRehearsal = (rehearsal, slideId, now, isRunning) => {
+  const durations = { ...rehearsal.durations };
+  if (rehearsal.slideId !== null && rehearsal.enteredAt !== null) {
+    durations[rehearsal.slideId] = (durations[rehearsal.slideId] || 0) + (now - rehearsal.enteredAt);
+  }
+  return { durations, slideId, enteredAt: isRunning ? now : null };
+};
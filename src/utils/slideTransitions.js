@@ -0,0 +1,32 @@
+export const TRANSITION_TYPES = [
+  { value: 'none', label: 'None' },
+  { value: 'fade', label: 'Fade' },
+  { value: 'push', label: 'Push' },
+  { value: 'wipe', label: 'Wipe' },
+  { value: 'zoom', label: 'Zoom' }
+];
+
+export const DEFAULT_TRANSITION_DURATION = 700;
+export const MIN_TRANSITION_DURATION = 100;
+export const MAX_TRANSITION_DURATION = 5000;
+
+const TRANSITION_VALUES = new Set(TRANSITION_TYPES.map((option) => option.value));
+
+export const clampTransitionDuration = (value) => {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) {
+    return DEFAULT_TRANSITION_DURATION;
+  }
+  return Math.round(Math.min(Math.max(numeric, MIN_TRANSITION_DURATION), MAX_TRANSITION_DURATION));
+};
+
+// Slides without a transition, or with an unknown type, change instantly.
+export const getSlideTransition = (slide) => {
+  const type = slide?.transition?.type;
+  return {
+    type: TRANSITION_VALUES.has(type) ? type : 'none',
+    duration: clampTransitionDuration(slide?.transition?.duration ?? DEFAULT_TRANSITION_DURATION)
+  };
+};
+
+export const hasSlideTransition = (slide) => getSlideTransition(slide).type !== 'none';
@@ -0,0 +1,186 @@
+// Storage adapters share one async interface so the persistence layer can swap
+// backends: `load(key)`, `save(key, value)`, `delete(key)` and `list(prefix)`.
+// Values are plain objects; each adapter wraps them in a versioned envelope.
+
+const STORAGE_VERSION = '1';
+
+const DB_NAME = 'pptts';
+const DB_VERSION = 1;
+const STORE_NAME = 'records';
+
+const wrapValue = (value) => ({ version: STORAGE_VERSION, value });
+
+const unwrapValue = (record, fallback = null) => {
+  if (record && typeof record === 'object' && record.version === STORAGE_VERSION) {
+    return record.value;
+  }
+  return fallback;
+};
+
+export const isQuotaExceededError = (error) => {
+  if (!error) {
+    return false;
+  }
+  return (
+    error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    error.code === 1014
+  );
+};
+
+export const isLocalStorageAvailable = () => {
+  try {
+    return typeof window !== 'undefined' && Boolean(window.localStorage);
+  } catch (error) {
+    return false;
+  }
+};
+
+export const isIndexedDbAvailable = () => {
+  try {
+    return typeof window !== 'undefined' && Boolean(window.indexedDB);
+  } catch (error) {
+    return false;
+  }
+};
+
+export const createLocalStorageAdapter = () => ({
+  name: 'localStorage',
+
+  async load(key) {
+    const raw = window.localStorage.getItem(key);
+    if (!raw) {
+      return null;
+    }
+    try {
+      return unwrapValue(JSON.parse(raw));
+    } catch (error) {
+      console.warn('Failed to parse stored presentation data', error);
+      return null;
+    }
+  },
+
+  async save(key, value) {
+    window.localStorage.setItem(key, JSON.stringify(wrapValue(value)));
+  },
+
+  async delete(key) {
+    window.localStorage.removeItem(key);
+  },
+
+  async list(prefix = '') {
+    const keys = [];
+    for (let index = 0; index < window.localStorage.length; index += 1) {
+      const key = window.localStorage.key(index);
+      if (key && key.startsWith(prefix)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+});
+
+// Keeps records for the current page only; used when no persistent storage
+// is available.
+export const createMemoryAdapter = () => {
+  const records = new Map();
+  return {
+    name: 'memory',
+    load: async (key) => (records.has(key) ? records.get(key) : null),
+    save: async (key, value) => {
+      records.set(key, value);
+    },
+    delete: async (key) => {
+      records.delete(key);
+    },
+    list: async (prefix = '') => Array.from(records.keys()).filter((key) => key.startsWith(prefix))
+  };
+};
+
+const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('The presentation database is blocked by another tab.'));
+  });
+
+export const createIndexedDbAdapter = () => {
+  let databasePromise = null;
+
+  const getDatabase = () => {
+    if (!databasePromise) {
+      databasePromise = openDatabase().catch((error) => {
+        databasePromise = null;
+        throw error;
+      });
+    }
+    return databasePromise;
+  };
+
+  const runTransaction = async (mode, operation) => {
+    const db = await getDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('The storage transaction was aborted.'));
+    });
+  };
+
+  return {
+    name: 'indexedDB',
+
+    async load(key) {
+      const record = await runTransaction('readonly', (store) => store.get(key));
+      return unwrapValue(record);
+    },
+
+    async save(key, value) {
+      await runTransaction('readwrite', (store) => store.put(wrapValue(value), key));
+    },
+
+    async delete(key) {
+      await runTransaction('readwrite', (store) => store.delete(key));
+    },
+
+    async list(prefix = '') {
+      const range = prefix ? IDBKeyRange.bound(prefix, `${prefix}\uffff`) : undefined;
+      const keys = await runTransaction('readonly', (store) => store.getAllKeys(range));
+      return keys.map(String);
+    }
+  };
+};
+
+// Copies every record under `prefix` into `target`, then removes it from
+// `source`. Records already present in `target` win, so re-running is safe.
+// Records that `source` cannot read are left where they are. Resolves with
+// the number of records removed from `source`.
+export const migrateStorage = async (source, target, prefix = '') => {
+  const keys = await source.list(prefix);
+  const migrated = [];
+  for (const key of keys) {
+    const existing = await target.load(key);
+    if (existing !== null && existing !== undefined) {
+      migrated.push(key);
+      continue;
+    }
+    const value = await source.load(key);
+    if (value !== null && value !== undefined) {
+      await target.save(key, value);
+      migrated.push(key);
+    }
+  }
+  for (const key of migrated) {
+    await source.delete(key);
+  }
+  return migrated.length;
+};
@@ -0,0 +1,95 @@
+import {
+  createLocalStorageAdapter,
+  createMemoryAdapter,
+  isQuotaExceededError,
+  migrateStorage
+} from './storageAdapters';
+
+beforeEach(() => window.localStorage.clear());
+
+describe('createLocalStorageAdapter', () => {
+  test('saves, loads, lists and deletes records', async () => {
+    const adapter = createLocalStorageAdapter();
+    await adapter.save('pptts:a', { slides: [1] });
+    await adapter.save('pptts:b', { slides: [2] });
+    await adapter.save('other', { slides: [3] });
+
+    expect(await adapter.load('pptts:a')).toEqual({ slides: [1] });
+    expect((await adapter.list('pptts:')).sort()).toEqual(['pptts:a', 'pptts:b']);
+
+    await adapter.delete('pptts:a');
+    expect(await adapter.load('pptts:a')).toBeNull();
+  });
+
+  test('wraps values in a versioned envelope', async () => {
+    const adapter = createLocalStorageAdapter();
+    await adapter.save('key', { value: 1 });
+    expect(JSON.parse(window.localStorage.getItem('key'))).toEqual({ version: '1', value: { value: 1 } });
+  });
+
+  test('treats unparseable and unversioned values as missing', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const adapter = createLocalStorageAdapter();
+    window.localStorage.setItem('broken', '{not json');
+    window.localStorage.setItem('bare', JSON.stringify({ slides: [] }));
+
+    expect(await adapter.load('broken')).toBeNull();
+    expect(await adapter.load('bare')).toBeNull();
+    console.warn.mockRestore();
+  });
+});
+
+describe('migrateStorage', () => {
+  test('moves every record under the prefix', async () => {
+    const source = createMemoryAdapter();
+    const target = createMemoryAdapter();
+    await source.save('data:1', { n: 1 });
+    await source.save('data:2', { n: 2 });
+    await source.save('other', { n: 3 });
+
+    expect(await migrateStorage(source, target, 'data:')).toBe(2);
+    expect(await target.load('data:1')).toEqual({ n: 1 });
+    expect(await target.load('data:2')).toEqual({ n: 2 });
+    expect(await source.list('')).toEqual(['other']);
+  });
+
+  test('keeps records that are already in the target', async () => {
+    const source = createMemoryAdapter();
+    const target = createMemoryAdapter();
+    await source.save('data:1', { n: 'old' });
+    await target.save('data:1', { n: 'new' });
+
+    await migrateStorage(source, target, 'data:');
+    expect(await target.load('data:1')).toEqual({ n: 'new' });
+    expect(await source.list('data:')).toEqual([]);
+  });
+
+  test('leaves records it cannot read in the source', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const source = createLocalStorageAdapter();
+    const target = createMemoryAdapter();
+    window.localStorage.setItem('data:broken', '{not json');
+    await source.save('data:ok', { n: 1 });
+
+    expect(await migrateStorage(source, target, 'data:')).toBe(1);
+    expect(await target.list('data:')).toEqual(['data:ok']);
+    expect(window.localStorage.getItem('data:broken')).toBe('{not json');
+    console.warn.mockRestore();
+  });
+
+  test('keeps the source intact when writing to the target fails', async () => {
+    const source = createMemoryAdapter();
+    await source.save('data:1', { n: 1 });
+    const quotaError = Object.assign(new Error('Storage is full'), { name: 'QuotaExceededError' });
+    const target = {
+      ...createMemoryAdapter(),
+      save: async () => {
+        throw quotaError;
+      }
+    };
+
+    await expect(migrateStorage(source, target, 'data:')).rejects.toBe(quotaError);
+    expect(isQuotaExceededError(quotaError)).toBe(true);
+    expect(await source.load('data:1')).toEqual({ n: 1 });
+  });
+});
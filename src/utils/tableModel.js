@@ -0,0 +1,264 @@
+// Table elements keep a full rows x columns grid in `cells`. A merged cell is
+// the top-left anchor of its span; the cells it covers stay in the grid so row
+// and column edits keep simple indices, but their content is ignored.
+
+export const TABLE_PICKER_SIZE = { rows: 8, columns: 10 };
+export const MIN_COLUMN_FRACTION = 0.04;
+
+const EMPTY_CELL_TEXT = '<p></p>';
+
+const DEFAULT_TABLE_COLORS = {
+  accentColor: '#2563eb',
+  textColor: '#111111'
+};
+
+const createCell = () => ({ text: EMPTY_CELL_TEXT });
+
+const toHex = (value) => Math.round(value).toString(16).padStart(2, '0');
+
+const mixHex = (color, base, ratio) => {
+  const parse = (hex) => {
+    const value = String(hex || '').replace('#', '');
+    return /^[0-9a-f]{6}$/i.test(value)
+      ? [0, 2, 4].map((offset) => parseInt(value.slice(offset, offset + 2), 16))
+      : null;
+  };
+  const from = parse(color);
+  const to = parse(base);
+  if (!from || !to) {
+    return color;
+  }
+  return `#${from.map((channel, index) => toHex(channel + (to[index] - channel) * ratio)).join('')}`;
+};
+
+export const isEmptyCellText = (text) => !String(text || '').replace(/<[^>]+>/g, '').trim();
+
+export const getTableSize = (table) => ({
+  rows: table?.cells?.length || 0,
+  columns: table?.cells?.[0]?.length || 0
+});
+
+export const createTableElement = ({ id, x, y, rows, columns, design = {} }) => ({
+  id,
+  type: 'table',
+  x,
+  y,
+  width: Math.min(columns * 120, 800),
+  height: rows * 40,
+  columnWidths: Array.from({ length: columns }, () => 1 / columns),
+  cells: Array.from({ length: rows }, () => Array.from({ length: columns }, createCell)),
+  headerRow: true,
+  bandedRows: true,
+  fontSize: 16,
+  accentColor: design.accentColor || DEFAULT_TABLE_COLORS.accentColor,
+  textColor: design.textColor || DEFAULT_TABLE_COLORS.textColor
+});
+
+// Fill and text colours derived from the table's accent, so a design change
+// restyles the header and banded rows together.
+export const getTableColors = (table) => {
+  const accent = table?.accentColor || DEFAULT_TABLE_COLORS.accentColor;
+  return {
+    headerFill: accent,
+    headerText: '#ffffff',
+    bandFill: mixHex(accent, '#ffffff', 0.88),
+    border: mixHex(accent, '#ffffff', 0.55),
+    text: table?.textColor || DEFAULT_TABLE_COLORS.textColor
+  };
+};
+
+export const getRowFill = (table, rowIndex) => {
+  const colors = getTableColors(table);
+  if (table?.headerRow && rowIndex === 0) {
+    return colors.headerFill;
+  }
+  const bodyIndex = table?.headerRow ? rowIndex - 1 : rowIndex;
+  return table?.bandedRows && bodyIndex % 2 === 1 ? colors.bandFill : null;
+};
+
+export const getColumnFractions = (table) => {
+  const { columns } = getTableSize(table);
+  const widths = Array.isArray(table?.columnWidths) && table.columnWidths.length === columns
+    ? table.columnWidths.map((value) => (Number(value) > 0 ? Number(value) : 0))
+    : Array.from({ length: columns }, () => 1);
+  const total = widths.reduce((sum, value) => sum + value, 0) || 1;
+  return widths.map((value) => value / total);
+};
+
+// Maps every covered cell ("row:col") to the anchor of the merge covering it.
+export const getCoveredCells = (cells = []) => {
+  const covered = new Map();
+  cells.forEach((row, rowIndex) =>
+    row.forEach((cell, colIndex) => {
+      const rowSpan = cell?.rowSpan || 1;
+      const colSpan = cell?.colSpan || 1;
+      for (let r = rowIndex; r < rowIndex + rowSpan; r += 1) {
+        for (let c = colIndex; c < colIndex + colSpan; c += 1) {
+          if (r !== rowIndex || c !== colIndex) {
+            covered.set(`${r}:${c}`, { row: rowIndex, col: colIndex });
+          }
+        }
+      }
+    })
+  );
+  return covered;
+};
+
+export const resolveCellAnchor = (cells, row, col) =>
+  getCoveredCells(cells).get(`${row}:${col}`) || { row, col };
+
+// Grows the rectangle between two cells until no merged cell straddles it.
+export const getCellRange = (cells, from, to) => {
+  let range = {
+    top: Math.min(from.row, to.row),
+    left: Math.min(from.col, to.col),
+    bottom: Math.max(from.row, to.row),
+    right: Math.max(from.col, to.col)
+  };
+  for (let changed = true; changed; ) {
+    changed = false;
+    for (let r = 0; r < cells.length; r += 1) {
+      for (let c = 0; c < (cells[r]?.length || 0); c += 1) {
+        const cell = cells[r][c];
+        const bottom = r + (cell?.rowSpan || 1) - 1;
+        const right = c + (cell?.colSpan || 1) - 1;
+        const intersects = r <= range.bottom && bottom >= range.top && c <= range.right && right >= range.left;
+        if (
+          intersects &&
+          (r < range.top || c < range.left || bottom > range.bottom || right > range.right)
+        ) {
+          range = {
+            top: Math.min(range.top, r),
+            left: Math.min(range.left, c),
+            bottom: Math.max(range.bottom, bottom),
+            right: Math.max(range.right, right)
+          };
+          changed = true;
+        }
+      }
+    }
+  }
+  return range;
+};
+
+const cloneCells = (cells) => cells.map((row) => row.map((cell) => ({ ...cell })));
+
+export const mergeCellRange = (table, range) => {
+  if (range.top === range.bottom && range.left === range.right) {
+    return table;
+  }
+  const covered = getCoveredCells(table.cells);
+  const cells = cloneCells(table.cells);
+  const texts = [];
+  for (let r = range.top; r <= range.bottom; r += 1) {
+    for (let c = range.left; c <= range.right; c += 1) {
+      if (!covered.has(`${r}:${c}`) && !isEmptyCellText(cells[r][c].text)) {
+        texts.push(cells[r][c].text);
+      }
+      cells[r][c] = createCell();
+    }
+  }
+  cells[range.top][range.left] = {
+    text: texts.join('') || EMPTY_CELL_TEXT,
+    rowSpan: range.bottom - range.top + 1,
+    colSpan: range.right - range.left + 1
+  };
+  return { ...table, cells };
+};
+
+export const splitCell = (table, row, col) => {
+  const cells = cloneCells(table.cells);
+  const { rowSpan, colSpan, ...cell } = cells[row]?.[col] || {};
+  if (!rowSpan && !colSpan) {
+    return table;
+  }
+  cells[row][col] = cell;
+  return { ...table, cells };
+};
+
+export const insertRow = (table, index) => {
+  const { columns } = getTableSize(table);
+  const cells = cloneCells(table.cells);
+  cells.forEach((row, rowIndex) =>
+    row.forEach((cell) => {
+      if (rowIndex < index && rowIndex + (cell.rowSpan || 1) > index) {
+        cell.rowSpan += 1;
+      }
+    })
+  );
+  cells.splice(index, 0, Array.from({ length: columns }, createCell));
+  return { ...table, cells, height: Math.round(table.height * (cells.length / (cells.length - 1))) };
+};
+
+export const deleteRow = (table, index) => {
+  const { rows } = getTableSize(table);
+  if (rows < 2) {
+    return table;
+  }
+  const cells = cloneCells(table.cells);
+  cells.forEach((row, rowIndex) =>
+    row.forEach((cell, colIndex) => {
+      const rowSpan = cell.rowSpan || 1;
+      if (rowIndex < index && rowIndex + rowSpan > index) {
+        cell.rowSpan = rowSpan - 1;
+      } else if (rowIndex === index && rowSpan > 1) {
+        // The merge survives the deleted row by moving its anchor down.
+        cells[index + 1][colIndex] = { ...cell, rowSpan: rowSpan - 1 };
+      }
+    })
+  );
+  cells.splice(index, 1);
+  return { ...table, cells, height: Math.round(table.height * (cells.length / rows)) };
+};
+
+export const insertColumn = (table, index) => {
+  const fractions = getColumnFractions(table);
+  const width = fractions[Math.min(index, fractions.length - 1)] || 1;
+  const cells = cloneCells(table.cells).map((row) => {
+    row.forEach((cell, colIndex) => {
+      if (colIndex < index && colIndex + (cell.colSpan || 1) > index) {
+        cell.colSpan += 1;
+      }
+    });
+    row.splice(index, 0, createCell());
+    return row;
+  });
+  const columnWidths = [...fractions];
+  columnWidths.splice(index, 0, width);
+  return { ...table, cells, columnWidths: getColumnFractions({ cells, columnWidths }) };
+};
+
+export const deleteColumn = (table, index) => {
+  const { columns } = getTableSize(table);
+  if (columns < 2) {
+    return table;
+  }
+  const cells = cloneCells(table.cells).map((row) => {
+    row.forEach((cell, colIndex) => {
+      const colSpan = cell.colSpan || 1;
+      if (colIndex < index && colIndex + colSpan > index) {
+        cell.colSpan = colSpan - 1;
+      } else if (colIndex === index && colSpan > 1) {
+        row[index + 1] = { ...cell, colSpan: colSpan - 1 };
+      }
+    });
+    row.splice(index, 1);
+    return row;
+  });
+  const columnWidths = getColumnFractions(table).filter((_, colIndex) => colIndex !== index);
+  return { ...table, cells, columnWidths: getColumnFractions({ cells, columnWidths }) };
+};
+
+// Moves the border after column `index` by `delta` (a fraction of the table
+// width), trading width between the two neighbouring columns.
+export const resizeColumn = (fractions, index, delta) => {
+  const left = fractions[index];
+  const right = fractions[index + 1];
+  if (left === undefined || right === undefined) {
+    return fractions;
+  }
+  const clamped = Math.min(Math.max(delta, MIN_COLUMN_FRACTION - left), right - MIN_COLUMN_FRACTION);
+  return fractions.map((value, colIndex) =>
+    colIndex === index ? left + clamped : colIndex === index + 1 ? right - clamped : value
+  );
+};
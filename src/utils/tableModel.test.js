@@ -0,0 +1,184 @@
+import {
+  createTableElement,
+  deleteColumn,
+  deleteRow,
+  getCellRange,
+  getCoveredCells,
+  insertColumn,
+  insertRow,
+  mergeCellRange,
+  resolveCellAnchor,
+  splitCell
+} from './tableModel';
+
+const cell = (text, spans = {}) => ({ text: text ? `<p>${text}</p>` : '<p></p>', ...spans });
+
+// Labels each cell with its text, the span of an anchor as `text[rows x cols]`.
+const layout = (table) =>
+  table.cells.map((row) =>
+    row.map(({ text, rowSpan = 1, colSpan = 1 }) => {
+      const label = text.replace(/<[^>]+>/g, '') || '.';
+      return rowSpan > 1 || colSpan > 1 ? `${label}[${rowSpan}x${colSpan}]` : label;
+    })
+  );
+
+// A 4 x 4 table where B spans rows 1-2 and C spans columns 1-2 of row 3.
+const createTable = () => ({
+  ...createTableElement({ id: 'table', x: 0, y: 0, rows: 4, columns: 4 }),
+  height: 160,
+  cells: [
+    [cell('a1'), cell('a2'), cell('a3'), cell('a4')],
+    [cell('b1'), cell('B', { rowSpan: 2 }), cell('b3'), cell('b4')],
+    [cell('c1'), cell(), cell('c3'), cell('c4')],
+    [cell('d1'), cell('C', { colSpan: 2 }), cell(), cell('d4')]
+  ]
+});
+
+test('creates an evenly divided grid of empty cells', () => {
+  const table = createTableElement({ id: 'table', x: 10, y: 20, rows: 2, columns: 4 });
+  expect(table).toMatchObject({ type: 'table', x: 10, y: 20, width: 480, height: 80, columnWidths: [0.25, 0.25, 0.25, 0.25] });
+  expect(layout(table)).toEqual([
+    ['.', '.', '.', '.'],
+    ['.', '.', '.', '.']
+  ]);
+});
+
+describe('merged cells', () => {
+  test('maps covered cells to their anchor', () => {
+    const { cells } = createTable();
+    expect(Array.from(getCoveredCells(cells))).toEqual([
+      ['2:1', { row: 1, col: 1 }],
+      ['3:2', { row: 3, col: 1 }]
+    ]);
+    expect(resolveCellAnchor(cells, 2, 1)).toEqual({ row: 1, col: 1 });
+    expect(resolveCellAnchor(cells, 0, 0)).toEqual({ row: 0, col: 0 });
+  });
+
+  test('grows a selection until no merge straddles it', () => {
+    const { cells } = createTable();
+    expect(getCellRange(cells, { row: 0, col: 1 }, { row: 1, col: 1 })).toEqual({ top: 0, left: 1, bottom: 2, right: 1 });
+    expect(getCellRange(cells, { row: 2, col: 2 }, { row: 3, col: 2 })).toEqual({ top: 1, left: 1, bottom: 3, right: 2 });
+  });
+
+  test('merging keeps the text of every anchor in the range', () => {
+    const table = createTable();
+    const merged = mergeCellRange(table, getCellRange(table.cells, { row: 1, col: 1 }, { row: 2, col: 2 }));
+    expect(layout(merged)).toEqual([
+      ['a1', 'a2', 'a3', 'a4'],
+      ['b1', 'Bb3c3[2x2]', '.', 'b4'],
+      ['c1', '.', '.', 'c4'],
+      ['d1', 'C[1x2]', '.', 'd4']
+    ]);
+    expect(mergeCellRange(table, { top: 0, left: 0, bottom: 0, right: 0 })).toBe(table);
+  });
+
+  test('splitting restores the covered cells as empty cells', () => {
+    const split = splitCell(createTable(), 1, 1);
+    expect(layout(split)[1][1]).toBe('B');
+    expect(getCoveredCells(split.cells).has('2:1')).toBe(false);
+    const table = createTable();
+    expect(splitCell(table, 0, 0)).toBe(table);
+  });
+});
+
+describe('rows', () => {
+  test('inserting a row inside a row span extends the span', () => {
+    const table = insertRow(createTable(), 2);
+    expect(layout(table)).toEqual([
+      ['a1', 'a2', 'a3', 'a4'],
+      ['b1', 'B[3x1]', 'b3', 'b4'],
+      ['.', '.', '.', '.'],
+      ['c1', '.', 'c3', 'c4'],
+      ['d1', 'C[1x2]', '.', 'd4']
+    ]);
+    expect(table.height).toBe(200);
+  });
+
+  test('inserting a row next to a span leaves it alone', () => {
+    expect(layout(insertRow(createTable(), 1))[2][1]).toBe('B[2x1]');
+    expect(layout(insertRow(createTable(), 3))[1][1]).toBe('B[2x1]');
+  });
+
+  test('deleting a row covered by a span shrinks the span', () => {
+    const table = deleteRow(createTable(), 2);
+    expect(layout(table)).toEqual([
+      ['a1', 'a2', 'a3', 'a4'],
+      ['b1', 'B', 'b3', 'b4'],
+      ['d1', 'C[1x2]', '.', 'd4']
+    ]);
+    expect(table.height).toBe(120);
+    expect(getCoveredCells(table.cells).has('2:1')).toBe(false);
+  });
+
+  test('deleting the anchor row moves the merge down a row', () => {
+    const table = deleteRow(createTable(), 1);
+    expect(layout(table)).toEqual([
+      ['a1', 'a2', 'a3', 'a4'],
+      ['c1', 'B', 'c3', 'c4'],
+      ['d1', 'C[1x2]', '.', 'd4']
+    ]);
+  });
+
+  test('deleting a row that holds a column span removes the merge with it', () => {
+    const table = deleteRow(createTable(), 3);
+    expect(layout(table)).toHaveLength(3);
+    expect(Array.from(getCoveredCells(table.cells).keys())).toEqual(['2:1']);
+  });
+
+  test('keeps the last row', () => {
+    const table = createTableElement({ id: 'table', x: 0, y: 0, rows: 1, columns: 2 });
+    expect(deleteRow(table, 0)).toBe(table);
+  });
+});
+
+describe('columns', () => {
+  test('inserting a column inside a column span extends the span', () => {
+    const table = insertColumn(createTable(), 2);
+    expect(layout(table)).toEqual([
+      ['a1', 'a2', '.', 'a3', 'a4'],
+      ['b1', 'B[2x1]', '.', 'b3', 'b4'],
+      ['c1', '.', '.', 'c3', 'c4'],
+      ['d1', 'C[1x3]', '.', '.', 'd4']
+    ]);
+    expect(table.columnWidths).toEqual([0.2, 0.2, 0.2, 0.2, 0.2]);
+  });
+
+  test('a new column copies the width of the column it is inserted before', () => {
+    const table = insertColumn({ ...createTable(), columnWidths: [0.4, 0.2, 0.2, 0.2] }, 0);
+    expect(table.columnWidths.map((width) => Math.round(width * 100) / 100)).toEqual([0.29, 0.29, 0.14, 0.14, 0.14]);
+  });
+
+  test('deleting a column covered by a span shrinks the span', () => {
+    const table = deleteColumn(createTable(), 2);
+    expect(layout(table)).toEqual([
+      ['a1', 'a2', 'a4'],
+      ['b1', 'B[2x1]', 'b4'],
+      ['c1', '.', 'c4'],
+      ['d1', 'C', 'd4']
+    ]);
+    expect(table.columnWidths).toEqual([1 / 3, 1 / 3, 1 / 3]);
+  });
+
+  test('deleting the anchor column moves the merge right', () => {
+    const table = deleteColumn(createTable(), 1);
+    expect(layout(table)).toEqual([
+      ['a1', 'a3', 'a4'],
+      ['b1', 'b3', 'b4'],
+      ['c1', 'c3', 'c4'],
+      ['d1', 'C', 'd4']
+    ]);
+    expect(getCoveredCells(table.cells).size).toBe(0);
+  });
+
+  test('deleting the anchor column of a block merge keeps its rows', () => {
+    const table = mergeCellRange(createTable(), { top: 1, left: 1, bottom: 2, right: 2 });
+    const deleted = deleteColumn(table, 1);
+    expect(layout(deleted)[1]).toEqual(['b1', 'Bb3c3[2x1]', 'b4']);
+    expect(Array.from(getCoveredCells(deleted.cells).keys())).toEqual(['2:1']);
+  });
+
+  test('keeps the last column', () => {
+    const table = createTableElement({ id: 'table', x: 0, y: 0, rows: 2, columns: 1 });
+    expect(deleteColumn(table, 0)).toBe(table);
+  });
+});